@@ -0,0 +1,276 @@
+// Credential providers for the Atlassian client: API token (Basic), Personal Access Token (Bearer)
+// and OAuth 2.0 (3LO) with automatic refresh.
+import fs from "node:fs/promises";
+import { createHash } from "node:crypto";
+import fetch from "node-fetch";
+import { AtlassianError } from "./atlassian-errors.js";
+
+const OAUTH_AUTH_URL = "https://auth.atlassian.com";
+const OAUTH_API_URL = "https://api.atlassian.com";
+// Refresh a little before expiry so in-flight requests don't race the deadline
+const EXPIRY_SKEW_MS = 60000;
+const OAUTH_TIMEOUT_MS = 15000;
+// The HTTP transport can see a different token on every request; keep only the most recently used sessions
+const MAX_OAUTH_SESSIONS = 100;
+
+// One session per refresh token: Atlassian rotates refresh tokens, so Jira and Confluence clients
+// in the same process must share a session or the first refresh invalidates the other.
+const oauthSessions = new Map();
+
+// Least recently used first: a hit moves the session to the end, and the front is evicted when full
+function oauthSession(key, create) {
+  let session = oauthSessions.get(key);
+  if (session) {
+    oauthSessions.delete(key);
+  } else {
+    session = create();
+    if (oauthSessions.size >= MAX_OAUTH_SESSIONS) oauthSessions.delete(oauthSessions.keys().next().value);
+  }
+  oauthSessions.set(key, session);
+  return session;
+}
+
+function normalizeSite(url) {
+  return String(url || "")
+    .replace(/\/+$/, "")
+    .toLowerCase();
+}
+
+function parseExpiry(value) {
+  if (!value) return 0;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? date : 0;
+}
+
+async function oauthFetch(url, init, what) {
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(OAUTH_TIMEOUT_MS) });
+  } catch (err) {
+    throw new AtlassianError("network", `${what} failed: ${err.message}`);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    throw new AtlassianError("auth", `${what} failed: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      statusText: response.statusText,
+      details: text.slice(0, 500),
+    });
+  }
+  return response.json();
+}
+
+class OAuthSession {
+  constructor({ clientId, clientSecret, accessToken, refreshToken, expiresAt, cloudId, tokenFile, authUrl, apiUrl }) {
+    this.authUrl = authUrl;
+    this.apiUrl = apiUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.accessToken = accessToken || "";
+    this.refreshToken = refreshToken || "";
+    this.expiresAt = parseExpiry(expiresAt);
+    this.cloudIds = new Map(cloudId ? [["*", cloudId]] : []);
+    this.tokenFile = tokenFile;
+    this.loaded = !tokenFile;
+    this.refreshing = null;
+  }
+
+  // A token file written by a previous refresh is newer than whatever was in the environment
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const saved = JSON.parse(await fs.readFile(this.tokenFile, "utf8"));
+      if (saved.access_token) this.accessToken = saved.access_token;
+      if (saved.refresh_token) this.refreshToken = saved.refresh_token;
+      if (saved.expires_at) this.expiresAt = parseExpiry(saved.expires_at);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Ignoring unreadable OAuth token file ${this.tokenFile}: ${err.message}`);
+    }
+  }
+
+  async persist() {
+    if (!this.tokenFile) return;
+    const payload = {
+      access_token: this.accessToken,
+      refresh_token: this.refreshToken,
+      expires_at: this.expiresAt,
+    };
+    try {
+      await fs.writeFile(this.tokenFile, JSON.stringify(payload, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.error(`Failed to persist refreshed OAuth token to ${this.tokenFile}: ${err.message}`);
+    }
+  }
+
+  async token() {
+    await this.load();
+    const expired = this.expiresAt && Date.now() >= this.expiresAt - EXPIRY_SKEW_MS;
+    if ((!this.accessToken || expired) && this.canRefresh()) await this.refresh();
+    if (!this.accessToken) throw new AtlassianError("config", "No OAuth access token available.");
+    return this.accessToken;
+  }
+
+  canRefresh() {
+    return Boolean(this.refreshToken && this.clientId && this.clientSecret);
+  }
+
+  // Single-flight so concurrent 401s trigger one refresh, not one per request
+  refresh() {
+    if (!this.canRefresh()) return Promise.resolve(false);
+    if (!this.refreshing) {
+      this.refreshing = (async () => {
+        try {
+          const data = await oauthFetch(
+            `${this.authUrl}/oauth/token`,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json", Accept: "application/json" },
+              body: JSON.stringify({
+                grant_type: "refresh_token",
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                refresh_token: this.refreshToken,
+              }),
+            },
+            "OAuth token refresh"
+          );
+          this.accessToken = data.access_token;
+          if (data.refresh_token) this.refreshToken = data.refresh_token;
+          this.expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : 0;
+          await this.persist();
+          return true;
+        } finally {
+          this.refreshing = null;
+        }
+      })();
+    }
+    return this.refreshing;
+  }
+
+  // 3LO calls go through api.atlassian.com and need the site's cloud ID
+  async cloudId(siteUrl) {
+    const site = normalizeSite(siteUrl);
+    if (this.cloudIds.has("*")) return this.cloudIds.get("*");
+    if (this.cloudIds.has(site)) return this.cloudIds.get(site);
+
+    const resources = await oauthFetch(
+      `${this.apiUrl}/oauth/token/accessible-resources`,
+      { headers: { Authorization: `Bearer ${await this.token()}`, Accept: "application/json" } },
+      "Looking up accessible Atlassian sites"
+    );
+    const list = Array.isArray(resources) ? resources : [];
+    const match = list.find((r) => normalizeSite(r.url) === site) || (list.length === 1 ? list[0] : null);
+    if (!match) {
+      throw new AtlassianError(
+        "config",
+        `The OAuth token has no access to ${siteUrl || "any site"}; set ATLASSIAN_CLOUD_ID or check the granted sites.`
+      );
+    }
+    this.cloudIds.set(site, match.id);
+    return match.id;
+  }
+}
+
+// Stable, non-reversible label for "who is calling", so per-user local state never mixes accounts
+function credentialIdentity(type, ...parts) {
+  return `${type}:${createHash("sha256").update(parts.map((p) => p || "").join("\n")).digest("hex").slice(0, 16)}`;
+}
+
+const AUTH_TYPES = ["basic", "pat", "oauth"];
+
+function detectAuthType(env, productKey) {
+  const explicit = (env.ATLASSIAN_AUTH_TYPE || "").trim().toLowerCase();
+  if (explicit) {
+    if (AUTH_TYPES.includes(explicit)) return explicit;
+    throw new AtlassianError(
+      "config",
+      `ATLASSIAN_AUTH_TYPE must be one of ${AUTH_TYPES.join(", ")}; got "${env.ATLASSIAN_AUTH_TYPE}".`
+    );
+  }
+  if (env[`${productKey}_PAT`] || env.ATLASSIAN_PAT) return "pat";
+  if (env.ATLASSIAN_OAUTH_ACCESS_TOKEN || env.ATLASSIAN_OAUTH_REFRESH_TOKEN) return "oauth";
+  return "basic";
+}
+
+/**
+ * Resolve how a client authenticates from its environment.
+ * ATLASSIAN_AUTH_TYPE picks basic | pat | oauth explicitly; otherwise it is inferred from which
+ * credentials are present. Product-specific variables (JIRA_PAT, CONFLUENCE_BASE_URL, ...) win over
+ * the shared ATLASSIAN_* ones so Data Center setups with separate hosts work.
+ * @param {string} product Display name, e.g. "Jira"
+ * @param {Record<string, string | undefined>} env
+ * @param {{ baseUrl?: string, email?: string, apiToken?: string }} [overrides]
+ * @throws {AtlassianError} kind "config" when ATLASSIAN_AUTH_TYPE names an unknown type
+ */
+export function resolveAuth(product, env, overrides = {}) {
+  const productKey = product.toUpperCase();
+  const type = detectAuthType(env, productKey);
+  const siteUrl = (overrides.baseUrl ?? env[`${productKey}_BASE_URL`] ?? env.ATLASSIAN_BASE_URL ?? "").replace(/\/+$/, "");
+  const deployment = (env.ATLASSIAN_DEPLOYMENT || (type === "pat" ? "datacenter" : "cloud")).toLowerCase();
+  const base = { type, deployment: deployment === "cloud" ? "cloud" : "datacenter", siteUrl };
+
+  if (type === "pat") {
+    const token = env[`${productKey}_PAT`] || env.ATLASSIAN_PAT;
+    return {
+      ...base,
+      identity: credentialIdentity(type, siteUrl, token),
+      missing: [!siteUrl && "ATLASSIAN_BASE_URL", !token && "ATLASSIAN_PAT"].filter(Boolean),
+      apiBase: async () => siteUrl,
+      authorization: async () => `Bearer ${token}`,
+      refresh: async () => false,
+    };
+  }
+
+  if (type === "oauth") {
+    const clientId = env.ATLASSIAN_OAUTH_CLIENT_ID;
+    const refreshToken = env.ATLASSIAN_OAUTH_REFRESH_TOKEN;
+    const accessToken = env.ATLASSIAN_OAUTH_ACCESS_TOKEN;
+    const sessionKey = `${clientId || ""}:${refreshToken || accessToken || ""}`;
+    const session = oauthSession(
+      sessionKey,
+      () =>
+        new OAuthSession({
+          clientId,
+          clientSecret: env.ATLASSIAN_OAUTH_CLIENT_SECRET,
+          accessToken,
+          refreshToken,
+          expiresAt: env.ATLASSIAN_OAUTH_EXPIRES_AT,
+          cloudId: env.ATLASSIAN_CLOUD_ID,
+          tokenFile: env.ATLASSIAN_OAUTH_TOKEN_FILE,
+          authUrl: (env.ATLASSIAN_OAUTH_AUTH_URL || OAUTH_AUTH_URL).replace(/\/+$/, ""),
+          apiUrl: (env.ATLASSIAN_OAUTH_API_URL || OAUTH_API_URL).replace(/\/+$/, ""),
+        })
+    );
+    const missing = [];
+    if (!siteUrl) missing.push("ATLASSIAN_BASE_URL");
+    if (!accessToken && !refreshToken && !env.ATLASSIAN_OAUTH_TOKEN_FILE) missing.push("ATLASSIAN_OAUTH_ACCESS_TOKEN");
+    if (refreshToken && (!clientId || !env.ATLASSIAN_OAUTH_CLIENT_SECRET)) {
+      missing.push("ATLASSIAN_OAUTH_CLIENT_ID/ATLASSIAN_OAUTH_CLIENT_SECRET");
+    }
+    return {
+      ...base,
+      deployment: "cloud",
+      identity: credentialIdentity(type, siteUrl, sessionKey, env.ATLASSIAN_OAUTH_TOKEN_FILE),
+      missing,
+      apiBase: async () => `${session.apiUrl}/ex/${product.toLowerCase()}/${await session.cloudId(siteUrl)}`,
+      authorization: async () => `Bearer ${await session.token()}`,
+      refresh: () => session.refresh(),
+    };
+  }
+
+  const email = overrides.email ?? env.ATLASSIAN_EMAIL;
+  const apiToken = overrides.apiToken ?? env.ATLASSIAN_API_TOKEN;
+  return {
+    ...base,
+    identity: credentialIdentity(type, siteUrl, email, apiToken),
+    missing: [!siteUrl && "ATLASSIAN_BASE_URL", !email && "ATLASSIAN_EMAIL", !apiToken && "ATLASSIAN_API_TOKEN"].filter(
+      Boolean
+    ),
+    apiBase: async () => siteUrl,
+    authorization: async () => "Basic " + Buffer.from(`${email}:${apiToken}`).toString("base64"),
+    refresh: async () => false,
+  };
+}
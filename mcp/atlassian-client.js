@@ -0,0 +1,237 @@
+// Shared Atlassian REST client: auth, timeouts, retries with backoff, and structured errors.
+import fetch, { Response } from "node-fetch";
+import { AtlassianError } from "./atlassian-errors.js";
+import { resolveAuth } from "./atlassian-auth.js";
+import { guardClient, guardrailSettings } from "./guardrails.js";
+
+export { AtlassianError };
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Hints appended to tool errors so the agent knows whether retrying or rephrasing can help
+const ERROR_HINTS = {
+  config: "Check the ATLASSIAN_* credential settings for the chosen auth type.",
+  auth: "The credentials were rejected; the API token may be expired or revoked.",
+  permission: "The account is authenticated but not allowed to access this resource.",
+  not_found: "The resource does not exist or is not visible to this account.",
+  conflict: "Someone else changed the resource first; re-read it and reapply the change.",
+  throttled: "Atlassian is rate limiting requests; try again shortly.",
+  timeout: "The request timed out; Atlassian may be slow right now.",
+  server: "Atlassian returned a server error; try again shortly.",
+  scope: "This server is limited to ATLASSIAN_ALLOWED_PROJECTS / ATLASSIAN_ALLOWED_SPACES; stay within them.",
+  read_only: "ATLASSIAN_READ_ONLY is set, so nothing can be changed through this server.",
+};
+
+function kindForStatus(status) {
+  if (status === 401) return "auth";
+  if (status === 403) return "permission";
+  if (status === 404) return "not_found";
+  if (status === 409) return "conflict";
+  if (status === 429) return "throttled";
+  if (status === 400 || status === 422) return "bad_request";
+  if (status >= 500) return "server";
+  return "http";
+}
+
+// Pull the human-readable part out of Jira/Confluence error payloads, falling back to raw text
+function extractErrorDetails(text) {
+  try {
+    const body = JSON.parse(text);
+    const parts = [
+      ...(Array.isArray(body.errorMessages) ? body.errorMessages : []),
+      ...Object.entries(body.errors || {}).map(([field, msg]) => `${field}: ${msg}`),
+    ];
+    if (body.message) parts.push(body.message);
+    if (parts.length) return parts.join("; ").slice(0, 500);
+  } catch (_) {
+    // Not JSON; use the body as-is
+  }
+  return text.slice(0, 500);
+}
+
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : undefined;
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readNumber(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Create a client bound to one Atlassian site. Configuration defaults to the ATLASSIAN_* env vars
+ * (see atlassian-auth.js for the supported credential types); missing credentials only surface as
+ * a "config" error when a request is made. The guardrails in guardrails.js (allowlists, read-only mode,
+ * field redaction) are applied to every request.
+ * @param {{ product?: string, baseUrl?: string, email?: string, apiToken?: string,
+ *   timeoutMs?: number, maxRetries?: number, env?: Record<string, string | undefined> }} [options]
+ */
+export function createAtlassianClient(options = {}) {
+  const env = options.env || process.env;
+  const product = options.product || "Atlassian";
+  const auth = resolveAuth(product, env, options);
+  const baseUrl = auth.siteUrl;
+  const timeoutMs = options.timeoutMs ?? readNumber(env.ATLASSIAN_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const maxRetries = options.maxRetries ?? readNumber(env.ATLASSIAN_MAX_RETRIES, DEFAULT_MAX_RETRIES);
+
+  function assertConfigured() {
+    if (auth.missing.length) {
+      throw new AtlassianError(
+        "config",
+        `Missing required environment variables for ${product} access: ${auth.missing.join(", ")}.`
+      );
+    }
+  }
+
+  // The deadline covers reading the body too: a server can send its headers and then stall
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      return { response, body: Buffer.from(await response.arrayBuffer()) };
+    } catch (err) {
+      if (err.name === "AbortError") {
+        throw new AtlassianError("timeout", `Request timed out after ${timeoutMs}ms`);
+      }
+      throw new AtlassianError("network", `Network error: ${err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send a request and return the parsed JSON body (null for empty responses).
+   * 429s are always retried; 5xx, timeouts and network errors only when the request is idempotent
+   * (GET/PUT/DELETE, or a POST flagged with `idempotent: true` such as a search).
+   * @param {string} path Path under the site (e.g. /rest/api/3/issue/ENG-1) or an absolute URL
+   * @param {{ method?: string, query?: Record<string, any>, body?: any, headers?: Record<string, string>,
+   *   idempotent?: boolean, raw?: boolean }} [req]
+   */
+  async function request(path, req = {}) {
+    assertConfigured();
+    const method = (req.method || "GET").toUpperCase();
+    const url = new URL(path.startsWith("http") ? path : `${await auth.apiBase()}${path}`);
+    for (const [k, v] of Object.entries(req.query || {})) {
+      if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+    }
+    const headers = {
+      Authorization: await auth.authorization(),
+      Accept: "application/json",
+      ...(req.body !== undefined ? { "Content-Type": "application/json" } : {}),
+      ...(req.headers || {}),
+    };
+    const init = {
+      method,
+      headers,
+      body: req.body === undefined ? undefined : typeof req.body === "string" ? req.body : JSON.stringify(req.body),
+    };
+    const idempotent = req.idempotent ?? method !== "POST";
+    let refreshed = false;
+
+    for (let i = 0; ; i++) {
+      let response;
+      let body;
+      try {
+        ({ response, body } = await attempt(url, init));
+      } catch (err) {
+        if (idempotent && i < maxRetries) {
+          await sleep(backoffDelay(i));
+          continue;
+        }
+        throw err;
+      }
+
+      if (response.ok) {
+        if (req.raw) {
+          return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+        }
+        const text = body.toString("utf8");
+        if (!text) return null;
+        try {
+          return JSON.parse(text);
+        } catch (_) {
+          // Typically a proxy or login page in front of the site
+          throw new AtlassianError("server", `${response.status} ${response.statusText} with a body that is not JSON`, {
+            status: response.status,
+            statusText: response.statusText,
+            details: text.slice(0, 500),
+          });
+        }
+      }
+
+      // An expired OAuth token gets one refresh-and-retry; the request never reached Jira/Confluence logic
+      if (response.status === 401 && !refreshed && (await auth.refresh())) {
+        refreshed = true;
+        headers.Authorization = await auth.authorization();
+        i--;
+        continue;
+      }
+
+      const kind = kindForStatus(response.status);
+      const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+      const retryable = kind === "throttled" || (kind === "server" && idempotent);
+      if (retryable && i < maxRetries && (retryAfterMs === undefined || retryAfterMs <= MAX_RETRY_AFTER_MS)) {
+        await sleep(retryAfterMs ?? backoffDelay(i));
+        continue;
+      }
+
+      const details = extractErrorDetails(body.toString("utf8"));
+      throw new AtlassianError(kind, `${response.status} ${response.statusText}`, {
+        status: response.status,
+        statusText: response.statusText,
+        details,
+        retryAfterMs,
+      });
+    }
+  }
+
+  const client = {
+    product,
+    baseUrl,
+    authType: auth.type,
+    deployment: auth.deployment,
+    identity: auth.identity,
+    request,
+    get: (path, query, req = {}) => request(path, { ...req, method: "GET", query }),
+    post: (path, body, req = {}) => request(path, { ...req, method: "POST", body }),
+    put: (path, body, req = {}) => request(path, { ...req, method: "PUT", body }),
+    delete: (path, req = {}) => request(path, { ...req, method: "DELETE" }),
+  };
+  return guardClient(client, guardrailSettings(env));
+}
+
+/**
+ * Turn a thrown error into an MCP tool error result.
+ * @param {unknown} err
+ * @param {string} prefix Short description of what failed, e.g. "Failed to fetch issue ENG-1"
+ * @param {string} [fallback] Message for unexpected (non-Atlassian) errors, which are logged to stderr
+ */
+export function errorResult(err, prefix, fallback = `${prefix}.`) {
+  if (err instanceof AtlassianError) {
+    if (err.kind === "config") {
+      return { content: [{ type: "text", text: err.message }], isError: true };
+    }
+    const lines = [`${prefix} (${err.kind}): ${err.message}`];
+    if (err.details) lines.push(err.details);
+    if (ERROR_HINTS[err.kind]) lines.push(ERROR_HINTS[err.kind]);
+    return { content: [{ type: "text", text: lines.join("\n") }], isError: true };
+  }
+  console.error(err);
+  return { content: [{ type: "text", text: fallback }], isError: true };
+}
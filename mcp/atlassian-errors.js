@@ -0,0 +1,28 @@
+// Error type shared by the Atlassian client and auth providers.
+
+export class AtlassianError extends Error {
+  /**
+   * @param {"config"|"auth"|"permission"|"not_found"|"throttled"|"bad_request"|"conflict"|"server"|"timeout"|"network"|"http"|"scope"|"read_only"} kind
+   * @param {string} message
+   * @param {{ status?: number, statusText?: string, details?: string, retryAfterMs?: number }} [info]
+   */
+  constructor(kind, message, info = {}) {
+    super(message);
+    this.name = "AtlassianError";
+    this.kind = kind;
+    this.status = info.status;
+    this.statusText = info.statusText;
+    this.details = info.details || "";
+    this.retryAfterMs = info.retryAfterMs;
+  }
+
+  toJSON() {
+    return {
+      kind: this.kind,
+      status: this.status,
+      message: this.message,
+      details: this.details || undefined,
+      retryAfterMs: this.retryAfterMs,
+    };
+  }
+}
@@ -0,0 +1,52 @@
+// Builds the combined Atlassian MCP server with Jira and/or Confluence tools enabled by config.
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { createAtlassianClient } from "./atlassian-client.js";
+import { registerJiraTools } from "./jira-tools.js";
+import { registerConfluenceTools } from "./confluence-tools.js";
+import { registerCrossProductTools } from "./cross-product-tools.js";
+import { registerCacheTools } from "./cache-tools.js";
+import { registerResources } from "./resources.js";
+import { registerPrompts } from "./prompts.js";
+import { applyGuardrails } from "./guardrails.js";
+
+function isEnabled(value) {
+  return !/^(0|false|no|off)$/i.test(String(value ?? "").trim());
+}
+
+/**
+ * Which products to expose. ATLASSIAN_ENABLE_JIRA / ATLASSIAN_ENABLE_CONFLUENCE default to on;
+ * set either to false/0/no/off to drop that tool set.
+ * @param {Record<string, string | undefined>} env
+ */
+export function enabledProducts(env = process.env) {
+  return {
+    jira: isEnabled(env.ATLASSIAN_ENABLE_JIRA),
+    confluence: isEnabled(env.ATLASSIAN_ENABLE_CONFLUENCE),
+  };
+}
+
+/**
+ * Create an MCP server exposing the enabled product tool sets, plus cross-product tools when both are on, and
+ * the resources and prompts for the enabled products.
+ * @param {{ env?: Record<string, string | undefined>, jira?: boolean, confluence?: boolean }} [options]
+ *   env supplies credentials/config (defaults to process.env); jira/confluence override the enable flags.
+ */
+export function createAtlassianServer(options = {}) {
+  const env = options.env || process.env;
+  const products = { ...enabledProducts(env) };
+  if (options.jira !== undefined) products.jira = options.jira;
+  if (options.confluence !== undefined) products.confluence = options.confluence;
+
+  const mcp = applyGuardrails(new McpServer({ name: "AtlassianMCP", version: "1.0.0" }), env);
+  const jira = products.jira ? createAtlassianClient({ product: "Jira", env }) : null;
+  const confluence = products.confluence ? createAtlassianClient({ product: "Confluence", env }) : null;
+
+  if (jira) registerJiraTools(mcp, jira, env);
+  if (confluence) registerConfluenceTools(mcp, confluence, env);
+  if (jira && confluence) registerCrossProductTools(mcp, { jira, confluence });
+  if (jira || confluence) registerCacheTools(mcp, { clients: [jira, confluence].filter(Boolean), env });
+  registerResources(mcp, { jira, confluence, env });
+  registerPrompts(mcp, { jira, confluence, env });
+
+  return { mcp, products };
+}
@@ -0,0 +1,89 @@
+// Cache tool: inspect or clear the response cache behind get_jira_issue and get_confluence_page.
+import { z } from "zod";
+import { errorResult } from "./atlassian-client.js";
+import { getResponseCache, cacheIdentity } from "./response-cache.js";
+import { cacheStatusOutput } from "./tool-schemas.js";
+
+// Accept "ENG-123" and "12345" as well as the cache's own "jira:ENG-123" / "confluence:12345"
+function cacheResource(ref) {
+  const value = String(ref || "").trim();
+  if (!value || /^(jira|confluence):/.test(value)) return value;
+  if (/^\d+$/.test(value)) return `confluence:${value}`;
+  return `jira:${value.toUpperCase()}`;
+}
+
+/**
+ * Register the cache tool. Entries are only listed or cleared for the credentials of these clients.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {{ clients: Array<{ identity: string }>, env?: Record<string, string | undefined> }} options
+ */
+export function registerCacheTools(mcp, { clients, env = process.env }) {
+  const cache = getResponseCache(env);
+  const identities = clients.map(cacheIdentity);
+
+  mcp.registerTool(
+    "manage_response_cache",
+    {
+      description:
+        "Inspect or clear the cache that get_jira_issue and get_confluence_page serve repeat lookups from " +
+        "(revalidated by issue `updated` time / page version). Inspect lists entries, hit counts and limits.",
+      inputSchema: {
+        action: z.enum(["inspect", "clear"]).optional().describe("inspect (default) or clear"),
+        resource: z
+          .string()
+          .optional()
+          .describe("Only this issue key (ENG-123) or page ID; clear without it drops all of your entries"),
+      },
+      outputSchema: cacheStatusOutput,
+    },
+    async ({ action, resource }) => {
+      try {
+        const only = cacheResource(resource) || undefined;
+        const cleared = action === "clear" ? await cache.clear(identities, only) : undefined;
+        const { stats, entries } = await cache.inspect(identities, only);
+        const { enabled, ttlMs, freshMs, maxEntries, maxBytes, file } = cache.settings;
+        const settings = {
+          ttlSeconds: ttlMs / 1000,
+          freshSeconds: freshMs / 1000,
+          maxEntries,
+          maxMb: Math.round((maxBytes / 1024 / 1024) * 100) / 100,
+          file,
+        };
+
+        const lines = [];
+        if (cleared !== undefined) {
+          lines.push(`Cleared ${cleared} entr${cleared === 1 ? "y" : "ies"}${only ? ` for ${only}` : ""}.`);
+        }
+        const size = `${(stats.bytes / 1024).toFixed(1)} KB of ${settings.maxMb} MB`;
+        lines.push(
+          enabled
+            ? `Cache: ${stats.entries}/${maxEntries} entries, ${size} | TTL ${settings.ttlSeconds}s` +
+                (file ? ` | persisted to ${file}` : "")
+            : "Cache: disabled (ATLASSIAN_CACHE)"
+        );
+        lines.push(
+          `Hits: ${stats.hits} | Misses: ${stats.misses} (changed: ${stats.stale}, expired: ${stats.expired}) | ` +
+            `Evictions: ${stats.evictions}`
+        );
+        if (cleared === undefined) {
+          lines.push(
+            ...(entries.length
+              ? entries.map(
+                  (e) =>
+                    `• ${e.resource} [${e.variant}] version ${e.version} — ` +
+                    `${e.bytes} B, ${e.ageSeconds}s old, ${e.hits} hit(s)`
+                )
+              : [only ? `Nothing cached for ${only}.` : "Nothing cached."])
+          );
+        }
+
+        return {
+          content: [{ type: "text", text: lines.join("\n") }],
+          structuredContent: { enabled, settings, stats, entries, ...(cleared !== undefined ? { cleared } : {}) },
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to manage the response cache", "Error managing the response cache.");
+      }
+    }
+  );
+}
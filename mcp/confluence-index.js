@@ -0,0 +1,476 @@
+// Local Confluence index behind semantic_search_confluence: pages from chosen spaces are crawled through the
+// content API, split into heading-scoped chunks and kept on disk, then ranked with BM25 and, optionally,
+// embedding vectors. Re-syncs only fetch pages whose version changed since the last crawl.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import fetch from "node-fetch";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import { AtlassianError } from "./atlassian-errors.js";
+
+const INDEX_FORMAT = 1;
+const CHUNK_WORDS = 180;
+const CHUNK_OVERLAP_WORDS = 30;
+const LIST_PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGES = 2000;
+const DEFAULT_FETCHES_PER_SEARCH = 50;
+const DEFAULT_REFRESH_MINUTES = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const HASH_DIMENSIONS = 256;
+const EMBED_BATCH_SIZE = 32;
+const EMBED_TIMEOUT_MS = 30000;
+// Share of the final score taken by vector similarity when embeddings are enabled
+const VECTOR_WEIGHT = 0.35;
+// Below this cosine similarity a chunk with no keyword hits is not considered a match
+const MIN_SIMILARITY = 0.3;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from had has have how i if in into is it its me my not of on " +
+    "or our so that the their them then there these they this to was we were what when where which who why will " +
+    "with you your"
+  ).split(" ")
+);
+
+// One index per file, shared by every server in the process (the HTTP transport builds one per session)
+const indexes = new Map();
+
+function readNumber(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Index settings from the environment:
+ * CONFLUENCE_INDEX_SPACES (comma-separated keys to crawl), CONFLUENCE_INDEX_DIR (default
+ * ~/.cache/atlassian-mcp/confluence-index), CONFLUENCE_INDEX_REFRESH_MINUTES (how stale a space may get before
+ * a search re-syncs it, default 60), CONFLUENCE_INDEX_MAX_PAGES (per-space crawl cap, default 2000),
+ * CONFLUENCE_INDEX_FETCHES_PER_SEARCH (pages one search may fetch while syncing, default 50) and
+ * CONFLUENCE_INDEX_EMBEDDINGS: off (default), hash (built-in character n-gram vectors) or the URL of an
+ * Ollama-compatible /api/embed endpoint, with the model named by CONFLUENCE_INDEX_EMBEDDING_MODEL.
+ * @param {Record<string, string | undefined>} env
+ */
+export function indexSettings(env = process.env) {
+  return {
+    spaces: (env.CONFLUENCE_INDEX_SPACES || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+    dir: env.CONFLUENCE_INDEX_DIR || path.join(os.homedir(), ".cache", "atlassian-mcp", "confluence-index"),
+    refreshMs: readNumber(env.CONFLUENCE_INDEX_REFRESH_MINUTES, DEFAULT_REFRESH_MINUTES) * 60000,
+    maxPages: readNumber(env.CONFLUENCE_INDEX_MAX_PAGES, DEFAULT_MAX_PAGES),
+    fetchesPerSearch: readNumber(env.CONFLUENCE_INDEX_FETCHES_PER_SEARCH, DEFAULT_FETCHES_PER_SEARCH),
+    embeddings: (env.CONFLUENCE_INDEX_EMBEDDINGS || "off").trim(),
+    embeddingModel: env.CONFLUENCE_INDEX_EMBEDDING_MODEL || "nomic-embed-text",
+  };
+}
+
+// Crude suffix stripping so "transfers"/"transferring" and "domains" meet their stems
+function stem(word) {
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+/** Lowercased, stemmed search terms of `text` without stopwords. */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of String(text || "").toLowerCase().match(/[a-z0-9][a-z0-9_]*/g) || []) {
+    if (word.length > 1 && !STOPWORDS.has(word)) terms.push(stem(word));
+  }
+  return terms;
+}
+
+/**
+ * Split page Markdown into chunks that each sit under one heading. Sections longer than CHUNK_WORDS words
+ * become overlapping windows so a passage is never cut off from its neighbours.
+ * @returns {Array<{ heading: string, text: string }>} heading is the trail of headings, e.g. "Setup › DNS"
+ */
+export function chunkMarkdown(markdown) {
+  const sections = [];
+  const trail = [];
+  let lines = [];
+  let inFence = false;
+  const flush = () => {
+    const text = lines.join("\n").trim();
+    if (text) sections.push({ heading: trail.filter(Boolean).join(" › "), text });
+    lines = [];
+  };
+  for (const line of String(markdown || "").split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+    if (!heading) {
+      lines.push(line);
+      continue;
+    }
+    flush();
+    trail.length = heading[1].length - 1;
+    trail.push(heading[2].trim());
+  }
+  flush();
+
+  const chunks = [];
+  for (const { heading, text } of sections) {
+    const words = text.split(/\s+/);
+    if (words.length <= CHUNK_WORDS) {
+      chunks.push({ heading, text });
+      continue;
+    }
+    for (let start = 0; ; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS) {
+      chunks.push({ heading, text: words.slice(start, start + CHUNK_WORDS).join(" ") });
+      if (start + CHUNK_WORDS >= words.length) break;
+    }
+  }
+  return chunks;
+}
+
+// FNV-1a, enough to spread n-grams over the vector's buckets
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => Math.round((v / norm) * 10000) / 10000);
+}
+
+/**
+ * Built-in embedding: character trigrams of each term hashed into HASH_DIMENSIONS buckets. It knows no
+ * synonyms, but tolerates typos and word forms that exact terms miss.
+ */
+export function hashVector(text) {
+  const vector = new Array(HASH_DIMENSIONS).fill(0);
+  for (const term of tokenize(text)) {
+    const padded = `#${term}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const h = hashString(padded.slice(i, i + 3));
+      vector[h % HASH_DIMENSIONS] += h & 0x80000000 ? -1 : 1;
+    }
+  }
+  return normalize(vector);
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+async function remoteEmbed(url, model, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), EMBED_TIMEOUT_MS);
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model, input: texts.slice(i, i + EMBED_BATCH_SIZE) }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw new AtlassianError("network", `Embedding endpoint ${url} failed: ${err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!response.ok) {
+      throw new AtlassianError("network", `Embedding endpoint ${url} returned ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    // Ollama's /api/embed answers { embeddings }, OpenAI-style servers { data: [{ embedding }] }
+    const batch = data?.embeddings || data?.data?.map((d) => d.embedding);
+    if (!Array.isArray(batch) || batch.length !== Math.min(EMBED_BATCH_SIZE, texts.length - i)) {
+      throw new AtlassianError("network", `Embedding endpoint ${url} returned no embeddings`);
+    }
+    vectors.push(...batch.map(normalize));
+  }
+  return vectors;
+}
+
+/**
+ * The embedder named by CONFLUENCE_INDEX_EMBEDDINGS, or null when embeddings are off.
+ * @returns {{ name: string, embed: (texts: string[]) => Promise<number[][]> } | null}
+ */
+export function createEmbedder(settings) {
+  const { embeddings, embeddingModel } = settings;
+  if (/^(off|none|false|no|0)$/i.test(embeddings)) return null;
+  if (embeddings === "hash") return { name: "hash", embed: async (texts) => texts.map(hashVector) };
+  if (/^https?:\/\//i.test(embeddings)) {
+    return { name: `${embeddings}#${embeddingModel}`, embed: (texts) => remoteEmbed(embeddings, embeddingModel, texts) };
+  }
+  throw new AtlassianError(
+    "config",
+    `CONFLUENCE_INDEX_EMBEDDINGS must be off, hash or an http(s) embedding endpoint URL, not "${embeddings}".`
+  );
+}
+
+function emptyIndex(site, embedder) {
+  return { format: INDEX_FORMAT, site, embeddings: embedder?.name || null, spaces: {}, pages: {} };
+}
+
+// Global space keys are upper case however they were typed; personal ones (~user) are kept as they are
+const spaceId = (key) => {
+  const text = String(key || "").trim();
+  return text.startsWith("~") ? text : text.toUpperCase();
+};
+
+// Text a chunk is matched on: the page title and headings count as part of every chunk
+const chunkText = (page, chunk) => `${page.title}\n${chunk.heading}\n${chunk.text}`;
+
+/**
+ * The index for this client's site and credentials. The file name carries the credential identity so two
+ * accounts never share pages one of them cannot see.
+ * @param {{ baseUrl: string, identity?: string, get: Function }} confluence
+ * @param {{ wiki: string, env?: Record<string, string | undefined> }} options wiki is the wiki context path
+ */
+export function getConfluenceIndex(confluence, { wiki, env = process.env }) {
+  const settings = indexSettings(env);
+  const embedder = createEmbedder(settings);
+  const host = new URL(confluence.baseUrl || "http://unconfigured").host.replace(/[^a-z0-9.-]/gi, "_");
+  const identity = String(confluence.identity || "anonymous").replace(/[^a-z0-9]/gi, "-");
+  const file = path.join(settings.dir, `${host}-${identity}.json`);
+  const cacheKey = `${file}\n${embedder?.name || ""}`;
+  if (!indexes.has(cacheKey)) indexes.set(cacheKey, createIndex({ confluence, wiki, settings, embedder, file }));
+  return indexes.get(cacheKey);
+}
+
+function createIndex({ confluence, wiki, settings, embedder, file }) {
+  const site = `${confluence.baseUrl}${wiki}`;
+  let doc = null;
+  let stats = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (doc) return doc;
+    try {
+      const stored = JSON.parse(await fs.readFile(file, "utf8"));
+      doc = stored.format === INDEX_FORMAT && stored.site === site ? stored : emptyIndex(site, embedder);
+    } catch (err) {
+      if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+      doc = emptyIndex(site, embedder);
+    }
+    return doc;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  async function embedChunks(page) {
+    if (!embedder || !page.chunks.length) return;
+    const vectors = await embedder.embed(page.chunks.map((c) => chunkText(page, c)));
+    page.chunks.forEach((chunk, i) => (chunk.vector = vectors[i]));
+  }
+
+  // Switching CONFLUENCE_INDEX_EMBEDDINGS re-embeds the stored chunks; page text is not fetched again
+  async function reembed() {
+    if (doc.embeddings === (embedder?.name || null)) return;
+    for (const page of Object.values(doc.pages)) {
+      for (const chunk of page.chunks) delete chunk.vector;
+      await embedChunks(page);
+    }
+    doc.embeddings = embedder?.name || null;
+    stats = null;
+    await save();
+  }
+
+  async function fetchPage(id) {
+    const content = await confluence.get(`${wiki}/rest/api/content/${id}`, { expand: "body.storage,version,space" });
+    const page = {
+      id: String(content.id),
+      title: content.title || "Untitled",
+      spaceKey: content.space?.key || null,
+      version: content.version?.number ?? null,
+      lastModified: content.version?.when || null,
+      url: `${site}${content._links?.webui || ""}`,
+      chunks: chunkMarkdown(htmlToMarkdown(content.body?.storage?.value || "")),
+    };
+    await embedChunks(page);
+    return page;
+  }
+
+  // At most `maxFetches` pages are fetched; the rest are left for the next sync, which resumes where this stopped
+  async function syncSpace(spaceKey, maxFetches) {
+    const listed = new Map();
+    for (let start = 0; listed.size < settings.maxPages; ) {
+      const data = await confluence.get(`${wiki}/rest/api/content`, {
+        spaceKey,
+        type: "page",
+        status: "current",
+        expand: "version",
+        start,
+        limit: LIST_PAGE_SIZE,
+      });
+      const results = Array.isArray(data?.results) ? data.results : [];
+      for (const p of results.slice(0, settings.maxPages - listed.size)) {
+        listed.set(String(p.id), p.version?.number ?? null);
+      }
+      if (!results.length || !data?._links?.next) break;
+      start += results.length;
+    }
+
+    let fetched = 0;
+    let remaining = 0;
+    for (const [id, version] of listed) {
+      if (doc.pages[id] && doc.pages[id].version === version) continue;
+      if (fetched >= maxFetches) {
+        remaining++;
+        continue;
+      }
+      try {
+        doc.pages[id] = await fetchPage(id);
+        fetched++;
+      } catch (err) {
+        // Deleted or restricted since it was listed; drop it like any other page that disappeared
+        if (!(err instanceof AtlassianError && (err.kind === "not_found" || err.kind === "permission"))) throw err;
+        listed.delete(id);
+      }
+    }
+    let removed = 0;
+    for (const [id, page] of Object.entries(doc.pages)) {
+      if (spaceId(page.spaceKey) === spaceKey && !listed.has(id)) {
+        delete doc.pages[id];
+        removed++;
+      }
+    }
+    const pages = listed.size - remaining;
+    const previous = doc.spaces[spaceKey];
+    doc.spaces[spaceKey] = remaining
+      ? { syncedAt: previous?.syncedAt || null, pages, remaining }
+      : { syncedAt: new Date().toISOString(), pages };
+    stats = null;
+    await save();
+    return { spaceKey, pages, fetched, removed, remaining };
+  }
+
+  // Term statistics for BM25, rebuilt lazily after a sync changes the pages
+  function termStats() {
+    if (stats) return stats;
+    const chunks = [];
+    const df = new Map();
+    for (const page of Object.values(doc.pages)) {
+      for (const chunk of page.chunks) {
+        const tf = new Map();
+        const terms = tokenize(chunkText(page, chunk));
+        for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+        for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+        chunks.push({ page, chunk, tf, length: terms.length });
+      }
+    }
+    const avgLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+    stats = { chunks, df, avgLength };
+    return stats;
+  }
+
+  // Syncs and searches run one at a time so a search never sees a half-applied sync
+  const serialized = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    settings,
+    embeddings: embedder?.name || null,
+
+    /**
+     * Bring `spaceKeys` up to date: list each space's pages and fetch only new or re-versioned ones.
+     * Spaces synced within CONFLUENCE_INDEX_REFRESH_MINUTES are skipped unless `force` is set. Once
+     * `maxFetches` pages have been fetched the remaining spaces wait for the next sync.
+     * @returns {Promise<Array<{ spaceKey: string, pages: number, fetched: number, removed: number,
+     *   remaining: number }>>} remaining counts the pages of a space left to fetch
+     */
+    sync(spaceKeys, { force = false, maxFetches = Infinity } = {}) {
+      return serialized(async () => {
+        await load();
+        await reembed();
+        const results = [];
+        let budget = maxFetches;
+        for (const spaceKey of new Set(spaceKeys.map(spaceId))) {
+          if (budget <= 0) break;
+          const known = doc.spaces[spaceKey];
+          const syncedAt = Date.parse(known?.syncedAt || "");
+          const fresh = Number.isFinite(syncedAt) && Date.now() - syncedAt < settings.refreshMs;
+          if (!force && fresh && !known.remaining) continue;
+          const result = await syncSpace(spaceKey, budget);
+          budget -= result.fetched;
+          results.push(result);
+        }
+        return results;
+      });
+    },
+
+    /** Page count and last sync time (null if never synced) of each space. */
+    async status(spaceKeys) {
+      await load();
+      return Array.from(new Set(spaceKeys.map(spaceId)), (key) => ({
+        key,
+        pages: doc.spaces[key]?.pages ?? 0,
+        syncedAt: doc.spaces[key]?.syncedAt || null,
+      }));
+    },
+
+    /**
+     * Rank indexed chunks from `spaceKeys` against `query`. The score is BM25 scaled to the best hit, blended
+     * with cosine similarity when the stored vectors came from the current embedder.
+     */
+    search(query, { spaceKeys, limit = 5 }) {
+      return serialized(async () => {
+        await load();
+        const { chunks, df, avgLength } = termStats();
+        const queryTerms = Array.from(new Set(tokenize(query)));
+        const useVectors = Boolean(embedder) && doc.embeddings === embedder.name;
+        const queryVector = useVectors ? (await embedder.embed([query]))[0] : null;
+        const spaces = new Set(spaceKeys.map(spaceId));
+
+        const scored = [];
+        for (const { page, chunk, tf, length } of chunks) {
+          if (!spaces.has(spaceId(page.spaceKey))) continue;
+          let bm25 = 0;
+          for (const term of queryTerms) {
+            const f = tf.get(term);
+            if (!f) continue;
+            const n = df.get(term);
+            const idf = Math.log(1 + (chunks.length - n + 0.5) / (n + 0.5));
+            bm25 += (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength));
+          }
+          const similarity = useVectors ? cosine(queryVector, chunk.vector) : null;
+          if (bm25 > 0 || similarity >= MIN_SIMILARITY) scored.push({ page, chunk, bm25, similarity });
+        }
+
+        const maxBm25 = Math.max(0, ...scored.map((s) => s.bm25)) || 1;
+        const round = (n) => Math.round(n * 1000) / 1000;
+        return scored
+          .map(({ page, chunk, bm25, similarity }) => ({
+            pageId: page.id,
+            title: page.title,
+            url: page.url,
+            spaceKey: page.spaceKey,
+            version: page.version,
+            heading: chunk.heading,
+            text: chunk.text,
+            score: round(
+              useVectors ? (1 - VECTOR_WEIGHT) * (bm25 / maxBm25) + VECTOR_WEIGHT * Math.max(0, similarity) : bm25 / maxBm25
+            ),
+            bm25: round(bm25),
+            similarity: similarity === null ? null : round(similarity),
+          }))
+          .sort((a, b) => b.score - a.score || b.bm25 - a.bm25)
+          .slice(0, limit);
+      });
+    },
+  };
+}
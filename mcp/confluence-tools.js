@@ -0,0 +1,1062 @@
+// Confluence tools: CQL search, page retrieval, space/page-tree/attachment browsing, solution-oriented
+// search, local-index search, and page authoring.
+import { z } from "zod";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import { markdownToStorage } from "./markdown-to-storage.js";
+import { AtlassianError, errorResult } from "./atlassian-client.js";
+import { formatBytes } from "./jira-issue-context.js";
+import { SOLUTION_LABELS, extractTerms, solutionQueries, scoreSolution } from "./solution-ranking.js";
+import { getConfluenceIndex } from "./confluence-index.js";
+import { cqlString } from "./cql.js";
+import { splitOrderBy } from "./jql-builder.js";
+import { getResponseCache, cacheIdentity } from "./response-cache.js";
+import {
+  pageSearchOutput,
+  pageDetailOutput,
+  pageWriteOutput,
+  spaceListOutput,
+  pageChildrenOutput,
+  pageAncestorsOutput,
+  attachmentListOutput,
+  attachmentContentOutput,
+  solutionSearchOutput,
+  semanticSearchOutput,
+} from "./tool-schemas.js";
+
+// Cloud serves Confluence under /wiki; Data Center uses whatever context path the instance was installed with
+export function confluenceWikiPath(confluence, env = process.env) {
+  return confluence.deployment === "cloud" ? "/wiki" : env.CONFLUENCE_CONTEXT_PATH || "";
+}
+
+/**
+ * Derive a content ID from a Confluence page URL; supports both ?pageId=... and /pages/{id}/... forms.
+ * @returns {string} The numeric ID, or "" when the URL has neither form
+ */
+export function parsePageId(url, baseUrl) {
+  try {
+    const parsedUrl = new URL(url, baseUrl || undefined);
+    const pageId = parsedUrl.searchParams.get("pageId");
+    if (pageId) return pageId;
+    const pathParts = parsedUrl.pathname.split("/").filter(Boolean);
+    const pagesIndex = pathParts.findIndex((p) => p === "pages");
+    if (pagesIndex !== -1 && pathParts[pagesIndex + 1] && /^\d+$/.test(pathParts[pagesIndex + 1])) {
+      return pathParts[pagesIndex + 1];
+    }
+  } catch (_) {
+    // Not a parseable URL
+  }
+  return "";
+}
+
+// Accept either a bare content ID or a page URL
+export function pageIdFromRef(ref, baseUrl) {
+  const trimmed = String(ref || "").trim();
+  return /^\d+$/.test(trimmed) ? trimmed : parsePageId(trimmed, baseUrl);
+}
+
+const BAD_PAGE_REF = "Provide a page ID or a page URL containing either '?pageId=...' or '/pages/{id}/...'.";
+
+// Confluence labels are lowercase and cannot contain spaces
+function normalizeLabel(label) {
+  return String(label).trim().toLowerCase().replace(/\s+/g, "-");
+}
+
+// Attachments get_confluence_attachment will return as text, by file extension
+const TEXT_ATTACHMENT_TYPES = ["txt", "csv", "json", "md"];
+const MAX_ATTACHMENT_BYTES = 1024 * 1024;
+
+// Results fetched per query in search_confluence_solutions before merging and ranking
+const SOLUTION_POOL_SIZE = 25;
+
+function isTextAttachment(filename) {
+  const ext = String(filename || "").split(".").pop().toLowerCase();
+  return TEXT_ATTACHMENT_TYPES.includes(ext);
+}
+
+function attachmentInfo(a) {
+  return {
+    id: String(a.id),
+    filename: a.title || "",
+    mediaType: a.extensions?.mediaType || a.metadata?.mediaType || null,
+    size: typeof a.extensions?.fileSize === "number" ? a.extensions.fileSize : null,
+    created: a.version?.when || null,
+    author: a.version?.by?.displayName || null,
+    downloadable: isTextAttachment(a.title),
+  };
+}
+
+// v1 collections only say whether there is a next page; the next offset follows from this page's size
+function nextOffset(data, start) {
+  const size = Array.isArray(data?.results) ? data.results.length : 0;
+  return data?._links?.next && size ? start + size : null;
+}
+
+// Accepts YYYY-MM-DD or a relative offset like -7d / -2w and returns a CQL date expression
+function cqlDate(value) {
+  const v = String(value).trim();
+  if (/^-?\d+[dwmy]$/i.test(v)) return `now(${cqlString(v.startsWith("-") ? v : `-${v}`)})`;
+  return cqlString(v);
+}
+
+/**
+ * Flatten a /rest/api/search result into the pageHitSchema shape shared by the search tools.
+ * @param {string} wiki Wiki context path from confluenceWikiPath
+ */
+export function searchHit(confluence, wiki, r) {
+  const webui = r.content?._links?.webui || r.url || "";
+  const hit = {
+    id: String(r.content?.id || ""),
+    title: r.content?.title || r.title || "Untitled",
+    url: webui.startsWith("http") ? webui : `${confluence.baseUrl}${wiki}${webui}`,
+    excerpt: (r.excerpt || r.content?.excerpt || "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 400),
+  };
+  if (r.content?.type) hit.type = r.content.type;
+  if (r.content?.space?.key) hit.spaceKey = r.content.space.key;
+  const spaceName = r.resultGlobalContainer?.title || r.content?.space?.name;
+  if (spaceName) hit.spaceName = spaceName;
+  if (r.lastModified) hit.lastModified = r.lastModified;
+  return hit;
+}
+
+/**
+ * A page as get_confluence_page returns it: title, URL, space/version/labels line and body as text blocks, with
+ * the same as structured content. Served from the response cache while the page's version holds.
+ * @param {string} contentId
+ * @param {{ format?: "markdown" | "html", version?: () => Promise<number | undefined> }} [options] version()
+ *   returns the page's current version number when the caller already knows it (default: ask Confluence)
+ * @returns {Promise<{ content: Array<{ type: "text", text: string }>, structuredContent: Record<string, unknown> }>}
+ */
+export async function fetchPageDetail(confluence, contentId, { format, version } = {}, env = process.env) {
+  const WIKI = confluenceWikiPath(confluence, env);
+  const cache = getResponseCache(env);
+  const contentPath = `${WIKI}/rest/api/content/${contentId}`;
+
+  const load = async () => {
+    const data = await confluence.get(contentPath, { expand: "body.storage,version,history,space,metadata.labels" });
+    const title = data.title || "Untitled";
+    const html = data.body?.storage?.value || "";
+    const webUrl = `${confluence.baseUrl}${WIKI}${data._links?.webui || ""}`;
+    const labels = (data.metadata?.labels?.results || []).map((l) => l.name);
+    const body =
+      format === "html"
+        ? html
+        : htmlToMarkdown(html, {
+            baseUrl: confluence.baseUrl,
+            wikiPath: WIKI,
+            pageId: data.id || contentId,
+            spaceKey: data.space?.key,
+          });
+
+    const value = {
+      content: [
+        { type: "text", text: `Title: ${title}` },
+        { type: "text", text: `URL: ${webUrl}` },
+        {
+          type: "text",
+          text: `Space: ${data.space?.key || "?"} | Version: ${data.version?.number ?? "?"} | Labels: ${
+            labels.join(", ") || "none"
+          }`,
+        },
+        { type: "text", text: body },
+      ],
+      structuredContent: {
+        id: String(data.id || contentId),
+        title,
+        url: webUrl,
+        spaceKey: data.space?.key || null,
+        version: typeof data.version?.number === "number" ? data.version.number : null,
+        lastModified: data.version?.when || data.history?.lastUpdated?.when || null,
+        labels,
+        format: format === "html" ? "html" : "markdown",
+        body,
+      },
+    };
+    return { version: data.version?.number, value };
+  };
+
+  const { value } = await cache.through(cacheIdentity(confluence), `confluence:${contentId}`, format || "markdown", {
+    version: version || (async () => (await confluence.get(contentPath, { expand: "version" }))?.version?.number),
+    load,
+  });
+  return value;
+}
+
+/**
+ * Register the Confluence tools on an MCP server.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {ReturnType<typeof import("./atlassian-client.js").createAtlassianClient>} confluence
+ * @param {Record<string, string | undefined>} [env] Settings such as CONFLUENCE_CONTEXT_PATH, CONFLUENCE_INDEX_*
+ *   and ATLASSIAN_CACHE_*
+ */
+export function registerConfluenceTools(mcp, confluence, env = process.env) {
+  const WIKI = confluenceWikiPath(confluence, env);
+  const cache = getResponseCache(env);
+  const forget = (pageId) => cache.invalidate(cacheIdentity(confluence), `confluence:${pageId}`);
+  const pageUrl = (page) => `${confluence.baseUrl}${WIKI}${page._links?.webui || ""}`;
+  const pageRef = (page) => ({ id: String(page.id), title: page.title || "Untitled", url: pageUrl(page) });
+
+  // Search Confluence with a keyword or raw CQL, optional filters, and start/limit pagination
+  mcp.registerTool(
+    "search_confluence",
+    {
+      description: "Search Confluence by keyword or raw CQL, with space/type/label/contributor/date filters and pagination",
+      inputSchema: {
+        query: z.string().optional().describe("Keyword search term (matched with text ~)"),
+        cql: z.string().optional().describe("Raw CQL to run instead of the keyword (filters are ANDed on)"),
+        spaces: z.array(z.string()).optional().describe("Restrict to these space keys"),
+        type: z
+          .enum(["page", "blogpost", "comment", "attachment"])
+          .optional()
+          .describe("Content type to return"),
+        labels: z.array(z.string()).optional().describe("Only content carrying any of these labels"),
+        contributor: z
+          .string()
+          .optional()
+          .describe("Account ID, display name, or 'me' for content the person created or edited"),
+        modifiedAfter: z.string().optional().describe("Last modified on/after this date (YYYY-MM-DD or relative like -7d)"),
+        modifiedBefore: z.string().optional().describe("Last modified before this date (YYYY-MM-DD or relative like -7d)"),
+        start: z.number().int().min(0).optional().describe("Offset of the first result (from a previous nextStart)"),
+        limit: z.number().int().min(1).max(50).optional().describe("Max results to return (default 5)"),
+      },
+      outputSchema: pageSearchOutput,
+    },
+    async ({ query, cql, spaces, type, labels, contributor, modifiedAfter, modifiedBefore, start, limit }) => {
+      try {
+        const cqlParts = [];
+        let orderBy = "";
+
+        if (cql && cql.trim()) {
+          // Keep the caller's ordering but AND filters onto the condition part
+          const [condition, order] = splitOrderBy(cql);
+          orderBy = order;
+          if (condition) cqlParts.push(`(${condition})`);
+        } else {
+          const q = (query || "").trim();
+          if (!q) {
+            return {
+              content: [{ type: "text", text: "Provide either 'query' or 'cql'." }],
+              isError: true,
+            };
+          }
+          cqlParts.push(`text ~ ${cqlString(q)}`);
+        }
+
+        if (type) cqlParts.push(`type = ${type}`);
+        if (spaces && spaces.length) cqlParts.push(`space in (${spaces.map(cqlString).join(", ")})`);
+        if (labels && labels.length) cqlParts.push(`label in (${labels.map(cqlString).join(", ")})`);
+        if (contributor) {
+          const c = contributor.trim();
+          if (/^(me|currentuser\(\))$/i.test(c)) cqlParts.push("contributor = currentUser()");
+          else if (/^[0-9a-f]{24}$|:/i.test(c)) cqlParts.push(`contributor = ${cqlString(c)}`);
+          else cqlParts.push(`contributor.fullname ~ ${cqlString(c)}`);
+        }
+        if (modifiedAfter) cqlParts.push(`lastmodified >= ${cqlDate(modifiedAfter)}`);
+        if (modifiedBefore) cqlParts.push(`lastmodified < ${cqlDate(modifiedBefore)}`);
+
+        const effectiveCql = `${cqlParts.join(" AND ")}${orderBy ? ` ${orderBy}` : ""}`;
+        const max = typeof limit === "number" ? limit : 5;
+        const offset = typeof start === "number" ? start : 0;
+        const data = await confluence.get(`${WIKI}/rest/api/search`, {
+          cql: effectiveCql,
+          start: offset,
+          limit: max,
+          expand: "content.space",
+        });
+        const results = Array.isArray(data.results) ? data.results : [];
+        const totalSize = typeof data.totalSize === "number" ? data.totalSize : null;
+        if (results.length === 0) {
+          return {
+            content: [{ type: "text", text: `No results found for: ${effectiveCql}` }],
+            structuredContent: { cql: effectiveCql, results: [], start: offset, limit: max, totalSize, nextStart: null },
+          };
+        }
+
+        const hits = results.slice(0, max).map((r) => searchHit(confluence, WIKI, r));
+        const items = hits.map((hit, idx) => {
+          const r = results[idx];
+          const { spaceKey, spaceName } = hit;
+          const space = spaceKey && spaceName ? `${spaceName} (${spaceKey})` : spaceName || spaceKey;
+          const modified = hit.lastModified ? hit.lastModified.slice(0, 10) : r.friendlyLastModified || "";
+          return `• ${hit.title}\n  ${hit.url}\n  Space: ${space || "?"} | Last modified: ${modified || "?"}\n  ${hit.excerpt}`;
+        });
+
+        const shownEnd = offset + results.length;
+        const hasMore = totalSize !== null ? shownEnd < totalSize : Boolean(data._links?.next);
+        const footer = hasMore
+          ? `Results ${offset + 1}-${shownEnd}${totalSize !== null ? ` of ${totalSize}` : ""}. Next page: start=${shownEnd}, limit=${max}`
+          : `Results ${offset + 1}-${shownEnd}${totalSize !== null ? ` of ${totalSize}` : ""}. No more results.`;
+
+        return {
+          content: [
+            { type: "text", text: `Confluence results for: ${effectiveCql}\n\n${items.join("\n\n")}` },
+            { type: "text", text: footer },
+          ],
+          structuredContent: {
+            cql: effectiveCql,
+            results: hits,
+            start: offset,
+            limit: max,
+            totalSize,
+            nextStart: hasMore ? shownEnd : null,
+          },
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to search Confluence", "Error fetching from Confluence.");
+      }
+    }
+  );
+
+  // Fetch a Confluence page's content (Markdown or storage HTML) by URL, ID, or space key + title
+  mcp.registerTool(
+    "get_confluence_page",
+    {
+      description:
+        "Fetch Confluence page content (title and body as Markdown, or raw storage HTML) by URL, page ID, " +
+        "or space key + exact title",
+      inputSchema: {
+        url: z.string().optional().describe("Confluence page URL returned by search_confluence"),
+        id: z.string().optional().describe("Page ID, e.g., from list_confluence_page_children"),
+        spaceKey: z.string().optional().describe("Space key to look the title up in (with title)"),
+        title: z.string().optional().describe("Exact page title (with spaceKey)"),
+        format: z
+          .enum(["markdown", "html"])
+          .optional()
+          .describe("Body format: 'markdown' (default) or raw storage 'html'"),
+      },
+      outputSchema: pageDetailOutput,
+    },
+    async ({ url, id, spaceKey, title: wantedTitle, format }) => {
+      let contentId = "";
+      try {
+        // The title lookup already returns the page's version, which saves a request when revalidating
+        let currentVersion;
+        if (spaceKey && wantedTitle) {
+          const found = await confluence.get(`${WIKI}/rest/api/content`, {
+            spaceKey,
+            title: wantedTitle,
+            type: "page",
+            expand: "version",
+          });
+          const match = Array.isArray(found?.results) ? found.results[0] : undefined;
+          if (!match) {
+            return {
+              content: [{ type: "text", text: `No page titled "${wantedTitle}" in space ${spaceKey}.` }],
+              isError: true,
+            };
+          }
+          contentId = String(match.id);
+          currentVersion = async () => match.version?.number;
+        } else if (url || id) {
+          contentId = pageIdFromRef(id || url, confluence.baseUrl);
+          if (!contentId) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text:
+                    "Unable to extract Confluence page ID from the provided URL. Please provide a URL containing either '?pageId=...' or '/pages/{id}/...'.",
+                },
+              ],
+              isError: true,
+            };
+          }
+        } else {
+          return {
+            content: [{ type: "text", text: "Provide 'url', 'id', or 'spaceKey' and 'title'." }],
+            isError: true,
+          };
+        }
+
+        return await fetchPageDetail(confluence, contentId, { format, version: currentVersion }, env);
+      } catch (err) {
+        return errorResult(err, `Failed to fetch page ${contentId}`, "Error fetching Confluence page.");
+      }
+    }
+  );
+
+  // Find solution-oriented pages for a described issue: strict to relaxed queries, merged and ranked
+  mcp.registerTool(
+    "search_confluence_solutions",
+    {
+      description:
+        "Find troubleshooting/how-to Confluence pages relevant to a described issue. Runs queries from strict " +
+        "(solution labels and titles) to relaxed (any key term), merges them and ranks pages by title, label, " +
+        "term-overlap and recency signals, explaining each ranking.",
+      inputSchema: {
+        issue: z.string().describe("Describe your problem or error to find solutions"),
+        spaces: z.array(z.string()).optional().describe("Optional space keys to restrict the search (e.g., ENG, DOCS)"),
+        labels: z.array(z.string()).optional().describe("Optional extra labels to prioritize (e.g., troubleshooting)"),
+        limit: z.number().int().min(1).max(20).optional().describe("Max results to return (default 5)"),
+      },
+      outputSchema: solutionSearchOutput,
+    },
+    async ({ issue, spaces, labels, limit }) => {
+      try {
+        const max = typeof limit === "number" ? limit : 5;
+        const preferredLabels = (labels || []).map(normalizeLabel);
+        const terms = extractTerms(issue);
+        const queries = solutionQueries({
+          issue,
+          terms,
+          labels: Array.from(new Set([...preferredLabels, ...SOLUTION_LABELS])),
+          spaces,
+        });
+
+        // Pages keyed by content ID, remembering every query that found them
+        const candidates = new Map();
+        const ran = [];
+        for (const query of queries) {
+          // Only relax further while the pool is too small to rank meaningfully
+          if (candidates.size >= max * 2) break;
+          const data = await confluence.get(`${WIKI}/rest/api/search`, {
+            cql: query.cql,
+            limit: SOLUTION_POOL_SIZE,
+            expand: "content.space,content.metadata.labels",
+          });
+          const results = Array.isArray(data?.results) ? data.results : [];
+          ran.push({ ...query, hits: results.length });
+          for (const r of results) {
+            const id = String(r.content?.id || "");
+            if (!id) continue;
+            const known = candidates.get(id);
+            if (known) {
+              known.matchedBy.push(query.name);
+            } else {
+              const pageLabels = (r.content?.metadata?.labels?.results || []).map((l) => l.name);
+              candidates.set(id, { ...searchHit(confluence, WIKI, r), labels: pageLabels, matchedBy: [query.name] });
+            }
+          }
+        }
+
+        const now = Date.now();
+        const queryNames = queries.map((q) => q.name);
+        const ranked = Array.from(candidates.values())
+          .map((page) => {
+            const { score, reasons } = scoreSolution(page, { terms, preferredLabels, queryNames, now });
+            return { ...page, score, explanation: reasons.join("; ") };
+          })
+          .sort((a, b) => b.score - a.score || (b.lastModified || "").localeCompare(a.lastModified || ""))
+          .slice(0, max);
+
+        const structuredContent = { issue, terms: terms.map((t) => t.term), queries: ran, results: ranked };
+        if (ranked.length === 0) {
+          return {
+            content: [{ type: "text", text: `No solution-like pages found for: ${issue}` }],
+            structuredContent,
+          };
+        }
+
+        const items = ranked.map(
+          (hit, idx) => `${idx + 1}. ${hit.title} — score ${hit.score}\n   ${hit.url}\n   Why: ${hit.explanation}\n   ${hit.excerpt}`
+        );
+        const termList = structuredContent.terms.join(", ") || "none";
+        const header = `Top solution-focused results for:\n"${issue}"\nKey terms: ${termList}`;
+        return {
+          content: [{ type: "text", text: `${header}\n\n${items.join("\n\n")}` }],
+          structuredContent,
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to search solutions", "Error searching for solutions in Confluence.");
+      }
+    }
+  );
+
+  // Search the local index of configured spaces, syncing changed pages first when the index is stale
+  mcp.registerTool(
+    "semantic_search_confluence",
+    {
+      description:
+        "Search a local index of Confluence spaces (CONFLUENCE_INDEX_SPACES) for the page sections that best match " +
+        "a natural-language question or error description. Pages changed since the last sync are re-fetched first " +
+        "when the index is stale, a limited number per search; if Confluence is unreachable the last synced copy " +
+        "is searched.",
+      inputSchema: {
+        query: z.string().describe("Question or problem description"),
+        spaces: z.array(z.string()).optional().describe("Space keys to search (default CONFLUENCE_INDEX_SPACES)"),
+        limit: z.number().int().min(1).max(20).optional().describe("Max sections to return (default 5)"),
+        refresh: z
+          .enum(["auto", "force", "skip"])
+          .optional()
+          .describe("auto (default) syncs stale spaces, force syncs now, skip searches the index as it is"),
+      },
+      outputSchema: semanticSearchOutput,
+    },
+    async ({ query, spaces, limit, refresh }) => {
+      try {
+        const index = getConfluenceIndex(confluence, { wiki: WIKI, env });
+        const spaceKeys = spaces && spaces.length ? spaces : index.settings.spaces;
+        if (!spaceKeys.length) {
+          return {
+            content: [{ type: "text", text: "No spaces to search: set CONFLUENCE_INDEX_SPACES or pass 'spaces'." }],
+            isError: true,
+          };
+        }
+        // The index may hold spaces synced before an allowlist was set; the client only guards live requests
+        const allowed = confluence.scope?.spaces;
+        const outside = allowed ? spaceKeys.filter((k) => !allowed.some((a) => a.toUpperCase() === k.toUpperCase())) : [];
+        if (outside.length) {
+          throw new AtlassianError("scope", `Space ${outside.join(", ")} is outside the allowed spaces`, {
+            details: `Allowed spaces: ${allowed.join(", ")}.`,
+          });
+        }
+
+        const notes = [];
+        if (refresh !== "skip") {
+          try {
+            const options = { force: refresh === "force", maxFetches: index.settings.fetchesPerSearch };
+            for (const s of await index.sync(spaceKeys, options)) {
+              notes.push(
+                `Synced ${s.spaceKey}: ${s.fetched} page(s) fetched, ${s.removed} removed, ${s.pages} indexed` +
+                  (s.remaining ? `; ${s.remaining} left for the next search (or run index-confluence.js).` : ".")
+              );
+            }
+          } catch (err) {
+            // A stale index beats no answer, but an index that was never built has nothing to fall back on
+            const synced = (await index.status(spaceKeys)).filter((s) => s.syncedAt);
+            if (!(err instanceof AtlassianError) || !synced.length) throw err;
+            notes.push(`Sync failed (${err.kind}: ${err.message}); searching the last synced copy.`);
+          }
+        }
+
+        const results = await index.search(query, { spaceKeys, limit: typeof limit === "number" ? limit : 5 });
+        const status = await index.status(spaceKeys);
+        const structuredContent = { query, spaces: status, embeddings: index.embeddings, notes, results };
+
+        const indexLine = status
+          .map((s) => `${s.key}: ${s.pages} pages, ${s.syncedAt ? `synced ${s.syncedAt}` : "never synced"}`)
+          .join("; ");
+        const header = [`Index: ${indexLine}`, ...notes].join("\n");
+        if (results.length === 0) {
+          return {
+            content: [{ type: "text", text: `No indexed sections match: ${query}\n${header}` }],
+            structuredContent,
+          };
+        }
+        const items = results.map((r, idx) => {
+          const where = r.heading ? `${r.title} › ${r.heading}` : r.title;
+          const snippet = r.text.replace(/\s+/g, " ");
+          return `${idx + 1}. ${where} — score ${r.score}\n   ${r.url}\n   ${
+            snippet.length > 300 ? `${snippet.slice(0, 300)}…` : snippet
+          }`;
+        });
+        return {
+          content: [{ type: "text", text: `Best-matching sections for "${query}"\n${header}\n\n${items.join("\n\n")}` }],
+          structuredContent,
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to search the Confluence index", "Error searching the local Confluence index.");
+      }
+    }
+  );
+
+  // List spaces so an agent has somewhere to start browsing
+  mcp.registerTool(
+    "list_confluence_spaces",
+    {
+      description: "List Confluence spaces with their keys and home pages (start browsing a space from its home page)",
+      inputSchema: {
+        type: z.enum(["global", "personal"]).optional().describe("Only team ('global') or personal spaces"),
+        start: z.number().int().min(0).optional().describe("Offset of the first space (from a previous nextStart)"),
+        limit: z.number().int().min(1).max(100).optional().describe("Max spaces to return (default 25)"),
+      },
+      outputSchema: spaceListOutput,
+    },
+    async ({ type, start, limit }) => {
+      try {
+        const offset = typeof start === "number" ? start : 0;
+        const data = await confluence.get(`${WIKI}/rest/api/space`, {
+          type,
+          status: "current",
+          start: offset,
+          limit: typeof limit === "number" ? limit : 25,
+          expand: "description.plain,homepage",
+        });
+        const spaces = (Array.isArray(data?.results) ? data.results : []).map((sp) => {
+          const space = {
+            key: sp.key,
+            name: sp.name || sp.key,
+            type: sp.type || "global",
+            url: `${confluence.baseUrl}${WIKI}${sp._links?.webui || `/spaces/${sp.key}`}`,
+            homepage: sp.homepage?.id
+              ? {
+                  id: String(sp.homepage.id),
+                  title: sp.homepage.title || "Home",
+                  url: `${confluence.baseUrl}${WIKI}/pages/viewpage.action?pageId=${sp.homepage.id}`,
+                }
+              : null,
+          };
+          const description = sp.description?.plain?.value?.trim();
+          if (description) space.description = description;
+          return space;
+        });
+        const nextStart = nextOffset(data, offset);
+        if (spaces.length === 0) {
+          return {
+            content: [{ type: "text", text: "No Confluence spaces found." }],
+            structuredContent: { spaces, start: offset, nextStart },
+          };
+        }
+
+        const items = spaces.map((sp) => {
+          const home = sp.homepage ? `\n  Home page: ${sp.homepage.title} (id ${sp.homepage.id})` : "";
+          return `• ${sp.name} (${sp.key}) — ${sp.type}\n  ${sp.url}${home}${sp.description ? `\n  ${sp.description}` : ""}`;
+        });
+        const footer = nextStart !== null ? `More spaces: pass start=${nextStart}` : "No more spaces.";
+        return {
+          content: [{ type: "text", text: `Confluence spaces:\n\n${items.join("\n\n")}\n\n${footer}` }],
+          structuredContent: { spaces, start: offset, nextStart },
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to list spaces", "Error listing Confluence spaces.");
+      }
+    }
+  );
+
+  // Direct child pages of a page, to walk down a hierarchy
+  mcp.registerTool(
+    "list_confluence_page_children",
+    {
+      description: "List the direct child pages of a Confluence page (walk a runbook hierarchy top-down)",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        start: z.number().int().min(0).optional().describe("Offset of the first child (from a previous nextStart)"),
+        limit: z.number().int().min(1).max(100).optional().describe("Max children to return (default 25)"),
+      },
+      outputSchema: pageChildrenOutput,
+    },
+    async ({ page, start, limit }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const offset = typeof start === "number" ? start : 0;
+        const [parent, data] = await Promise.all([
+          confluence.get(`${WIKI}/rest/api/content/${pageId}`),
+          confluence.get(`${WIKI}/rest/api/content/${pageId}/child/page`, {
+            start: offset,
+            limit: typeof limit === "number" ? limit : 25,
+            expand: "version",
+          }),
+        ]);
+        const children = (Array.isArray(data?.results) ? data.results : []).map((c) => ({
+          ...pageRef(c),
+          version: typeof c.version?.number === "number" ? c.version.number : null,
+          lastModified: c.version?.when || null,
+        }));
+        const nextStart = nextOffset(data, offset);
+        const structuredContent = { parent: pageRef(parent), children, start: offset, nextStart };
+        if (children.length === 0) {
+          const text = `"${parent.title}" (${pageId}) has no child pages${offset ? ` after ${offset}` : ""}.`;
+          return { content: [{ type: "text", text }], structuredContent };
+        }
+
+        const items = children.map((c) => {
+          const modified = c.lastModified ? `\n  Last modified: ${c.lastModified.slice(0, 10)}` : "";
+          return `• ${c.title} (id ${c.id})\n  ${c.url}${modified}`;
+        });
+        const footer = nextStart !== null ? `More children: pass start=${nextStart}` : "No more children.";
+        return {
+          content: [{ type: "text", text: `Children of "${parent.title}" (${pageId}):\n\n${items.join("\n\n")}\n\n${footer}` }],
+          structuredContent,
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to list children of page ${pageId}`, "Error listing Confluence child pages.");
+      }
+    }
+  );
+
+  // Breadcrumb from the space root down to a page
+  mcp.registerTool(
+    "get_confluence_page_ancestors",
+    {
+      description: "Show where a Confluence page sits: its space and ancestor pages from the root down (breadcrumb)",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+      },
+      outputSchema: pageAncestorsOutput,
+    },
+    async ({ page }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const data = await confluence.get(`${WIKI}/rest/api/content/${pageId}`, { expand: "ancestors,space" });
+        const ancestors = (Array.isArray(data.ancestors) ? data.ancestors : []).map(pageRef);
+        const spaceName = data.space?.name || null;
+        const spaceKey = data.space?.key || null;
+        const trail = [spaceName || spaceKey || "?", ...ancestors.map((a) => a.title), data.title].join(" › ");
+        const lines = ancestors.map((a, idx) => `${"  ".repeat(idx)}• ${a.title} (id ${a.id}) — ${a.url}`);
+        lines.push(`${"  ".repeat(ancestors.length)}• ${data.title} (id ${data.id}) — this page`);
+        return {
+          content: [{ type: "text", text: `${trail}\n\n${lines.join("\n")}` }],
+          structuredContent: { page: pageRef(data), spaceKey, spaceName, ancestors },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to fetch ancestors of page ${pageId}`, "Error fetching Confluence page ancestors.");
+      }
+    }
+  );
+
+  // Attachments on a page
+  mcp.registerTool(
+    "list_confluence_attachments",
+    {
+      description:
+        `List a Confluence page's attachments; text files (${TEXT_ATTACHMENT_TYPES.join(", ")}) can then be read ` +
+        "with get_confluence_attachment",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        start: z.number().int().min(0).optional().describe("Offset of the first attachment (from a previous nextStart)"),
+        limit: z.number().int().min(1).max(100).optional().describe("Max attachments to return (default 25)"),
+      },
+      outputSchema: attachmentListOutput,
+    },
+    async ({ page, start, limit }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const offset = typeof start === "number" ? start : 0;
+        const data = await confluence.get(`${WIKI}/rest/api/content/${pageId}/child/attachment`, {
+          start: offset,
+          limit: typeof limit === "number" ? limit : 25,
+          expand: "version",
+        });
+        const attachments = (Array.isArray(data?.results) ? data.results : []).map(attachmentInfo);
+        const nextStart = nextOffset(data, offset);
+        const structuredContent = { pageId, attachments, start: offset, nextStart };
+        if (attachments.length === 0) {
+          return { content: [{ type: "text", text: `Page ${pageId} has no attachments.` }], structuredContent };
+        }
+
+        const items = attachments.map((a) => {
+          const by = [a.author, a.created ? a.created.slice(0, 10) : ""].filter(Boolean).join(", ");
+          const note = a.downloadable ? "" : " [not readable as text]";
+          return `• ${a.filename} (${formatBytes(a.size ?? undefined)}, ${a.mediaType || "unknown type"})${by ? ` — ${by}` : ""}${note}`;
+        });
+        const footer = nextStart !== null ? `\n\nMore attachments: pass start=${nextStart}` : "";
+        return {
+          content: [{ type: "text", text: `Attachments on page ${pageId}:\n${items.join("\n")}${footer}` }],
+          structuredContent,
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to list attachments of page ${pageId}`, "Error listing Confluence attachments.");
+      }
+    }
+  );
+
+  // Read a text attachment (txt, csv, json, md)
+  mcp.registerTool(
+    "get_confluence_attachment",
+    {
+      description:
+        `Download a text attachment (${TEXT_ATTACHMENT_TYPES.join(", ")}) from a Confluence page ` +
+        "and return its contents",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        filename: z.string().describe("Attachment file name, as shown by list_confluence_attachments"),
+        maxChars: z
+          .number()
+          .int()
+          .min(100)
+          .max(200000)
+          .optional()
+          .describe("Truncate the contents after this many characters (default 20000)"),
+      },
+      outputSchema: attachmentContentOutput,
+    },
+    async ({ page, filename, maxChars }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const data = await confluence.get(`${WIKI}/rest/api/content/${pageId}/child/attachment`, {
+          filename,
+          expand: "version",
+        });
+        const found = Array.isArray(data?.results) ? data.results[0] : undefined;
+        if (!found) {
+          return { content: [{ type: "text", text: `No attachment named "${filename}" on page ${pageId}.` }], isError: true };
+        }
+        const attachment = attachmentInfo(found);
+        if (!attachment.downloadable) {
+          const kind = attachment.mediaType || "not a text file";
+          const text = `"${filename}" is ${kind}; only ${TEXT_ATTACHMENT_TYPES.join(", ")} attachments can be read.`;
+          return { content: [{ type: "text", text }], isError: true };
+        }
+        if ((attachment.size ?? 0) > MAX_ATTACHMENT_BYTES) {
+          const text = `"${filename}" is ${formatBytes(attachment.size)}; attachments over ${formatBytes(
+            MAX_ATTACHMENT_BYTES
+          )} are not downloaded.`;
+          return { content: [{ type: "text", text }], isError: true };
+        }
+
+        const response = await confluence.get(`${WIKI}${found._links?.download || ""}`, undefined, {
+          raw: true,
+          headers: { Accept: "*/*" },
+        });
+        const text = await response.text();
+        const limit = typeof maxChars === "number" ? maxChars : 20000;
+        const truncated = text.length > limit;
+        const content = truncated ? text.slice(0, limit) : text;
+        const size = formatBytes(attachment.size ?? Buffer.byteLength(text));
+        const header = `${attachment.filename} (${size}, ${attachment.mediaType || "text"}) on page ${pageId}`;
+        return {
+          content: [
+            { type: "text", text: header },
+            { type: "text", text: truncated ? `${content}\n\n[Truncated after ${limit} of ${text.length} characters]` : content },
+          ],
+          structuredContent: { pageId, attachment, content, truncated },
+        };
+      } catch (err) {
+        return errorResult(
+          err,
+          `Failed to download "${filename}" from page ${pageId}`,
+          "Error downloading Confluence attachment."
+        );
+      }
+    }
+  );
+
+  const storageBody = (markdown) => ({ storage: { value: markdownToStorage(markdown), representation: "storage" } });
+
+  // Adding a label that is already present is a no-op, so this is safe to retry
+  async function addLabels(pageId, labels) {
+    const data = await confluence.post(
+      `${WIKI}/rest/api/content/${pageId}/label`,
+      labels.map((name) => ({ prefix: "global", name: normalizeLabel(name) })),
+      { idempotent: true }
+    );
+    // Labels are not versioned, so a cached copy would still match the page's version
+    forget(pageId);
+    return (Array.isArray(data?.results) ? data.results : []).map((l) => l.name);
+  }
+
+  // Create a page from Markdown in a space, optionally under a parent page
+  mcp.registerTool(
+    "create_confluence_page",
+    {
+      description:
+        "Create a Confluence page from Markdown in a space, optionally under a parent page, with optional labels. " +
+        "Markdown tables, task lists, code fences and '> **Note:**' panels become their Confluence equivalents.",
+      inputSchema: {
+        title: z.string().min(1).describe("Page title (must be unique within the space)"),
+        body: z.string().describe("Page content as Markdown"),
+        spaceKey: z.string().optional().describe("Space key, e.g., CARE (defaults to the parent page's space)"),
+        parent: z.string().optional().describe("Parent page ID or URL; the page is created at the space root without one"),
+        labels: z.array(z.string()).optional().describe("Labels to add after creating the page"),
+      },
+      outputSchema: pageWriteOutput,
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ title, body, spaceKey, parent, labels }) => {
+      try {
+        let space = spaceKey ? spaceKey.trim() : "";
+        let parentId = "";
+        if (parent) {
+          parentId = pageIdFromRef(parent, confluence.baseUrl);
+          if (!parentId) return { content: [{ type: "text", text: `Invalid parent: ${BAD_PAGE_REF}` }], isError: true };
+          const parentPage = await confluence.get(`${WIKI}/rest/api/content/${parentId}`, { expand: "space" });
+          const parentSpace = parentPage.space?.key || "";
+          if (space && parentSpace && space.toUpperCase() !== parentSpace.toUpperCase()) {
+            return {
+              content: [
+                { type: "text", text: `Parent page "${parentPage.title}" is in space ${parentSpace}, not ${space}.` },
+              ],
+              isError: true,
+            };
+          }
+          space = space || parentSpace;
+        }
+        if (!space) {
+          return { content: [{ type: "text", text: "Provide 'spaceKey' or 'parent'." }], isError: true };
+        }
+
+        const request = { type: "page", title, space: { key: space }, body: storageBody(body) };
+        if (parentId) request.ancestors = [{ id: parentId }];
+        const page = await confluence.post(`${WIKI}/rest/api/content`, request);
+
+        const url = pageUrl(page);
+        const lines = [
+          `Created page "${page.title}" (${page.id}) in ${page.space?.key || space}${parentId ? ` under page ${parentId}` : ""}`,
+          `URL: ${url}`,
+        ];
+        const structuredContent = {
+          id: String(page.id),
+          title: page.title,
+          url,
+          spaceKey: page.space?.key || space,
+          version: page.version?.number ?? 1,
+        };
+        if (labels && labels.length) {
+          // The page exists at this point, so report a label failure without hiding the page
+          try {
+            structuredContent.labels = await addLabels(page.id, labels);
+            lines.push(`Labels: ${structuredContent.labels.join(", ")}`);
+          } catch (err) {
+            lines.push(`Labels were not added (${err.kind || "error"}): ${err.message}`);
+          }
+        }
+        return { content: [{ type: "text", text: lines.join("\n") }], structuredContent };
+      } catch (err) {
+        return errorResult(err, "Failed to create page", "Error creating Confluence page.");
+      }
+    }
+  );
+
+  // Replace or append to a page's content, bumping the version and refusing to overwrite newer edits
+  mcp.registerTool(
+    "update_confluence_page",
+    {
+      description:
+        "Update a Confluence page's title and/or content (Markdown). Pass the version you last read as expectedVersion " +
+        "so the update is refused if someone else has edited the page since.",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        body: z.string().optional().describe("New content as Markdown"),
+        mode: z
+          .enum(["replace", "append"])
+          .optional()
+          .describe("'replace' the content (default) or 'append' the Markdown after it"),
+        title: z.string().min(1).optional().describe("New title"),
+        expectedVersion: z
+          .number()
+          .int()
+          .min(1)
+          .optional()
+          .describe("Version the edit is based on (from get_confluence_page); mismatches are reported as conflicts"),
+        versionMessage: z.string().optional().describe("Change note shown in the page history"),
+        minorEdit: z.boolean().optional().describe("Skip watcher notifications (default false)"),
+      },
+      outputSchema: { ...pageWriteOutput, previousVersion: z.number() },
+      annotations: { readOnlyHint: false, destructiveHint: true },
+    },
+    async ({ page, body, mode, title, expectedVersion, versionMessage, minorEdit }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        if (body === undefined && !title) {
+          return {
+            content: [{ type: "text", text: "Nothing to update: provide 'body' and/or 'title'." }],
+            isError: true,
+          };
+        }
+
+        const current = await confluence.get(`${WIKI}/rest/api/content/${pageId}`, {
+          expand: "body.storage,version,space",
+        });
+        const currentVersion = current.version?.number || 1;
+        if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+          const by = current.version?.by?.displayName ? ` by ${current.version.by.displayName}` : "";
+          throw new AtlassianError(
+            "conflict",
+            `Page "${current.title}" is at version ${currentVersion}${by}, not ${expectedVersion}.`,
+            { details: "Fetch it again with get_confluence_page and apply the edit to the current content." }
+          );
+        }
+
+        const existing = current.body?.storage?.value || "";
+        let storage = existing;
+        if (body !== undefined) storage = mode === "append" ? `${existing}${markdownToStorage(body)}` : markdownToStorage(body);
+
+        const version = { number: currentVersion + 1, minorEdit: Boolean(minorEdit) };
+        if (versionMessage) version.message = versionMessage;
+        // A 409 here means another edit landed between our read and write; the client reports it as a conflict
+        const updated = await confluence.put(`${WIKI}/rest/api/content/${pageId}`, {
+          id: pageId,
+          type: current.type || "page",
+          title: title || current.title,
+          space: { key: current.space?.key },
+          version,
+          body: { storage: { value: storage, representation: "storage" } },
+        });
+        forget(pageId);
+
+        const url = pageUrl(updated._links ? updated : current);
+        const newVersion = updated.version?.number ?? version.number;
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Updated page "${updated.title || title || current.title}" (${pageId}) to version ${newVersion}\nURL: ${url}`,
+            },
+          ],
+          structuredContent: {
+            id: pageId,
+            title: updated.title || title || current.title,
+            url,
+            spaceKey: current.space?.key || null,
+            version: newVersion,
+            previousVersion: currentVersion,
+          },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to update page ${pageId}`, "Error updating Confluence page.");
+      }
+    }
+  );
+
+  // Add labels to a page
+  mcp.registerTool(
+    "add_confluence_labels",
+    {
+      description: "Add labels to a Confluence page (lowercased, spaces become hyphens); existing labels are kept",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        labels: z.array(z.string().min(1)).min(1).describe("Labels to add"),
+      },
+      outputSchema: { id: z.string(), labels: z.array(z.string()).describe("All labels on the page afterwards") },
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ page, labels }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const all = await addLabels(pageId, labels);
+        return {
+          content: [{ type: "text", text: `Labels on page ${pageId}: ${all.join(", ") || "none"}` }],
+          structuredContent: { id: pageId, labels: all },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to label page ${pageId}`, "Error adding Confluence labels.");
+      }
+    }
+  );
+
+  // Post a footer comment (or a reply to one) on a page
+  mcp.registerTool(
+    "add_confluence_comment",
+    {
+      description: "Post a footer comment on a Confluence page from Markdown, optionally as a reply to another comment",
+      inputSchema: {
+        page: z.string().describe("Page ID or URL"),
+        body: z.string().min(1).describe("Comment as Markdown"),
+        replyTo: z.string().optional().describe("ID of the comment to reply to"),
+      },
+      outputSchema: { pageId: z.string(), commentId: z.string(), url: z.string() },
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ page, body, replyTo }) => {
+      const pageId = pageIdFromRef(page, confluence.baseUrl);
+      try {
+        if (!pageId) return { content: [{ type: "text", text: BAD_PAGE_REF }], isError: true };
+        const request = { type: "comment", container: { id: pageId, type: "page" }, body: storageBody(body) };
+        if (replyTo) request.ancestors = [{ id: replyTo }];
+        const comment = await confluence.post(`${WIKI}/rest/api/content`, request);
+
+        const url = comment._links?.webui
+          ? pageUrl(comment)
+          : `${confluence.baseUrl}${WIKI}/pages/viewpage.action?pageId=${pageId}&focusedCommentId=${comment.id}`;
+        return {
+          content: [
+            { type: "text", text: `Comment ${comment.id} added to page ${pageId}${replyTo ? ` (reply to ${replyTo})` : ""}` },
+            { type: "text", text: `URL: ${url}` },
+          ],
+          structuredContent: { pageId, commentId: String(comment.id), url },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to comment on page ${pageId}`, "Error adding Confluence comment.");
+      }
+    }
+  );
+}
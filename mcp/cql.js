@@ -0,0 +1,6 @@
+// CQL quoting shared by confluence-tools.js and the modules it imports, so none of them imports the tools.
+
+// Quote a value for use inside a CQL string literal
+export function cqlString(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
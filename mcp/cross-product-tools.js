@@ -0,0 +1,248 @@
+// Tools that join Jira and Confluence: pages linked from an issue, issues mentioned on a page.
+import { z } from "zod";
+import { errorResult } from "./atlassian-client.js";
+import { jiraApiPath } from "./jira-api.js";
+import { formatIssueLines, issueSummary } from "./jira-tools.js";
+import { confluenceWikiPath, parsePageId } from "./confluence-tools.js";
+import { cqlString } from "./cql.js";
+import { linkedPagesOutput, referencedIssuesOutput } from "./tool-schemas.js";
+
+const ISSUE_KEY_PATTERN = /\b([A-Z][A-Z0-9_]+-\d+)\b/g;
+const MAX_LOOKUPS = 25;
+
+// Only treat a URL as a Confluence page if it points at the configured Confluence site
+function pageIdFromUrl(url, confluence) {
+  if (!url) return "";
+  try {
+    const target = new URL(url, confluence.baseUrl || undefined);
+    const site = new URL(confluence.baseUrl);
+    if (target.host !== site.host) return "";
+  } catch (_) {
+    return "";
+  }
+  return parsePageId(url, confluence.baseUrl);
+}
+
+function hrefs(html) {
+  return Array.from(String(html || "").matchAll(/href\s*=\s*"([^"]+)"/gi), (m) => m[1].replace(/&amp;/g, "&"));
+}
+
+/**
+ * Pull Jira issue keys out of Confluence storage format: Jira macros, /browse/ links, and bare mentions.
+ * @returns {Map<string, string>} key → how it was found ("jira macro", "link" or "mention")
+ */
+export function extractIssueKeys(storage) {
+  const found = new Map();
+  const add = (key, via) => {
+    if (!found.has(key)) found.set(key, via);
+  };
+  const macroRe =
+    /<ac:structured-macro[^>]*ac:name="jira"[^>]*>[\s\S]*?<ac:parameter[^>]*ac:name="key"[^>]*>([^<]+)<\/ac:parameter>/gi;
+  for (const m of String(storage || "").matchAll(macroRe)) add(m[1].trim().toUpperCase(), "jira macro");
+  for (const href of hrefs(storage)) {
+    const m = href.match(/\/browse\/([A-Z][A-Z0-9_]+-\d+)/i);
+    if (m) add(m[1].toUpperCase(), "link");
+  }
+  const text = String(storage || "").replace(/<[^>]+>/g, " ");
+  for (const m of text.matchAll(ISSUE_KEY_PATTERN)) add(m[1], "mention");
+  return found;
+}
+
+async function mapLimited(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Register tools that need both products.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {{ jira: ReturnType<typeof import("./atlassian-client.js").createAtlassianClient>,
+ *   confluence: ReturnType<typeof import("./atlassian-client.js").createAtlassianClient> }} clients
+ */
+export function registerCrossProductTools(mcp, { jira, confluence }) {
+  const API = jiraApiPath(jira);
+  const WIKI = confluenceWikiPath(confluence);
+
+  // Confluence pages linked from a Jira issue (remote links, links in description/comments, and mentions)
+  mcp.registerTool(
+    "find_confluence_pages_for_jira_issue",
+    {
+      description: "Find Confluence pages linked from a Jira issue (remote links, links in its description/comments) and pages that mention it",
+      inputSchema: {
+        key: z.string().describe("Jira issue key, e.g., CARE-123"),
+        includeMentions: z
+          .boolean()
+          .optional()
+          .describe("Also search Confluence for pages mentioning the key (default true)"),
+        limit: z.number().int().min(1).max(25).optional().describe("Max pages to return (default 10)"),
+      },
+      outputSchema: linkedPagesOutput,
+    },
+    async ({ key, includeMentions, limit }) => {
+      try {
+        const issueKey = key.trim().toUpperCase();
+        const max = typeof limit === "number" ? limit : 10;
+        const found = new Map();
+        const add = (id, via) => {
+          if (!id) return;
+          const entry = found.get(id) || new Set();
+          entry.add(via);
+          found.set(id, entry);
+        };
+
+        const [remoteLinks, issue] = await Promise.all([
+          jira.get(`${API}/issue/${encodeURIComponent(issueKey)}/remotelink`),
+          jira.get(`${API}/issue/${encodeURIComponent(issueKey)}`, {
+            fields: "description,comment",
+            expand: "renderedFields",
+          }),
+        ]);
+
+        for (const link of Array.isArray(remoteLinks) ? remoteLinks : []) {
+          add(pageIdFromUrl(link.object?.url, confluence), "remote link");
+        }
+        for (const href of hrefs(issue?.renderedFields?.description)) {
+          add(pageIdFromUrl(href, confluence), "description link");
+        }
+        const comments = issue?.renderedFields?.comment?.comments || [];
+        for (const comment of comments) {
+          for (const href of hrefs(comment.body)) add(pageIdFromUrl(href, confluence), "comment link");
+        }
+
+        if (includeMentions !== false) {
+          const data = await confluence.get(`${WIKI}/rest/api/search`, {
+            cql: `text ~ ${cqlString(issueKey)} and type in (page, blogpost)`,
+            limit: max,
+          });
+          for (const r of Array.isArray(data?.results) ? data.results : []) add(r.content?.id, "mentions issue");
+        }
+
+        if (found.size === 0) {
+          return {
+            content: [{ type: "text", text: `No Confluence pages found for ${issueKey}.` }],
+            structuredContent: { key: issueKey, pages: [] },
+          };
+        }
+
+        const ids = Array.from(found.keys()).slice(0, max);
+        const pages = await mapLimited(ids, 5, async (id) => {
+          try {
+            return await confluence.get(`${WIKI}/rest/api/content/${id}`, { expand: "space" });
+          } catch (err) {
+            // Pages the account cannot see are listed by ID only
+            return { id, inaccessible: err.kind || "error" };
+          }
+        });
+
+        const structuredPages = pages.map((p, idx) => {
+          const via = Array.from(found.get(ids[idx]));
+          if (p.inaccessible) return { id: String(ids[idx]), title: null, url: null, accessible: false, via };
+          const page = {
+            id: String(p.id),
+            title: p.title || "Untitled",
+            url: `${confluence.baseUrl}${WIKI}${p._links?.webui || ""}`,
+            accessible: true,
+            via,
+          };
+          if (p.space?.key) page.spaceKey = p.space.key;
+          return page;
+        });
+        const items = structuredPages.map((p, idx) => {
+          const via = p.via.join(", ");
+          if (!p.accessible) return `• Page ${p.id} (not accessible: ${pages[idx].inaccessible})\n  via: ${via}`;
+          const space = p.spaceKey ? ` — ${p.spaceKey}` : "";
+          return `• ${p.title}${space}\n  ${p.url}\n  via: ${via}`;
+        });
+
+        return {
+          content: [{ type: "text", text: `Confluence pages for ${issueKey}:\n\n${items.join("\n\n")}` }],
+          structuredContent: { key: issueKey, pages: structuredPages },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to find Confluence pages for ${key}`, "Error finding linked Confluence pages.");
+      }
+    }
+  );
+
+  // Jira issues referenced on a Confluence page (Jira macros, /browse/ links, and bare key mentions)
+  mcp.registerTool(
+    "find_jira_issues_for_confluence_page",
+    {
+      description: "Find Jira issues referenced on a Confluence page (Jira macros, issue links, and issue keys in the text)",
+      inputSchema: {
+        url: z.string().describe("Confluence page URL (containing ?pageId=... or /pages/{id}/...)"),
+        limit: z.number().int().min(1).max(MAX_LOOKUPS).optional().describe("Max issues to return (default 10)"),
+      },
+      outputSchema: referencedIssuesOutput,
+    },
+    async ({ url, limit }) => {
+      try {
+        const pageId = parsePageId(url, confluence.baseUrl);
+        if (!pageId) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: "Unable to extract Confluence page ID from the provided URL. Please provide a URL containing either '?pageId=...' or '/pages/{id}/...'.",
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const max = typeof limit === "number" ? limit : 10;
+        const page = await confluence.get(`${WIKI}/rest/api/content/${pageId}`, { expand: "body.storage" });
+        const pageTitle = page?.title || pageId;
+        const empty = {
+          content: [{ type: "text", text: `No Jira issues referenced on "${pageTitle}".` }],
+          structuredContent: { pageId, pageTitle, issues: [] },
+        };
+        const keys = extractIssueKeys(page?.body?.storage?.value);
+        if (keys.size === 0) return empty;
+
+        // Bare mentions can be false positives (e.g. UTF-8), so look each key up and drop the misses
+        const candidates = Array.from(keys.keys()).slice(0, MAX_LOOKUPS);
+        const issues = await mapLimited(candidates, 5, async (key) => {
+          try {
+            return await jira.get(`${API}/issue/${encodeURIComponent(key)}`, {
+              fields: "summary,status,assignee,issuetype,priority,updated",
+            });
+          } catch (err) {
+            if (err.kind === "not_found" || err.kind === "permission" || err.kind === "bad_request") return null;
+            throw err;
+          }
+        });
+        const resolved = issues
+          .map((issue, idx) => issue && { issue, via: keys.get(candidates[idx]) })
+          .filter(Boolean)
+          .slice(0, max);
+        if (resolved.length === 0) return empty;
+
+        const lines = formatIssueLines(
+          jira,
+          resolved.map((r) => r.issue)
+        ).map((line, idx) => `${line}\n  via: ${resolved[idx].via}`);
+        return {
+          content: [
+            { type: "text", text: `Jira issues referenced on "${pageTitle}":\n\n${lines.join("\n\n")}` },
+          ],
+          structuredContent: {
+            pageId,
+            pageTitle,
+            issues: resolved.map((r) => ({ ...issueSummary(jira, r.issue), via: r.via })),
+          },
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to find Jira issues for page", "Error finding referenced Jira issues.");
+      }
+    }
+  );
+}
@@ -0,0 +1,472 @@
+// Guardrails applied to every client and tool: project and space allowlists (JQL/CQL is scoped to them, or
+// rejected when it names something outside them), a read-only switch, redaction of sensitive Jira fields and
+// of patterns such as emails and phone numbers, and an append-only JSONL audit log of tool calls.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { AtlassianError } from "./atlassian-errors.js";
+import { jqlString, splitOrderBy } from "./jql-builder.js";
+
+const REDACTED = "[redacted]";
+const BUILTIN_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+  // Grouped digits ("+44 20 7946 0958", "(555) 123-4567", "555.123.4567") or "+" and 8-15 digits; dates,
+  // times, versions and IP addresses do not have the shape
+  phone:
+    /(?<![\w+-]|\d\.)(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?![\w-]|\.\d)|(?<![\w+])\+\d{8,15}\b/g,
+};
+// POSTs that only read, still allowed in read-only mode
+const READ_ONLY_POST = /\/(?:search(?:\/jql)?|jql\/parse)$/;
+const MAX_KNOWN_PAGES = 1000;
+
+// One audit log writer per file, shared by every server in the process
+const auditLogs = new Map();
+
+function listOf(value) {
+  return String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Guardrail settings from the environment:
+ * ATLASSIAN_ALLOWED_PROJECTS / ATLASSIAN_ALLOWED_SPACES (comma-separated keys; unset allows everything),
+ * ATLASSIAN_READ_ONLY (true/1/yes/on refuses every write), ATLASSIAN_REDACT_FIELDS (Jira field IDs or names
+ * whose values are blanked), ATLASSIAN_REDACT_PATTERNS (email, phone), ATLASSIAN_REDACT_REGEX (one extra
+ * pattern, as a regular expression source) and ATLASSIAN_AUDIT_LOG (append one JSON line per tool call here).
+ * @param {Record<string, string | undefined>} env
+ */
+export function guardrailSettings(env = process.env) {
+  const projects = listOf(env.ATLASSIAN_ALLOWED_PROJECTS).map((p) => p.toUpperCase());
+  const spaces = listOf(env.ATLASSIAN_ALLOWED_SPACES);
+  const patterns = listOf(env.ATLASSIAN_REDACT_PATTERNS).map((name) => {
+    const pattern = BUILTIN_PATTERNS[name.toLowerCase()];
+    if (!pattern) {
+      throw new AtlassianError(
+        "config",
+        `Unknown ATLASSIAN_REDACT_PATTERNS entry "${name}"; use ${Object.keys(BUILTIN_PATTERNS).join(", ")}.`
+      );
+    }
+    return pattern;
+  });
+  if (env.ATLASSIAN_REDACT_REGEX) {
+    try {
+      patterns.push(new RegExp(env.ATLASSIAN_REDACT_REGEX, "g"));
+    } catch (err) {
+      // Starting without a redaction someone asked for would be worse than not starting
+      throw new AtlassianError("config", `ATLASSIAN_REDACT_REGEX is not a valid regular expression: ${err.message}`);
+    }
+  }
+  return {
+    projects: projects.length ? projects : null,
+    spaces: spaces.length ? spaces : null,
+    readOnly: /^(1|true|yes|on)$/i.test(String(env.ATLASSIAN_READ_ONLY ?? "").trim()),
+    redactFields: listOf(env.ATLASSIAN_REDACT_FIELDS),
+    redactPatterns: patterns,
+    auditLog: env.ATLASSIAN_AUDIT_LOG ? path.resolve(env.ATLASSIAN_AUDIT_LOG) : null,
+  };
+}
+
+// Blank out quoted text so `text ~ "project = X"` is not read as a clause, keeping positions intact
+function maskQuoted(query) {
+  return query.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, (s) => `${s[0]}${" ".repeat(s.length - 2)}${s[0]}`);
+}
+
+// The scoped query is `scope AND (where) ORDER BY ...`; a `)` closing early or a quote left open in either part
+// would let the rest of the query escape that group, so such queries are refused rather than wrapped
+function checkWrappable(query, language) {
+  const masked = maskQuoted(query);
+  let depth = 0;
+  for (const ch of masked.replace(/"[^"]*"|'[^']*'/g, "")) {
+    if (ch === "(") depth++;
+    else if (ch === ")" && --depth < 0) break;
+  }
+  if (depth !== 0 || /["']/.test(masked.replace(/"[^"]*"|'[^']*'/g, ""))) {
+    const message = `The ${language} has unbalanced parentheses or quotes, so it cannot be limited to the allowed scope`;
+    throw new AtlassianError("scope", message);
+  }
+}
+
+/**
+ * Values the query compares these fields to with = or IN, outside quoted strings.
+ * @param {string} query
+ * @param {string} fields Regex alternation of field names
+ * @returns {Array<{ field: string, value: string }>}
+ */
+function referencedValues(query, fields) {
+  const masked = maskQuoted(query);
+  const clause = new RegExp(`(?<![\\w.])(${fields})\\s*(?:=|\\bin\\b)\\s*(\\([^)]*\\)|"[^"]*"|'[^']*'|[^\\s()]+)`, "gi");
+  const out = [];
+  for (const m of masked.matchAll(clause)) {
+    // Functions such as issueHistory() are left to the project clause the query gets wrapped in
+    if (masked[m.index + m[0].length] === "(") continue;
+    const original = query.slice(m.index + m[0].length - m[2].length, m.index + m[0].length);
+    const values = original.startsWith("(") ? original.slice(1, -1).split(",") : [original];
+    for (const v of values) {
+      const value = v.trim().replace(/^(["'])(.*)\1$/, "$2").replace(/\\(.)/g, "$1");
+      if (value) out.push({ field: m[1].toLowerCase(), value });
+    }
+  }
+  return out;
+}
+
+const includesKey = (allowed, key) => allowed.some((a) => a.toUpperCase() === String(key).toUpperCase());
+const issueProject = (key) => (/^[A-Z][A-Z0-9_]*-\d+$/i.test(key) ? key.split("-")[0].toUpperCase() : null);
+
+// Space key of a /search or /content/search result: from the content or space when expanded, else from the
+// container or page URL ("/spaces/KEY/..." on Cloud, "/display/KEY/..." on Data Center); "" when unknown
+function resultSpace(r) {
+  const key = r?.content?.space?.key || r?.space?.key;
+  if (key) return key;
+  const url = r?.resultGlobalContainer?.displayUrl || r?.content?._links?.webui || r?._links?.webui || r?.url || "";
+  const match = url.match(/\/(?:spaces|display)\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : "";
+}
+
+// `setting` is "projects" or "spaces"
+function outOfScope(subject, allowed, setting) {
+  return new AtlassianError("scope", `${subject} is outside the allowed ${setting}`, {
+    details: `Allowed ${setting}: ${allowed.join(", ")}.`,
+  });
+}
+
+/**
+ * Limit JQL to the allowed projects: a query naming another project or an issue in one is rejected, and
+ * every other query is wrapped in `project in (...)`.
+ * @throws {AtlassianError} kind "scope"
+ */
+export function scopeJql(jql, projects) {
+  if (!projects) return jql;
+  for (const { field, value } of referencedValues(jql, "project|issuekey|issue|key|parent")) {
+    if (field === "project" ? !includesKey(projects, value) : !projects.includes(issueProject(value))) {
+      throw outOfScope(`${field === "project" ? "Project" : "Issue"} ${value}`, projects, "projects");
+    }
+  }
+  const [where, orderBy] = splitOrderBy(String(jql || ""));
+  for (const part of [where, orderBy]) checkWrappable(part, "JQL");
+  const scope = `project in (${projects.map(jqlString).join(", ")})`;
+  return [where ? `${scope} AND (${where})` : scope, orderBy].filter(Boolean).join(" ");
+}
+
+/**
+ * Limit CQL to the allowed spaces, the same way as scopeJql.
+ * @throws {AtlassianError} kind "scope"
+ */
+export function scopeCql(cql, spaces) {
+  if (!spaces) return cql;
+  for (const { value } of referencedValues(cql, "space\\.key|space")) {
+    if (!includesKey(spaces, value)) throw outOfScope(`Space ${value}`, spaces, "spaces");
+  }
+  const [where, orderBy] = splitOrderBy(String(cql || ""));
+  for (const part of [where, orderBy]) checkWrappable(part, "CQL");
+  const scope = `space in (${spaces.map(jqlString).join(", ")})`;
+  return [where ? `${scope} AND (${where})` : scope, orderBy].filter(Boolean).join(" ");
+}
+
+/** Replace every match of the patterns in a string, or in the strings of an object or array. */
+export function redactPatterns(value, patterns) {
+  if (!patterns.length) return value;
+  if (typeof value === "string") return patterns.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+  if (Array.isArray(value)) return value.map((v) => redactPatterns(v, patterns));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactPatterns(v, patterns)]));
+  }
+  return value;
+}
+
+// Blank the named fields wherever Jira returns them: issue fields, rendered fields and changelog items
+function redactFieldValues(data, names) {
+  if (Array.isArray(data)) {
+    for (const item of data) redactFieldValues(item, names);
+    return data;
+  }
+  if (!data || typeof data !== "object") return data;
+  for (const key of ["fields", "renderedFields"]) {
+    const fields = data[key];
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) continue;
+    for (const id of Object.keys(fields)) {
+      if (names.has(id.toLowerCase()) && fields[id] !== null && fields[id] !== undefined) fields[id] = REDACTED;
+    }
+  }
+  if (Object.hasOwn(data, "fieldId") || (Object.hasOwn(data, "field") && Object.hasOwn(data, "toString"))) {
+    if (names.has(String(data.fieldId || "").toLowerCase()) || names.has(String(data.field || "").toLowerCase())) {
+      for (const k of ["from", "fromString", "to", "toString"]) {
+        if (data[k] !== null && data[k] !== undefined) data[k] = REDACTED;
+      }
+    }
+  }
+  for (const value of Object.values(data)) redactFieldValues(value, names);
+  return data;
+}
+
+/**
+ * Wrap a client so every request honours the guardrails: read-only mode refuses writes, Jira requests stay
+ * within the allowed projects and Confluence requests within the allowed spaces, and redacted Jira fields
+ * never leave the client. Returns the client unchanged when no guardrail applies to it.
+ * @param {ReturnType<typeof import("./atlassian-client.js").createAtlassianClient>} client
+ * @param {ReturnType<typeof guardrailSettings>} settings
+ */
+export function guardClient(client, settings) {
+  const isJira = client.product === "Jira";
+  const projects = isJira ? settings.projects : null;
+  const spaces = client.product === "Confluence" ? settings.spaces : null;
+  const redactFields = isJira ? settings.redactFields : [];
+  if (!projects && !spaces && !settings.readOnly && !redactFields.length) return client;
+
+  // Space of each page, comment or attachment checked so far
+  const pageSpaces = new Map();
+  let fieldNames = null;
+
+  async function pageSpace(base, id) {
+    if (!pageSpaces.has(id)) {
+      const data = await client.get(`${base}/rest/api/content/${id}`, { expand: "space" });
+      if (pageSpaces.size >= MAX_KNOWN_PAGES) pageSpaces.delete(pageSpaces.keys().next().value);
+      pageSpaces.set(id, data?.space?.key || "");
+    }
+    return pageSpaces.get(id);
+  }
+
+  async function checkPage(base, id) {
+    const key = await pageSpace(base, id);
+    if (!includesKey(spaces, key)) throw outOfScope(`Page ${id} (space ${key || "unknown"})`, spaces, "spaces");
+  }
+
+  function checkIssue(key) {
+    const project = issueProject(key);
+    if (!project) {
+      throw new AtlassianError("scope", `Refer to issues by key (e.g., ${projects[0]}-1) while projects are restricted`);
+    }
+    if (!projects.includes(project)) throw outOfScope(`Issue ${key}`, projects, "projects");
+  }
+
+  // Drop linked issues, subtasks and parents from other projects so their summaries do not leak
+  function pruneIssue(issue) {
+    const f = issue?.fields;
+    if (!f) return issue;
+    const allowed = (ref) => !ref?.key || projects.includes(issueProject(ref.key));
+    if (Array.isArray(f.issuelinks)) {
+      f.issuelinks = f.issuelinks.filter((l) => allowed(l.inwardIssue) && allowed(l.outwardIssue));
+    }
+    if (Array.isArray(f.subtasks)) f.subtasks = f.subtasks.filter(allowed);
+    if (f.parent && !allowed(f.parent)) f.parent = null;
+    return issue;
+  }
+
+  // Field IDs and names to redact; names are matched against Jira's field list once
+  async function redactedNames() {
+    fieldNames ||= client
+      .get(`/rest/api/${client.deployment === "cloud" ? "3" : "2"}/field`)
+      .then((fields) => (Array.isArray(fields) ? fields : []))
+      .catch(() => [])
+      .then((fields) => {
+        const wanted = new Set(redactFields.map((f) => f.toLowerCase()));
+        const names = new Set(wanted);
+        for (const f of fields) {
+          if (wanted.has(String(f.id).toLowerCase()) || wanted.has(String(f.name || "").toLowerCase())) {
+            names.add(String(f.id).toLowerCase());
+            if (f.name) names.add(String(f.name).toLowerCase());
+          }
+        }
+        return names;
+      });
+    return fieldNames;
+  }
+
+  // Check a Jira request against the allowed projects; returns the request to send and a response filter
+  function scopeJira(pathname, method, req) {
+    if (/\/search(?:\/jql)?$/.test(pathname) && req.body?.jql !== undefined) {
+      const body = { ...req.body, jql: scopeJql(req.body.jql, projects) };
+      const filter = (data) => {
+        if (Array.isArray(data?.issues)) {
+          data.issues = data.issues.filter((i) => projects.includes(issueProject(i.key))).map(pruneIssue);
+        }
+        return data;
+      };
+      return [{ ...req, body }, filter];
+    }
+    if (/\/jql\/parse$/.test(pathname) && Array.isArray(req.body?.queries)) {
+      return [{ ...req, body: { ...req.body, queries: req.body.queries.map((q) => scopeJql(q, projects)) } }, (d) => d];
+    }
+    if (/\/issue$/.test(pathname) && method === "POST") {
+      const project = req.body?.fields?.project?.key;
+      if (!project) throw new AtlassianError("scope", "Give the project by key while projects are restricted");
+      if (!projects.includes(String(project).toUpperCase())) {
+        throw outOfScope(`Project ${project}`, projects, "projects");
+      }
+      return [req, (d) => d];
+    }
+    const issue = pathname.match(/\/issue\/([^/]+)/);
+    if (issue) {
+      const ref = decodeURIComponent(issue[1]);
+      if (issueProject(ref)) {
+        checkIssue(ref);
+        return [req, pruneIssue];
+      }
+      // An issue ID can only be checked against the key Jira answers with, which is too late for a write
+      if (method !== "GET") checkIssue(ref);
+      return [
+        req,
+        (data) => {
+          if (data?.key) checkIssue(data.key);
+          return pruneIssue(data);
+        },
+      ];
+    }
+    const project = pathname.match(/\/project\/([^/]+)/);
+    if (project && !projects.includes(decodeURIComponent(project[1]).toUpperCase())) {
+      throw outOfScope(`Project ${decodeURIComponent(project[1])}`, projects, "projects");
+    }
+    return [req, (d) => d];
+  }
+
+  // Check a Confluence request against the allowed spaces; returns the request to send and a response filter
+  async function scopeConfluence(requestPath, pathname, method, req) {
+    const base = requestPath.slice(0, Math.max(0, requestPath.search(/\/(?:rest|download)\//)));
+    if (/\/rest\/api\/(?:content\/)?search$/.test(pathname) && req.query?.cql !== undefined) {
+      const filter = (data) => {
+        if (Array.isArray(data?.results)) data.results = data.results.filter((r) => includesKey(spaces, resultSpace(r)));
+        return data;
+      };
+      return [{ ...req, query: { ...req.query, cql: scopeCql(req.query.cql, spaces) } }, filter];
+    }
+    if (/\/rest\/api\/content$/.test(pathname)) {
+      if (method === "GET") {
+        const key = req.query?.spaceKey;
+        if (!key) throw new AtlassianError("scope", "Pass a spaceKey when listing content while spaces are restricted");
+        if (!includesKey(spaces, key)) throw outOfScope(`Space ${key}`, spaces, "spaces");
+      } else if (req.body?.space?.key) {
+        if (!includesKey(spaces, req.body.space.key)) throw outOfScope(`Space ${req.body.space.key}`, spaces, "spaces");
+      } else if (req.body?.container?.id) {
+        await checkPage(base, String(req.body.container.id));
+      } else {
+        throw new AtlassianError("scope", "Give the space or container page while spaces are restricted");
+      }
+      return [req, (d) => d];
+    }
+    const page = pathname.match(/\/rest\/api\/content\/(\d+)/) || pathname.match(/\/download\/attachments\/(\d+)\//);
+    if (page) {
+      await checkPage(base, page[1]);
+      return [req, (d) => d];
+    }
+    if (/\/rest\/api\/space$/.test(pathname)) {
+      return [
+        req,
+        (data) => {
+          if (Array.isArray(data?.results)) data.results = data.results.filter((s) => includesKey(spaces, s.key));
+          return data;
+        },
+      ];
+    }
+    const space = pathname.match(/\/rest\/api\/space\/([^/]+)/);
+    if (space && !includesKey(spaces, decodeURIComponent(space[1]))) {
+      throw outOfScope(`Space ${decodeURIComponent(space[1])}`, spaces, "spaces");
+    }
+    return [req, (d) => d];
+  }
+
+  async function request(requestPath, req = {}) {
+    const method = (req.method || "GET").toUpperCase();
+    const pathname = requestPath.startsWith("http") ? new URL(requestPath).pathname : requestPath.split("?")[0];
+    if (settings.readOnly && method !== "GET" && !(method === "POST" && READ_ONLY_POST.test(pathname))) {
+      throw new AtlassianError("read_only", `${method} ${pathname} refused: this server is read-only`);
+    }
+    let [scoped, filter] = [req, (d) => d];
+    if (projects) [scoped, filter] = scopeJira(pathname, method, req);
+    if (spaces) [scoped, filter] = await scopeConfluence(requestPath, pathname, method, req);
+    const data = await client.request(requestPath, scoped);
+    if (req.raw) return data;
+    const filtered = filter(data);
+    return redactFields.length ? redactFieldValues(filtered, await redactedNames()) : filtered;
+  }
+
+  return {
+    ...client,
+    scope: { projects, spaces, redactFields },
+    request,
+    get: (p, query, req = {}) => request(p, { ...req, method: "GET", query }),
+    post: (p, body, req = {}) => request(p, { ...req, method: "POST", body }),
+    put: (p, body, req = {}) => request(p, { ...req, method: "PUT", body }),
+    delete: (p, req = {}) => request(p, { ...req, method: "DELETE" }),
+  };
+}
+
+function getAuditLog(file) {
+  if (!auditLogs.has(file)) {
+    let queue = fs.mkdir(path.dirname(file), { recursive: true }).catch(() => {});
+    auditLogs.set(file, {
+      // Appends are chained so lines from concurrent calls never interleave
+      append(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        queue = queue
+          .then(() => fs.appendFile(file, line, { flag: "a", mode: 0o600 }))
+          .catch((err) => console.error("Failed to write the audit log:", err));
+        return queue;
+      },
+    });
+  }
+  return auditLogs.get(file);
+}
+
+// Append an audit entry; `fields` says what was called ({ tool, args }, { resource } or { prompt, args })
+async function record(audit, patterns, fields, started, outcome, error) {
+  if (!audit) return;
+  const entry = { time: new Date(started).toISOString(), ...redactPatterns(fields, patterns), outcome };
+  entry.durationMs = Date.now() - started;
+  if (error) entry.error = redactPatterns(String(error).split("\n")[0], patterns);
+  await audit.append(entry);
+}
+
+// Run a tool, resource or prompt callback, redact what it returns and audit the outcome
+async function audited(audit, patterns, fields, run) {
+  const started = Date.now();
+  let result;
+  try {
+    result = redactPatterns(await run(), patterns);
+  } catch (err) {
+    await record(audit, patterns, fields, started, "error", err?.message || err);
+    throw err;
+  }
+  const failed = Boolean(result?.isError);
+  await record(audit, patterns, fields, started, failed ? "error" : "ok", failed && result.content?.[0]?.text);
+  return result;
+}
+
+/**
+ * Wrap every tool, resource and prompt registered on `mcp` from now on: in read-only mode tools annotated with
+ * `readOnlyHint: false` refuse to run, results and resource/prompt contents have the redaction patterns
+ * applied, and each call or read is appended to the audit log with its (redacted) arguments, outcome and
+ * duration.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {Record<string, string | undefined>} env
+ */
+export function applyGuardrails(mcp, env = process.env) {
+  const settings = guardrailSettings(env);
+  const patterns = settings.redactPatterns;
+  const audit = settings.auditLog ? getAuditLog(settings.auditLog) : null;
+  if (!settings.readOnly && !patterns.length && !audit) return mcp;
+
+  const registerTool = mcp.registerTool.bind(mcp);
+  mcp.registerTool = (name, config, handler) =>
+    registerTool(name, config, async (...params) => {
+      const fields = { tool: name, args: params.length > 1 ? params[0] : {} };
+      if (settings.readOnly && config.annotations?.readOnlyHint === false) {
+        const text = `${name} is disabled: this server is read-only (ATLASSIAN_READ_ONLY).`;
+        await record(audit, patterns, fields, Date.now(), "denied", text);
+        return { content: [{ type: "text", text }], isError: true };
+      }
+      return audited(audit, patterns, fields, () => handler(...params));
+    });
+
+  // Resource reads and prompts only read, so read-only mode leaves them be
+  const registerResource = mcp.registerResource.bind(mcp);
+  mcp.registerResource = (name, uriOrTemplate, config, read) =>
+    registerResource(name, uriOrTemplate, config, (uri, ...params) =>
+      audited(audit, patterns, { resource: uri.href }, () => read(uri, ...params))
+    );
+  const registerPrompt = mcp.registerPrompt.bind(mcp);
+  mcp.registerPrompt = (name, config, handler) =>
+    registerPrompt(name, config, (...params) =>
+      audited(audit, patterns, { prompt: name, args: params.length > 1 ? params[0] : {} }, () => handler(...params))
+    );
+  return mcp;
+}
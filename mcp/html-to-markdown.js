@@ -0,0 +1,497 @@
+// Convert Confluence storage format (XHTML + ac:/ri: macros) and Jira rendered HTML to Markdown.
+// Self-contained on purpose: storage format is not real HTML, so a DOM library buys us little.
+
+const VOID_TAGS = new Set(["br", "hr", "img", "input", "meta", "link", "col", "area", "base", "wbr", "source"]);
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  rarr: "→",
+  larr: "←",
+  bull: "•",
+  middot: "·",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+
+const PANEL_LABELS = {
+  info: "Info",
+  information: "Info",
+  note: "Note",
+  warning: "Warning",
+  tip: "Tip",
+  error: "Error",
+  success: "Success",
+  panel: "",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    const named = NAMED_ENTITIES[ent.toLowerCase()];
+    return named !== undefined ? named : whole;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([\w:.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let m;
+  while ((m = re.exec(source))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// Tolerant tokenizer building a light element tree; CDATA is kept verbatim for code macros
+function parseHtml(html) {
+  const root = { type: "element", name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const re =
+    /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<![^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|([^<]+|<)/g;
+  let m;
+
+  while ((m = re.exec(html))) {
+    if (m[1] !== undefined) {
+      top().children.push({ type: "text", value: m[1], raw: true });
+    } else if (m[2] !== undefined) {
+      const name = m[2].toLowerCase();
+      const idx = stack.map((n) => n.name).lastIndexOf(name);
+      if (idx > 0) stack.length = idx;
+    } else if (m[3] !== undefined) {
+      const name = m[3].toLowerCase();
+      // Close implicitly-ended siblings so sloppy HTML still nests sensibly
+      if (name === "li" && top().name === "li") stack.pop();
+      if ((name === "td" || name === "th") && (top().name === "td" || top().name === "th")) stack.pop();
+      if (name === "tr") while (["td", "th", "tr"].includes(top().name)) stack.pop();
+      if (name === "p" && top().name === "p") stack.pop();
+
+      const node = { type: "element", name, attrs: parseAttributes(m[4] || ""), children: [] };
+      top().children.push(node);
+      if (!m[5] && !VOID_TAGS.has(name)) stack.push(node);
+    } else if (m[6] !== undefined) {
+      top().children.push({ type: "text", value: decodeEntities(m[6]) });
+    }
+  }
+  return root;
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  return node.children.map(textContent).join("");
+}
+
+function findChild(node, name) {
+  return node.children.find((c) => c.type === "element" && c.name === name);
+}
+
+function hasClass(node, pattern) {
+  const cls = node.attrs?.class || "";
+  return pattern instanceof RegExp ? pattern.test(cls) : cls.split(/\s+/).includes(pattern);
+}
+
+function absoluteUrl(href, ctx) {
+  if (!href) return "";
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("#")) return href;
+  if (href.startsWith("/") && ctx.baseUrl) return `${ctx.baseUrl}${href}`;
+  return href;
+}
+
+function attachmentUrl(filename, ctx) {
+  if (ctx.baseUrl && ctx.pageId) {
+    return `${ctx.baseUrl}${ctx.wikiPath}/download/attachments/${ctx.pageId}/${encodeURIComponent(filename)}`;
+  }
+  return `attachment:${filename}`;
+}
+
+function block(text) {
+  const trimmed = text.trim();
+  return trimmed ? `\n\n${trimmed}\n\n` : "";
+}
+
+function wrapInline(marker, text) {
+  const trimmed = text.trim();
+  if (!trimmed) return text;
+  const lead = text.match(/^\s*/)[0] ? " " : "";
+  const trail = text.match(/\s*$/)[0] ? " " : "";
+  const wrapped = typeof marker === "function" ? marker(trimmed) : `${marker}${trimmed}${marker}`;
+  return `${lead}${wrapped}${trail}`;
+}
+
+// The fence is one backtick longer than any run inside, padded when the code itself starts or ends with one
+function codeSpan(code) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  const pad = code.startsWith("`") || code.endsWith("`") ? " " : "";
+  return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+function codeBlock(code, language, ctx) {
+  const body = code.replace(/^\n+|\s+$/g, "");
+  if (ctx.inTable) return body ? codeSpan(body.replace(/\s+/g, " ")) : "";
+  const fence = body.includes("```") ? "~~~" : "```";
+  ctx.codeBlocks.push(`${fence}${language || ""}\n${body}\n${fence}`);
+  return `\n\n\u0000CODE${ctx.codeBlocks.length - 1}\u0000\n\n`;
+}
+
+function quote(label, title, body) {
+  const heading = [label ? `**${label}:**` : "", title ? `**${title}**` : ""].filter(Boolean).join(" ");
+  const text = [heading, body.trim().replace(/\n{3,}/g, "\n\n")].filter(Boolean).join("\n\n");
+  if (!text) return "";
+  return block(
+    text
+      .split("\n")
+      .map((line) => (line ? `> ${line}` : ">"))
+      .join("\n")
+  );
+}
+
+function renderChildren(node, ctx) {
+  const out = node.children.map((child) => renderNode(child, ctx)).join("");
+  return ctx.pre ? out : out.replace(/\n\n +/g, "\n\n");
+}
+
+function renderList(node, ctx, ordered) {
+  const items = node.children.filter((c) => c.type === "element" && (c.name === "li" || c.name === "ac:task"));
+  const start = ordered ? parseInt(node.attrs.start || "1", 10) || 1 : 1;
+  const lines = items.map((item, idx) => {
+    let marker = ordered ? `${start + idx}.` : "-";
+    let content;
+    if (item.name === "ac:task") {
+      const status = textContent(findChild(item, "ac:task-status") || { type: "text", value: "" }).trim();
+      marker = `- [${status === "complete" ? "x" : " "}]`;
+      const body = findChild(item, "ac:task-body");
+      content = body ? renderChildren(body, ctx) : "";
+    } else {
+      content = renderChildren(item, ctx);
+    }
+    const indent = " ".repeat(marker.length + 1);
+    const text = content.trim().replace(/\n{2,}/g, "\n").replace(/\n/g, `\n${indent}`);
+    return `${marker} ${text}`;
+  });
+  return block(lines.join("\n"));
+}
+
+function renderTable(node, ctx) {
+  const rows = [];
+  const collectRows = (n) => {
+    for (const child of n.children) {
+      if (child.type !== "element") continue;
+      if (child.name === "tr") rows.push(child);
+      else if (["thead", "tbody", "tfoot"].includes(child.name)) collectRows(child);
+    }
+  };
+  collectRows(node);
+  if (rows.length === 0) return "";
+
+  const cellCtx = { ...ctx, inTable: true };
+  const matrix = rows.map((row) =>
+    row.children
+      .filter((c) => c.type === "element" && (c.name === "td" || c.name === "th"))
+      .map((cell) =>
+        renderChildren(cell, cellCtx)
+          .trim()
+          .replace(/\s*\n+\s*/g, " ")
+          .replace(/\|/g, "\\|")
+      )
+  );
+  const width = Math.max(...matrix.map((r) => r.length));
+  if (width === 0) return "";
+  const pad = (r) => [...r, ...Array(width - r.length).fill("")];
+  const line = (r) => `| ${pad(r).join(" | ")} |`;
+  const [header, ...body] = matrix;
+  return block([line(header), line(Array(width).fill("---")), ...body.map(line)].join("\n"));
+}
+
+function renderMacro(node, ctx) {
+  const name = (node.attrs["ac:name"] || "").toLowerCase();
+  const params = {};
+  for (const child of node.children) {
+    if (child.type === "element" && child.name === "ac:parameter") {
+      params[(child.attrs["ac:name"] || "").toLowerCase()] = textContent(child).trim();
+    }
+  }
+  const richBody = findChild(node, "ac:rich-text-body");
+  const plainBody = findChild(node, "ac:plain-text-body");
+
+  switch (name) {
+    case "code":
+    case "noformat":
+      return codeBlock(plainBody ? textContent(plainBody) : "", params.language, ctx);
+    case "info":
+    case "note":
+    case "warning":
+    case "tip":
+    case "panel":
+      return quote(PANEL_LABELS[name], params.title, richBody ? renderChildren(richBody, ctx) : "");
+    case "expand":
+      return block(`**${params.title || "Details"}**\n\n${richBody ? renderChildren(richBody, ctx).trim() : ""}`);
+    case "jira": {
+      const key = params.key || "";
+      if (!key) return params.jqlquery ? `(Jira query: ${params.jqlquery})` : "";
+      return ctx.baseUrl ? `[${key}](${ctx.baseUrl}/browse/${key})` : key;
+    }
+    case "status":
+      return params.title ? `[${params.title}]` : "";
+    case "anchor":
+    case "toc":
+    case "children":
+    case "pagetree":
+    case "recently-updated":
+    case "contentbylabel":
+      return "";
+    default:
+      if (richBody) return renderChildren(richBody, ctx);
+      if (plainBody) return codeBlock(textContent(plainBody), "", ctx);
+      return "";
+  }
+}
+
+// Mentions read as the person's name: the link text, else a display name or username from the attributes; an
+// account ID or user key is only shown when nothing readable is there
+const MENTION_NAME_ATTRS = ["ri:display-name", "data-display-name", "ri:username", "data-username"];
+const MENTION_ID_ATTRS = ["ri:account-id", "data-account-id", "ri:userkey", "data-mention-id", "rel"];
+
+function renderUser(attrs, text) {
+  const pick = (names) => names.map((name) => String(attrs[name] || "").trim()).find(Boolean);
+  return `@${(text || "").trim() || pick(MENTION_NAME_ATTRS) || pick(MENTION_ID_ATTRS) || "user"}`;
+}
+
+function renderAcLink(node, ctx) {
+  const bodyNode = findChild(node, "ac:link-body") || findChild(node, "ac:plain-text-link-body");
+  const bodyText = bodyNode ? renderChildren(bodyNode, { ...ctx, inTable: true }).trim() : "";
+  const anchor = node.attrs["ac:anchor"];
+
+  const user = findChild(node, "ri:user");
+  if (user) return renderUser(user.attrs, bodyText);
+
+  const page = findChild(node, "ri:page") || findChild(node, "ri:blog-post");
+  if (page) {
+    const title = page.attrs["ri:content-title"] || "";
+    const space = page.attrs["ri:space-key"] || ctx.spaceKey || "";
+    const label = bodyText || title;
+    if (!title) return label;
+    const href =
+      ctx.baseUrl && space
+        ? `${ctx.baseUrl}${ctx.wikiPath}/display/${encodeURIComponent(space)}/${encodeURIComponent(title).replace(/%20/g, "+")}${anchor ? `#${anchor}` : ""}`
+        : "";
+    return href ? `[${label}](${href})` : `[${label}]`;
+  }
+
+  const attachment = findChild(node, "ri:attachment");
+  if (attachment) {
+    const filename = attachment.attrs["ri:filename"] || "";
+    return `[${bodyText || filename}](${attachmentUrl(filename, ctx)})`;
+  }
+
+  const url = findChild(node, "ri:url");
+  if (url) return `[${bodyText || url.attrs["ri:value"]}](${url.attrs["ri:value"]})`;
+
+  if (anchor) return bodyText ? `[${bodyText}](#${anchor})` : "";
+  return bodyText;
+}
+
+function renderAcImage(node, ctx) {
+  const alt = node.attrs["ac:alt"] || node.attrs["ac:title"] || "";
+  const attachment = findChild(node, "ri:attachment");
+  if (attachment) {
+    const filename = attachment.attrs["ri:filename"] || "";
+    return `![${alt || filename}](${attachmentUrl(filename, ctx)})`;
+  }
+  const url = findChild(node, "ri:url");
+  if (url) return `![${alt}](${url.attrs["ri:value"]})`;
+  return "";
+}
+
+function renderNode(node, ctx) {
+  if (node.type === "text") {
+    if (ctx.pre) return node.value;
+    return node.raw ? node.value : node.value.replace(/\s+/g, " ");
+  }
+
+  const name = node.name;
+  const inner = () => renderChildren(node, ctx);
+
+  if (/^h[1-6]$/.test(name)) {
+    const text = inner().trim().replace(/\s*\n+\s*/g, " ");
+    return ctx.inTable ? `**${text}**` : block(`${"#".repeat(Number(name[1]))} ${text}`);
+  }
+
+  switch (name) {
+    case "#root":
+    case "span":
+    case "ac:layout":
+    case "ac:layout-section":
+    case "ac:layout-cell":
+    case "ac:rich-text-body":
+    case "ac:link-body":
+    case "ac:task-body":
+    case "tbody":
+    case "thead":
+    case "font":
+    case "u":
+    case "small":
+    case "sup":
+    case "sub":
+    case "center":
+      return inner();
+    case "p":
+    case "section":
+    case "article":
+    case "header":
+    case "footer":
+    case "figure":
+    case "figcaption":
+    case "dl":
+    case "dd":
+    case "dt":
+      return block(inner());
+    case "div":
+      return renderDiv(node, ctx);
+    case "br":
+      return ctx.inTable ? " " : "  \n";
+    case "hr":
+      return block("---");
+    case "strong":
+    case "b":
+      return wrapInline("**", inner());
+    case "em":
+    case "i":
+    case "cite":
+      return wrapInline("_", inner());
+    case "del":
+    case "s":
+    case "strike":
+      return wrapInline("~~", inner());
+    case "code":
+    case "tt":
+    case "kbd":
+      if (ctx.pre) return inner();
+      return wrapInline(codeSpan, textContent(node).replace(/\s+/g, " "));
+    case "pre": {
+      const cls = node.attrs.class || "";
+      const lang = (cls.match(/(?:code|language|brush:?)-?\s*([a-z0-9+#]+)/i) || [])[1] || node.attrs["data-language"] || "";
+      return codeBlock(renderChildren(node, { ...ctx, pre: true }), lang === "code" ? "" : lang, ctx);
+    }
+    case "blockquote":
+      return quote("", "", inner());
+    case "ul":
+    case "ac:task-list":
+      return renderList(node, ctx, false);
+    case "ol":
+      return renderList(node, ctx, true);
+    case "li":
+      return block(`- ${inner().trim()}`);
+    case "table":
+      return renderTable(node, ctx);
+    case "a": {
+      const text = inner().trim();
+      const href = absoluteUrl(node.attrs.href || "", ctx);
+      if (hasClass(node, "user-hover") || node.attrs["data-mention-id"] || hasClass(node, "confluence-userlink")) {
+        return renderUser(node.attrs, text);
+      }
+      if (!href) return text;
+      if (!text || text === href) return `<${href}>`;
+      return `[${text}](${href})`;
+    }
+    case "img": {
+      const src = absoluteUrl(node.attrs.src || "", ctx);
+      const alt = node.attrs.alt || node.attrs.title || "";
+      if (hasClass(node, "emoticon")) return alt;
+      return src ? `![${alt}](${src})` : alt;
+    }
+    case "time":
+      return node.attrs.datetime || inner();
+    case "script":
+    case "style":
+    case "head":
+    case "title":
+    case "colgroup":
+    case "col":
+    case "ac:parameter":
+    case "ac:placeholder":
+    case "ac:task-id":
+    case "ac:task-status":
+      return "";
+    case "ac:structured-macro":
+    case "ac:macro":
+      return renderMacro(node, ctx);
+    case "ac:link":
+      return renderAcLink(node, ctx);
+    case "ac:image":
+      return renderAcImage(node, ctx);
+    case "ac:emoticon":
+      return node.attrs["ac:emoji-fallback"] || "";
+    case "ri:user":
+      return renderUser(node.attrs, "");
+    case "ac:plain-text-body":
+    case "ac:plain-text-link-body":
+      return textContent(node);
+    default:
+      return inner();
+  }
+}
+
+// Jira (and legacy Confluence) render panels as classed divs rather than macros
+function renderDiv(node, ctx) {
+  const cls = node.attrs.class || "";
+  const infoMatch = cls.match(/confluence-information-macro-(information|note|warning|tip|error|success)/);
+  if (infoMatch) {
+    const title = node.children.find((c) => c.type === "element" && hasClass(c, "title"));
+    const body = node.children.find((c) => c.type === "element" && hasClass(c, /information-macro-body/));
+    return quote(
+      PANEL_LABELS[infoMatch[1]],
+      title ? textContent(title).trim() : "",
+      renderChildren(body || node, ctx)
+    );
+  }
+  if (hasClass(node, "panel") && !hasClass(node, "code") && !hasClass(node, "preformatted")) {
+    const header = node.children.find((c) => c.type === "element" && hasClass(c, "panelHeader"));
+    const content = node.children.find((c) => c.type === "element" && hasClass(c, "panelContent"));
+    return quote("", header ? textContent(header).trim() : "", renderChildren(content || node, ctx));
+  }
+  if (hasClass(node, "panelHeader")) return "";
+  return block(renderChildren(node, ctx));
+}
+
+/**
+ * Convert Confluence storage XHTML or Jira rendered HTML to Markdown.
+ * @param {string} html
+ * @param {{ baseUrl?: string, wikiPath?: string, pageId?: string, spaceKey?: string }} [options]
+ *   baseUrl makes relative links absolute; wikiPath is Confluence's context path ("/wiki" on Cloud);
+ *   pageId/spaceKey resolve attachments and page links.
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, options = {}) {
+  if (!html) return "";
+  const ctx = {
+    baseUrl: (options.baseUrl || "").replace(/\/+$/, ""),
+    wikiPath: options.wikiPath ?? "/wiki",
+    pageId: options.pageId || "",
+    spaceKey: options.spaceKey || "",
+    pre: false,
+    inTable: false,
+    codeBlocks: [],
+  };
+  const markdown = renderNode(parseHtml(String(html)), ctx)
+    .replace(/[ \t]+$/gm, (trail) => (trail === "  " ? trail : ""))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return markdown.replace(/\u0000CODE(\d+)\u0000/g, (_, i) => ctx.codeBlocks[Number(i)]);
+}
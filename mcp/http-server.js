@@ -0,0 +1,217 @@
+// Serve MCP servers over Streamable HTTP (stateless, one server per request) with an HTTP+SSE fallback.
+import http from "node:http";
+import { createHash } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+
+const MCP_PATH = "/mcp";
+const SSE_PATH = "/sse";
+const SSE_MESSAGES_PATH = "/messages";
+
+// Header → env var. Credential headers let each caller act as themselves instead of the server's account.
+const CREDENTIAL_HEADERS = {
+  "x-atlassian-auth-type": "ATLASSIAN_AUTH_TYPE",
+  "x-atlassian-email": "ATLASSIAN_EMAIL",
+  "x-atlassian-api-token": "ATLASSIAN_API_TOKEN",
+  "x-atlassian-pat": "ATLASSIAN_PAT",
+  "x-atlassian-oauth-access-token": "ATLASSIAN_OAUTH_ACCESS_TOKEN",
+  "x-atlassian-cloud-id": "ATLASSIAN_CLOUD_ID",
+};
+// Only honoured together with credential headers, so a caller can't redirect the server's own token elsewhere.
+// A base URL must also be the server's own or listed in MCP_HTTP_ALLOWED_BASE_URLS, or the server could be
+// pointed at internal hosts.
+const SITE_HEADERS = {
+  "x-atlassian-base-url": "ATLASSIAN_BASE_URL",
+  "x-atlassian-deployment": "ATLASSIAN_DEPLOYMENT",
+};
+const BASE_URL_ENV_VARS = ["ATLASSIAN_BASE_URL", "JIRA_BASE_URL", "CONFLUENCE_BASE_URL"];
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+const CREDENTIAL_ENV_VARS = [
+  "ATLASSIAN_AUTH_TYPE",
+  "ATLASSIAN_EMAIL",
+  "ATLASSIAN_API_TOKEN",
+  "ATLASSIAN_PAT",
+  "JIRA_PAT",
+  "CONFLUENCE_PAT",
+  "ATLASSIAN_OAUTH_CLIENT_ID",
+  "ATLASSIAN_OAUTH_CLIENT_SECRET",
+  "ATLASSIAN_OAUTH_ACCESS_TOKEN",
+  "ATLASSIAN_OAUTH_REFRESH_TOKEN",
+  "ATLASSIAN_OAUTH_EXPIRES_AT",
+  "ATLASSIAN_OAUTH_TOKEN_FILE",
+  "ATLASSIAN_CLOUD_ID",
+];
+
+// Compare base URLs by origin and path, ignoring case in the origin and a trailing slash
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return `${url.origin.toLowerCase()}${url.pathname.replace(/\/+$/, "")}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Base URLs callers may select with x-atlassian-base-url: the server's own plus MCP_HTTP_ALLOWED_BASE_URLS
+ * (comma separated).
+ * @returns {string[]} Normalized URLs
+ */
+export function allowedBaseUrls(env) {
+  const listed = String(env.MCP_HTTP_ALLOWED_BASE_URLS || "").split(",");
+  return [...BASE_URL_ENV_VARS.map((name) => env[name]), ...listed].map(normalizeBaseUrl).filter(Boolean);
+}
+
+/**
+ * Build the env a request's server should use. Credential headers replace (not merge with) the server's
+ * own credentials so auth types never mix; without them the server env is used unless requireCredentials.
+ * @param {{ requireCredentials?: boolean, allowedBaseUrls?: string[] }} [options] allowedBaseUrls from
+ *   allowedBaseUrls(baseEnv) by default
+ * @returns {{ env: Record<string, string | undefined> } | { status: number, error: string }} An error when
+ *   credentials are required but absent, or the requested base URL is not allowed
+ */
+export function envForRequest(headers, baseEnv, { requireCredentials = false, allowedBaseUrls: allowed } = {}) {
+  const supplied = Object.keys(CREDENTIAL_HEADERS).filter((h) => headers[h]);
+  if (supplied.length === 0) {
+    return requireCredentials
+      ? { status: 401, error: "Atlassian credentials are required in x-atlassian-* headers." }
+      : { env: baseEnv };
+  }
+  const baseUrl = headers["x-atlassian-base-url"];
+  if (baseUrl && !(allowed || allowedBaseUrls(baseEnv)).includes(normalizeBaseUrl(baseUrl))) {
+    return { status: 403, error: "x-atlassian-base-url is not one of this server's allowed Atlassian sites." };
+  }
+
+  const env = { ...baseEnv };
+  for (const name of CREDENTIAL_ENV_VARS) delete env[name];
+  for (const [header, name] of Object.entries({ ...CREDENTIAL_HEADERS, ...SITE_HEADERS })) {
+    if (headers[header]) env[name] = String(headers[header]);
+  }
+  // A bare OAuth access token can't be refreshed by us; the caller re-sends a fresh one
+  if (env.ATLASSIAN_OAUTH_ACCESS_TOKEN && !env.ATLASSIAN_AUTH_TYPE) env.ATLASSIAN_AUTH_TYPE = "oauth";
+  return { env };
+}
+
+// Fingerprint of the credentials and site an env acts with, so an SSE session only takes messages from its opener
+function callerIdentity(env) {
+  const values = [...CREDENTIAL_ENV_VARS, ...Object.values(SITE_HEADERS)].map((name) => env[name] || "");
+  return createHash("sha256").update(values.join("\n")).digest("hex");
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+}
+
+/**
+ * Start an HTTP server exposing MCP at /mcp (Streamable HTTP), /sse + /messages (legacy HTTP+SSE) and /health.
+ * @param {(env: Record<string, string | undefined>) => import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} createServer
+ *   Builds a fresh MCP server for the given env (called per Streamable HTTP request and per SSE connection)
+ * @param {{ name: string, port?: number, host?: string, env?: Record<string, string | undefined>,
+ *   requireCredentials?: boolean, health?: Record<string, unknown> }} options
+ * @returns {Promise<http.Server>}
+ */
+export async function startHttpServer(createServer, options) {
+  const baseEnv = options.env || process.env;
+  const port = options.port ?? Number(baseEnv.MCP_HTTP_PORT || 3000);
+  const host = options.host ?? baseEnv.MCP_HTTP_HOST ?? "127.0.0.1";
+  const setting = String(baseEnv.MCP_HTTP_REQUIRE_CREDENTIALS ?? "").trim();
+  const requireCredentials = options.requireCredentials ?? /^(1|true|yes|on)$/i.test(setting);
+  // Without per-caller credentials every caller acts as the server's account; only loopback gets that by default
+  if (!requireCredentials && !LOOPBACK_HOSTS.includes(host)) {
+    if (options.requireCredentials === undefined && !setting) {
+      throw new Error(
+        `Refusing to listen on ${host} without MCP_HTTP_REQUIRE_CREDENTIALS: any caller could use this server's ` +
+          "Atlassian account. Set it to true, or to false to allow that knowingly."
+      );
+    }
+    console.error(`Warning: listening on ${host} without required credentials; callers share this server's account.`);
+  }
+  const baseUrls = allowedBaseUrls(baseEnv);
+  const sseSessions = new Map();
+
+  const resolveEnv = (req, res) => {
+    const resolved = envForRequest(req.headers, baseEnv, { requireCredentials, allowedBaseUrls: baseUrls });
+    if (resolved.error) jsonRpcError(res, resolved.status, resolved.error);
+    return resolved.env;
+  };
+
+  async function handleStreamable(req, res) {
+    // Stateless: each request gets its own server, so credentials can differ per request
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return jsonRpcError(res, 405, "Method not allowed; this server is stateless, use POST.");
+    }
+    const env = resolveEnv(req, res);
+    if (!env) return;
+    const mcp = createServer(env);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined, enableJsonResponse: true });
+    res.on("close", () => {
+      transport.close();
+      mcp.close();
+    });
+    await mcp.connect(transport);
+    await transport.handleRequest(req, res);
+  }
+
+  async function handleSseConnect(req, res) {
+    const env = resolveEnv(req, res);
+    if (!env) return;
+    const mcp = createServer(env);
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    sseSessions.set(transport.sessionId, { transport, identity: callerIdentity(env) });
+    res.on("close", () => {
+      sseSessions.delete(transport.sessionId);
+      mcp.close();
+    });
+    await mcp.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sseSessions.get(url.searchParams.get("sessionId") || "");
+    if (!session) return jsonRpcError(res, 404, "Unknown or expired SSE session.");
+    // The session ID travels in the URL; without this check anyone who learns it could act as the opener
+    const env = resolveEnv(req, res);
+    if (!env) return;
+    if (callerIdentity(env) !== session.identity) {
+      return jsonRpcError(res, 403, "This SSE session was opened with different Atlassian credentials.");
+    }
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (url.pathname === "/health" && req.method === "GET") {
+        return sendJson(res, 200, {
+          status: "ok",
+          name: options.name,
+          transports: ["streamable-http", "sse"],
+          sseSessions: sseSessions.size,
+          ...(options.health || {}),
+        });
+      }
+      if (url.pathname === MCP_PATH) return await handleStreamable(req, res);
+      if (url.pathname === SSE_PATH && req.method === "GET") return await handleSseConnect(req, res);
+      if (url.pathname === SSE_MESSAGES_PATH && req.method === "POST") return await handleSseMessage(req, res, url);
+      sendJson(res, 404, { error: "Not found" });
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) jsonRpcError(res, 500, "Internal server error");
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  console.error(
+    `${options.name} MCP server listening on http://${host}:${address.port} (${MCP_PATH}, SSE fallback at ${SSE_PATH})`
+  );
+  return server;
+}
@@ -0,0 +1,25 @@
+// Build or refresh the local Confluence index used by semantic_search_confluence, e.g. from cron:
+//   node index-confluence.js [SPACE ...]   (defaults to CONFLUENCE_INDEX_SPACES)
+import dotenv from "dotenv";
+import { createAtlassianClient } from "./atlassian-client.js";
+import { confluenceWikiPath } from "./confluence-tools.js";
+import { getConfluenceIndex } from "./confluence-index.js";
+
+dotenv.config();
+
+const confluence = createAtlassianClient({ product: "Confluence" });
+const index = getConfluenceIndex(confluence, { wiki: confluenceWikiPath(confluence) });
+const spaces = process.argv.length > 2 ? process.argv.slice(2) : index.settings.spaces;
+
+if (!spaces.length) {
+  console.error("Name the spaces to index, or set CONFLUENCE_INDEX_SPACES.");
+  process.exit(1);
+}
+try {
+  for (const s of await index.sync(spaces, { force: true })) {
+    console.error(`${s.spaceKey}: ${s.pages} pages indexed (${s.fetched} fetched, ${s.removed} removed)`);
+  }
+} catch (err) {
+  console.error(`Indexing failed: ${err.message}${err.details ? `\n${err.details}` : ""}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,138 @@
+// Query building and scoring for find_similar_jira_issues: error codes, key phrases and components from a
+// problem description become several JQL searches, and the merged candidates are ranked by TF-IDF similarity
+// to the description plus shared codes and components. Pure; the tool does the fetching.
+import { tokenize } from "./confluence-index.js";
+import { jqlString } from "./jql-builder.js";
+
+const MAX_PHRASES = 3;
+const MAX_QUERY_TERMS = 5;
+// Score thresholds for the verdict shown next to each hit
+const DUPLICATE_SCORE = 0.5;
+const RELATED_SCORE = 0.25;
+// Time words say when a problem started, not what it is; on top of the search index's stopwords
+const STOPWORDS = new Set(["about", "after", "before"]);
+
+function similarityTerms(text) {
+  return tokenize(text).filter((term) => !STOPWORDS.has(term));
+}
+
+/**
+ * Adjacent word pairs worth searching as exact phrases ("domain transfer", "certificate renewal"), in order
+ * of appearance. A pair never spans punctuation or a stopword, and pairs of bare numbers are skipped.
+ * @returns {string[]}
+ */
+export function keyPhrases(text, max = MAX_PHRASES) {
+  const phrases = [];
+  for (const clause of String(text || "").split(/[.,;:!?()\[\]{}"'\n]+/)) {
+    const words = clause.split(/\s+/).filter(Boolean);
+    for (let i = 0; i + 1 < words.length && phrases.length < max; i++) {
+      const pair = [words[i], words[i + 1]];
+      if (pair.some((w) => similarityTerms(w).length === 0) || pair.every((w) => /^\d+$/.test(w))) continue;
+      const phrase = pair.join(" ").toLowerCase();
+      if (!phrases.includes(phrase)) phrases.push(phrase);
+    }
+  }
+  return phrases;
+}
+
+/**
+ * The candidate searches, each from a different angle; the ones with nothing to search for are left out.
+ * @param {{ terms: Array<{ term: string, code: boolean }>, phrases: string[], components?: string[],
+ *   projects?: string[], excludeKey?: string, includeResolved?: boolean }} input
+ * @returns {Array<{ name: string, jql: string }>}
+ */
+export function similarityQueries({ terms, phrases, components, projects, excludeKey, includeResolved = true }) {
+  const base = [];
+  if (projects && projects.length) base.push(`project in (${projects.map(jqlString).join(", ")})`);
+  if (excludeKey) base.push(`key != ${jqlString(excludeKey)}`);
+  if (!includeResolved) base.push("resolution = Unresolved");
+  const jql = (...parts) => `${[...base, ...parts].join(" AND ")} order by updated desc`;
+  const anyOf = (field, values) => `(${values.map((v) => `${field} ~ ${jqlString(v)}`).join(" OR ")})`;
+
+  const codes = terms.filter((t) => t.code).map((t) => t.term);
+  const words = terms.filter((t) => !t.code).map((t) => t.term).slice(0, MAX_QUERY_TERMS);
+  const queries = [];
+  if (codes.length) queries.push({ name: "error codes", jql: jql(anyOf("text", codes)) });
+  // An escaped quote inside the string makes Jira match the words as a phrase
+  if (phrases.length) queries.push({ name: "key phrases", jql: jql(anyOf("text", phrases.map((p) => `"${p}"`))) });
+  if (components && components.length && words.length) {
+    queries.push({
+      name: "components",
+      jql: jql(`component in (${components.map(jqlString).join(", ")})`, anyOf("text", words)),
+    });
+  }
+  if (words.length) queries.push({ name: "key terms", jql: jql(anyOf("summary", words)) });
+  return queries;
+}
+
+function termCounts(text, weight = 1, counts = new Map()) {
+  for (const term of similarityTerms(text)) counts.set(term, (counts.get(term) || 0) + weight);
+  return counts;
+}
+
+/**
+ * Rank candidates against the source. Similarity is the cosine of TF-IDF vectors (summary counted twice),
+ * with IDF taken from the candidate pool itself; shared error codes, shared components and being found by
+ * several queries add to it.
+ * @param {{ summary: string, description: string, codes: string[], components: string[] }} source
+ * @param {Array<{ key: string, summary: string, description: string, components: string[], matchedBy: string[] }>} candidates
+ * @returns {Array<{ key: string, score: number, similarity: number, verdict: string, reasons: string[] }>}
+ *   in the candidates' order
+ */
+export function scoreSimilarity(source, candidates) {
+  const vectorOf = (doc) => termCounts(doc.description, 1, termCounts(doc.summary, 2));
+  const sourceCounts = vectorOf(source);
+  const docs = candidates.map(vectorOf);
+
+  const df = new Map();
+  for (const counts of [sourceCounts, ...docs]) for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const n = docs.length + 1;
+  const weigh = (counts) => {
+    const vector = new Map();
+    for (const [term, count] of counts) vector.set(term, count * Math.log(1 + n / df.get(term)));
+    return vector;
+  };
+  const norm = (vector) => Math.sqrt(Array.from(vector.values()).reduce((sum, v) => sum + v * v, 0)) || 1;
+  const sourceVector = weigh(sourceCounts);
+  const sourceNorm = norm(sourceVector);
+  const sourceCodes = source.codes.map((c) => c.toLowerCase());
+  const sourceComponents = source.components.map((c) => c.toLowerCase());
+  const round = (x) => Math.round(x * 100) / 100;
+
+  return candidates.map((candidate, i) => {
+    const vector = weigh(docs[i]);
+    let dot = 0;
+    const shared = [];
+    for (const [term, weight] of vector) {
+      if (!sourceVector.has(term)) continue;
+      dot += weight * sourceVector.get(term);
+      shared.push([term, weight * sourceVector.get(term)]);
+    }
+    const similarity = dot / (norm(vector) * sourceNorm);
+    const reasons = [];
+    let score = similarity;
+    if (shared.length) {
+      const top = shared.sort((a, b) => b[1] - a[1]).slice(0, 4).map(([term]) => term);
+      reasons.push(`text similarity ${round(similarity)} (shared: ${top.join(", ")})`);
+    }
+
+    const text = `${candidate.summary}\n${candidate.description}`.toLowerCase();
+    const codes = sourceCodes.filter((c) => text.includes(c));
+    if (codes.length) {
+      score += Math.min(0.3, 0.15 * codes.length);
+      reasons.push(`mentions ${codes.join(", ")}`);
+    }
+    const components = candidate.components.filter((c) => sourceComponents.includes(c.toLowerCase()));
+    if (components.length) {
+      score += 0.1;
+      reasons.push(`same component ${components.join(", ")}`);
+    }
+    if (candidate.matchedBy.length > 1) {
+      score += 0.05 * (candidate.matchedBy.length - 1);
+      reasons.push(`found by ${candidate.matchedBy.length} queries`);
+    }
+
+    const verdict = score >= DUPLICATE_SCORE ? "likely duplicate" : score >= RELATED_SCORE ? "related" : "weak match";
+    return { key: candidate.key, score: round(score), similarity: round(similarity), verdict, reasons };
+  });
+}
@@ -0,0 +1,6 @@
+// Jira REST API paths, kept apart from jira-tools.js so the helpers it imports can use them without a cycle.
+
+// Data Center has no v3 API; v2 takes the same paths but plain-text/wiki markup instead of ADF
+export function jiraApiPath(jira) {
+  return jira.deployment === "cloud" ? "/rest/api/3" : "/rest/api/2";
+}
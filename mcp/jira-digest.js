@@ -0,0 +1,110 @@
+// Change digest for handoffs: the status transitions, reassignments, priority changes and new comments each
+// issue had in a time window, and the Markdown report grouping them by issue. Pure; the tool fetches the
+// issues, changelogs and comments.
+import { formatTimestamp } from "./jira-issue-context.js";
+
+const RELATIVE_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000 };
+const CHANGE_FIELDS = { status: "status", assignee: "assignee", priority: "priority" };
+const MAX_COMMENT_LENGTH = 200;
+
+/**
+ * A window bound as epoch ms: a duration back from `now` ("8h", "2d", "1w", optionally with a leading "-")
+ * or an ISO date/time ("2026-10-01", "2026-10-01T18:00Z"; dates without a zone are UTC).
+ * @returns {number | null} null when the value is not understood
+ */
+export function windowBound(value, now = Date.now()) {
+  const text = String(value ?? "").trim();
+  const relative = text.match(/^-?(\d+(?:\.\d+)?)\s*([hdw])$/i);
+  if (relative) return now - Number(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()];
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+  const ms = Date.parse(/[T ]\d{2}:\d{2}/.test(text) && !/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? `${text}Z` : text);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Changelog values: users by display name, and an empty side as "Unassigned" / "none"
+function side(item, key, field) {
+  const text = item[`${key}String`];
+  if (text) return text;
+  return field === "assignee" ? "Unassigned" : "none";
+}
+
+function excerpt(text) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  return flat.length > MAX_COMMENT_LENGTH ? `${flat.slice(0, MAX_COMMENT_LENGTH)}…` : flat;
+}
+
+/**
+ * An issue's changes between `since` and `until` (inclusive), oldest first. Reassignments also carry the
+ * user IDs from the changelog so a digest can be tailored to one person.
+ * @param {any[]} histories Changelog histories
+ * @param {Array<{ author: string | null, created: string, body: string }>} comments Bodies as Markdown
+ * @param {{ since: number, until: number }} window Epoch ms
+ * @returns {Array<{ at: string, type: "status" | "assignee" | "priority" | "comment", author: string | null,
+ *   from?: string, to?: string, fromId?: string | null, toId?: string | null, text?: string }>}
+ */
+export function issueChanges(histories, comments, { since, until }) {
+  const inWindow = (at) => {
+    const ms = Date.parse(at || "");
+    return ms >= since && ms <= until;
+  };
+  const changes = [];
+  for (const h of histories) {
+    if (!inWindow(h.created)) continue;
+    for (const item of h.items || []) {
+      const type = CHANGE_FIELDS[String(item.field || "").toLowerCase()];
+      if (!type) continue;
+      const change = { at: h.created, type, author: h.author?.displayName || null };
+      change.from = side(item, "from", type);
+      change.to = side(item, "to", type);
+      if (type === "assignee") {
+        change.fromId = item.from || null;
+        change.toId = item.to || null;
+      }
+      changes.push(change);
+    }
+  }
+  for (const c of comments) {
+    if (inWindow(c.created)) changes.push({ at: c.created, type: "comment", author: c.author, text: excerpt(c.body) });
+  }
+  return changes.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function describe(change) {
+  const by = change.author ? ` (${change.author})` : "";
+  if (change.type === "comment") return `Comment by ${change.author || "Unknown"}: ${change.text || "(empty)"}`;
+  if (change.type === "status") return `Status ${change.from} → **${change.to}**${by}`;
+  if (change.type === "assignee") return `Reassigned ${change.from} → **${change.to}**${by}`;
+  return `Priority ${change.from} → **${change.to}**${by}`;
+}
+
+/**
+ * The handoff report: a header with the source and window, then one section per issue with its current
+ * state and changes. Issues come in the order given.
+ * @param {{ source: string, since: number, until: number, assignee?: string | null, searched: number,
+ *   truncated: boolean, issues: Array<{ key: string, url: string, summary: string, status: string,
+ *   priority?: string, assignee: string | null, changes: ReturnType<typeof issueChanges> }> }} digest
+ * @returns {string}
+ */
+export function formatDigest({ source, since, until, assignee, searched, truncated, issues }) {
+  const stamp = (ms) => formatTimestamp(new Date(ms).toISOString());
+  const counts = { status: 0, assignee: 0, priority: 0, comment: 0 };
+  for (const issue of issues) for (const change of issue.changes) counts[change.type]++;
+  const lines = [
+    `# Handoff digest${assignee ? ` for ${assignee}` : ""}`,
+    `${source} · ${stamp(since)} → ${stamp(until)} UTC`,
+    "",
+    `${issues.length} of ${plural(searched, "issue")} changed: ${plural(counts.status, "status change")}, ` +
+      `${plural(counts.assignee, "reassignment")}, ${plural(counts.priority, "priority change")}, ` +
+      `${plural(counts.comment, "new comment")}.`,
+  ];
+  if (truncated) lines.push(`Stopped after ${searched} issues; more match. Raise maxIssues or narrow the query.`);
+  if (issues.length === 0) lines.push("", "Nothing to hand over: no status, assignee or priority changes or comments.");
+  for (const issue of issues) {
+    const state = [issue.status, issue.priority, issue.assignee || "Unassigned"].filter(Boolean).join(" · ");
+    lines.push("", `## [${issue.key}](${issue.url}) ${issue.summary}`, state);
+    lines.push(...issue.changes.map((change) => `- ${formatTimestamp(change.at)} ${describe(change)}`));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,337 @@
+// Optional sections for get_jira_issue: details, comments, links, parent/subtasks, attachments,
+// custom fields and a status timeline built from the changelog.
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import { jiraApiPath } from "./jira-api.js";
+
+export const ISSUE_SECTIONS = ["details", "comments", "links", "subtasks", "attachments", "customFields", "timeline"];
+
+const MAX_CHANGELOG_ENTRIES = 1000;
+const MAX_FIELD_LENGTH = 500;
+
+// Jira timestamps ("2026-10-01T09:00:00.000+0000") as "2026-10-01 09:00" UTC
+export function formatTimestamp(value) {
+  const ms = Date.parse(value || "");
+  return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 16).replace("T", " ") : "";
+}
+
+// Coarse human duration: "3d 4h", "2h 5m", "45m"
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours) return mins ? `${hours}h ${mins}m` : `${hours}h`;
+  return `${mins}m`;
+}
+
+export function formatBytes(bytes) {
+  if (typeof bytes !== "number") return "?";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function adfText(node) {
+  if (!node || typeof node !== "object") return "";
+  if (node.type === "text") return node.text || "";
+  const inner = (node.content || []).map(adfText).join(node.type === "doc" ? "\n" : "");
+  return node.type === "paragraph" ? inner.trim() : inner;
+}
+
+/**
+ * Render any Jira field value as plain text: users, options, versions, sprints, ADF and arrays of those.
+ * @returns {string} "" for empty values
+ */
+export function fieldValueText(value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (Array.isArray(value)) return value.map(fieldValueText).filter(Boolean).join(", ");
+  if (typeof value === "object") {
+    if (value.type === "doc") return adfText(value).trim();
+    if (value.child) return `${fieldValueText(value.value)} / ${fieldValueText(value.child.value)}`;
+    const text = value.displayName || value.name || value.value || value.key || value.title;
+    return text === undefined ? "" : String(text);
+  }
+  // Data Center serialises sprints as "com.atlassian.greenhopper...Sprint@1a2b[id=1,name=Sprint 4,...]"
+  const sprint = String(value).match(/\[.*\bname=([^,\]]+)/);
+  return sprint ? sprint[1] : String(value);
+}
+
+function truncate(text, max = MAX_FIELD_LENGTH) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function issueRef(issue) {
+  const status = issue?.fields?.status?.name;
+  const summary = issue?.fields?.summary || "";
+  return `${issue?.key} — ${summary}${status ? ` (${status})` : ""}`;
+}
+
+function linkedIssue(jira, issue) {
+  return {
+    key: issue?.key || "",
+    url: `${jira.baseUrl}/browse/${issue?.key}`,
+    summary: issue?.fields?.summary || "",
+    ...(issue?.fields?.status?.name ? { status: issue.fields.status.name } : {}),
+  };
+}
+
+const names = (list) => (Array.isArray(list) ? list.map(fieldValueText).filter(Boolean) : []);
+
+// Each section returns its text block plus the same information as plain data for structuredContent
+
+function detailsSection(data) {
+  const f = data.fields || {};
+  const details = {
+    priority: f.priority?.name || null,
+    resolution: f.resolution?.name || null,
+    labels: names(f.labels),
+    components: names(f.components),
+    fixVersions: names(f.fixVersions),
+    created: f.created || null,
+    updated: f.updated || null,
+    duedate: f.duedate || null,
+  };
+  const lines = [
+    `Priority: ${details.priority || "None"} | Resolution: ${details.resolution || "Unresolved"}`,
+    `Labels: ${details.labels.join(", ") || "None"}`,
+    `Components: ${details.components.join(", ") || "None"}`,
+    `Fix versions: ${details.fixVersions.join(", ") || "None"}`,
+    `Created: ${formatTimestamp(f.created) || "?"} | Updated: ${formatTimestamp(f.updated) || "?"}` +
+      (f.duedate ? ` | Due: ${f.duedate}` : ""),
+  ];
+  return { text: `Details:\n${lines.join("\n")}`, data: { details } };
+}
+
+function linksSection(jira, data) {
+  const links = Array.isArray(data.fields?.issuelinks) ? data.fields.issuelinks : [];
+  const items = links.map((link) => {
+    const direction = link.outwardIssue ? "outward" : "inward";
+    const other = link.outwardIssue || link.inwardIssue;
+    const relation = link.type?.[direction] || link.type?.name || "relates to";
+    return { ...linkedIssue(jira, other), type: link.type?.name || "", direction, relation, ref: issueRef(other) };
+  });
+  const text = items.length
+    ? `Links (${items.length}):\n${items.map((l) => `• ${l.relation} ${l.ref}\n  ${l.url}`).join("\n")}`
+    : "Links: none";
+  return { text, data: { links: items.map(({ ref, ...rest }) => rest) } };
+}
+
+function subtasksSection(jira, data) {
+  const parent = data.fields?.parent;
+  const subtasks = Array.isArray(data.fields?.subtasks) ? data.fields.subtasks : [];
+  const lines = [`Parent: ${parent ? issueRef(parent) : "none"}`];
+  if (subtasks.length) {
+    lines.push(`Subtasks (${subtasks.length}):`, ...subtasks.map((s) => `• ${issueRef(s)}`));
+  } else {
+    lines.push("Subtasks: none");
+  }
+  return {
+    text: lines.join("\n"),
+    data: { parent: parent ? linkedIssue(jira, parent) : null, subtasks: subtasks.map((s) => linkedIssue(jira, s)) },
+  };
+}
+
+function attachmentsSection(data) {
+  const files = Array.isArray(data.fields?.attachment) ? data.fields.attachment : [];
+  const attachments = files.map((a) => ({
+    filename: a.filename || "",
+    size: typeof a.size === "number" ? a.size : null,
+    mimeType: a.mimeType || null,
+    created: a.created || null,
+    author: a.author?.displayName || null,
+    url: a.content || null,
+  }));
+  const lines = attachments.map(
+    (a) =>
+      `• ${a.filename} (${formatBytes(a.size)}, ${a.mimeType || "unknown type"}) — ${a.author || "?"}, ` +
+      `${formatTimestamp(a.created)}\n  ${a.url || ""}`
+  );
+  const text = attachments.length ? `Attachments (${attachments.length}):\n${lines.join("\n")}` : "Attachments: none";
+  return { text, data: { attachments } };
+}
+
+function customFieldsSection(jira, data) {
+  const fieldNames = data.names || {};
+  const rendered = data.renderedFields || {};
+  const customFields = Object.entries(data.fields || {})
+    .filter(([id]) => id.startsWith("customfield_"))
+    .map(([id, value]) => {
+      // Rich-text custom fields come back as ADF; the rendered HTML reads better
+      const text =
+        value && typeof value === "object" && value.type === "doc" && typeof rendered[id] === "string"
+          ? htmlToMarkdown(rendered[id], { baseUrl: jira.baseUrl })
+          : fieldValueText(value);
+      return { id, name: fieldNames[id] || id, value: truncate(text) };
+    })
+    .filter((f) => f.value)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const text = customFields.length
+    ? `Custom fields:\n${customFields.map((f) => `• ${f.name}: ${f.value}`).join("\n")}`
+    : "Custom fields: none set";
+  return { text, data: { customFields } };
+}
+
+/**
+ * Fetch one page of comments, oldest first, with bodies rendered to HTML.
+ * @returns {Promise<{ comments: any[], startAt: number, total: number }>}
+ */
+export async function fetchComments(jira, key, { startAt = 0, maxResults = 10 } = {}) {
+  const data = await jira.get(`${jiraApiPath(jira)}/issue/${encodeURIComponent(key)}/comment`, {
+    startAt,
+    maxResults,
+    orderBy: "created",
+    expand: "renderedBody",
+  });
+  const comments = Array.isArray(data?.comments) ? data.comments : [];
+  return { comments, startAt: data?.startAt ?? startAt, total: data?.total ?? comments.length };
+}
+
+// A comment's body as Markdown: the rendered HTML when expanded, else the wiki markup (Data Center) or ADF text
+export function commentBody(jira, c) {
+  const body = c.renderedBody
+    ? htmlToMarkdown(c.renderedBody, { baseUrl: jira.baseUrl })
+    : typeof c.body === "string"
+      ? c.body
+      : fieldValueText(c.body);
+  return body.trim();
+}
+
+function commentsSection(jira, page, maxResults) {
+  const items = page.comments.map((c) => ({
+    id: String(c.id),
+    author: c.author?.displayName || null,
+    created: c.created || "",
+    ...(c.updated ? { updated: c.updated } : {}),
+    body: commentBody(jira, c),
+  }));
+  const end = page.startAt + items.length;
+  const comments = { startAt: page.startAt, total: page.total, nextStartAt: end < page.total ? end : null, items };
+  if (page.total === 0) return { text: "Comments: none", data: { comments } };
+
+  const blocks = items.map((c) => {
+    const edited = c.updated && c.updated !== c.created ? " (edited)" : "";
+    return `— ${c.author || "Unknown"}, ${formatTimestamp(c.created)}${edited}:\n${c.body}`;
+  });
+  const footer =
+    comments.nextStartAt !== null
+      ? `More comments: pass commentsStartAt=${end} (commentsMaxResults=${maxResults}) to continue.`
+      : "End of comments.";
+  return { text: `Comments ${page.startAt + 1}-${end} of ${page.total}:\n\n${blocks.join("\n\n")}\n\n${footer}`, data: { comments } };
+}
+
+/**
+ * All changelog histories for an issue, oldest first. Uses the histories embedded by expand=changelog and,
+ * on Cloud where that list is capped, pages through /changelog for the rest.
+ * @param {{ histories?: any[], total?: number }} [embedded] The issue's `changelog` from expand=changelog
+ */
+export async function fetchChangelog(jira, key, embedded) {
+  const histories = Array.isArray(embedded?.histories) ? embedded.histories : [];
+  const complete = !embedded || histories.length >= (embedded.total ?? histories.length);
+  if (jira.deployment !== "cloud" || (embedded && complete)) {
+    return [...histories].sort((a, b) => Date.parse(a.created) - Date.parse(b.created));
+  }
+
+  const all = [];
+  let startAt = 0;
+  while (all.length < MAX_CHANGELOG_ENTRIES) {
+    const data = await jira.get(`${jiraApiPath(jira)}/issue/${encodeURIComponent(key)}/changelog`, {
+      startAt,
+      maxResults: 100,
+    });
+    const values = Array.isArray(data?.values) ? data.values : [];
+    all.push(...values);
+    startAt += values.length;
+    if (values.length === 0 || data?.isLast || startAt >= (data?.total ?? 0)) break;
+  }
+  return all.sort((a, b) => Date.parse(a.created) - Date.parse(b.created));
+}
+
+/**
+ * Status changes from changelog histories, oldest first.
+ * @returns {Array<{ at: string, from: string, to: string, author: string }>}
+ */
+export function statusTransitions(histories) {
+  const out = [];
+  for (const h of histories) {
+    for (const item of h.items || []) {
+      if (item.field !== "status") continue;
+      out.push({ at: h.created, from: item.fromString || "", to: item.toString || "", author: h.author?.displayName || "" });
+    }
+  }
+  return out;
+}
+
+/**
+ * Time spent in each status from creation to `now`, in ms, given the issue's created time and transitions.
+ * @returns {Map<string, number>}
+ */
+export function timeInStatus(created, transitions, currentStatus, now = Date.now()) {
+  const totals = new Map();
+  let status = transitions[0]?.from || currentStatus;
+  let since = Date.parse(created);
+  for (const t of transitions) {
+    const at = Date.parse(t.at);
+    totals.set(status, (totals.get(status) || 0) + Math.max(0, at - since));
+    status = t.to;
+    since = at;
+  }
+  totals.set(status, (totals.get(status) || 0) + Math.max(0, now - since));
+  return totals;
+}
+
+function timelineSection(data, histories, now = Date.now()) {
+  const transitions = statusTransitions(histories);
+  const created = data.fields?.created;
+  const current = data.fields?.status?.name || "?";
+  const initial = transitions[0]?.from || current;
+  const lines = [`• ${formatTimestamp(created)} — Created in ${initial}`];
+  let since = Date.parse(created);
+  for (const t of transitions) {
+    const at = Date.parse(t.at);
+    const stayed = Number.isFinite(since) ? ` after ${formatDuration(at - since)} in ${t.from}` : "";
+    lines.push(`• ${formatTimestamp(t.at)} — ${t.from} → ${t.to}${t.author ? ` by ${t.author}` : ""}${stayed}`);
+    since = at;
+  }
+  if (Number.isFinite(since)) lines.push(`• Now — ${current} for ${formatDuration(now - since)}`);
+
+  const totals = timeInStatus(created, transitions, current, now);
+  const summary = Array.from(totals)
+    .map(([status, ms]) => `${status} ${formatDuration(ms)}`)
+    .join(", ");
+  return {
+    text: `Status timeline:\n${lines.join("\n")}\nTime in status: ${summary}`,
+    data: { timeline: { transitions, timeInStatusMs: Object.fromEntries(totals) } },
+  };
+}
+
+/**
+ * Build the requested sections for an issue fetched with renderedFields (and names/changelog when those
+ * sections are asked for). Comments and long changelogs are fetched here.
+ * @param {ReturnType<typeof import("./atlassian-client.js").createAtlassianClient>} jira
+ * @param {any} data Issue JSON
+ * @param {{ include: string[], commentsStartAt?: number, commentsMaxResults?: number }} options
+ * @returns {Promise<{ blocks: string[], structured: Record<string, unknown> }>} One text block per section in
+ *   ISSUE_SECTIONS order, and the sections' data keyed as in the get_jira_issue output schema
+ */
+export async function buildIssueSections(jira, data, { include, commentsStartAt, commentsMaxResults }) {
+  const wanted = new Set(include);
+  const built = [];
+  for (const section of ISSUE_SECTIONS) {
+    if (!wanted.has(section)) continue;
+    if (section === "details") built.push(detailsSection(data));
+    if (section === "links") built.push(linksSection(jira, data));
+    if (section === "subtasks") built.push(subtasksSection(jira, data));
+    if (section === "attachments") built.push(attachmentsSection(data));
+    if (section === "customFields") built.push(customFieldsSection(jira, data));
+    if (section === "comments") {
+      const maxResults = commentsMaxResults ?? 10;
+      const page = await fetchComments(jira, data.key, { startAt: commentsStartAt ?? 0, maxResults });
+      built.push(commentsSection(jira, page, maxResults));
+    }
+    if (section === "timeline") {
+      built.push(timelineSection(data, await fetchChangelog(jira, data.key, data.changelog)));
+    }
+  }
+  return { blocks: built.map((b) => b.text), structured: Object.assign({}, ...built.map((b) => b.data)) };
+}
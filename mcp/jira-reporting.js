@@ -0,0 +1,149 @@
+// Aggregates for report_jira_issues: issues grouped by a field (or by created week) with counts, age
+// percentiles, mean time in each status and issues sitting too long without a status change. Pure; the tool
+// fetches the issues and their changelogs.
+import { fieldValueText, statusTransitions, timeInStatus } from "./jira-issue-context.js";
+
+// groupBy names the tool understands without looking the field up; multi-valued fields count an issue once
+// per value
+const REPORT_GROUPS = {
+  status: { field: "status", label: "Status" },
+  assignee: { field: "assignee", label: "Assignee" },
+  reporter: { field: "reporter", label: "Reporter" },
+  priority: { field: "priority", label: "Priority" },
+  type: { field: "issuetype", label: "Type" },
+  issuetype: { field: "issuetype", label: "Type" },
+  project: { field: "project", label: "Project" },
+  resolution: { field: "resolution", label: "Resolution" },
+  component: { field: "components", label: "Component" },
+  components: { field: "components", label: "Component" },
+  label: { field: "labels", label: "Label" },
+  labels: { field: "labels", label: "Label" },
+  fixversion: { field: "fixVersions", label: "Fix version" },
+  fixversions: { field: "fixVersions", label: "Fix version" },
+  "created week": { field: "created", label: "Created week", week: true },
+  "created-week": { field: "created", label: "Created week", week: true },
+  week: { field: "created", label: "Created week", week: true },
+};
+
+export const NO_VALUE = "(none)";
+
+/**
+ * The built-in grouping for a groupBy name, or null when it has to be looked up as a field name or ID.
+ * @returns {{ field: string, label: string, week?: boolean } | null}
+ */
+export function reportGroup(groupBy) {
+  return REPORT_GROUPS[String(groupBy || "status").trim().toLowerCase().replace(/\s+/g, " ")] || null;
+}
+
+// ISO 8601 week of a timestamp, in UTC: "2026-W40"
+export function isoWeek(value) {
+  const ms = Date.parse(value || "");
+  if (!Number.isFinite(ms)) return null;
+  const date = new Date(ms);
+  const day = date.getUTCDay() || 7;
+  // The week belongs to the year of its Thursday
+  const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day);
+  const year = new Date(thursday).getUTCFullYear();
+  const week = Math.ceil((thursday - Date.UTC(year, 0, 1)) / 86400000 / 7 + 1 / 7);
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+/** Linear-interpolated percentile (p in 0-1) of unsorted numbers; null for none. */
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/** The groups an issue falls into: one per value of the field, or NO_VALUE. */
+export function groupKeys(issue, group) {
+  const value = issue.fields?.[group.field];
+  if (group.week) return [isoWeek(value) || NO_VALUE];
+  const values = (Array.isArray(value) ? value : [value]).map(fieldValueText).filter(Boolean);
+  return values.length ? Array.from(new Set(values)) : [NO_VALUE];
+}
+
+function isResolved(issue) {
+  const f = issue.fields || {};
+  return Boolean(f.resolution || f.resolutiondate || f.status?.statusCategory?.key === "done");
+}
+
+/**
+ * Per-issue measures: age (creation to resolution, or to now while open), time in each status up to the same
+ * point when `histories` is given, and how long an open issue has been in its current status.
+ * @param {any} issue Search result with created, resolutiondate, resolution and status fields
+ * @param {any[] | undefined} histories Changelog histories, oldest first; undefined when not fetched
+ */
+export function issueMeasures(issue, histories, now = Date.now()) {
+  const f = issue.fields || {};
+  const resolved = isResolved(issue);
+  const created = Date.parse(f.created || "");
+  const end = resolved && Number.isFinite(Date.parse(f.resolutiondate || "")) ? Date.parse(f.resolutiondate) : now;
+  const measures = { key: issue.key, resolved, ageMs: Number.isFinite(created) ? Math.max(0, end - created) : null };
+  if (histories) {
+    const transitions = statusTransitions(histories);
+    const current = f.status?.name || "?";
+    // A resolved issue stops the clock, so its final status does not keep growing
+    const totals = timeInStatus(f.created, transitions, current, end);
+    measures.timeInStatusMs = Object.fromEntries(Array.from(totals).filter(([, ms]) => ms > 0));
+    const lastChange = transitions.length ? Date.parse(transitions.at(-1).at) : created;
+    measures.inStatusMs = resolved || !Number.isFinite(lastChange) ? null : Math.max(0, now - lastChange);
+  }
+  return measures;
+}
+
+function summarize(group, measured, staleMs) {
+  const ages = measured.map((m) => m.ageMs).filter((ms) => ms !== null);
+  const round = (ms) => (ms === null ? null : Math.round(ms));
+  const row = {
+    group,
+    count: measured.length,
+    unresolved: measured.filter((m) => !m.resolved).length,
+    ageMs: {
+      mean: ages.length ? Math.round(ages.reduce((sum, ms) => sum + ms, 0) / ages.length) : null,
+      p50: round(percentile(ages, 0.5)),
+      p90: round(percentile(ages, 0.9)),
+      max: ages.length ? Math.max(...ages) : null,
+    },
+  };
+  const withHistory = measured.filter((m) => m.timeInStatusMs);
+  if (withHistory.length) {
+    // Mean per issue in the group, so groups of different sizes compare
+    const totals = {};
+    for (const m of withHistory) {
+      for (const [status, ms] of Object.entries(m.timeInStatusMs)) totals[status] = (totals[status] || 0) + ms;
+    }
+    row.timeInStatusMs = Object.fromEntries(
+      Object.entries(totals).map(([status, ms]) => [status, Math.round(ms / withHistory.length)])
+    );
+  }
+  if (staleMs !== undefined) row.stale = measured.filter((m) => m.inStatusMs >= staleMs).length;
+  return row;
+}
+
+/**
+ * Group measured issues and summarize each group and the whole set.
+ * @param {Array<{ issue: any, measures: ReturnType<typeof issueMeasures> }>} items
+ * @param {{ field: string, label: string, week?: boolean }} group
+ * @param {{ staleMs?: number }} [options] Count open issues with no status change for this long
+ * @returns {{ groups: ReturnType<typeof summarize>[], total: ReturnType<typeof summarize> }} Groups by size,
+ *   or in week order when grouped by week; NO_VALUE last
+ */
+export function buildReport(items, group, { staleMs } = {}) {
+  const byGroup = new Map();
+  for (const { issue, measures } of items) {
+    for (const key of groupKeys(issue, group)) {
+      if (!byGroup.has(key)) byGroup.set(key, []);
+      byGroup.get(key).push(measures);
+    }
+  }
+  const groups = Array.from(byGroup, ([key, measured]) => summarize(key, measured, staleMs)).sort(
+    (a, b) =>
+      (a.group === NO_VALUE) - (b.group === NO_VALUE) ||
+      (group.week ? a.group.localeCompare(b.group) : b.count - a.count || a.group.localeCompare(b.group))
+  );
+  return { groups, total: summarize("Total", items.map((i) => i.measures), staleMs) };
+}
@@ -0,0 +1,1048 @@
+// Jira tools: search (JQL, free text, natural language), issue lookup, and issue writes.
+import { z } from "zod";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import { errorResult } from "./atlassian-client.js";
+import { jiraApiPath } from "./jira-api.js";
+import { jqlString, splitOrderBy, translatePrompt } from "./jql-builder.js";
+import {
+  ISSUE_SECTIONS,
+  buildIssueSections,
+  fetchChangelog,
+  fetchComments,
+  commentBody,
+  fieldValueText,
+  formatDuration,
+} from "./jira-issue-context.js";
+import {
+  issueSearchOutput,
+  issueDetailOutput,
+  issueWriteOutput,
+  similarIssuesOutput,
+  issueReportOutput,
+  issueDigestOutput,
+} from "./tool-schemas.js";
+import { extractTerms } from "./solution-ranking.js";
+import { keyPhrases, similarityQueries, scoreSimilarity } from "./issue-similarity.js";
+import { getResponseCache, cacheIdentity } from "./response-cache.js";
+import { reportGroup, issueMeasures, buildReport } from "./jira-reporting.js";
+import { windowBound, issueChanges, formatDigest } from "./jira-digest.js";
+
+const DEFAULT_SEARCH_FIELDS = ["summary", "status", "assignee", "issuetype", "priority", "updated"];
+const SIMILAR_SEARCH_FIELDS = [...DEFAULT_SEARCH_FIELDS, "resolution", "components", "labels", "description"];
+// Candidates fetched per query in find_similar_jira_issues before merging and scoring
+const SIMILAR_POOL_SIZE = 20;
+// report_jira_issues reads whole result sets; larger pages mean fewer round trips
+const REPORT_FIELDS = ["summary", "status", "issuetype", "created", "resolution", "resolutiondate"];
+const REPORT_PAGE_SIZE = 100;
+const REPORT_MAX_ISSUES = 1000;
+// Stale issues listed in the text; the structured content has all of them
+const REPORT_MAX_LISTED = 20;
+// digest_jira_changes: issues checked, and comments read per issue (the newest ones)
+const DIGEST_MAX_ISSUES = 200;
+const DIGEST_MAX_COMMENTS = 500;
+const DIGEST_COMMENT_PAGE = 100;
+
+// Cursors bundle the JQL with Jira's nextPageToken so a caller only needs the cursor to continue
+function encodeCursor(jql, nextPageToken) {
+  return Buffer.from(JSON.stringify({ jql, token: nextPageToken })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof parsed.jql === "string" && typeof parsed.token === "string") return parsed;
+  } catch (_) {
+    // Fall through to null for anything that is not one of our cursors
+  }
+  return null;
+}
+
+// Run a JQL search against /search/jql, following nextPageToken when fetchAll is set.
+// Returns { issues, nextCursor }; request failures are thrown as AtlassianError.
+export async function runJqlSearch(jira, jql, { maxResults, fields, nextPageToken, fetchAll, maxTotal, expand }) {
+  const pageSize = typeof maxResults === "number" ? maxResults : fetchAll ? 50 : 10;
+  const total = fetchAll ? (typeof maxTotal === "number" ? maxTotal : 200) : pageSize;
+  const issues = [];
+  let token = nextPageToken;
+
+  do {
+    const body = {
+      jql,
+      maxResults: Math.min(pageSize, total - issues.length),
+      fields: fields && fields.length ? fields : DEFAULT_SEARCH_FIELDS,
+    };
+    if (token) body.nextPageToken = token;
+    if (expand) body.expand = expand;
+
+    // Searches are read-only, so they are safe to retry despite being a POST
+    let page;
+    if (jira.deployment === "cloud") {
+      const data = await jira.post(`${jiraApiPath(jira)}/search/jql`, body, { idempotent: true });
+      page = Array.isArray(data?.issues) ? data.issues : [];
+      token = data?.isLast ? undefined : data?.nextPageToken || undefined;
+    } else {
+      // Data Center only has offset paging; carry startAt in the same opaque token
+      const startAt = Number(body.nextPageToken || 0);
+      delete body.nextPageToken;
+      // Data Center's search takes expand as a list
+      if (expand) body.expand = expand.split(",");
+      const data = await jira.post(`${jiraApiPath(jira)}/search`, { ...body, startAt }, { idempotent: true });
+      page = Array.isArray(data?.issues) ? data.issues : [];
+      const next = startAt + page.length;
+      token = page.length && next < (data?.total ?? 0) ? String(next) : undefined;
+    }
+    issues.push(...page);
+    if (page.length === 0) break;
+  } while (fetchAll && token && issues.length < total);
+
+  return { issues, nextCursor: token ? encodeCursor(jql, token) : null };
+}
+
+export function formatIssueLines(jira, issues) {
+  return issues.map((i) => {
+    const key = i.key;
+    const summary = i.fields?.summary || "";
+    const status = i.fields?.status?.name || "";
+    const assignee = i.fields?.assignee?.displayName || "Unassigned";
+    const type = i.fields?.issuetype?.name || "";
+    const url = `${jira.baseUrl}/browse/${key}`;
+    return `• ${key} [${type}] — ${status} — ${assignee}\n  ${summary}\n  ${url}`;
+  });
+}
+
+// Structured counterpart of formatIssueLines (issueSummarySchema in tool-schemas.js)
+export function issueSummary(jira, issue) {
+  const f = issue.fields || {};
+  const summary = {
+    key: issue.key,
+    url: `${jira.baseUrl}/browse/${issue.key}`,
+    summary: f.summary || "",
+    status: f.status?.name || "",
+    type: f.issuetype?.name || "",
+    assignee: f.assignee?.displayName || null,
+  };
+  if (issue.id) summary.id = String(issue.id);
+  if (f.status?.statusCategory?.name) summary.statusCategory = f.status.statusCategory.name;
+  if (f.priority?.name) summary.priority = f.priority.name;
+  if (f.updated) summary.updated = f.updated;
+  return summary;
+}
+
+function formatSearchResult(jira, jql, issues, nextCursor) {
+  const structuredContent = { jql, issues: issues.map((i) => issueSummary(jira, i)), nextCursor };
+  if (issues.length === 0) {
+    return { content: [{ type: "text", text: "No Jira issues found." }], structuredContent };
+  }
+  const content = [{ type: "text", text: formatIssueLines(jira, issues).join("\n\n") }];
+  if (nextCursor) {
+    content.push({
+      type: "text",
+      text: `Showing ${issues.length} issues; more results available. Pass cursor to continue:\n${nextCursor}`,
+    });
+  }
+  return { content, structuredContent };
+}
+
+/**
+ * An issue as get_jira_issue returns it: headline, description and the requested sections as text blocks, with
+ * the same as structured content. Served from the response cache while the issue's `updated` stamp holds.
+ * @param {{ key: string, format?: "markdown" | "html", include?: string[], commentsStartAt?: number,
+ *   commentsMaxResults?: number }} options include defaults to ['details']; 'all' adds every section
+ * @returns {Promise<{ content: Array<{ type: "text", text: string }>, structuredContent: Record<string, unknown> }>}
+ */
+export async function fetchIssueDetail(jira, options, env = process.env) {
+  const { key, format, include, commentsStartAt, commentsMaxResults } = options;
+  const API = jiraApiPath(jira);
+  const cache = getResponseCache(env);
+  const sections = !include ? ["details"] : include.includes("all") ? ISSUE_SECTIONS : include;
+  const expand = ["renderedFields"];
+  if (sections.includes("customFields")) expand.push("names");
+  if (sections.includes("timeline")) expand.push("changelog");
+  const issuePath = `${API}/issue/${encodeURIComponent(key)}`;
+
+  const load = async () => {
+    const data = await jira.get(issuePath, { expand: expand.join(",") });
+    const summary = data.fields?.summary || "";
+    const descriptionHtml = data.renderedFields?.description || "";
+    const status = data.fields?.status?.name || "";
+    const assignee = data.fields?.assignee?.displayName || "Unassigned";
+    const reporter = data.fields?.reporter?.displayName || "";
+    const type = data.fields?.issuetype?.name || "";
+    const url = `${jira.baseUrl}/browse/${data.key}`;
+    const description =
+      format === "html" ? descriptionHtml : htmlToMarkdown(descriptionHtml, { baseUrl: jira.baseUrl });
+    const { blocks, structured } = await buildIssueSections(jira, data, {
+      include: sections,
+      commentsStartAt,
+      commentsMaxResults,
+    });
+
+    const value = {
+      content: [
+        { type: "text", text: `${data.key} [${type}] — ${status}` },
+        { type: "text", text: `Assignee: ${assignee} | Reporter: ${reporter}` },
+        { type: "text", text: `Summary: ${summary}` },
+        { type: "text", text: `URL: ${url}` },
+        { type: "text", text: description },
+        ...blocks.map((text) => ({ type: "text", text })),
+      ],
+      structuredContent: {
+        key: data.key,
+        id: String(data.id || ""),
+        url,
+        summary,
+        status,
+        type,
+        assignee: data.fields?.assignee?.displayName || null,
+        reporter: data.fields?.reporter?.displayName || null,
+        descriptionFormat: format === "html" ? "html" : "markdown",
+        description,
+        ...structured,
+      },
+    };
+    return { version: data.fields?.updated, value };
+  };
+
+  // Time in the current status keeps growing, so a timeline is never served from the cache
+  if (sections.includes("timeline")) return (await load()).value;
+  const variant = [format || "markdown", sections.join(","), commentsStartAt ?? 0, commentsMaxResults ?? ""].join("|");
+  const { value } = await cache.through(cacheIdentity(jira), `jira:${key.toUpperCase()}`, variant, {
+    version: async () => (await jira.get(issuePath, { fields: "updated" }))?.fields?.updated,
+    load,
+  });
+  return value;
+}
+
+// Look a person up by name for JQL: accountId on Cloud, username on Data Center
+async function findUsers(jira, name) {
+  const query = jira.deployment === "cloud" ? { query: name, maxResults: 10 } : { username: name, maxResults: 10 };
+  const users = await jira.get(`${jiraApiPath(jira)}/user/search`, query);
+  return (Array.isArray(users) ? users : [])
+    .filter((u) => u.active !== false && (!u.accountType || u.accountType === "atlassian"))
+    .map((u) => ({ id: u.accountId || u.name, displayName: u.displayName || u.name || "" }));
+}
+
+// An issue's comments, oldest first: all of them, or the newest DIGEST_MAX_COMMENTS when there are more
+async function recentComments(jira, key) {
+  let page = await fetchComments(jira, key, { maxResults: DIGEST_COMMENT_PAGE });
+  let comments = page.comments;
+  let startAt = comments.length;
+  if (page.total > DIGEST_MAX_COMMENTS) {
+    comments = [];
+    startAt = page.total - DIGEST_MAX_COMMENTS;
+  }
+  while (startAt < page.total) {
+    page = await fetchComments(jira, key, { startAt, maxResults: DIGEST_COMMENT_PAGE });
+    if (page.comments.length === 0) break;
+    comments = comments.concat(page.comments);
+    startAt += page.comments.length;
+  }
+  return comments;
+}
+
+// Ask Jira to parse the JQL before running it. Data Center has no parse endpoint; its search reports errors itself.
+// Returns the parser's error messages (empty when the query is valid).
+async function validateJql(jira, jql) {
+  if (jira.deployment !== "cloud") return [];
+  const data = await jira.post(
+    `${jiraApiPath(jira)}/jql/parse`,
+    { queries: [jql] },
+    { query: { validation: "strict" }, idempotent: true }
+  );
+  return data?.queries?.[0]?.errors || [];
+}
+
+// Jira Cloud v3 expects rich text in Atlassian Document Format; wrap plain text paragraphs.
+// Data Center (v2) takes the plain string as-is.
+function toRichText(jira, text) {
+  if (jira.deployment !== "cloud") return String(text || "");
+  const paragraphs = String(text || "")
+    .split(/\n{2,}/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return {
+    type: "doc",
+    version: 1,
+    content: paragraphs.map((p) => {
+      const lines = p.split("\n");
+      const content = [];
+      lines.forEach((line, idx) => {
+        if (idx > 0) content.push({ type: "hardBreak" });
+        if (line) content.push({ type: "text", text: line });
+      });
+      return { type: "paragraph", content };
+    }),
+  };
+}
+
+// Re-read an issue after a write so results match the get_jira_issue key/URL format.
+// `extra` is merged into the structured result (e.g. which fields changed).
+async function describeIssue(jira, key, headline, extra = {}) {
+  let data;
+  try {
+    data = await jira.get(`${jiraApiPath(jira)}/issue/${encodeURIComponent(key)}`, { fields: "summary,status,issuetype,assignee" });
+  } catch (_) {
+    // The write already succeeded; fall back to the bare key and URL
+    const url = `${jira.baseUrl}/browse/${key}`;
+    return {
+      content: [
+        { type: "text", text: headline },
+        { type: "text", text: `URL: ${url}` },
+      ],
+      structuredContent: { key, url, ...extra },
+    };
+  }
+  const { url, summary, status, type, assignee } = issueSummary(jira, data);
+  return {
+    content: [
+      { type: "text", text: headline },
+      { type: "text", text: `${data.key} [${type}] — ${status}` },
+      { type: "text", text: `Assignee: ${assignee || "Unassigned"}` },
+      { type: "text", text: `Summary: ${summary}` },
+      { type: "text", text: `URL: ${url}` },
+    ],
+    structuredContent: { key: data.key, url, summary, status, type, assignee, ...extra },
+  };
+}
+
+/**
+ * Register the Jira tools on an MCP server.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {ReturnType<typeof import("./atlassian-client.js").createAtlassianClient>} jira
+ * @param {Record<string, string | undefined>} [env] Settings such as the ATLASSIAN_CACHE_* options
+ */
+export function registerJiraTools(mcp, jira, env = process.env) {
+  const API = jiraApiPath(jira);
+  const cache = getResponseCache(env);
+  const forget = (key) => cache.invalidate(cacheIdentity(jira), `jira:${key.toUpperCase()}`);
+
+  // Search Jira issues by JQL or free text
+  mcp.registerTool(
+    "search_jira",
+    {
+      description: "Search Jira issues by JQL or free text query, with cursor pagination",
+      inputSchema: {
+        jql: z.string().optional().describe("JQL to execute (overrides query if provided)"),
+        query: z.string().optional().describe("Free text to search in Jira issues"),
+        maxResults: z.number().int().min(1).max(50).optional().describe("Max results per page (default 10, or 50 with fetchAll)"),
+        fields: z
+          .array(z.string())
+          .optional()
+          .describe("Optional fields to return (e.g., ['summary','status','assignee'])"),
+        cursor: z.string().optional().describe("Cursor from a previous result to fetch the next page (jql/query not needed)"),
+        fetchAll: z.boolean().optional().describe("Follow pages automatically until maxTotal issues are collected"),
+        maxTotal: z.number().int().min(1).max(1000).optional().describe("Upper bound on issues collected with fetchAll (default 200)"),
+      },
+      outputSchema: issueSearchOutput,
+    },
+    async ({ jql, query, maxResults, fields, cursor, fetchAll, maxTotal }) => {
+      try {
+        let effectiveJql = jql || "";
+        let nextPageToken;
+
+        if (cursor) {
+          const decoded = decodeCursor(cursor);
+          if (!decoded) {
+            return { content: [{ type: "text", text: "Invalid cursor." }], isError: true };
+          }
+          effectiveJql = decoded.jql;
+          nextPageToken = decoded.token;
+        }
+
+        if (!effectiveJql) {
+          const q = (query || "").trim();
+          if (!q) {
+            return {
+              content: [
+                { type: "text", text: "Provide either 'jql' or a non-empty 'query' string." },
+              ],
+              isError: true,
+            };
+          }
+          // Free text search using text ~ "..." across projects
+          effectiveJql = `text ~ ${jqlString(q)} order by updated desc`;
+        }
+
+        const result = await runJqlSearch(jira, effectiveJql, { maxResults, fields, nextPageToken, fetchAll, maxTotal });
+        return formatSearchResult(jira, effectiveJql, result.issues, result.nextCursor);
+      } catch (err) {
+        return errorResult(err, "Failed to search Jira", "Error searching Jira.");
+      }
+    }
+  );
+
+  // Get Jira issue details by key, plus optional context sections
+  mcp.registerTool(
+    "get_jira_issue",
+    {
+      description:
+        "Fetch a Jira issue by key (e.g., ENG-123) with optional sections: details (priority, labels, components, " +
+        "fix versions, dates), comments (paginated), links, subtasks (and parent), attachments, customFields, timeline " +
+        "(status changes and time in status)",
+      inputSchema: {
+        key: z.string().describe("Jira issue key, e.g., ENG-123"),
+        format: z
+          .enum(["markdown", "html"])
+          .optional()
+          .describe("Description format: 'markdown' (default) or rendered 'html'"),
+        include: z
+          .array(z.enum([...ISSUE_SECTIONS, "all"]))
+          .optional()
+          .describe("Sections to add after the description (default ['details']); 'all' adds every section"),
+        commentsStartAt: z.number().int().min(0).optional().describe("Offset of the first comment (default 0, oldest first)"),
+        commentsMaxResults: z.number().int().min(1).max(100).optional().describe("Comments per page (default 10)"),
+      },
+      outputSchema: issueDetailOutput,
+    },
+    async ({ key, format, include, commentsStartAt, commentsMaxResults }) => {
+      try {
+        return await fetchIssueDetail(jira, { key, format, include, commentsStartAt, commentsMaxResults }, env);
+      } catch (err) {
+        return errorResult(err, `Failed to fetch issue ${key}`, "Error fetching Jira issue.");
+      }
+    }
+  );
+
+  // Find likely duplicates of a described problem (or an existing issue) across several angled searches
+  mcp.registerTool(
+    "find_similar_jira_issues",
+    {
+      description:
+        "Find existing Jira issues similar to a problem description or to an issue key, to link a duplicate " +
+        "instead of filing a new one. Searches by error codes, key phrases, components and key terms, then " +
+        "ranks the merged results by text similarity and returns status, resolution and why each matched.",
+      inputSchema: {
+        description: z.string().optional().describe("The customer's problem in their words, error messages included"),
+        key: z.string().optional().describe("Compare against this existing issue instead (e.g., CARE-123)"),
+        projects: z.array(z.string()).optional().describe("Only look in these project keys"),
+        components: z.array(z.string()).optional().describe("Components to search within (default: the issue's own)"),
+        includeResolved: z.boolean().optional().describe("Include resolved issues (default true)"),
+        limit: z.number().int().min(1).max(20).optional().describe("Max issues to return (default 5)"),
+      },
+      outputSchema: similarIssuesOutput,
+    },
+    async ({ description, key, projects, components, includeResolved, limit }) => {
+      try {
+        let source;
+        if (key) {
+          const data = await jira.get(`${API}/issue/${encodeURIComponent(key)}`, {
+            fields: "summary,description,components",
+          });
+          source = {
+            key: data.key,
+            summary: data.fields?.summary || "",
+            description: [description, fieldValueText(data.fields?.description)].filter(Boolean).join("\n"),
+            components: components || (data.fields?.components || []).map((c) => c.name),
+          };
+        } else if (description && description.trim()) {
+          source = { key: null, summary: "", description, components: components || [] };
+        } else {
+          return { content: [{ type: "text", text: "Provide 'description' or 'key'." }], isError: true };
+        }
+
+        const text = `${source.summary}\n${source.description}`;
+        const terms = extractTerms(text);
+        const queries = similarityQueries({
+          terms,
+          phrases: keyPhrases(text),
+          components: source.components,
+          projects: projects && projects.map((p) => p.toUpperCase()),
+          excludeKey: source.key,
+          includeResolved: includeResolved !== false,
+        });
+
+        const candidates = new Map();
+        const ran = [];
+        for (const query of queries) {
+          const { issues } = await runJqlSearch(jira, query.jql, {
+            maxResults: SIMILAR_POOL_SIZE,
+            fields: SIMILAR_SEARCH_FIELDS,
+          });
+          ran.push({ ...query, hits: issues.length });
+          for (const issue of issues) {
+            if (issue.key === source.key) continue;
+            const known = candidates.get(issue.key);
+            if (known) known.matchedBy.push(query.name);
+            else candidates.set(issue.key, { issue, matchedBy: [query.name] });
+          }
+        }
+
+        const pool = Array.from(candidates.values());
+        const scores = scoreSimilarity(
+          { ...source, codes: terms.filter((t) => t.code).map((t) => t.term) },
+          pool.map(({ issue, matchedBy }) => ({
+            key: issue.key,
+            summary: issue.fields?.summary || "",
+            description: fieldValueText(issue.fields?.description),
+            components: (issue.fields?.components || []).map((c) => c.name),
+            matchedBy,
+          }))
+        );
+        const ranked = pool
+          .map(({ issue, matchedBy }, i) => ({
+            ...issueSummary(jira, issue),
+            resolution: issue.fields?.resolution?.name || null,
+            score: scores[i].score,
+            similarity: scores[i].similarity,
+            verdict: scores[i].verdict,
+            reasons: scores[i].reasons,
+            matchedBy,
+          }))
+          .filter((hit) => hit.score > 0)
+          .sort((a, b) => b.score - a.score || (b.updated || "").localeCompare(a.updated || ""))
+          .slice(0, typeof limit === "number" ? limit : 5);
+
+        const structuredContent = {
+          source: { key: source.key, summary: source.summary || source.description.slice(0, 200) },
+          terms: terms.map((t) => t.term),
+          queries: ran,
+          issues: ranked,
+        };
+        const subject = source.key ? `${source.key} (${source.summary})` : `"${structuredContent.source.summary}"`;
+        if (ranked.length === 0) {
+          return { content: [{ type: "text", text: `No similar issues found for ${subject}.` }], structuredContent };
+        }
+        const items = ranked.map(
+          (hit, idx) =>
+            `${idx + 1}. ${hit.key} [${hit.type}] — ${hit.status}${hit.resolution ? ` (${hit.resolution})` : ""} — ` +
+            `score ${hit.score}, ${hit.verdict}\n   ${hit.summary}\n   ${hit.url}\n   Why: ${hit.reasons.join("; ")}`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Similar issues for ${subject}\nKey terms: ${structuredContent.terms.join(", ") || "none"}\n\n${items.join("\n\n")}`,
+            },
+          ],
+          structuredContent,
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to find similar issues", "Error searching for similar Jira issues.");
+      }
+    }
+  );
+
+  // Aggregate report over every issue a JQL query matches
+  mcp.registerTool(
+    "report_jira_issues",
+    {
+      description:
+        "Report on all issues matching a JQL query (every page, up to maxIssues): counts grouped by status, assignee, " +
+        "priority, component, label, type, project, resolution, created week or any other field, with age " +
+        "percentiles, optional mean time in each status from the changelog, and open issues without a status " +
+        "change for staleHours. Returns a Markdown table and the numbers as structured data.",
+      inputSchema: {
+        jql: z.string().describe("Issues to report on (e.g., 'project = CARE AND resolution = Unresolved')"),
+        groupBy: z
+          .string()
+          .optional()
+          .describe("status (default), assignee, reporter, priority, type, project, resolution, component, label, " +
+            "fixVersion, 'created week', or any field name or ID"),
+        timeInStatus: z.boolean().optional().describe("Read each issue's changelog for mean time per status (slower)"),
+        staleHours: z
+          .number()
+          .positive()
+          .optional()
+          .describe("Flag open issues with no status change for this many hours (e.g., 48); reads changelogs"),
+        maxIssues: z.number().int().min(1).max(5000).optional().describe("Upper bound on issues read (default 1000)"),
+      },
+      outputSchema: issueReportOutput,
+    },
+    async ({ jql, groupBy, timeInStatus, staleHours, maxIssues }) => {
+      try {
+        const name = String(groupBy || "status").trim();
+        let group = reportGroup(name);
+        if (!group) {
+          const fields = await jira.get(`${API}/field`);
+          const wanted = name.toLowerCase();
+          const field = (Array.isArray(fields) ? fields : []).find(
+            (f) => String(f.id).toLowerCase() === wanted || String(f.name || "").toLowerCase() === wanted
+          );
+          if (!field) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text:
+                    `Unknown field "${name}" to group by. Use status, assignee, reporter, priority, type, project, ` +
+                    "resolution, component, label, fixVersion, 'created week', or a field name or ID.",
+                },
+              ],
+              isError: true,
+            };
+          }
+          group = { field: field.id, label: field.name || field.id };
+        }
+
+        const withChangelog = Boolean(timeInStatus || staleHours);
+        const limit = typeof maxIssues === "number" ? maxIssues : REPORT_MAX_ISSUES;
+        const { issues, nextCursor } = await runJqlSearch(jira, jql, {
+          maxResults: REPORT_PAGE_SIZE,
+          fields: Array.from(new Set([...REPORT_FIELDS, group.field])),
+          fetchAll: true,
+          maxTotal: limit,
+          expand: withChangelog ? "changelog" : undefined,
+        });
+
+        const now = Date.now();
+        const items = [];
+        for (const issue of issues) {
+          const histories = withChangelog ? await fetchChangelog(jira, issue.key, issue.changelog) : undefined;
+          items.push({ issue, measures: issueMeasures(issue, histories, now) });
+        }
+        const staleMs = staleHours ? staleHours * 3600000 : undefined;
+        const { groups, total } = buildReport(items, group, { staleMs });
+        if (!timeInStatus) for (const row of [...groups, total]) delete row.timeInStatusMs;
+
+        const structuredContent = {
+          jql,
+          groupBy: { name, field: group.field },
+          issueCount: issues.length,
+          truncated: Boolean(nextCursor),
+          groups,
+          total,
+        };
+        if (staleMs !== undefined) {
+          structuredContent.stale = items
+            .filter(({ measures }) => measures.inStatusMs >= staleMs)
+            .map(({ issue, measures }) => ({
+              key: issue.key,
+              url: `${jira.baseUrl}/browse/${issue.key}`,
+              status: issue.fields?.status?.name || "",
+              inStatusMs: measures.inStatusMs,
+            }))
+            .sort((a, b) => b.inStatusMs - a.inStatusMs);
+        }
+        if (issues.length === 0) {
+          return { content: [{ type: "text", text: `No Jira issues match: ${jql}` }], structuredContent };
+        }
+
+        const duration = (ms) => (ms === null ? "—" : formatDuration(ms));
+        const cell = (text) => String(text).replace(/\|/g, "\\|");
+        const header = [group.label, "Issues", "Open", "Age avg", "Age p50", "Age p90", "Age max"];
+        if (staleMs !== undefined) header.push(`No status change ${staleHours}h+`);
+        const rowCells = (row) => {
+          const cells = [cell(row.group), row.count, row.unresolved, ...["mean", "p50", "p90", "max"].map((k) => duration(row.ageMs[k]))];
+          if (staleMs !== undefined) cells.push(row.stale);
+          return `| ${cells.join(" | ")} |`;
+        };
+        const lines = [
+          `Report: ${jql}`,
+          `${issues.length} issue${issues.length === 1 ? "" : "s"} by ${group.label.toLowerCase()}; age runs from creation ` +
+            "to resolution, or to now while open.",
+        ];
+        if (nextCursor) lines.push(`Stopped at ${issues.length} issues; more match. Raise maxIssues or narrow the JQL.`);
+        const counted = groups.reduce((sum, row) => sum + row.count, 0);
+        if (counted > issues.length) lines.push(`Issues with several ${group.label.toLowerCase()} values count in each group.`);
+        lines.push(
+          "",
+          `| ${header.join(" | ")} |`,
+          `| ${header.map((_, i) => (i === 0 ? "---" : "---:")).join(" | ")} |`,
+          ...groups.map(rowCells),
+          rowCells({ ...total, group: "**Total**" })
+        );
+        if (timeInStatus) {
+          lines.push("", "Mean time in status per issue:");
+          for (const row of [...groups, total]) {
+            const spent = Object.entries(row.timeInStatusMs || {})
+              .map(([status, ms]) => `${status} ${formatDuration(ms)}`)
+              .join(", ");
+            lines.push(`• ${row.group}: ${spent || "—"}`);
+          }
+        }
+        if (structuredContent.stale?.length) {
+          lines.push("", `Open issues with no status change for ${staleHours}h or more:`);
+          const shown = structuredContent.stale.slice(0, REPORT_MAX_LISTED);
+          lines.push(...shown.map((s) => `• ${s.key} — ${s.status} for ${formatDuration(s.inStatusMs)} — ${s.url}`));
+          const more = structuredContent.stale.length - shown.length;
+          if (more > 0) lines.push(`…and ${more} more (see structured content).`);
+        }
+        return { content: [{ type: "text", text: lines.join("\n") }], structuredContent };
+      } catch (err) {
+        return errorResult(err, "Failed to build the Jira report", "Error building the Jira report.");
+      }
+    }
+  );
+
+  mcp.registerTool(
+    "digest_jira_changes",
+    {
+      description:
+        "Handoff digest: for the issues matching a JQL query or saved filter, list the status transitions, " +
+        "reassignments, priority changes and new comments in a time window, grouped by issue, as a Markdown " +
+        "report with links. Optionally tailored to one person: issues assigned to them, or reassigned to or from " +
+        "them in the window.",
+      inputSchema: {
+        jql: z.string().optional().describe("Issues to cover (e.g., 'project = CARE AND resolution = Unresolved')"),
+        filterId: z.string().optional().describe("Saved filter ID to use instead of jql"),
+        since: z
+          .string()
+          .optional()
+          .describe("Window start: a duration back from now (8h, 2d, 1w) or an ISO date/time in UTC (default 24h)"),
+        until: z.string().optional().describe("Window end, in the same forms (default now)"),
+        assignee: z.string().optional().describe("Tailor to one person: 'me', a display name, email or account ID"),
+        maxIssues: z
+          .number()
+          .int()
+          .min(1)
+          .max(1000)
+          .optional()
+          .describe(`Upper bound on issues checked (default ${DIGEST_MAX_ISSUES})`),
+      },
+      outputSchema: issueDigestOutput,
+    },
+    async ({ jql, filterId, since, until, assignee, maxIssues }) => {
+      const invalid = (text) => ({ content: [{ type: "text", text }], isError: true });
+      if (Boolean(jql) === Boolean(filterId)) return invalid("Provide either jql or filterId.");
+      const now = Date.now();
+      const window = { since: windowBound(since || "24h", now), until: until ? windowBound(until, now) : now };
+      if (window.since === null || window.until === null) {
+        return invalid(
+          `Unrecognised time window "${window.since === null ? since : until}". Use a duration back from now ` +
+            "(8h, 2d, 1w) or an ISO date/time (2026-10-01, 2026-10-01T18:00Z)."
+        );
+      }
+      if (window.since >= window.until) return invalid("The window has to start before it ends.");
+
+      try {
+        let baseJql = jql;
+        let filter = null;
+        let source = `JQL: \`${jql}\``;
+        if (filterId) {
+          const data = await jira.get(`${API}/filter/${encodeURIComponent(filterId)}`);
+          filter = { id: String(data.id ?? filterId), name: data.name || `Filter ${filterId}` };
+          baseJql = data.jql || "";
+          source = `Filter [${filter.name}](${jira.baseUrl}/issues/?filter=${encodeURIComponent(filter.id)})`;
+        }
+
+        let person = null;
+        if (assignee) {
+          if (/^(me|myself|currentUser\(\))$/i.test(assignee.trim())) {
+            const me = await jira.get(`${API}/myself`);
+            person = { id: me.accountId || me.name, displayName: me.displayName || me.name || "" };
+          } else {
+            const users = await findUsers(jira, assignee.trim());
+            const wanted = assignee.trim().toLowerCase();
+            person =
+              users.find((u) => u.id.toLowerCase() === wanted || u.displayName.toLowerCase() === wanted) ||
+              (users.length === 1 ? users[0] : null);
+            if (!person) {
+              return invalid(
+                users.length
+                  ? `"${assignee}" matches several Jira users: ${users.map((u) => u.displayName).join(", ")}. ` +
+                      "Use the full display name."
+                  : `No Jira user found matching "${assignee}".`
+              );
+            }
+          }
+        }
+
+        // Comments and field changes both move `updated`, so only issues updated in the window can have changes.
+        // A relative bound avoids the Jira user's time zone, which absolute JQL dates are read in.
+        const [where] = splitOrderBy(baseJql);
+        const clauses = [where && `(${where})`, `updated >= -${Math.ceil((now - window.since) / 60000)}m`];
+        if (person) clauses.push(`(assignee = ${jqlString(person.id)} OR assignee was ${jqlString(person.id)})`);
+        const searchJql = `${clauses.filter(Boolean).join(" AND ")} order by updated desc`;
+        const { issues, nextCursor } = await runJqlSearch(jira, searchJql, {
+          maxResults: REPORT_PAGE_SIZE,
+          fetchAll: true,
+          maxTotal: typeof maxIssues === "number" ? maxIssues : DIGEST_MAX_ISSUES,
+          expand: "changelog",
+        });
+
+        const changed = [];
+        for (const issue of issues) {
+          const histories = await fetchChangelog(jira, issue.key, issue.changelog);
+          const comments = (await recentComments(jira, issue.key)).map((c) => ({
+            author: c.author?.displayName || null,
+            created: c.created || "",
+            body: commentBody(jira, c),
+          }));
+          const changes = issueChanges(histories, comments, window);
+          if (person) {
+            const current = issue.fields?.assignee?.accountId || issue.fields?.assignee?.name;
+            const involved = changes.some((c) => c.type === "assignee" && (c.fromId === person.id || c.toId === person.id));
+            if (current !== person.id && !involved) continue;
+          }
+          if (changes.length === 0) continue;
+          changed.push({
+            ...issueSummary(jira, issue),
+            changes: changes.map(({ fromId, toId, ...change }) => change),
+          });
+        }
+        // Most recent activity first
+        changed.sort((a, b) => Date.parse(b.changes.at(-1).at) - Date.parse(a.changes.at(-1).at));
+
+        const text = formatDigest({
+          source,
+          since: window.since,
+          until: window.until,
+          assignee: person?.displayName || null,
+          searched: issues.length,
+          truncated: Boolean(nextCursor),
+          issues: changed,
+        });
+        const structuredContent = {
+          jql: searchJql,
+          filter,
+          since: new Date(window.since).toISOString(),
+          until: new Date(window.until).toISOString(),
+          assignee: person,
+          searched: issues.length,
+          truncated: Boolean(nextCursor),
+          issues: changed,
+        };
+        return { content: [{ type: "text", text }], structuredContent };
+      } catch (err) {
+        return errorResult(err, "Failed to build the Jira digest", "Error building the Jira digest.");
+      }
+    }
+  );
+
+  // Natural language Jira search → JQL
+  mcp.registerTool(
+    "search_jira_nl",
+    {
+      description:
+        "Search Jira with a natural language prompt (e.g., 'high priority bugs assigned to Alice in the current sprint, not done'). " +
+        "Understands people, status, priority, issue types, projects, components, fix versions, sprints, labels and dates " +
+        "('created since 2026-01-01', 'not updated in the last 2 weeks'); relative ranges are rolling windows. Returns the generated JQL.",
+      inputSchema: {
+        prompt: z.string().optional().describe("Natural language description of what to find (not needed with cursor)"),
+        maxResults: z.number().int().min(1).max(50).optional().describe("Max results per page (default 10, or 50 with fetchAll)"),
+        fields: z.array(z.string()).optional().describe("Optional fields to return"),
+        cursor: z.string().optional().describe("Cursor from a previous result to fetch the next page"),
+        fetchAll: z.boolean().optional().describe("Follow pages automatically until maxTotal issues are collected"),
+        maxTotal: z.number().int().min(1).max(1000).optional().describe("Upper bound on issues collected with fetchAll (default 200)"),
+      },
+      outputSchema: issueSearchOutput,
+    },
+    async ({ prompt, maxResults, fields, cursor, fetchAll, maxTotal }) => {
+      try {
+        if (cursor) {
+          const decoded = decodeCursor(cursor);
+          if (!decoded) {
+            return { content: [{ type: "text", text: "Invalid cursor." }], isError: true };
+          }
+          const result = await runJqlSearch(jira, decoded.jql, { maxResults, fields, nextPageToken: decoded.token, fetchAll, maxTotal });
+          const formatted = formatSearchResult(jira, decoded.jql, result.issues, result.nextCursor);
+          return { ...formatted, content: [{ type: "text", text: `JQL: ${decoded.jql}` }, ...formatted.content] };
+        }
+
+        if (!prompt || !prompt.trim()) {
+          return {
+            content: [{ type: "text", text: "Provide either 'prompt' or 'cursor'." }],
+            isError: true,
+          };
+        }
+
+        const translated = await translatePrompt(prompt, { resolveUser: (name) => findUsers(jira, name) });
+        if (translated.unresolved.length) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No Jira user found matching ${translated.unresolved.map((n) => `"${n}"`).join(", ")}. Use the person's display name, or search_jira with explicit JQL.`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const jql = translated.jql;
+        const jqlLines = [`JQL: ${jql}`, ...translated.notes.map((n) => `Matched user ${n}`)];
+        const errors = await validateJql(jira, jql);
+        if (errors.length) {
+          return {
+            content: [
+              { type: "text", text: jqlLines.join("\n") },
+              { type: "text", text: `Jira rejected the generated JQL:\n${errors.map((e) => `- ${e}`).join("\n")}` },
+            ],
+            isError: true,
+          };
+        }
+
+        const result = await runJqlSearch(jira, jql, { maxResults, fields, fetchAll, maxTotal });
+        const formatted = formatSearchResult(jira, jql, result.issues, result.nextCursor);
+        return {
+          content: [{ type: "text", text: jqlLines.join("\n") }, ...formatted.content],
+          structuredContent: { ...formatted.structuredContent, notes: translated.notes },
+        };
+      } catch (err) {
+        return errorResult(err, "Failed to search Jira (NL)", "Error searching Jira (NL).");
+      }
+    }
+  );
+
+  // Create a Jira issue
+  mcp.registerTool(
+    "create_jira_issue",
+    {
+      description: "Create a Jira issue in a project",
+      inputSchema: {
+        project: z.string().describe("Project key, e.g., CARE"),
+        issueType: z.string().describe("Issue type name, e.g., Bug, Task, Story"),
+        summary: z.string().describe("One-line summary"),
+        description: z.string().optional().describe("Plain text description; blank lines separate paragraphs"),
+        priority: z.string().optional().describe("Priority name, e.g., High"),
+        labels: z.array(z.string()).optional().describe("Labels to apply (no spaces)"),
+      },
+      outputSchema: issueWriteOutput,
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ project, issueType, summary, description, priority, labels }) => {
+      try {
+        const fields = {
+          project: { key: project.toUpperCase() },
+          issuetype: { name: issueType },
+          summary,
+        };
+        if (description) fields.description = toRichText(jira, description);
+        if (priority) fields.priority = { name: priority };
+        if (labels && labels.length) fields.labels = labels;
+
+        const data = await jira.post(`${API}/issue`, { fields });
+        return await describeIssue(jira, data.key, `Created ${data.key}`);
+      } catch (err) {
+        return errorResult(err, "Failed to create issue", "Error creating Jira issue.");
+      }
+    }
+  );
+
+  // Edit fields on an existing Jira issue
+  mcp.registerTool(
+    "update_jira_issue",
+    {
+      description: "Edit fields on a Jira issue (summary, description, priority, labels, or raw fields)",
+      inputSchema: {
+        key: z.string().describe("Jira issue key, e.g., ENG-123"),
+        summary: z.string().optional().describe("New summary"),
+        description: z.string().optional().describe("New plain text description (replaces the existing one)"),
+        priority: z.string().optional().describe("New priority name"),
+        labels: z.array(z.string()).optional().describe("Replace all labels with this list"),
+        addLabels: z.array(z.string()).optional().describe("Labels to add, keeping existing ones"),
+        removeLabels: z.array(z.string()).optional().describe("Labels to remove"),
+        fields: z
+          .record(z.any())
+          .optional()
+          .describe("Raw field values keyed by field ID (e.g., { customfield_10010: 'x' }), merged last"),
+      },
+      outputSchema: { ...issueWriteOutput, changed: z.array(z.string()) },
+      annotations: { readOnlyHint: false, destructiveHint: true },
+    },
+    async ({ key, summary, description, priority, labels, addLabels, removeLabels, fields }) => {
+      try {
+        const setFields = {};
+        if (summary !== undefined) setFields.summary = summary;
+        if (description !== undefined) setFields.description = toRichText(jira, description);
+        if (priority) setFields.priority = { name: priority };
+        if (labels) setFields.labels = labels;
+        Object.assign(setFields, fields || {});
+
+        const update = {};
+        const labelOps = [
+          ...(addLabels || []).map((l) => ({ add: l })),
+          ...(removeLabels || []).map((l) => ({ remove: l })),
+        ];
+        if (labelOps.length && !labels) update.labels = labelOps;
+
+        if (Object.keys(setFields).length === 0 && Object.keys(update).length === 0) {
+          return {
+            content: [{ type: "text", text: "Nothing to update: provide at least one field to change." }],
+            isError: true,
+          };
+        }
+
+        await jira.put(`${API}/issue/${encodeURIComponent(key)}`, { fields: setFields, update });
+        forget(key);
+
+        const changed = Array.from(new Set([...Object.keys(setFields), ...Object.keys(update)]));
+        return await describeIssue(jira, key, `Updated ${key}: ${changed.join(", ")}`, { changed });
+      } catch (err) {
+        return errorResult(err, `Failed to update issue ${key}`, "Error updating Jira issue.");
+      }
+    }
+  );
+
+  // Add a comment to a Jira issue
+  mcp.registerTool(
+    "add_jira_comment",
+    {
+      description: "Add a comment to a Jira issue",
+      inputSchema: {
+        key: z.string().describe("Jira issue key, e.g., ENG-123"),
+        body: z.string().describe("Plain text comment; blank lines separate paragraphs"),
+      },
+      outputSchema: { key: z.string(), url: z.string(), commentId: z.string() },
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ key, body }) => {
+      try {
+        const data = await jira.post(`${API}/issue/${encodeURIComponent(key)}/comment`, { body: toRichText(jira, body) });
+        forget(key);
+        const url = `${jira.baseUrl}/browse/${key}?focusedCommentId=${data.id}`;
+        return {
+          content: [
+            { type: "text", text: `Comment ${data.id} added to ${key}` },
+            { type: "text", text: `URL: ${url}` },
+          ],
+          structuredContent: { key, url, commentId: String(data.id) },
+        };
+      } catch (err) {
+        return errorResult(err, `Failed to comment on ${key}`, "Error adding Jira comment.");
+      }
+    }
+  );
+
+  // Move a Jira issue through a workflow transition by name
+  mcp.registerTool(
+    "transition_jira_issue",
+    {
+      description: "Move a Jira issue through a workflow transition by name (e.g., 'Start Progress', 'Done')",
+      inputSchema: {
+        key: z.string().describe("Jira issue key, e.g., ENG-123"),
+        transition: z.string().describe("Transition name or target status name (case-insensitive)"),
+        comment: z.string().optional().describe("Optional comment to add with the transition"),
+        resolution: z.string().optional().describe("Optional resolution name when the transition requires one"),
+      },
+      outputSchema: { ...issueWriteOutput, transition: z.string() },
+      annotations: { readOnlyHint: false, destructiveHint: false },
+    },
+    async ({ key, transition, comment, resolution }) => {
+      try {
+        const transitionsPath = `${API}/issue/${encodeURIComponent(key)}/transitions`;
+        const listData = await jira.get(transitionsPath);
+        const available = Array.isArray(listData?.transitions) ? listData.transitions : [];
+        const wanted = transition.trim().toLowerCase();
+        // Prefer an exact transition name, then fall back to the target status name
+        const match =
+          available.find((t) => (t.name || "").toLowerCase() === wanted) ||
+          available.find((t) => (t.to?.name || "").toLowerCase() === wanted);
+
+        if (!match) {
+          const names = available.map((t) => `${t.name} → ${t.to?.name || "?"}`);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `No transition named "${transition}" is available for ${key}. Available: ${names.length ? names.join(", ") : "none"}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const body = { transition: { id: match.id } };
+        if (resolution) body.fields = { resolution: { name: resolution } };
+        if (comment) body.update = { comment: [{ add: { body: toRichText(jira, comment) } }] };
+
+        await jira.post(transitionsPath, body);
+        forget(key);
+
+        return await describeIssue(jira, key, `Transitioned ${key} via "${match.name}"`, { transition: match.name });
+      } catch (err) {
+        return errorResult(err, `Failed to transition ${key}`, "Error transitioning Jira issue.");
+      }
+    }
+  );
+}
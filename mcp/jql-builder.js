@@ -0,0 +1,498 @@
+// Translate natural-language Jira prompts into JQL: people, status, priority, types, projects, components,
+// versions, sprints, labels, date ranges and free text. Pure apart from the injected user resolver.
+
+// Quote a value for use inside a JQL string literal
+export function jqlString(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Split a JQL/CQL query at its ORDER BY clause, ignoring quoted strings
+export function splitOrderBy(query) {
+  let quote = null;
+  for (let i = 0; i < query.length; i++) {
+    const ch = query[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ((i === 0 || /[\s)]/.test(query[i - 1])) && /^order\s+by\b/i.test(query.slice(i))) {
+      return [query.slice(0, i).trim(), query.slice(i).trim()];
+    }
+  }
+  return [query.trim(), ""];
+}
+
+// Optional negation in front of a phrase; the trailing filler words are swallowed with it
+const NEG =
+  String.raw`(?<neg>\b(?:not|isn't|aren't|no|non|without|excluding|except|exclude|outside(?:\s+of)?)\s+(?:in\s+)?(?:(?:the|a|an|any)\s+)?)?`;
+
+const PRIORITY_LEVELS = ["Lowest", "Low", "Medium", "High", "Highest"];
+const PRIORITY_ALIASES = { p1: "Highest", p2: "High", p3: "Medium", p4: "Low", p5: "Lowest", blocker: "Blocker", critical: "Critical" };
+const PRIORITY_WORD = String.raw`(?:highest|lowest|high|medium|low|blockers?|critical|p[1-5])`;
+// Bare "high"/"low" are too common in prose; these are unambiguous without the word "priority"
+const STRONG_PRIORITY = /^(?:highest|lowest|blockers?|critical|p[1-5])$/i;
+
+const ISSUE_TYPES = [
+  [/^(?:bugs?|defects?)$/i, "Bug"],
+  [/^(?:story|stories)$/i, "Story"],
+  [/^tasks?$/i, "Task"],
+  [/^epics?$/i, "Epic"],
+  [/^incidents?$/i, "Incident"],
+  [/^improvements?$/i, "Improvement"],
+];
+
+const DATE_FIELDS = {
+  created: "created",
+  opened: "created",
+  raised: "created",
+  filed: "created",
+  logged: "created",
+  reported: "created",
+  updated: "updated",
+  modified: "updated",
+  changed: "updated",
+  touched: "updated",
+  resolved: "resolved",
+  closed: "resolved",
+  fixed: "resolved",
+  due: "due",
+};
+const DATE_FIELD_WORD = String.raw`(?:${Object.keys(DATE_FIELDS).join("|")})`;
+const ISO_DATE = String.raw`\d{4}-\d{2}-\d{2}`;
+// JQL relative dates only know weeks, days, hours and minutes
+const UNIT_TO_JQL = { minute: [1, "m"], hour: [1, "h"], day: [1, "d"], week: [1, "w"], month: [30, "d"], year: [365, "d"] };
+
+const ORDER_FIELDS = {
+  created: "created",
+  updated: "updated",
+  priority: "priority",
+  due: "duedate",
+  duedate: "duedate",
+  key: "key",
+  rank: "rank",
+  status: "status",
+  resolved: "resolved",
+};
+
+const STOPWORDS = new Set(
+  `a about all also an and any anything are as at be been being by can could did do does everything find for from
+   get give has have i in into is issue issues it its item items jira just last latest let list look me mentioning
+   containing regarding related relating my need of on or our please pull recent recently search see should show
+   so some that the their them there these they this those ticket tickets to type types up us want was we were what
+   whats when where which who with within would you your than then status priority project projects new only
+   currently still more most any every ones one not no non without excluding except exclude`
+    .split(/\s+/)
+    .filter(Boolean)
+    .concat(Object.keys(DATE_FIELDS))
+);
+
+function isCapitalized(word) {
+  return /^[A-Z]/.test(word);
+}
+
+/**
+ * Translate a prompt into JQL.
+ * @param {string} prompt
+ * @param {{ resolveUser?: (name: string) => Promise<Array<{ id: string, displayName: string }>> }} [options]
+ *   resolveUser maps a person's name to Jira user identifiers (accountId on Cloud, username on Data Center).
+ *   Without it, names are used verbatim.
+ * @returns {Promise<{ jql: string, clauses: string[], orderBy: string, notes: string[], unresolved: string[] }>}
+ */
+export async function translatePrompt(prompt, options = {}) {
+  const text = String(prompt || "");
+  const used = new Array(text.length).fill(false);
+  const quoteRanges = Array.from(text.matchAll(/"[^"]*"/g), (m) => [m.index, m.index + m[0].length]);
+  const insideQuotes = (idx) => quoteRanges.some(([s, e]) => idx > s && idx < e);
+
+  const clauses = [];
+  const people = [];
+  const priorities = { include: new Set(), exclude: new Set() };
+  const types = { include: new Set(), exclude: new Set() };
+  const textTerms = [];
+  const notes = [];
+  let orderBy = "";
+  let dateFieldUsed = "";
+
+  const isFree = (start, end) => {
+    for (let i = start; i < end; i++) if (used[i]) return false;
+    return true;
+  };
+  const mark = (start, end) => {
+    for (let i = start; i < end; i++) used[i] = true;
+  };
+
+  // Run fn for each unclaimed match; it may return false to reject, or an end index to claim extra text
+  const scan = (pattern, fn) => {
+    for (const m of text.matchAll(pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (!isFree(start, end) || insideQuotes(start)) continue;
+      const result = fn(m, end);
+      if (result === false) continue;
+      mark(start, typeof result === "number" ? result : end);
+    }
+  };
+
+  // A quoted string, or a run of word-ish characters (labels, versions, component names)
+  const readValue = (pos) => {
+    const rest = text.slice(pos);
+    const quoted = rest.match(/^\s*"([^"]+)"/);
+    if (quoted) return { value: quoted[1], end: pos + quoted[0].length };
+    const word = rest.match(/^\s*([\w][\w.+:/-]*)/);
+    if (!word || STOPWORDS.has(word[1].toLowerCase())) return null;
+    return { value: word[1].replace(/[.,]+$/, ""), end: pos + word[0].length };
+  };
+
+  // Comma / "or" separated values, e.g. `labels: dns, ssl or billing`
+  const readValueList = (pos) => {
+    const first = readValue(pos);
+    if (!first) return null;
+    const values = [first.value];
+    let end = first.end;
+    for (;;) {
+      const sep = text.slice(end).match(/^\s*(?:,|\bor\b|\/)\s*/i);
+      if (!sep) break;
+      const next = readValue(end + sep[0].length);
+      if (!next) break;
+      values.push(next.value);
+      end = next.end;
+    }
+    return { values, end };
+  };
+
+  // A person: "me", a quoted name, a username/email, or up to three capitalised words ("Alice Agent")
+  const readPerson = (pos) => {
+    const rest = text.slice(pos);
+    const quoted = rest.match(/^\s*"([^"]+)"/);
+    if (quoted) return { name: quoted[1], end: pos + quoted[0].length };
+    const me = rest.match(/^\s*(?:me|myself)\b/i);
+    if (me) return { name: "me", end: pos + me[0].length };
+    const first = rest.match(/^\s*([A-Za-z][\w.'@-]*)/);
+    if (!first || STOPWORDS.has(first[1].toLowerCase())) return null;
+    const words = [first[1]];
+    let end = pos + first[0].length;
+    while (words.length < 3 && isCapitalized(words[0])) {
+      const next = text.slice(end).match(/^\s+([A-Z][\w.'-]*)/);
+      if (!next || STOPWORDS.has(next[1].toLowerCase())) break;
+      words.push(next[1]);
+      end += next[0].length;
+    }
+    return { name: words.join(" ").replace(/[.,]+$/, ""), end };
+  };
+
+  const addList = (field, values, negate) => {
+    const list = values.map(jqlString).join(", ");
+    if (negate) clauses.push(`(${field} not in (${list}) OR ${field} is EMPTY)`);
+    else clauses.push(values.length === 1 ? `${field} = ${jqlString(values[0])}` : `${field} in (${list})`);
+  };
+
+  // --- People -------------------------------------------------------------------------------------
+  scan(
+    new RegExp(
+      `${NEG}\\b(?:assigned\\s+to|assignee\\s+(?:is\\s+|=\\s*)?|owned\\s+by|belong(?:s|ing)?\\s+to|` +
+        `(?<reporter>reported|raised|filed|opened|logged|submitted)\\s+by|(?<creator>created)\\s+by|(?<watcher>watched)\\s+by)\\s*`,
+      "gi"
+    ),
+    (m, end) => {
+      const person = readPerson(end);
+      if (!person) return false;
+      const field = m.groups.reporter ? "reporter" : m.groups.creator ? "creator" : m.groups.watcher ? "watcher" : "assignee";
+      people.push({ field, name: person.name, negate: Boolean(m.groups.neg) });
+      return person.end;
+    }
+  );
+  scan(/\b(?:unassigned|not\s+assigned|no\s+assignee|without\s+(?:an?\s+)?assignee)\b/gi, () => {
+    clauses.push("assignee is EMPTY");
+  });
+  scan(/\b(?:i\s*'?\s*a?m\s+watching|i\s+watch)\b/gi, () => {
+    clauses.push("watcher = currentUser()");
+  });
+  scan(/\b(?:my|mine)\b/gi, () => {
+    if (people.some((p) => p.field === "assignee")) return false;
+    people.push({ field: "assignee", name: "me", negate: false });
+  });
+
+  // --- Sprints ------------------------------------------------------------------------------------
+  scan(/\b(?:not\s+in\s+(?:a|any)\s+sprint|no\s+sprint|without\s+(?:a\s+)?sprint|(?:in\s+the\s+)?backlog)\b/gi, () => {
+    clauses.push("sprint is EMPTY");
+  });
+  const SPRINT_WHEN = String.raw`(?:(?<open>current|active|open|this|ongoing)|(?<future>next|future|upcoming)|(?<closed>last|previous|closed|past))`;
+  scan(new RegExp(`${NEG}\\b${SPRINT_WHEN}\\s+sprints?\\b`, "gi"), (m) => {
+    const fn = m.groups.open ? "openSprints()" : m.groups.future ? "futureSprints()" : "closedSprints()";
+    clauses.push(`sprint ${m.groups.neg ? "not in" : "in"} ${fn}`);
+  });
+  scan(new RegExp(`${NEG}\\bsprint\\s+(?:named\\s+|called\\s+|=\\s*)?"([^"]+)"`, "gi"), (m) => {
+    clauses.push(`sprint ${m.groups.neg ? "!=" : "="} ${jqlString(m[2])}`);
+  });
+
+  // --- Versions, components, labels ---------------------------------------------------------------
+  scan(/\b(?:no|without(?:\s+a)?)\s+fix\s*versions?\b/gi, () => {
+    clauses.push("fixVersion is EMPTY");
+  });
+  scan(new RegExp(`${NEG}\\b(?<which>un)?released\\s+versions?\\b`, "gi"), (m) => {
+    const fn = m.groups.which ? "unreleasedVersions()" : "releasedVersions()";
+    clauses.push(`fixVersion ${m.groups.neg ? "not in" : "in"} ${fn}`);
+  });
+  scan(
+    new RegExp(
+      `${NEG}\\b(?:(?<affects>affect(?:s|ed|ing)?\\s+versions?)|fix\\s*versions?|fixed\\s+in|releases?|versions?)\\b` +
+        String.raw`\s*(?:[:=]\s*|is\s+|in\s+)?`,
+      "gi"
+    ),
+    (m, end) => {
+      const list = readValueList(end);
+      if (!list) return false;
+      addList(m.groups.affects ? "affectedVersion" : "fixVersion", list.values, Boolean(m.groups.neg));
+      return list.end;
+    }
+  );
+  scan(new RegExp(`${NEG}\\b(?:in\\s+|for\\s+)?(?:the\\s+)?components?\\b\\s*(?:[:=]\\s*|is\\s+)?`, "gi"), (m, end) => {
+    const list = readValueList(end);
+    if (!list) return false;
+    addList("component", list.values, Boolean(m.groups.neg));
+    return list.end;
+  });
+  scan(new RegExp(`${NEG}\\b(?:in\\s+|for\\s+)?the\\s+("[^"]+"|[\\w-]+)\\s+component\\b`, "gi"), (m) => {
+    addList("component", [m[2].replace(/"/g, "")], Boolean(m.groups.neg));
+  });
+  scan(/\b(?:no|without)\s+labels\b|\bunlabell?ed\b/gi, () => {
+    clauses.push("labels is EMPTY");
+  });
+  scan(new RegExp(`${NEG}\\b(?:labell?ed|labels?|tagged)\\b\\s*(?:[:=]\\s*|with\\s+|as\\s+)?`, "gi"), (m, end) => {
+    const list = readValueList(end);
+    if (!list) return false;
+    addList("labels", list.values, Boolean(m.groups.neg));
+    return list.end;
+  });
+
+  // --- Links --------------------------------------------------------------------------------------
+  scan(/\b(?:linked|related)\s+to\s+([A-Z][A-Z0-9_]+-\d+)\b|\b([A-Z][A-Z0-9_]+-\d+)\s+(?:linked|related)\b/gi, (m) => {
+    clauses.push(`issue in linkedIssues(${(m[1] || m[2]).toUpperCase()})`);
+  });
+
+  // --- Projects -----------------------------------------------------------------------------------
+  scan(
+    new RegExp(
+      `${NEG}\\b(?:(?:in|from)\\s+)?(?:the\\s+)?projects?\\s*(?:[:=]\\s*|is\\s+|in\\s+)?` +
+        String.raw`([A-Za-z][A-Za-z0-9_]+(?:\s*(?:,|\bor\b)\s*[A-Za-z][A-Za-z0-9_]+)*)`,
+      "gi"
+    ),
+    (m) => {
+      const keys = m[2].split(/\s*(?:,|\bor\b)\s*/i).map((k) => k.toUpperCase());
+      if (keys.some((k) => STOPWORDS.has(k.toLowerCase()))) return false;
+      clauses.push(keys.length === 1 && !m.groups.neg ? `project = ${keys[0]}` : `project ${m.groups.neg ? "not in" : "in"} (${keys.join(", ")})`);
+    }
+  );
+  // Bare upper-case keys: "in CARE", "not in ENG", "CARE project"
+  scan(/(?:\b(?<neg>not\s+in|outside(?:\s+of)?)|\b(?:in|from|for))\s+([A-Z][A-Z0-9_]{1,9})\b(?!-\d)(?:\s+project\b)?/gi, (m) => {
+    const key = m[2];
+    if (key !== key.toUpperCase() || !/[A-Z]/.test(key)) return false;
+    clauses.push(`project ${m.groups.neg ? "!=" : "="} ${key}`);
+  });
+  scan(/\b([A-Z][A-Z0-9_]{1,9})\s+project\b/g, (m) => {
+    clauses.push(`project = ${m[1]}`);
+  });
+
+  // --- Dates --------------------------------------------------------------------------------------
+  // The field comes from a word right before the phrase ("created last week"); otherwise from the only
+  // date word left in the prompt, falling back to updated.
+  const defaultDateField = () => {
+    const left = text
+      .split("")
+      .map((ch, i) => (used[i] ? " " : ch))
+      .join("")
+      .toLowerCase();
+    const found = new Set(Array.from(left.matchAll(new RegExp(`\\b${DATE_FIELD_WORD}\\b`, "g")), (x) => DATE_FIELDS[x[0]]));
+    return found.size === 1 ? Array.from(found)[0] : "updated";
+  };
+  const fallbackField = defaultDateField();
+  const DATE_PREFIX =
+    String.raw`(?:(?<dneg>not|never|hasn't\s+been|haven't\s+been|wasn't|weren't)\s+)?` +
+    String.raw`(?:(?<field>${DATE_FIELD_WORD})\s+)?(?:(?:in|on|during|within|over|at)\s+)?(?:the\s+)?`;
+
+  const addDate = (m, build) => {
+    const field = m.groups.field ? DATE_FIELDS[m.groups.field.toLowerCase()] : fallbackField;
+    const built = build(field);
+    const negate = Boolean(m.groups.dneg);
+    // "not updated in the last 2 weeks" flips a lower bound into an upper bound
+    if (negate && built.length === 1 && built[0].startsWith(">=")) clauses.push(`${field} < ${built[0].slice(2).trim()}`);
+    else if (negate) clauses.push(`NOT (${built.map((b) => `${field} ${b}`).join(" AND ")})`);
+    else for (const b of built) clauses.push(`${field} ${b}`);
+    dateFieldUsed = dateFieldUsed || field;
+  };
+  const endOfDate = (date) => jqlString(`${date} 23:59`);
+
+  scan(new RegExp(`${DATE_PREFIX}\\b(?:between|from)\\s+(?<a>${ISO_DATE})\\s+(?:and|to|until|through)\\s+(?<b>${ISO_DATE})`, "gi"), (m) =>
+    addDate(m, () => [`>= ${jqlString(m.groups.a)}`, `<= ${endOfDate(m.groups.b)}`])
+  );
+  scan(new RegExp(`${DATE_PREFIX}\\b(?<op>since|after|from|before|until|on)\\s+(?<d>${ISO_DATE})`, "gi"), (m) =>
+    addDate(m, () => {
+      const op = m.groups.op.toLowerCase();
+      if (op === "on") return [`>= ${jqlString(m.groups.d)}`, `<= ${endOfDate(m.groups.d)}`];
+      if (op === "after") return [`> ${endOfDate(m.groups.d)}`];
+      if (op === "before" || op === "until") return [`< ${jqlString(m.groups.d)}`];
+      return [`>= ${jqlString(m.groups.d)}`];
+    })
+  );
+  scan(new RegExp(`${DATE_PREFIX}\\b(?<rel>today|yesterday|this\\s+(?:week|month|year))\\b`, "gi"), (m) =>
+    addDate(m, () => {
+      const rel = m.groups.rel.toLowerCase().replace(/\s+/g, " ");
+      if (rel === "today") return [">= startOfDay()"];
+      if (rel === "yesterday") return [">= startOfDay(-1d)", "< startOfDay()"];
+      return [`>= startOf${rel.endsWith("week") ? "Week" : rel.endsWith("month") ? "Month" : "Year"}()`];
+    })
+  );
+  scan(new RegExp(`${DATE_PREFIX}\\b(?:last|past|previous)\\s+(?:(?<n>\\d{1,3})\\s+)?(?<unit>minute|hour|day|week|month|year)s?\\b`, "gi"), (m) =>
+    addDate(m, () => {
+      const [mult, unit] = UNIT_TO_JQL[m.groups.unit.toLowerCase()];
+      return [`>= -${Number(m.groups.n || 1) * mult}${unit}`];
+    })
+  );
+  scan(new RegExp(`${DATE_PREFIX}\\bolder\\s+than\\s+(?<n>\\d{1,3})\\s+(?<unit>hour|day|week|month|year)s?\\b`, "gi"), (m) => {
+    const [mult, unit] = UNIT_TO_JQL[m.groups.unit.toLowerCase()];
+    const field = m.groups.field ? DATE_FIELDS[m.groups.field.toLowerCase()] : "created";
+    clauses.push(`${field} <= -${Number(m.groups.n) * mult}${unit}`);
+    dateFieldUsed = dateFieldUsed || field;
+  });
+
+  // --- Status and resolution ----------------------------------------------------------------------
+  scan(new RegExp(`${NEG}\\bstatus\\s*(?:is\\s+|=\\s*)?("[^"]+"|[A-Za-z]+(?:\\s+[A-Z][a-z]+)?)`, "gi"), (m) => {
+    const value = m[2].replace(/"/g, "");
+    if (STOPWORDS.has(value.toLowerCase())) return false;
+    clauses.push(`status ${m.groups.neg ? "!=" : "="} ${jqlString(value)}`);
+  });
+  scan(new RegExp(`${NEG}\\b(?:done|closed|resolved|completed?|finished|fixed)\\b`, "gi"), (m) => {
+    clauses.push(m.groups.neg ? "statusCategory != Done" : "statusCategory = Done");
+  });
+  scan(new RegExp(`${NEG}\\b(?:in[\\s-]progress|ongoing|being\\s+worked\\s+on|started)\\b`, "gi"), (m) => {
+    // "not started" means still in To Do rather than anything-but-In-Progress
+    if (m.groups.neg && /started$/i.test(m[0])) clauses.push('statusCategory = "To Do"');
+    else clauses.push(`statusCategory ${m.groups.neg ? "!=" : "="} "In Progress"`);
+  });
+  scan(new RegExp(`${NEG}\\b(?:to[\\s-]?do)\\b`, "gi"), (m) => {
+    clauses.push(`statusCategory ${m.groups.neg ? "!=" : "="} "To Do"`);
+  });
+  scan(new RegExp(`${NEG}\\b(?:open|unresolved|outstanding|pending|active)\\b`, "gi"), (m) => {
+    clauses.push(m.groups.neg ? "resolution != Unresolved" : "resolution = Unresolved");
+  });
+
+  // --- Priority -----------------------------------------------------------------------------------
+  const priorityList = String.raw`(?<levels>${PRIORITY_WORD}(?:\s*(?:,|/|\bor\b|\band\b)\s*${PRIORITY_WORD})*)`;
+  const addPriorities = (levels, negate, direction) => {
+    let names = levels
+      .split(/\s*(?:,|\/|\bor\b|\band\b)\s*/i)
+      .filter(Boolean)
+      .map((l) => l.toLowerCase().replace(/^blockers$/, "blocker"))
+      .map((l) => PRIORITY_ALIASES[l] || l[0].toUpperCase() + l.slice(1));
+    if (direction && names.length === 1 && PRIORITY_LEVELS.includes(names[0])) {
+      const idx = PRIORITY_LEVELS.indexOf(names[0]);
+      names = direction === "up" ? PRIORITY_LEVELS.slice(idx) : PRIORITY_LEVELS.slice(0, idx + 1);
+    }
+    for (const n of names) (negate ? priorities.exclude : priorities.include).add(n);
+  };
+  const PRIORITY_DIRECTION = String.raw`\s+(?:or|and)\s+(?<dir>higher|above|more|lower|below|less)\b(?:\s+priority)?`;
+  scan(new RegExp(`${NEG}\\b(?:at\\s+least\\s+)?${priorityList}${PRIORITY_DIRECTION}`, "gi"), (m) => {
+    addPriorities(m.groups.levels, Boolean(m.groups.neg), /higher|above|more/i.test(m.groups.dir) ? "up" : "down");
+  });
+  scan(new RegExp(`${NEG}\\bat\\s+least\\s+${priorityList}\\b(?:\\s+priority)?`, "gi"), (m) => {
+    addPriorities(m.groups.levels, Boolean(m.groups.neg), "up");
+  });
+  scan(new RegExp(`${NEG}\\b${priorityList}[\\s-]+(?:priority|prio|pri)\\b`, "gi"), (m) => {
+    addPriorities(m.groups.levels, Boolean(m.groups.neg));
+  });
+  scan(new RegExp(`${NEG}\\bpriority\\s*(?:is\\s+|=\\s*|of\\s+)?${priorityList}\\b`, "gi"), (m) => {
+    addPriorities(m.groups.levels, Boolean(m.groups.neg));
+  });
+  scan(new RegExp(`${NEG}\\b(?<levels>${PRIORITY_WORD})\\b`, "gi"), (m) => {
+    if (!STRONG_PRIORITY.test(m.groups.levels)) return false;
+    addPriorities(m.groups.levels, Boolean(m.groups.neg));
+  });
+
+  // --- Issue types --------------------------------------------------------------------------------
+  scan(new RegExp(`${NEG}\\bsub-?tasks?\\b`, "gi"), (m) => {
+    clauses.push(`issuetype ${m.groups.neg ? "not in" : "in"} subTaskIssueTypes()`);
+  });
+  scan(new RegExp(`${NEG}\\b(bugs?|defects?|stor(?:y|ies)|tasks?|epics?|incidents?|improvements?)\\b`, "gi"), (m) => {
+    const name = ISSUE_TYPES.find(([re]) => re.test(m[2]))[1];
+    (m.groups.neg ? types.exclude : types.include).add(name);
+  });
+
+  // --- Ordering -----------------------------------------------------------------------------------
+  const ORDER_PATTERN =
+    /\b(?:order(?:ed)?|sort(?:ed)?)\s+by\s+(created|updated|priority|due(?:\s*date)?|key|rank|status|resolved)(?:\s+(asc|ascending|desc|descending))?\b/gi;
+  scan(ORDER_PATTERN, (m) => {
+    const field = ORDER_FIELDS[m[1].toLowerCase().replace(/\s+/g, "")];
+    const dir = m[2] ? (/^asc/i.test(m[2]) ? "asc" : "desc") : field === "rank" || field === "key" ? "asc" : "desc";
+    orderBy = `${field} ${dir}`;
+  });
+  scan(/\b(?<newest>newest|latest|most\s+recent)\s+first\b|\boldest(?:\s+first)?\b/gi, (m) => {
+    orderBy = m.groups.newest ? "created desc" : "created asc";
+  });
+
+  // --- Free text ----------------------------------------------------------------------------------
+  for (const [start, end] of quoteRanges) {
+    if (!isFree(start, end)) continue;
+    const phrase = text.slice(start + 1, end - 1).trim();
+    if (phrase) textTerms.push(phrase);
+    mark(start, end);
+  }
+  const leftover = text
+    .split("")
+    .map((ch, i) => (used[i] ? " " : ch))
+    .join("")
+    .split(/[^\w.'-]+/)
+    .map((w) => w.replace(/^[.'-]+|[.'-]+$/g, ""))
+    .filter((w) => w && !STOPWORDS.has(w.toLowerCase()));
+  if (leftover.length) textTerms.push(leftover.join(" "));
+
+  // --- People resolution --------------------------------------------------------------------------
+  const unresolved = [];
+  for (const person of people) {
+    let ids;
+    if (person.name === "me") {
+      ids = ["currentUser()"];
+    } else if (options.resolveUser) {
+      const matches = await options.resolveUser(person.name);
+      if (matches.length === 0) {
+        unresolved.push(person.name);
+        continue;
+      }
+      const exact = matches.filter((u) => u.displayName?.toLowerCase() === person.name.toLowerCase());
+      const chosen = exact.length ? exact : matches;
+      ids = chosen.map((u) => jqlString(u.id));
+      const shown = chosen.map((u) => u.displayName || u.id).join(", ");
+      notes.push(chosen.length === 1 ? `"${person.name}" → ${shown}` : `"${person.name}" matched ${chosen.length} users: ${shown}`);
+    } else {
+      ids = [jqlString(person.name)];
+    }
+    const target = ids.length === 1 ? ids[0] : `(${ids.join(", ")})`;
+    if (person.negate) {
+      clauses.push(`(${person.field} ${ids.length === 1 ? "!=" : "not in"} ${target} OR ${person.field} is EMPTY)`);
+    } else {
+      clauses.push(`${person.field} ${ids.length === 1 ? "=" : "in"} ${target}`);
+    }
+  }
+
+  // --- Assemble -----------------------------------------------------------------------------------
+  const setClause = (field, set, negate) => {
+    const values = Array.from(set).map(jqlString);
+    if (values.length === 0) return;
+    if (values.length === 1) clauses.push(`${field} ${negate ? "!=" : "="} ${values[0]}`);
+    else clauses.push(`${field} ${negate ? "not in" : "in"} (${values.join(", ")})`);
+  };
+  setClause("issuetype", types.include, false);
+  setClause("issuetype", types.exclude, true);
+  setClause("priority", priorities.include, false);
+  setClause("priority", priorities.exclude, true);
+  for (const term of textTerms) clauses.push(`text ~ ${jqlString(term)}`);
+
+  // Nothing recognisable: search the prompt as text rather than returning every issue
+  if (clauses.length === 0 && unresolved.length === 0 && text.trim()) {
+    clauses.push(`text ~ ${jqlString(text.replace(/"/g, "").trim())}`);
+  }
+
+  const order = orderBy || (dateFieldUsed === "created" || dateFieldUsed === "resolved" ? `${dateFieldUsed} desc` : "updated desc");
+  const jql = `${clauses.join(" AND ")} order by ${order}`.trim();
+  return { jql, clauses, orderBy: order, notes, unresolved };
+}
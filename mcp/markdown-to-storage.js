@@ -0,0 +1,295 @@
+// Convert Markdown to Confluence storage format, for pages and comments written by the tools.
+// Covers what agents actually write (CommonMark blocks plus GFM tables and task lists) and maps the
+// constructs html-to-markdown.js emits back to their macros, so a page survives a read/edit/write cycle.
+
+const PANEL_MACROS = { info: "info", note: "note", warning: "warning", tip: "tip" };
+
+// GitHub-style alerts ("> [!WARNING]") mapped onto the closest Confluence panel colour
+const ALERT_MACROS = { note: "info", tip: "tip", important: "note", warning: "note", caution: "warning" };
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttr(text) {
+  return escapeXml(text).replace(/"/g, "&quot;");
+}
+
+// CDATA cannot contain "]]>", so split it across two sections
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function macro(name, params, body) {
+  const paramXml = Object.entries(params)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `<ac:parameter ac:name="${key}">${escapeXml(value)}</ac:parameter>`)
+    .join("");
+  return `<ac:structured-macro ac:name="${name}">${paramXml}${body}</ac:structured-macro>`;
+}
+
+/**
+ * Render inline Markdown (code spans, links, images, emphasis, hard breaks) as storage XHTML.
+ * Pieces that must not be touched again are parked in `slots` behind \u0000n\u0000 markers.
+ */
+function renderInline(text, slots = []) {
+  const park = (xml) => `\u0000${slots.push(xml) - 1}\u0000`;
+  let out = String(text)
+    .replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, (_, ch) => park(escapeXml(ch)))
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => park(`<code>${escapeXml(code.trim())}</code>`))
+    .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (_, url) => park(`<a href="${escapeAttr(url)}">${escapeXml(url)}</a>`))
+    .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, alt, src) =>
+      park(`<ac:image${alt ? ` ac:alt="${escapeAttr(alt)}"` : ""}><ri:url ri:value="${escapeAttr(src)}" /></ac:image>`)
+    )
+    .replace(/\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, label, href) =>
+      park(`<a href="${escapeAttr(href)}">${renderInline(label, slots)}</a>`)
+    );
+
+  out = escapeXml(out)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/(?: {2,}|\\)\n/g, "<br />")
+    .replace(/\s*\n\s*/g, " ");
+
+  // Parked pieces can themselves contain markers (a link label with code), so restore until stable
+  while (/\u0000\d+\u0000/.test(out)) out = out.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[Number(i)]);
+  return out;
+}
+
+function splitRow(line) {
+  const cells = [];
+  let cell = "";
+  const trimmed = line.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "");
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === "\\" && trimmed[i + 1] === "|") {
+      cell += "|";
+      i++;
+    } else if (trimmed[i] === "|") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += trimmed[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function startsBlock(line, next) {
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line) ||
+    (line.includes("|") && next !== undefined && TABLE_DIVIDER.test(next) && next.includes("-"))
+  );
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+}
+
+// Strip up to `width` columns of leading whitespace
+function dedent(line, width) {
+  let i = 0;
+  let col = 0;
+  while (i < line.length && col < width && (line[i] === " " || line[i] === "\t")) {
+    col += line[i] === "\t" ? 4 : 1;
+    i++;
+  }
+  return line.slice(i);
+}
+
+function renderQuote(lines, ctx) {
+  const inner = lines.map((l) => l.replace(/^ {0,3}> ?/, ""));
+  const first = inner.findIndex((l) => l.trim());
+  if (first !== -1) {
+    const alert = inner[first].match(/^\s*\[!(note|tip|important|warning|caution)\]\s*$/i);
+    if (alert) {
+      const body = renderBlocks(inner.slice(first + 1), ctx);
+      return macro(ALERT_MACROS[alert[1].toLowerCase()], {}, `<ac:rich-text-body>${body}</ac:rich-text-body>`);
+    }
+    // The "> **Warning:** **Title**" shape html-to-markdown.js produces for panels
+    const panel = inner[first].match(/^\s*\*\*(info|note|warning|tip):\*\*(?:\s+\*\*([^*]+)\*\*)?\s*(.*)$/i);
+    if (panel) {
+      const rest = [panel[3], ...inner.slice(first + 1)];
+      const body = renderBlocks(rest, ctx);
+      return macro(PANEL_MACROS[panel[1].toLowerCase()], { title: panel[2] || "" }, `<ac:rich-text-body>${body}</ac:rich-text-body>`);
+    }
+  }
+  return `<blockquote>${renderBlocks(inner, ctx)}</blockquote>`;
+}
+
+function renderTable(lines) {
+  const [header, , ...body] = lines.map(splitRow);
+  const width = header.length;
+  const row = (cells, tag) =>
+    `<tr>${Array.from({ length: width }, (_, i) => `<${tag}>${renderInline(cells[i] || "")}</${tag}>`).join("")}</tr>`;
+  return `<table><tbody>${row(header, "th")}${body.map((cells) => row(cells, "td")).join("")}</tbody></table>`;
+}
+
+// Parse one list starting at lines[start]; returns the XHTML and the index of the first line after it
+function renderList(lines, start, ctx) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  const isSibling = (m) => m && indentOf(m[1]) === baseIndent && /\d/.test(m[2]) === ordered;
+
+  while (i < lines.length) {
+    // Blank lines between items keep the list going (a "loose" list)
+    let j = i;
+    while (j < lines.length && !lines[j].trim()) j++;
+    const m = lines[j]?.match(LIST_ITEM);
+    if (!isSibling(m)) break;
+    i = j;
+    const contentIndent = m[0].length;
+    const itemLines = [lines[i].slice(m[0].length)];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      const sibling = line.match(LIST_ITEM);
+      if (!line.trim()) {
+        // A blank line only continues the item if indented content or a nested item follows it
+        const next = lines.slice(i + 1).find((l) => l.trim());
+        const nested = next !== undefined && next.match(LIST_ITEM);
+        if (next === undefined || (indentOf(next) < contentIndent && !(nested && indentOf(nested[1]) > baseIndent))) break;
+        itemLines.push("");
+        i++;
+        continue;
+      }
+      if (sibling && indentOf(sibling[1]) <= baseIndent) break;
+      if (!sibling && indentOf(line) < contentIndent && startsBlock(line)) break;
+      itemLines.push(dedent(line, contentIndent));
+      i++;
+    }
+    items.push({ marker: m[2], lines: itemLines });
+  }
+  // Swallow the blank lines between this list and whatever follows
+  while (i < lines.length && !lines[i].trim()) i++;
+
+  const task = (item) => item.lines[0].match(/^\[([ xX])\]\s+(.*)$/);
+  // A lone paragraph (optionally followed by a nested list) renders without <p>, like a tight Markdown list
+  const tight = (xml) => {
+    const end = xml.indexOf("</p>");
+    if (!xml.startsWith("<p>") || end === -1) return xml;
+    const rest = xml.slice(end + 4);
+    return rest === "" || /^<(ul|ol|ac:task-list)[ >]/.test(rest) ? `${xml.slice(3, end)}${rest}` : xml;
+  };
+
+  if (items.every(task)) {
+    const tasks = items.map((item) => {
+      const [, mark, text] = task(item);
+      const body = tight(renderBlocks([text, ...item.lines.slice(1)], ctx));
+      ctx.taskId += 1;
+      return (
+        `<ac:task><ac:task-id>${ctx.taskId}</ac:task-id>` +
+        `<ac:task-status>${mark === " " ? "incomplete" : "complete"}</ac:task-status>` +
+        `<ac:task-body>${body}</ac:task-body></ac:task>`
+      );
+    });
+    return { xml: `<ac:task-list>${tasks.join("")}</ac:task-list>`, next: i };
+  }
+
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? "ol" : "ul";
+  const open = ordered && startNumber !== 1 ? `<ol start="${startNumber}">` : `<${tag}>`;
+  const lis = items.map((item) => `<li>${tight(renderBlocks(item.lines, ctx))}</li>`);
+  return { xml: `${open}${lis.join("")}</${tag}>`, next: i };
+}
+
+function renderBlocks(lines, ctx) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !close.test(lines[i])) code.push(lines[i++]);
+      i++;
+      out.push(macro("code", { language: fence[2].toLowerCase() }, `<ac:plain-text-body>${cdata(code.join("\n"))}</ac:plain-text-body>`));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2] || "")}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      out.push("<hr />");
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines[i], lines[i + 1]))) {
+        quoted.push(QUOTE.test(lines[i]) ? lines[i] : `> ${lines[i]}`);
+        i++;
+      }
+      out.push(renderQuote(quoted, ctx));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i, ctx);
+      out.push(list.xml);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes("|") && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes("-")) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) rows.push(lines[i++]);
+      out.push(renderTable(rows));
+      continue;
+    }
+
+    const para = [line.replace(/^\s+/, "")];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i], lines[i + 1])) {
+      para.push(lines[i].replace(/^\s+/, ""));
+      i++;
+    }
+    out.push(`<p>${renderInline(para.join("\n"))}</p>`);
+  }
+  return out.join("");
+}
+
+/**
+ * Convert Markdown to Confluence storage format (XHTML). Raw HTML in the input is escaped, not passed through,
+ * since storage format must be well-formed XML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToStorage(markdown) {
+  if (!markdown) return "";
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  return renderBlocks(lines, { taskId: 0 });
+}
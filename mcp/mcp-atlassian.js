@@ -0,0 +1,17 @@
+import dotenv from "dotenv";
+import { createAtlassianServer, enabledProducts } from "./atlassian-server.js";
+import { serve } from "./serve.js";
+
+dotenv.config();
+
+const products = enabledProducts();
+const enabled = Object.keys(products).filter((p) => products[p]);
+if (enabled.length === 0) {
+  console.error("Both Jira and Confluence are disabled; set ATLASSIAN_ENABLE_JIRA or ATLASSIAN_ENABLE_CONFLUENCE.");
+  process.exit(1);
+}
+
+await serve((env) => createAtlassianServer({ env, ...products }).mcp, {
+  name: `Atlassian (${enabled.join(", ")})`,
+  health: { products: enabled },
+});
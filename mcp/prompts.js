@@ -0,0 +1,154 @@
+// MCP prompts: reusable instructions with the issue or page embedded as a resource, so a client can start
+// a triage, a runbook summary or a customer reply from a key or page reference.
+import { z } from "zod";
+import { readIssueResource, readPageResource } from "./resources.js";
+import { pageIdFromRef } from "./confluence-tools.js";
+
+const MAX_KB_PAGES = 5;
+
+const userText = (text) => ({ role: "user", content: { type: "text", text } });
+const userResource = (resource) => ({ role: "user", content: { type: "resource", resource } });
+
+function issueKey(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+// Page references as typed by a user: IDs, page URLs or confluence://page/{id} URIs, comma or space separated
+function pageIds(refs, baseUrl) {
+  return String(refs || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((ref) => ref.replace(/^confluence:\/\/page\//, ""))
+    .map((ref) => pageIdFromRef(ref, baseUrl) || ref);
+}
+
+/**
+ * Register the prompts whose products are enabled; the customer reply needs both.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {{ jira?: any, confluence?: any, env?: Record<string, string | undefined> }} clients
+ */
+export function registerPrompts(mcp, { jira, confluence, env = process.env }) {
+  if (jira) {
+    mcp.registerPrompt(
+      "triage_jira_issue",
+      {
+        title: "Triage a Jira issue",
+        description:
+          "Assess an issue's impact and urgency, check for duplicates and propose priority, owner and next steps.",
+        argsSchema: { key: z.string().describe("Jira issue key, e.g., CARE-123") },
+      },
+      async ({ key }) => {
+        const issue = await readIssueResource(jira, issueKey(key), env);
+        return {
+          description: `Triage ${issueKey(key)}`,
+          messages: [
+            userResource(issue),
+            userText(
+              [
+                `Triage ${issueKey(key)} (attached above).`,
+                "",
+                "1. Summarize the problem in two sentences: who is affected and what they cannot do.",
+                "2. Judge impact and urgency from the description and comments; propose a priority and say why.",
+                "3. Call find_similar_jira_issues with the key and say whether any result is a likely duplicate.",
+                "4. Propose the component or team that should own it, from its details, links and similar issues.",
+                "5. List what is missing to act on it (steps to reproduce, versions, logs, customer impact) as " +
+                  "questions for the reporter.",
+                "6. Give the next two or three concrete steps.",
+                "",
+                "Do not change the issue; end with the proposed field changes so they can be applied after review.",
+              ].join("\n")
+            ),
+          ],
+        };
+      }
+    );
+  }
+
+  if (confluence) {
+    mcp.registerPrompt(
+      "summarize_runbook",
+      {
+        title: "Summarize a runbook",
+        description: "Condense a Confluence runbook into when to use it, prerequisites, steps, checks and escalation.",
+        argsSchema: { page: z.string().describe("Confluence page ID or URL") },
+      },
+      async ({ page }) => {
+        const [id] = pageIds(page, confluence.baseUrl);
+        const runbook = await readPageResource(confluence, id || "", env);
+        return {
+          description: `Summarize runbook ${id}`,
+          messages: [
+            userResource(runbook),
+            userText(
+              [
+                "Summarize the runbook attached above for an on-call engineer who has not used it before.",
+                "",
+                "- **When to use it**: the symptoms or alerts it applies to.",
+                "- **Prerequisites**: access, tools and approvals needed before starting.",
+                "- **Steps**: numbered, one action each, keeping exact commands and values as written.",
+                "- **Verification**: how to tell it worked.",
+                "- **Rollback and escalation**: what to do if it did not, and who to contact.",
+                "",
+                "Only use what the page says. Point out steps that are ambiguous, reference missing pages or look " +
+                  "out of date, and link the page URL at the end.",
+              ].join("\n")
+            ),
+          ],
+        };
+      }
+    );
+  }
+
+  if (jira && confluence) {
+    mcp.registerPrompt(
+      "draft_customer_reply",
+      {
+        title: "Draft a customer reply",
+        description: "Draft a reply to the customer on a Jira issue, grounded in knowledge base articles.",
+        argsSchema: {
+          key: z.string().describe("Jira issue key, e.g., CARE-123"),
+          kb: z
+            .string()
+            .optional()
+            .describe(
+              `Up to ${MAX_KB_PAGES} KB page IDs or URLs, comma separated (default: searched for)`
+            ),
+          tone: z.string().optional().describe("Tone of the reply (default: friendly and concise)"),
+        },
+      },
+      async ({ key, kb, tone }) => {
+        const issue = await readIssueResource(jira, issueKey(key), env);
+        const ids = Array.from(new Set(pageIds(kb, confluence.baseUrl))).slice(0, MAX_KB_PAGES);
+        const articles = [];
+        for (const id of ids) articles.push(await readPageResource(confluence, id, env));
+
+        const source = articles.length
+          ? "Base the answer on the knowledge base articles attached above."
+          : "First call search_confluence_solutions with the issue's summary and error messages as `issue`, read " +
+            "the best one or two results with get_confluence_page and base the answer on them.";
+        return {
+          description: `Customer reply for ${issueKey(key)}`,
+          messages: [
+            userResource(issue),
+            ...articles.map(userResource),
+            userText(
+              [
+                `Draft a reply to the customer who raised ${issueKey(key)} (attached above).`,
+                "",
+                source,
+                `Tone: ${tone || "friendly and concise"}. Write in plain language without internal jargon, ticket ` +
+                  "history or names of colleagues.",
+                "Acknowledge the problem, give the fix or workaround as numbered steps, say what happens next and " +
+                  "ask for anything still needed to resolve it.",
+                "Link the knowledge base articles you used. If none of them answers the question, say so instead of " +
+                  "guessing, and list what to find out before replying.",
+                "",
+                "Return only the draft; do not post it as a comment.",
+              ].join("\n")
+            ),
+          ],
+        };
+      }
+    );
+  }
+}
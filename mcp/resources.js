@@ -0,0 +1,159 @@
+// MCP resources: Jira issues as jira://issue/{key} and Confluence pages as confluence://page/{id}, so clients
+// can attach them as context. Listing offers the caller's own recent or assigned items; any key or ID can be
+// read by URI.
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { errorResult } from "./atlassian-client.js";
+import { runJqlSearch, fetchIssueDetail } from "./jira-tools.js";
+import { confluenceWikiPath, searchHit, fetchPageDetail } from "./confluence-tools.js";
+
+const LIST_LIMIT = 50;
+const RECENT_ISSUES_JQL =
+  "(assignee = currentUser() AND resolution = Unresolved) OR issue in issueHistory() order by updated desc";
+const RECENT_PAGES_CQL =
+  "type = page AND (contributor = currentUser() OR favourite = currentUser()) order by lastmodified desc";
+const ISSUE_SECTIONS = ["details", "comments", "links"];
+
+export const issueUri = (key) => `jira://issue/${encodeURIComponent(key)}`;
+export const pageUri = (id) => `confluence://page/${encodeURIComponent(id)}`;
+
+// Template variables arrive as a string, or an array for exploded variables
+function variable(value) {
+  return decodeURIComponent(String(Array.isArray(value) ? value[0] : value ?? "")).trim();
+}
+
+// A failed read surfaces to the client as a JSON-RPC error carrying the same text a tool would return
+function readError(err, prefix) {
+  return new Error(errorResult(err, prefix).content[0].text);
+}
+
+const markdown = (uri, content) => ({ uri, mimeType: "text/markdown", text: content.map((c) => c.text).join("\n\n") });
+
+/**
+ * An issue as resource contents: get_jira_issue's text with details, comments and links, as one Markdown
+ * document. Failures are thrown as plain Errors with the tool's error text.
+ * @returns {Promise<{ uri: string, mimeType: string, text: string }>}
+ */
+export async function readIssueResource(jira, key, env = process.env) {
+  try {
+    const { content } = await fetchIssueDetail(jira, { key, include: ISSUE_SECTIONS }, env);
+    return markdown(issueUri(key), content);
+  } catch (err) {
+    throw readError(err, `Failed to fetch issue ${key}`);
+  }
+}
+
+/**
+ * A page as resource contents: get_confluence_page's Markdown text. Failures are thrown like readIssueResource's.
+ * @returns {Promise<{ uri: string, mimeType: string, text: string }>}
+ */
+export async function readPageResource(confluence, id, env = process.env) {
+  if (!/^\d+$/.test(id)) throw new Error(`Not a Confluence page ID: ${id}`);
+  try {
+    const { content } = await fetchPageDetail(confluence, id, {}, env);
+    return markdown(pageUri(id), content);
+  } catch (err) {
+    throw readError(err, `Failed to fetch page ${id}`);
+  }
+}
+
+// Listing runs on every resources/list; if a product is unreachable its items are left out so the other
+// product's still list, and reading by URI reports the actual error
+async function listOrEmpty(list) {
+  try {
+    return await list();
+  } catch (err) {
+    console.error("Resource listing failed:", err?.message || err);
+    return [];
+  }
+}
+
+/**
+ * Register the resource templates for the enabled products.
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} mcp
+ * @param {{ jira?: any, confluence?: any, env?: Record<string, string | undefined> }} clients
+ */
+export function registerResources(mcp, { jira, confluence, env = process.env }) {
+  if (jira) {
+    const recentIssues = () =>
+      listOrEmpty(async () => (await runJqlSearch(jira, RECENT_ISSUES_JQL, { maxResults: LIST_LIMIT })).issues);
+
+    mcp.registerResource(
+      "jira-issue",
+      new ResourceTemplate("jira://issue/{key}", {
+        list: async () => ({
+          resources: (await recentIssues()).map((issue) => ({
+            uri: issueUri(issue.key),
+            name: issue.key,
+            title: `${issue.key}: ${issue.fields?.summary || ""}`,
+            description: [
+              issue.fields?.issuetype?.name,
+              issue.fields?.status?.name,
+              issue.fields?.assignee?.displayName,
+            ]
+              .filter(Boolean)
+              .join(" | "),
+            mimeType: "text/markdown",
+          })),
+        }),
+        complete: {
+          key: async (value) => {
+            const prefix = String(value || "").toUpperCase();
+            return (await recentIssues()).map((i) => i.key).filter((key) => key.startsWith(prefix));
+          },
+        },
+      }),
+      {
+        title: "Jira issue",
+        description:
+          "A Jira issue as Markdown: summary, status, people, description, details, comments and links. " +
+          "Listed: your open assigned issues and recently viewed ones.",
+        mimeType: "text/markdown",
+      },
+      async (uri, variables) => {
+        const contents = await readIssueResource(jira, variable(variables.key).toUpperCase(), env);
+        return { contents: [{ ...contents, uri: uri.href }] };
+      }
+    );
+  }
+
+  if (confluence) {
+    const WIKI = confluenceWikiPath(confluence, env);
+    const recentPages = () =>
+      listOrEmpty(async () => {
+        const data = await confluence.get(`${WIKI}/rest/api/search`, { cql: RECENT_PAGES_CQL, limit: LIST_LIMIT });
+        return (data.results || []).map((r) => searchHit(confluence, WIKI, r)).filter((hit) => hit.id);
+      });
+
+    mcp.registerResource(
+      "confluence-page",
+      new ResourceTemplate("confluence://page/{id}", {
+        list: async () => ({
+          resources: (await recentPages()).map((hit) => ({
+            uri: pageUri(hit.id),
+            name: hit.id,
+            title: hit.title,
+            description: [hit.spaceKey, hit.lastModified && `modified ${hit.lastModified}`].filter(Boolean).join(" | "),
+            mimeType: "text/markdown",
+          })),
+        }),
+        complete: {
+          id: async (value) => {
+            const prefix = String(value || "");
+            return (await recentPages()).map((hit) => hit.id).filter((id) => id.startsWith(prefix));
+          },
+        },
+      }),
+      {
+        title: "Confluence page",
+        description:
+          "A Confluence page body as Markdown, with its title, URL, space, version and labels. " +
+          "Listed: pages you recently contributed to or marked as favourite.",
+        mimeType: "text/markdown",
+      },
+      async (uri, variables) => {
+        const contents = await readPageResource(confluence, variable(variables.id), env);
+        return { contents: [{ ...contents, uri: uri.href }] };
+      }
+    );
+  }
+}
@@ -0,0 +1,272 @@
+// In-process cache of whole tool responses for Jira issues and Confluence pages. Before an entry is reused it
+// is revalidated with a cheap request (the issue's `updated` stamp, the page's version number); entries also
+// expire after a TTL, are bounded by count and size, and can be persisted to a file between runs.
+import fs from "node:fs/promises";
+import { mkdirSync, renameSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+const CACHE_FORMAT = 1;
+const DEFAULT_TTL_SECONDS = 900;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_MB = 50;
+// Writes to the cache file are batched; the last batch is flushed when the process winds down or is stopped
+const SAVE_DELAY_MS = 1000;
+const STOP_SIGNALS = ["SIGINT", "SIGTERM"];
+
+// One cache per configuration, shared by every server in the process (the HTTP transport builds one per session)
+const caches = new Map();
+
+function readNumber(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Cache settings from the environment: ATLASSIAN_CACHE (on by default; false/0/no/off disables it),
+ * ATLASSIAN_CACHE_TTL_SECONDS (max entry age, default 900), ATLASSIAN_CACHE_FRESH_SECONDS (how long an entry
+ * is served without revalidating, default 0 = always revalidate), ATLASSIAN_CACHE_MAX_ENTRIES (default 500),
+ * ATLASSIAN_CACHE_MAX_MB (default 50) and ATLASSIAN_CACHE_FILE (persist entries to this file).
+ * @param {Record<string, string | undefined>} env
+ */
+export function cacheSettings(env = process.env) {
+  return {
+    enabled: !/^(0|false|no|off)$/i.test(String(env.ATLASSIAN_CACHE ?? "").trim()),
+    ttlMs: readNumber(env.ATLASSIAN_CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000,
+    freshMs: readNumber(env.ATLASSIAN_CACHE_FRESH_SECONDS, 0) * 1000,
+    maxEntries: readNumber(env.ATLASSIAN_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+    maxBytes: readNumber(env.ATLASSIAN_CACHE_MAX_MB, DEFAULT_MAX_MB) * 1024 * 1024,
+    file: env.ATLASSIAN_CACHE_FILE ? path.resolve(env.ATLASSIAN_CACHE_FILE) : null,
+  };
+}
+
+/**
+ * The identity a client's entries are filed under: its credentials plus the guardrail scope it applies
+ * (allowed projects/spaces, redacted fields), so a more restricted server never serves what a wider one fetched.
+ * @param {{ identity: string, scope?: object }} client
+ */
+export function cacheIdentity(client) {
+  if (!client.scope) return client.identity;
+  return `${client.identity}:${createHash("sha256").update(JSON.stringify(client.scope)).digest("hex").slice(0, 16)}`;
+}
+
+/**
+ * The shared cache for this environment's settings.
+ * @param {Record<string, string | undefined>} env
+ */
+export function getResponseCache(env = process.env) {
+  const settings = cacheSettings(env);
+  const key = JSON.stringify(settings);
+  if (!caches.has(key)) caches.set(key, createResponseCache(settings));
+  return caches.get(key);
+}
+
+/**
+ * A cache of responses keyed by credential identity, resource and request variant. The identity keeps one
+ * account's entries from ever being served to another.
+ * @param {ReturnType<typeof cacheSettings>} settings
+ */
+export function createResponseCache(settings) {
+  // Map order doubles as recency: a hit moves the entry to the end, eviction takes from the front
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, stale: 0, expired: 0, evictions: 0 };
+  let bytes = 0;
+  let loading = null;
+  let saveTimer = null;
+
+  const keyOf = (identity, resource, variant) => `${identity}|${resource}|${variant}`;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.bytes;
+  }
+
+  function evict() {
+    for (const key of entries.keys()) {
+      if (entries.size <= settings.maxEntries && bytes <= settings.maxBytes) break;
+      remove(key);
+      stats.evictions++;
+    }
+  }
+
+  const serialize = () => JSON.stringify({ format: CACHE_FORMAT, entries: Array.from(entries) });
+
+  async function save() {
+    saveTimer = null;
+    const tmp = `${settings.file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(settings.file), { recursive: true });
+    await fs.writeFile(tmp, serialize(), { mode: 0o600 });
+    await fs.rename(tmp, settings.file);
+  }
+
+  // A signal ends the process without waiting for promises, so the pending batch is written synchronously
+  function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = `${settings.file}.${process.pid}.tmp`;
+    try {
+      mkdirSync(path.dirname(settings.file), { recursive: true });
+      writeFileSync(tmp, serialize(), { mode: 0o600 });
+      renameSync(tmp, settings.file);
+    } catch (err) {
+      console.error("Failed to save the response cache:", err);
+    }
+  }
+
+  function scheduleSave() {
+    if (!settings.file || saveTimer) return;
+    const flush = () => save().catch((err) => console.error("Failed to save the response cache:", err));
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  if (settings.file) {
+    process.once("beforeExit", () => {
+      if (!saveTimer) return;
+      clearTimeout(saveTimer);
+      save().catch((err) => console.error("Failed to save the response cache:", err));
+    });
+    // Listening replaces the default exit on these signals, so the signal is raised again once saved
+    for (const signal of STOP_SIGNALS) {
+      process.once(signal, () => {
+        if (saveTimer) saveNow();
+        process.kill(process.pid, signal);
+      });
+    }
+  }
+
+  function load() {
+    if (!settings.file) return Promise.resolve();
+    loading ||= fs
+      .readFile(settings.file, "utf8")
+      .then((text) => {
+        const stored = JSON.parse(text);
+        if (stored.format !== CACHE_FORMAT || !Array.isArray(stored.entries)) return;
+        const now = Date.now();
+        for (const [key, entry] of stored.entries) {
+          if (now - entry.storedAt > settings.ttlMs || entries.has(key)) continue;
+          entries.set(key, entry);
+          bytes += entry.bytes;
+        }
+        evict();
+      })
+      .catch((err) => {
+        // A missing or corrupt file just means starting empty
+        if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) {
+          console.error("Failed to load the response cache:", err);
+        }
+      });
+    return loading;
+  }
+
+  function store(key, fields, version, value) {
+    remove(key);
+    if (version === undefined || version === null) return;
+    const size = Buffer.byteLength(JSON.stringify(value));
+    // Something that alone overflows the cache would only push everything else out
+    if (size > settings.maxBytes) return;
+    const now = Date.now();
+    entries.set(key, {
+      ...fields,
+      version: String(version),
+      value,
+      bytes: size,
+      storedAt: now,
+      validatedAt: now,
+      hits: 0,
+    });
+    bytes += size;
+    evict();
+    scheduleSave();
+  }
+
+  return {
+    settings,
+
+    /**
+     * Serve `resource` from the cache when its stored version still matches, otherwise load and store it.
+     * @param {string} identity Credential identity of the client making the request
+     * @param {string} resource e.g. "jira:ENG-1" or "confluence:12345"
+     * @param {string} variant Request options that change the response (format, sections, ...)
+     * @param {{ version: () => Promise<string | number | null | undefined>,
+     *   load: () => Promise<{ version: string | number | null | undefined, value: any }> }} source
+     *   version() fetches only the current version; load() fetches the full response and its version
+     * @returns {Promise<{ value: any, cache: "hit" | "miss" | "off" }>}
+     */
+    async through(identity, resource, variant, source) {
+      if (!settings.enabled) return { value: (await source.load()).value, cache: "off" };
+      await load();
+      const key = keyOf(identity, resource, variant);
+      const entry = entries.get(key);
+      const now = Date.now();
+      if (entry && now - entry.storedAt > settings.ttlMs) {
+        remove(key);
+        stats.expired++;
+      } else if (entry) {
+        const fresh = now - entry.validatedAt < settings.freshMs;
+        if (fresh || String(await source.version()) === entry.version) {
+          entries.delete(key);
+          entries.set(key, entry);
+          entry.hits++;
+          if (!fresh) entry.validatedAt = now;
+          stats.hits++;
+          return { value: entry.value, cache: "hit" };
+        }
+        stats.stale++;
+      }
+      stats.misses++;
+      const { version, value } = await source.load();
+      store(key, { identity, resource, variant }, version, value);
+      return { value, cache: "miss" };
+    },
+
+    /** Drop every variant of `resource` (after a write through one of the tools). */
+    invalidate(identity, resource) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.identity === identity && entry.resource === resource) {
+          remove(key);
+          removed++;
+        }
+      }
+      if (removed) scheduleSave();
+      return removed;
+    },
+
+    /**
+     * Drop the entries of these identities, optionally only those of one resource.
+     * @returns {Promise<number>} How many entries were removed
+     */
+    async clear(identities, resource) {
+      await load();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (identities.includes(entry.identity) && (!resource || entry.resource === resource)) {
+          remove(key);
+          removed++;
+        }
+      }
+      if (removed) scheduleSave();
+      return removed;
+    },
+
+    /** Entries of these identities (most recently used last) and process-wide counters. */
+    async inspect(identities, resource) {
+      await load();
+      const now = Date.now();
+      const visible = Array.from(entries.values())
+        .filter((e) => identities.includes(e.identity) && (!resource || e.resource === resource))
+        .map((e) => ({
+          resource: e.resource,
+          variant: e.variant,
+          version: e.version,
+          bytes: e.bytes,
+          ageSeconds: Math.round((now - e.storedAt) / 1000),
+          hits: e.hits,
+        }));
+      return { stats: { ...stats, entries: entries.size, bytes }, entries: visible };
+    },
+  };
+}
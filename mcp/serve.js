@@ -0,0 +1,24 @@
+// Run an MCP server over stdio (default) or HTTP (`--http` or MCP_TRANSPORT=http).
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { startHttpServer } from "./http-server.js";
+
+export function transportMode(argv = process.argv, env = process.env) {
+  if (argv.includes("--http")) return "http";
+  if (argv.includes("--stdio")) return "stdio";
+  return (env.MCP_TRANSPORT || "stdio").toLowerCase() === "http" ? "http" : "stdio";
+}
+
+/**
+ * @param {(env: Record<string, string | undefined>) => import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} createServer
+ * @param {{ name: string, health?: Record<string, unknown> }} options
+ */
+export async function serve(createServer, options) {
+  if (transportMode() === "http") {
+    return startHttpServer(createServer, options);
+  }
+  const mcp = createServer(process.env);
+  const transport = new StdioServerTransport();
+  await mcp.connect(transport);
+  console.error(`${options.name} MCP server ready on stdio`);
+  return mcp;
+}
@@ -0,0 +1,153 @@
+// Query ladder and ranking for search_confluence_solutions: key terms from the problem description, CQL from
+// strict to relaxed, and a score per page that explains itself. Pure apart from the clock passed in.
+import { cqlString } from "./cql.js";
+
+export const SOLUTION_LABELS = [
+  "troubleshooting",
+  "how-to",
+  "kb-how-to-article",
+  "resolution",
+  "fix",
+  "setup",
+  "install",
+  "configure",
+  "runbook",
+];
+
+export const SOLUTION_TITLE_WORDS = [
+  "troubleshoot",
+  "solution",
+  "resolve",
+  "error",
+  "fix",
+  "how to",
+  "how-to",
+  "setup",
+  "install",
+  "configure",
+  "guide",
+  "runbook",
+];
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can cannot could did do does doing for from get gets getting got had has have " +
+    "how i if in into is it its just me my no not of on or our out so some that the their them then there these they " +
+    "this to too up us was we were what when where which while who why will with would you your after before again " +
+    "still also only very any all now than being because about over same seems seem keep keeps trying tried try " +
+    "customer customers user users issue issues problem problems help please work works working happen happens"
+  ).split(" ")
+);
+
+const MAX_TERMS = 8;
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+// Tokens that look like identifiers rather than prose: NXDOMAIN, ERR_SSL_PROTOCOL, 0x80070005, 502, SSL3
+function isCode(token) {
+  return /^(?:[A-Z][A-Z0-9_]{2,}|0x[0-9a-f]+|\d{3,}|[A-Za-z]+\d+[A-Za-z0-9]*|[a-z]+_[a-z0-9_]+)$/.test(token);
+}
+
+/**
+ * Pull the terms worth searching for out of a problem description: error codes first, then other words,
+ * in order of appearance, without stopwords or duplicates.
+ * @returns {Array<{ term: string, code: boolean }>} term is lowercase
+ */
+export function extractTerms(text) {
+  const seen = new Set();
+  const codes = [];
+  const words = [];
+  for (const raw of String(text || "").match(/[A-Za-z0-9][A-Za-z0-9_.-]*[A-Za-z0-9]|[A-Za-z0-9]/g) || []) {
+    const token = raw.replace(/\.+$/, "");
+    const term = token.toLowerCase();
+    if (seen.has(term) || STOPWORDS.has(term)) continue;
+    if (!isCode(token) && (term.length < 3 || /^\d+$/.test(term))) continue;
+    seen.add(term);
+    (isCode(token) ? codes : words).push({ term, code: isCode(token) });
+  }
+  return [...codes, ...words].slice(0, MAX_TERMS);
+}
+
+/**
+ * The CQL ladder, strictest first. Each later query drops a constraint, so a page that misses the solution
+ * labels or title words (or the exact wording) can still be found.
+ * @param {{ issue: string, terms: Array<{ term: string }>, labels: string[], spaces?: string[] }} input
+ * @returns {Array<{ name: string, cql: string }>}
+ */
+export function solutionQueries({ issue, terms, labels, spaces }) {
+  const base = ["type = page"];
+  if (spaces && spaces.length) base.push(`space in (${spaces.map(cqlString).join(", ")})`);
+  const text = `text ~ ${cqlString(issue)}`;
+  const labelCql = `label in (${labels.map(cqlString).join(", ")})`;
+  const titleCql = SOLUTION_TITLE_WORDS.map((w) => `title ~ ${cqlString(w)}`).join(" OR ");
+  const cql = (...parts) => [...base, ...parts].join(" AND ");
+
+  const queries = [
+    { name: "strict", cql: cql(text, `(${titleCql})`, labelCql) },
+    { name: "solution-like", cql: cql(text, `(${labelCql} OR ${titleCql})`) },
+    { name: "full text", cql: cql(text) },
+  ];
+  if (terms.length > 1) {
+    const anyTerm = terms.map(({ term }) => `text ~ ${cqlString(term)}`).join(" OR ");
+    queries.push({ name: "any key term", cql: cql(`(${anyTerm})`) });
+  }
+  return queries;
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function ageInDays(lastModified, now) {
+  const ms = Date.parse(lastModified || "");
+  return Number.isFinite(ms) ? Math.max(0, (now - ms) / 86400000) : null;
+}
+
+/**
+ * Score one candidate page. Signals: key terms in the title and in the excerpt (error codes count double),
+ * solution labels (caller-supplied labels weigh more), solution words in the title, how strict the query that
+ * found it was, and a recency bonus that halves every 180 days.
+ * @param {{ title: string, excerpt: string, labels: string[], lastModified?: string, matchedBy: string[] }} page
+ * @param {{ terms: Array<{ term: string, code: boolean }>, preferredLabels: string[], queryNames: string[], now?: number }} context
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreSolution(page, { terms, preferredLabels, queryNames, now = Date.now() }) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    if (points <= 0) return;
+    score += points;
+    reasons.push(`${reason} (+${round(points)})`);
+  };
+
+  const weightOf = (list) => list.reduce((sum, t) => sum + (t.code ? 2 : 1), 0);
+  const total = weightOf(terms) || 1;
+  const title = page.title.toLowerCase();
+  const excerpt = page.excerpt.toLowerCase();
+  const inTitle = terms.filter(({ term }) => title.includes(term));
+  const inExcerpt = terms.filter(({ term }) => excerpt.includes(term));
+  if (inTitle.length) {
+    add((4 * weightOf(inTitle)) / total, `title has ${inTitle.map((t) => t.term).join(", ")}`);
+  }
+  if (inExcerpt.length) {
+    add((3 * weightOf(inExcerpt)) / total, `text has ${inExcerpt.length}/${terms.length} key terms`);
+  }
+
+  const pageLabels = page.labels.map((l) => l.toLowerCase());
+  const preferred = preferredLabels.filter((l) => pageLabels.includes(l.toLowerCase()));
+  const solution = SOLUTION_LABELS.filter((l) => pageLabels.includes(l) && !preferred.includes(l));
+  if (preferred.length) add(Math.min(3, 1.5 * preferred.length), `labelled ${preferred.join(", ")} (requested)`);
+  if (solution.length) add(Math.min(2, solution.length), `labelled ${solution.join(", ")}`);
+
+  const titleWord = SOLUTION_TITLE_WORDS.find((w) => title.includes(w));
+  if (titleWord) add(1, `title reads like a solution ("${titleWord}")`);
+
+  // Earlier (stricter) queries are worth more; the last query in the ladder adds nothing
+  const strictest = Math.min(...page.matchedBy.map((name) => queryNames.indexOf(name)).filter((i) => i >= 0));
+  if (Number.isFinite(strictest)) add(queryNames.length - 1 - strictest, `matched the ${queryNames[strictest]} query`);
+
+  const age = ageInDays(page.lastModified, now);
+  if (age !== null) {
+    add(1.5 * 0.5 ** (age / RECENCY_HALF_LIFE_DAYS), `updated ${Math.round(age)} days ago`);
+  }
+  return { score: round(score), reasons };
+}
@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { createAtlassianClient } from "../atlassian-client.js";
+
+let mock;
+let dir;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "atlassian-auth-"));
+});
+after(async () => {
+  await mock.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+beforeEach(() => mock.reset());
+
+// OAuth sessions are shared per client ID and refresh token, so each test names its own client
+function oauthClient(clientId, extra = {}) {
+  return createAtlassianClient({
+    product: "Jira",
+    env: {
+      ATLASSIAN_BASE_URL: mock.baseUrl,
+      ATLASSIAN_OAUTH_AUTH_URL: mock.baseUrl,
+      ATLASSIAN_OAUTH_API_URL: mock.baseUrl,
+      ATLASSIAN_OAUTH_CLIENT_ID: clientId,
+      ATLASSIAN_OAUTH_CLIENT_SECRET: "secret",
+      ATLASSIAN_MAX_RETRIES: "0",
+      ...extra,
+    },
+  });
+}
+
+const paths = () => mock.requests.map((r) => `${r.method} ${r.path}`);
+
+test("a Personal Access Token is sent as a Bearer token and implies Data Center", async () => {
+  const jira = createAtlassianClient({
+    product: "Jira",
+    env: { ATLASSIAN_BASE_URL: mock.baseUrl, ATLASSIAN_PAT: "shared-pat", JIRA_PAT: "jira-pat" },
+  });
+  assert.deepEqual([jira.authType, jira.deployment], ["pat", "datacenter"]);
+  assert.equal((await jira.get("/rest/api/3/myself")).accountId, "acc-agent");
+  assert.equal(mock.requests[0].headers.authorization, "Bearer jira-pat");
+
+  const missing = createAtlassianClient({ product: "Jira", env: { ATLASSIAN_AUTH_TYPE: "pat" } });
+  await assert.rejects(missing.get("/rest/api/3/myself"), (err) => {
+    assert.equal(err.kind, "config");
+    assert.match(err.message, /ATLASSIAN_BASE_URL, ATLASSIAN_PAT/);
+    return true;
+  });
+});
+
+test("ATLASSIAN_AUTH_TYPE is read loosely but an unknown type is refused rather than guessed", () => {
+  const client = (type) =>
+    createAtlassianClient({
+      product: "Jira",
+      env: { ATLASSIAN_BASE_URL: mock.baseUrl, ATLASSIAN_AUTH_TYPE: type, ATLASSIAN_PAT: "pat" },
+    });
+  assert.equal(client("PAT ").authType, "pat");
+  assert.throws(
+    () => client("bearer"),
+    (err) => err.kind === "config" && /ATLASSIAN_AUTH_TYPE must be one of basic, pat, oauth/.test(err.message)
+  );
+});
+
+test("OAuth looks up the site's cloud ID once and calls the API gateway", async () => {
+  const jira = oauthClient("lookup", { ATLASSIAN_OAUTH_ACCESS_TOKEN: "access-1" });
+  assert.deepEqual([jira.authType, jira.deployment], ["oauth", "cloud"]);
+  await jira.get("/rest/api/3/myself");
+  await jira.get("/rest/api/3/issue/CARE-1");
+  assert.deepEqual(paths(), [
+    "GET /oauth/token/accessible-resources",
+    "GET /ex/jira/cloud-1/rest/api/3/myself",
+    "GET /ex/jira/cloud-1/rest/api/3/issue/CARE-1",
+  ]);
+
+  mock.requests.length = 0;
+  const pinned = oauthClient("pinned", { ATLASSIAN_OAUTH_ACCESS_TOKEN: "access-1", ATLASSIAN_CLOUD_ID: "cloud-1" });
+  await pinned.get("/rest/api/3/myself");
+  assert.deepEqual(paths(), ["GET /ex/jira/cloud-1/rest/api/3/myself"]);
+
+  const elsewhere = oauthClient("elsewhere", {
+    ATLASSIAN_OAUTH_ACCESS_TOKEN: "access-1",
+    JIRA_BASE_URL: "https://unknown.atlassian.net",
+  });
+  await assert.rejects(elsewhere.get("/rest/api/3/myself"), (err) => {
+    assert.equal(err.kind, "config");
+    assert.match(err.message, /no access to https:\/\/unknown\.atlassian\.net/);
+    return true;
+  });
+});
+
+test("an OAuth token rejected with 401 is refreshed once and the request retried", async () => {
+  const jira = oauthClient("on-401", {
+    ATLASSIAN_OAUTH_ACCESS_TOKEN: "revoked",
+    ATLASSIAN_OAUTH_REFRESH_TOKEN: "refresh-1",
+    ATLASSIAN_CLOUD_ID: "cloud-1",
+  });
+  assert.equal((await jira.get("/rest/api/3/myself")).accountId, "acc-agent");
+  assert.deepEqual(paths(), [
+    "GET /ex/jira/cloud-1/rest/api/3/myself",
+    "POST /oauth/token",
+    "GET /ex/jira/cloud-1/rest/api/3/myself",
+  ]);
+  assert.deepEqual(mock.requests[1].body, {
+    grant_type: "refresh_token",
+    client_id: "on-401",
+    client_secret: "secret",
+    refresh_token: "refresh-1",
+  });
+  assert.equal(mock.requests[2].headers.authorization, "Bearer access-2");
+
+  // A refresh token that was already spent fails as an auth error instead of looping
+  mock.oauth.accessToken = "rotated-elsewhere";
+  mock.oauth.refreshToken = "rotated-elsewhere";
+  await assert.rejects(jira.get("/rest/api/3/myself"), (err) => err.kind === "auth" && err.status === 403);
+});
+
+test("refreshed OAuth tokens are persisted to the token file and preferred on the next start", async () => {
+  const tokenFile = path.join(dir, "oauth.json");
+  const env = {
+    ATLASSIAN_OAUTH_ACCESS_TOKEN: "access-1",
+    ATLASSIAN_OAUTH_REFRESH_TOKEN: "refresh-1",
+    ATLASSIAN_OAUTH_EXPIRES_AT: "2020-01-01T00:00:00Z",
+    ATLASSIAN_OAUTH_TOKEN_FILE: tokenFile,
+    ATLASSIAN_CLOUD_ID: "cloud-1",
+  };
+  // Expired according to the environment: refreshed before the first request
+  await oauthClient("first-run", env).get("/rest/api/3/myself");
+  assert.deepEqual(paths(), ["POST /oauth/token", "GET /ex/jira/cloud-1/rest/api/3/myself"]);
+  const saved = JSON.parse(await fs.readFile(tokenFile, "utf8"));
+  assert.equal(saved.access_token, "access-2");
+  assert.equal(saved.refresh_token, "refresh-2");
+  assert.ok(saved.expires_at > Date.now());
+  assert.equal((await fs.stat(tokenFile)).mode & 0o777, 0o600);
+
+  // A restart with the same, now spent, environment tokens uses the saved pair instead
+  mock.requests.length = 0;
+  await oauthClient("second-run", env).get("/rest/api/3/myself");
+  assert.deepEqual(paths(), ["GET /ex/jira/cloud-1/rest/api/3/myself"]);
+  assert.equal(mock.requests[0].headers.authorization, "Bearer access-2");
+});
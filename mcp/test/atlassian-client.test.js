@@ -0,0 +1,124 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian, mockResponse } from "./mock-atlassian.js";
+import { createAtlassianClient, AtlassianError, errorResult } from "../atlassian-client.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockAtlassian();
+});
+after(() => mock.close());
+beforeEach(() => mock.reset());
+
+function client(extra = {}) {
+  return createAtlassianClient({
+    product: "Jira",
+    env: {
+      ATLASSIAN_BASE_URL: mock.baseUrl,
+      ATLASSIAN_EMAIL: "agent@example.com",
+      ATLASSIAN_API_TOKEN: "test-token",
+      ...extra,
+    },
+  });
+}
+
+test("429 responses are retried after Retry-After", async () => {
+  let calls = 0;
+  mock.override("GET", /\/issue\/CARE-1$/, () =>
+    ++calls === 1 ? mockResponse(429, { message: "slow down" }, { "Retry-After": "0" }) : mockResponse(200, { key: "CARE-1" })
+  );
+  const data = await client().get("/rest/api/3/issue/CARE-1");
+  assert.equal(data.key, "CARE-1");
+  assert.equal(calls, 2);
+});
+
+test("5xx is retried for GET but not for plain POST", async () => {
+  let gets = 0;
+  let posts = 0;
+  mock.override("GET", /\/serverinfo$/, () =>
+    ++gets < 2 ? mockResponse(503, "busy", { "Retry-After": "0" }) : mockResponse(200, { ok: true })
+  );
+  mock.override("POST", /\/issue$/, () => (++posts, mockResponse(503, "busy", { "Retry-After": "0" })));
+
+  assert.deepEqual(await client().get("/rest/api/3/serverinfo"), { ok: true });
+  await assert.rejects(client().post("/rest/api/3/issue", { fields: {} }), (err) => {
+    assert.ok(err instanceof AtlassianError);
+    assert.equal(err.kind, "server");
+    assert.equal(err.status, 503);
+    return true;
+  });
+  assert.equal(posts, 1);
+});
+
+test("requests that exceed the timeout fail with kind timeout", async () => {
+  mock.override("GET", /\/hang$/, () => null);
+  await assert.rejects(
+    client({ ATLASSIAN_TIMEOUT_MS: "50", ATLASSIAN_MAX_RETRIES: "0" }).get("/hang"),
+    (err) => err.kind === "timeout"
+  );
+});
+
+test("a body that stalls after the headers still times out", async () => {
+  mock.override("GET", /\/stall$/, ({ res }) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write('{"key":');
+    return null;
+  });
+  await assert.rejects(
+    client({ ATLASSIAN_TIMEOUT_MS: "50", ATLASSIAN_MAX_RETRIES: "0" }).get("/stall"),
+    (err) => err instanceof AtlassianError && err.kind === "timeout"
+  );
+});
+
+test("a successful response that is not JSON fails with a structured error", async () => {
+  mock.override("GET", /\/login$/, () => mockResponse(200, "<html>Log in</html>", { "Content-Type": "text/html" }));
+  await assert.rejects(client({ ATLASSIAN_MAX_RETRIES: "0" }).get("/login"), (err) => {
+    assert.ok(err instanceof AtlassianError);
+    assert.equal(err.kind, "server");
+    assert.equal(err.status, 200);
+    assert.match(err.details, /Log in/);
+    return true;
+  });
+});
+
+test("HTTP statuses map to error kinds", async () => {
+  const cases = [
+    [401, "auth"],
+    [403, "permission"],
+    [404, "not_found"],
+    [409, "conflict"],
+    [400, "bad_request"],
+  ];
+  for (const [status, kind] of cases) {
+    mock.reset();
+    mock.override("GET", /\/status$/, () => mockResponse(status, { errorMessages: [`status ${status}`] }));
+    await assert.rejects(client({ ATLASSIAN_MAX_RETRIES: "0" }).get("/status"), (err) => {
+      assert.equal(err.kind, kind);
+      assert.equal(err.details, `status ${status}`);
+      return true;
+    });
+  }
+});
+
+test("missing credentials throw a config error before any request", async () => {
+  const bare = createAtlassianClient({ product: "Confluence", env: {} });
+  await assert.rejects(bare.get("/anything"), (err) => {
+    assert.equal(err.kind, "config");
+    assert.match(err.message, /ATLASSIAN_BASE_URL, ATLASSIAN_EMAIL, ATLASSIAN_API_TOKEN/);
+    return true;
+  });
+  assert.equal(mock.requests.length, 0);
+});
+
+test("errorResult formats Atlassian errors with a hint", () => {
+  const result = errorResult(
+    new AtlassianError("throttled", "429 Too Many Requests", { status: 429, details: "Rate limit exceeded" }),
+    "Failed to search Jira"
+  );
+  assert.equal(result.isError, true);
+  assert.equal(
+    result.content[0].text,
+    "Failed to search Jira (throttled): 429 Too Many Requests\nRate limit exceeded\nAtlassian is rate limiting requests; try again shortly."
+  );
+});
@@ -0,0 +1,170 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startMockAtlassian, mockResponse } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+import { tokenize, chunkMarkdown, hashVector } from "../confluence-index.js";
+
+let mock;
+let dir;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "confluence-index-"));
+});
+after(async () => {
+  await mock.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+beforeEach(() => mock.reset());
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+test("tokenize lowercases, drops stopwords and strips common suffixes", () => {
+  assert.deepEqual(tokenize("Why are the Domains failing after Transfers? ERR_SSL"), [
+    "domain",
+    "fail",
+    "after",
+    "transfer",
+    "err_ssl",
+  ]);
+});
+
+test("chunkMarkdown keeps heading trails, ignores # inside code and windows long sections", () => {
+  const md = [
+    "Intro line.",
+    "## Setup",
+    "### DNS",
+    "Point NS records.",
+    "```bash",
+    "# not a heading",
+    "```",
+    "## Rollback",
+    "Undo.",
+  ].join("\n");
+  assert.deepEqual(chunkMarkdown(md), [
+    { heading: "", text: "Intro line." },
+    { heading: "Setup › DNS", text: "Point NS records.\n```bash\n# not a heading\n```" },
+    { heading: "Rollback", text: "Undo." },
+  ]);
+
+  const words = Array.from({ length: 400 }, (_, i) => `w${i}`);
+  const chunks = chunkMarkdown(words.join(" "));
+  assert.deepEqual(chunks.map((c) => c.text.split(" ").length), [180, 180, 100]);
+  assert.equal(chunks[1].text.split(" ")[0], "w150");
+});
+
+test("hashVector scores misspellings closer than unrelated text", () => {
+  const page = hashVector("Renew certificates from the SSL dashboard");
+  assert.ok(dot(hashVector("certificat renewel"), page) > dot(hashVector("pizza on fridays"), page) + 0.2);
+});
+
+test("semantic_search_confluence indexes configured spaces and re-fetches only changed pages", async () => {
+  const client = await connect(mockEnv(mock, { CONFLUENCE_INDEX_SPACES: "CARE", CONFLUENCE_INDEX_DIR: dir }));
+  try {
+    const first = await callTool(client, "semantic_search_confluence", { query: "domains return NXDOMAIN" });
+    assert.equal(first.isError, false);
+    const fetched = () => mock.requests.filter((r) => /\/content\/\d+$/.test(r.path)).map((r) => r.path.split("/").pop());
+    assert.deepEqual(fetched(), ["2001", "2002", "2004", "2005"]);
+    assert.match(first.text, /^Best-matching sections for "domains return NXDOMAIN"\nIndex: CARE: 4 pages, synced /);
+    assert.match(first.text, /\nSynced CARE: 4 page\(s\) fetched, 0 removed, 4 indexed\.\n/);
+    assert.match(
+      first.text,
+      /\n\n1\. DNS Runbook › Symptoms — score 1\n   .*\/wiki\/spaces\/CARE\/pages\/2001\n   Domains return NXDOMAIN/
+    );
+    const [top] = first.result.structuredContent.results;
+    assert.equal(top.pageId, "2001");
+    assert.equal(top.version, 4);
+    assert.equal(top.similarity, null);
+    assert.equal(first.result.structuredContent.embeddings, null);
+
+    // Still fresh: searched straight from the index
+    mock.reset();
+    await callTool(client, "semantic_search_confluence", { query: "auth code" });
+    assert.equal(mock.requests.length, 0);
+
+    // A new version of one page and a deleted page: only the changed page is fetched again
+    const registrar = mock.state.pages.find((p) => p.id === "2004");
+    registrar.version = { ...registrar.version, number: 3 };
+    registrar.body = "<p>Request the EPP auth code from the losing registrar.</p>";
+    mock.state.pages = mock.state.pages.filter((p) => p.id !== "2005");
+    mock.requests.length = 0;
+    const forced = await callTool(client, "semantic_search_confluence", { query: "auth code", refresh: "force" });
+    assert.deepEqual(fetched(), ["2004"]);
+    assert.match(forced.text, /Synced CARE: 1 page\(s\) fetched, 1 removed, 3 indexed\./);
+    assert.deepEqual(forced.result.structuredContent.results.map((r) => r.pageId), ["2004"]);
+
+    const [file] = await fs.readdir(dir);
+    assert.match(file, /^127\.0\.0\.1_\d+-basic-[0-9a-f]{16}\.json$/);
+    const stored = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+    assert.deepEqual(Object.keys(stored.pages).sort(), ["2001", "2002", "2004"]);
+  } finally {
+    await client.close();
+  }
+});
+
+test("semantic_search_confluence falls back to the stored index when a sync fails", async () => {
+  const client = await connect(mockEnv(mock, { CONFLUENCE_INDEX_SPACES: "CARE", CONFLUENCE_INDEX_DIR: dir }));
+  try {
+    mock.override("GET", /\/wiki\/rest\/api\/content$/, () => mockResponse(503, { message: "Maintenance" }));
+    const stale = await callTool(client, "semantic_search_confluence", { query: "NXDOMAIN", refresh: "force" });
+    assert.equal(stale.isError, false);
+    assert.match(stale.text, /\nSync failed \(server: 503 Service Unavailable\); searching the last synced copy\.\n/);
+    assert.equal(stale.result.structuredContent.results[0].pageId, "2001");
+
+    const never = await callTool(client, "semantic_search_confluence", { query: "NXDOMAIN", spaces: ["TEAM"] });
+    assert.equal(never.isError, true);
+    assert.match(never.text, /^Failed to search the Confluence index \(server\): 503 Service Unavailable/);
+  } finally {
+    await client.close();
+  }
+});
+
+test("semantic_search_confluence fetches a limited number of pages per search and ignores space key case", async () => {
+  const partialDir = path.join(dir, "partial");
+  const client = await connect(
+    mockEnv(mock, { CONFLUENCE_INDEX_DIR: partialDir, CONFLUENCE_INDEX_FETCHES_PER_SEARCH: "3" })
+  );
+  try {
+    const first = await callTool(client, "semantic_search_confluence", { query: "NXDOMAIN", spaces: ["care", "CARE"] });
+    assert.match(first.text, /\nIndex: CARE: 3 pages, never synced\nSynced CARE: 3 page\(s\) fetched, 0 removed, 3 indexed; 1 left/);
+    assert.equal(first.result.structuredContent.results[0].pageId, "2001");
+
+    // The next search picks up where the first stopped, whatever the case of the key
+    const second = await callTool(client, "semantic_search_confluence", { query: "NXDOMAIN", spaces: ["Care"] });
+    assert.match(second.text, /\nSynced CARE: 1 page\(s\) fetched, 0 removed, 4 indexed\.\n/);
+    mock.requests.length = 0;
+    await callTool(client, "semantic_search_confluence", { query: "NXDOMAIN", spaces: ["care"] });
+    assert.equal(mock.requests.length, 0);
+
+    const [file] = await fs.readdir(partialDir);
+    assert.equal((await fs.stat(path.join(partialDir, file))).mode & 0o777, 0o600);
+  } finally {
+    await client.close();
+  }
+});
+
+test("semantic_search_confluence blends hash embeddings into the score and needs spaces", async () => {
+  const hashDir = path.join(dir, "hash");
+  const client = await connect(
+    mockEnv(mock, { CONFLUENCE_INDEX_SPACES: "CARE", CONFLUENCE_INDEX_DIR: hashDir, CONFLUENCE_INDEX_EMBEDDINGS: "hash" })
+  );
+  try {
+    const { result } = await callTool(client, "semantic_search_confluence", { query: "certificat renewel" });
+    assert.equal(result.structuredContent.embeddings, "hash");
+    const [top] = result.structuredContent.results;
+    assert.equal(top.pageId, "2002");
+    assert.equal(top.bm25, 0);
+    assert.ok(top.similarity > 0.3);
+
+    const unconfigured = await connect(mockEnv(mock, { CONFLUENCE_INDEX_DIR: hashDir }));
+    const none = await callTool(unconfigured, "semantic_search_confluence", { query: "dns" });
+    await unconfigured.close();
+    assert.equal(none.isError, true);
+    assert.equal(none.text, "No spaces to search: set CONFLUENCE_INDEX_SPACES or pass 'spaces'.");
+  } finally {
+    await client.close();
+  }
+});
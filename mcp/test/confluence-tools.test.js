@@ -0,0 +1,382 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian, mockResponse } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(() => mock.reset());
+
+test("search_confluence builds CQL from filters and formats results", async () => {
+  const { text, isError } = await callTool(client, "search_confluence", {
+    query: "dns",
+    spaces: ["CARE"],
+    type: "page",
+    labels: ["troubleshooting"],
+    modifiedAfter: "-30d",
+  });
+  assert.equal(isError, false);
+  const cql = mock.requests[0].query.get("cql");
+  assert.equal(
+    cql,
+    'text ~ "dns" AND type = page AND space in ("CARE") AND label in ("troubleshooting") AND lastmodified >= now("-30d")'
+  );
+  assert.match(text, /• DNS Runbook\n  .*\/wiki\/spaces\/CARE\/pages\/2001/);
+  assert.match(text, /Space: Customer Care \(CARE\) \| Last modified: 2026-10-12/);
+  assert.doesNotMatch(text, /Team lunch/);
+});
+
+test("search_confluence keeps a raw CQL ordering out of the filters, ignoring quoted text", async () => {
+  await callTool(client, "search_confluence", { cql: 'title ~ "sort order by date" order by created desc', type: "page" });
+  assert.equal(mock.requests[0].query.get("cql"), '(title ~ "sort order by date") AND type = page order by created desc');
+
+  mock.requests.length = 0;
+  await callTool(client, "search_confluence", { cql: 'title ~ "order by"', spaces: ["CARE"] });
+  assert.equal(mock.requests[0].query.get("cql"), '(title ~ "order by") AND space in ("CARE")');
+});
+
+test("search_confluence returns structured hits and the next offset", async () => {
+  const { result } = await callTool(client, "search_confluence", { cql: "type = page", limit: 2 });
+  const { results, start, totalSize, nextStart } = result.structuredContent;
+  assert.deepEqual([start, totalSize, nextStart], [0, 5, 2]);
+  assert.equal(results[0].id, "2001");
+  assert.equal(results[0].spaceKey, "CARE");
+  assert.match(results[0].url, /\/wiki\/spaces\/CARE\/pages\/2001/);
+});
+
+test("search_confluence paginates with start/limit", async () => {
+  const first = await callTool(client, "search_confluence", { cql: "type = page", limit: 2 });
+  assert.match(first.text, /Results 1-2 of 5\. Next page: start=2, limit=2/);
+  const second = await callTool(client, "search_confluence", { cql: "type = page", start: 4, limit: 2 });
+  assert.match(second.text, /Transfer checklist/);
+  assert.match(second.text, /Results 5-5 of 5\. No more results\./);
+});
+
+test("search_confluence reports empty results and missing input", async () => {
+  const empty = await callTool(client, "search_confluence", { query: "nomatch" });
+  assert.equal(empty.isError, false);
+  assert.equal(empty.text, 'No results found for: text ~ "nomatch"');
+
+  const none = await callTool(client, "search_confluence", {});
+  assert.equal(none.isError, true);
+  assert.equal(none.text, "Provide either 'query' or 'cql'.");
+});
+
+test("search_confluence surfaces non-200 responses", async () => {
+  mock.override("GET", /\/wiki\/rest\/api\/search$/, () => mockResponse(403, { message: "Not permitted to use CQL" }));
+  const { text, isError } = await callTool(client, "search_confluence", { query: "dns" });
+  assert.equal(isError, true);
+  assert.match(text, /^Failed to search Confluence \(permission\): 403 Forbidden\nNot permitted to use CQL/);
+});
+
+test("get_confluence_page converts storage format to Markdown", async () => {
+  const { text, isError } = await callTool(client, "get_confluence_page", {
+    url: `${mock.baseUrl}/wiki/spaces/CARE/pages/2001/DNS+Runbook`,
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^Title: DNS Runbook$/m);
+  assert.match(text, new RegExp(`^URL: ${mock.baseUrl}/wiki/spaces/CARE/pages/2001$`, "m"));
+  assert.match(text, /^## Symptoms$/m);
+  assert.match(text, /> \*\*Warning:\*\*/);
+  assert.match(text, /```bash\ndig \+trace example.com\n```/);
+  assert.match(text, /ENG-7/);
+  assert.equal(mock.requests[0].path, "/wiki/rest/api/content/2001");
+});
+
+test("get_confluence_page accepts ?pageId= URLs and returns raw storage on request", async () => {
+  const { text } = await callTool(client, "get_confluence_page", {
+    url: `${mock.baseUrl}/wiki/pages/viewpage.action?pageId=2002`,
+    format: "html",
+  });
+  assert.match(text, /<table><tbody><tr><th>Step<\/th>/);
+});
+
+test("get_confluence_page finds pages by bare ID or by space key and title", async () => {
+  const byId = await callTool(client, "get_confluence_page", { id: "2004" });
+  assert.match(byId.text, /^Title: Registrar transfers$/m);
+  assert.match(byId.text, /^Space: CARE \| Version: 2 \| Labels: dns$/m);
+
+  const byTitle = await callTool(client, "get_confluence_page", { spaceKey: "CARE", title: "Transfer checklist" });
+  assert.equal(byTitle.result.structuredContent.id, "2005");
+  const lookup = mock.requests.find((r) => r.path === "/wiki/rest/api/content");
+  assert.equal(lookup.query.get("title"), "Transfer checklist");
+  assert.equal(mock.requests.at(-1).path, "/wiki/rest/api/content/2005");
+
+  const missing = await callTool(client, "get_confluence_page", { spaceKey: "TEAM", title: "Transfer checklist" });
+  assert.equal(missing.isError, true);
+  assert.equal(missing.text, 'No page titled "Transfer checklist" in space TEAM.');
+
+  const nothing = await callTool(client, "get_confluence_page", { format: "html" });
+  assert.equal(nothing.isError, true);
+  assert.equal(nothing.text, "Provide 'url', 'id', or 'spaceKey' and 'title'.");
+});
+
+test("list_confluence_spaces pages through spaces with their home pages", async () => {
+  const { text, result } = await callTool(client, "list_confluence_spaces", { limit: 1 });
+  assert.match(text, /^• Customer Care \(CARE\) — global\n.*\/wiki\/spaces\/CARE\n  Home page: DNS Runbook \(id 2001\)/m);
+  assert.match(text, /More spaces: pass start=1$/);
+  assert.equal(result.structuredContent.nextStart, 1);
+
+  const rest = await callTool(client, "list_confluence_spaces", { start: 1 });
+  assert.deepEqual(rest.result.structuredContent.spaces.map((s) => s.key), ["TEAM"]);
+  assert.equal(rest.result.structuredContent.nextStart, null);
+});
+
+test("page tree tools walk down to children and back up the breadcrumb", async () => {
+  const children = await callTool(client, "list_confluence_page_children", { page: "2001" });
+  assert.match(children.text, /^Children of "DNS Runbook" \(2001\):\n\n• Registrar transfers \(id 2004\)/);
+  assert.deepEqual(children.result.structuredContent.children.map((c) => c.id), ["2004"]);
+
+  const leaf = await callTool(client, "list_confluence_page_children", { page: "2005" });
+  assert.equal(leaf.text, '"Transfer checklist" (2005) has no child pages.');
+
+  const crumbs = await callTool(client, "get_confluence_page_ancestors", {
+    page: `${mock.baseUrl}/wiki/spaces/CARE/pages/2005/Transfer+checklist`,
+  });
+  assert.match(crumbs.text, /^Customer Care › DNS Runbook › Registrar transfers › Transfer checklist\n/);
+  assert.match(crumbs.text, /^    • Transfer checklist \(id 2005\) — this page$/m);
+  assert.deepEqual(crumbs.result.structuredContent.ancestors.map((a) => a.id), ["2001", "2004"]);
+  assert.equal(mock.requests.at(-1).query.get("expand"), "ancestors,space");
+
+  const gone = await callTool(client, "get_confluence_page_ancestors", { page: "9999" });
+  assert.equal(gone.isError, true);
+  assert.match(gone.text, /^Failed to fetch ancestors of page 9999 \(not_found\)/);
+});
+
+test("attachments are listed and text ones can be downloaded", async () => {
+  const list = await callTool(client, "list_confluence_attachments", { page: "2001" });
+  assert.match(list.text, /^• zone-export\.csv \(58 B, text\/csv\) — Alice Agent, 2026-10-11$/m);
+  assert.match(list.text, /^• topology\.png \(47\.1 KB, image\/png\) — Dave Dev, 2026-10-11 \[not readable as text\]$/m);
+
+  const csv = await callTool(client, "get_confluence_attachment", { page: "2001", filename: "zone-export.csv" });
+  assert.equal(csv.isError, false);
+  assert.equal(csv.result.content[1].text, "name,type,value\n@,NS,ns1.example.com\n@,NS,ns2.example.com\n");
+  assert.equal(mock.requests.at(-1).path, "/wiki/download/attachments/2001/zone-export.csv");
+
+  const image = await callTool(client, "get_confluence_attachment", { page: "2001", filename: "topology.png" });
+  assert.equal(image.isError, true);
+  assert.equal(image.text, '"topology.png" is image/png; only txt, csv, json, md attachments can be read.');
+
+  const missing = await callTool(client, "get_confluence_attachment", { page: "2001", filename: "nope.txt" });
+  assert.equal(missing.text, 'No attachment named "nope.txt" on page 2001.');
+});
+
+test("get_confluence_attachment truncates long files", async () => {
+  mock.state.pages[0].attachments[0].content = "x".repeat(250);
+  const { text, result } = await callTool(client, "get_confluence_attachment", {
+    page: "2001",
+    filename: "zone-export.csv",
+    maxChars: 100,
+  });
+  assert.match(text, /\n\n\[Truncated after 100 of 250 characters\]$/);
+  assert.deepEqual([result.structuredContent.content.length, result.structuredContent.truncated], [100, true]);
+});
+
+test("get_confluence_page rejects URLs without a page ID", async () => {
+  const { text, isError } = await callTool(client, "get_confluence_page", {
+    url: `${mock.baseUrl}/wiki/spaces/CARE/overview`,
+  });
+  assert.equal(isError, true);
+  assert.match(text, /^Unable to extract Confluence page ID/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test("get_confluence_page reports a missing page as not_found", async () => {
+  const { text, isError } = await callTool(client, "get_confluence_page", { url: `${mock.baseUrl}/wiki/pages/9999` });
+  assert.equal(isError, true);
+  assert.match(text, /^Failed to fetch page 9999 \(not_found\): 404 Not Found\nNo content found with id: 9999/);
+});
+
+test("search_confluence_solutions restricts to spaces and explains the ranking", async () => {
+  const { text, result } = await callTool(client, "search_confluence_solutions", {
+    issue: "NXDOMAIN after transfer",
+    spaces: ["CARE"],
+    labels: ["DNS"],
+  });
+  const cql = mock.requests[0].query.get("cql");
+  assert.match(cql, /^type = page AND space in \("CARE"\) AND text ~ "NXDOMAIN after transfer" AND \(title ~/);
+  assert.match(cql, /AND label in \("dns", "troubleshooting", /);
+  assert.equal(mock.requests[0].query.get("expand"), "content.space,content.metadata.labels");
+  assert.match(text, /^Top solution-focused results for:\n"NXDOMAIN after transfer"\nKey terms: nxdomain, transfer\n\n1\. DNS Runbook — score /);
+  assert.match(text, /\n   Why: .*title reads like a solution \("runbook"\)/);
+
+  const [top] = result.structuredContent.results;
+  assert.equal(top.id, "2001");
+  assert.deepEqual(top.labels, ["troubleshooting", "dns"]);
+  assert.deepEqual(top.matchedBy, ["strict", "solution-like", "full text", "any key term"]);
+  assert.match(top.explanation, /^text has 2\/2 key terms \(\+3\); labelled dns \(requested\) \(\+1\.5\); labelled troubleshooting/);
+  assert.deepEqual(
+    result.structuredContent.queries.map((q) => q.name),
+    ["strict", "solution-like", "full text", "any key term"]
+  );
+
+  const none = await callTool(client, "search_confluence_solutions", { issue: "nomatch" });
+  assert.equal(none.text, "No solution-like pages found for: nomatch");
+  assert.deepEqual(none.result.structuredContent.results, []);
+});
+
+test("search_confluence_solutions falls back to relaxed queries and merges duplicates", async () => {
+  const hit = (id, title, labels, when) => ({
+    content: {
+      id,
+      type: "page",
+      title,
+      space: { key: "CARE", name: "Customer Care" },
+      metadata: { labels: { results: labels.map((name) => ({ name })) } },
+      _links: { webui: `/spaces/CARE/pages/${id}` },
+    },
+    excerpt: `${title} notes`,
+    lastModified: when,
+  });
+  const stages = [
+    [],
+    [hit("7", "Resolve 502 errors", ["troubleshooting"], "2026-01-01T00:00:00.000Z")],
+    [
+      hit("7", "Resolve 502 errors", ["troubleshooting"], "2026-01-01T00:00:00.000Z"),
+      hit("8", "Gateway 502 on checkout", [], "2026-10-18T00:00:00.000Z"),
+    ],
+  ];
+  let call = 0;
+  mock.override("GET", /\/wiki\/rest\/api\/search$/, () => mockResponse(200, { results: stages[call++] || [] }));
+
+  const { text, result } = await callTool(client, "search_confluence_solutions", { issue: "502", limit: 1 });
+  // One key term means no "any key term" stage; the pool reached limit * 2 after the third query
+  assert.equal(mock.requests.length, 3);
+  assert.deepEqual(
+    result.structuredContent.queries.map(({ name, hits }) => [name, hits]),
+    [["strict", 0], ["solution-like", 1], ["full text", 2]]
+  );
+  assert.equal(result.structuredContent.results.length, 1);
+  const [top] = result.structuredContent.results;
+  assert.equal(top.id, "7");
+  assert.deepEqual(top.matchedBy, ["solution-like", "full text"]);
+  assert.match(top.explanation, /matched the solution-like query \(\+1\)/);
+  assert.match(text, /^1\. Resolve 502 errors — score [\d.]+\n   .*\/wiki\/spaces\/CARE\/pages\/7\n   Why: title has 502/m);
+  assert.doesNotMatch(text, /Gateway 502/);
+});
+
+test("create_confluence_page converts Markdown and files the page under its parent", async () => {
+  const { text, isError, result } = await callTool(client, "create_confluence_page", {
+    title: "Post-incident: DNS transfer",
+    body: "## Cause\n\nStale **NS** records.\n\n- [ ] Add a check",
+    parent: `${mock.baseUrl}/wiki/spaces/CARE/pages/2001/DNS+Runbook`,
+    labels: ["Post Incident", "dns"],
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^Created page "Post-incident: DNS transfer" \(3000\) in CARE under page 2001$/m);
+  assert.match(text, /^Labels: post-incident, dns$/m);
+  const create = mock.requests.find((r) => r.method === "POST" && r.path === "/wiki/rest/api/content");
+  assert.deepEqual(create.body.space, { key: "CARE" });
+  assert.deepEqual(create.body.ancestors, [{ id: "2001" }]);
+  assert.equal(create.body.body.storage.representation, "storage");
+  assert.match(create.body.body.storage.value, /^<h2>Cause<\/h2><p>Stale <strong>NS<\/strong> records\.<\/p><ac:task-list>/);
+  assert.deepEqual(result.structuredContent, {
+    id: "3000",
+    title: "Post-incident: DNS transfer",
+    url: `${mock.baseUrl}/wiki/spaces/CARE/pages/3000`,
+    spaceKey: "CARE",
+    version: 1,
+    labels: ["post-incident", "dns"],
+  });
+});
+
+test("create_confluence_page needs a space and reports duplicate titles", async () => {
+  const noSpace = await callTool(client, "create_confluence_page", { title: "x", body: "y" });
+  assert.equal(noSpace.isError, true);
+  assert.equal(noSpace.text, "Provide 'spaceKey' or 'parent'.");
+
+  const wrongSpace = await callTool(client, "create_confluence_page", { title: "x", body: "y", spaceKey: "TEAM", parent: "2001" });
+  assert.equal(wrongSpace.isError, true);
+  assert.equal(wrongSpace.text, 'Parent page "DNS Runbook" is in space CARE, not TEAM.');
+
+  const duplicate = await callTool(client, "create_confluence_page", { title: "DNS Runbook", body: "y", spaceKey: "CARE" });
+  assert.equal(duplicate.isError, true);
+  assert.match(duplicate.text, /^Failed to create page \(bad_request\).*\nA page with this title already exists/);
+});
+
+test("update_confluence_page increments the version and can append", async () => {
+  const { text, result } = await callTool(client, "update_confluence_page", {
+    page: "2002",
+    body: "Also renew the **intermediate** certificate.",
+    mode: "append",
+    expectedVersion: 1,
+    versionMessage: "Add intermediate step",
+  });
+  assert.match(text, /^Updated page "SSL renewal how-to" \(2002\) to version 2$/m);
+  const put = mock.requests.find((r) => r.method === "PUT");
+  assert.deepEqual(put.body.version, { number: 2, minorEdit: false, message: "Add intermediate step" });
+  assert.equal(put.body.title, "SSL renewal how-to");
+  assert.match(put.body.body.storage.value, /^<p>Renew certificates.*<\/table><p>Also renew the <strong>intermediate<\/strong>/);
+  assert.deepEqual([result.structuredContent.version, result.structuredContent.previousVersion], [2, 1]);
+
+  const renamed = await callTool(client, "update_confluence_page", { page: "2002", title: "SSL renewal" });
+  assert.match(renamed.text, /to version 3/);
+  assert.match(mock.state.pages.find((p) => p.id === "2002").body, /intermediate/);
+});
+
+test("update_confluence_page refuses stale edits and reports lost races as conflicts", async () => {
+  const stale = await callTool(client, "update_confluence_page", { page: "2001", body: "x", expectedVersion: 3 });
+  assert.equal(stale.isError, true);
+  assert.match(stale.text, /^Failed to update page 2001 \(conflict\): Page "DNS Runbook" is at version 4, not 3\./);
+  assert.match(stale.text, /Fetch it again with get_confluence_page/);
+  assert.equal(mock.requests.filter((r) => r.method === "PUT").length, 0);
+
+  // Someone else saves between our read and our write
+  mock.override("GET", /\/content\/2001$/, () => {
+    const page = mock.state.pages.find((p) => p.id === "2001");
+    return mockResponse(200, { id: "2001", type: "page", title: page.title, space: page.space, version: { number: 3 } });
+  });
+  const raced = await callTool(client, "update_confluence_page", { page: "2001", body: "x" });
+  assert.equal(raced.isError, true);
+  assert.match(raced.text, /^Failed to update page 2001 \(conflict\): 409/);
+  assert.match(raced.text, /Current version is: 4/);
+  assert.match(raced.text, /re-read it and reapply the change/);
+
+  const nothing = await callTool(client, "update_confluence_page", { page: "2001" });
+  assert.equal(nothing.isError, true);
+  assert.match(nothing.text, /^Nothing to update/);
+});
+
+test("add_confluence_labels and add_confluence_comment write to the page", async () => {
+  const labels = await callTool(client, "add_confluence_labels", { page: "2002", labels: ["SSL", "how-to"] });
+  assert.equal(labels.text, "Labels on page 2002: how-to, ssl");
+  assert.deepEqual(mock.requests[0].body, [
+    { prefix: "global", name: "ssl" },
+    { prefix: "global", name: "how-to" },
+  ]);
+
+  const comment = await callTool(client, "add_confluence_comment", { page: "2002", body: "Verified on **staging**", replyTo: "77" });
+  assert.match(comment.text, /^Comment 3000 added to page 2002 \(reply to 77\)$/m);
+  assert.match(comment.text, /URL: .*\/pages\/2002\?focusedCommentId=3000/);
+  const post = mock.requests.at(-1).body;
+  assert.deepEqual([post.type, post.container, post.ancestors], ["comment", { id: "2002", type: "page" }, [{ id: "77" }]]);
+  assert.equal(mock.state.pageComments[0].body, "<p>Verified on <strong>staging</strong></p>");
+
+  const bad = await callTool(client, "add_confluence_comment", { page: "not a page", body: "x" });
+  assert.equal(bad.isError, true);
+  assert.match(bad.text, /^Provide a page ID or a page URL/);
+});
+
+test("tools report missing credentials without calling Confluence", async () => {
+  const bare = await connect({ ATLASSIAN_EMAIL: "agent@example.com" }, { jira: false });
+  try {
+    const { text, isError } = await callTool(bare, "search_confluence", { query: "dns" });
+    assert.equal(isError, true);
+    assert.equal(
+      text,
+      "Missing required environment variables for Confluence access: ATLASSIAN_BASE_URL, ATLASSIAN_API_TOKEN."
+    );
+    assert.equal(mock.requests.length, 0);
+  } finally {
+    await bare.close();
+  }
+});
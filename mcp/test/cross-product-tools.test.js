@@ -0,0 +1,98 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+import { extractIssueKeys } from "../cross-product-tools.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(() => mock.reset());
+
+test("extractIssueKeys records how each key was found", () => {
+  const keys = extractIssueKeys(
+    '<ac:structured-macro ac:name="jira"><ac:parameter ac:name="key">ENG-7</ac:parameter></ac:structured-macro>' +
+      '<a href="https://x.atlassian.net/browse/CARE-2">ticket</a><p>See CARE-1 and ENG-7.</p>'
+  );
+  assert.deepEqual(Object.fromEntries(keys), { "ENG-7": "jira macro", "CARE-2": "link", "CARE-1": "mention" });
+});
+
+test("find_confluence_pages_for_jira_issue merges links and mentions", async () => {
+  const { text, isError } = await callTool(client, "find_confluence_pages_for_jira_issue", { key: "care-1" });
+  assert.equal(isError, false);
+  assert.match(text, /^Confluence pages for CARE-1:/);
+  assert.match(text, /• DNS Runbook — CARE\n.*\n  via: remote link, description link, mentions issue/);
+});
+
+test("cross-product tools return structured pages and issues", async () => {
+  const pages = await callTool(client, "find_confluence_pages_for_jira_issue", { key: "CARE-1" });
+  assert.deepEqual(pages.result.structuredContent.pages[0], {
+    id: "2001",
+    title: "DNS Runbook",
+    url: pages.result.structuredContent.pages[0].url,
+    spaceKey: "CARE",
+    accessible: true,
+    via: ["remote link", "description link", "mentions issue"],
+  });
+
+  const issues = await callTool(client, "find_jira_issues_for_confluence_page", { url: `${mock.baseUrl}/wiki/pages/2001` });
+  const { pageTitle, issues: found } = issues.result.structuredContent;
+  assert.equal(pageTitle, "DNS Runbook");
+  assert.deepEqual(
+    found.map((i) => [i.key, i.via]),
+    [
+      ["ENG-7", "jira macro"],
+      ["CARE-1", "mention"],
+    ]
+  );
+});
+
+test("find_confluence_pages_for_jira_issue reports issues with no pages", async () => {
+  const { text } = await callTool(client, "find_confluence_pages_for_jira_issue", { key: "CARE-2" });
+  assert.equal(text, "No Confluence pages found for CARE-2.");
+});
+
+test("find_confluence_pages_for_jira_issue reports a missing issue", async () => {
+  const { text, isError } = await callTool(client, "find_confluence_pages_for_jira_issue", { key: "CARE-404" });
+  assert.equal(isError, true);
+  assert.match(text, /^Failed to find Confluence pages for CARE-404 \(not_found\)/);
+});
+
+test("find_jira_issues_for_confluence_page resolves keys and drops false positives", async () => {
+  const { text, isError } = await callTool(client, "find_jira_issues_for_confluence_page", {
+    url: `${mock.baseUrl}/wiki/spaces/CARE/pages/2001/DNS+Runbook`,
+  });
+  assert.equal(isError, false);
+  assert.match(text, /• ENG-7 \[Bug\] — Done — Dave Dev\n.*\n.*\n  via: jira macro/);
+  assert.match(text, /• CARE-1 \[Bug\] — In Progress — Alice Agent\n.*\n.*\n  via: mention/);
+
+  const lunch = await callTool(client, "find_jira_issues_for_confluence_page", { url: `${mock.baseUrl}/wiki/pages/2003` });
+  assert.equal(lunch.text, 'No Jira issues referenced on "Team lunch schedule".');
+});
+
+test("find_jira_issues_for_confluence_page rejects URLs without a page ID", async () => {
+  const { text, isError } = await callTool(client, "find_jira_issues_for_confluence_page", { url: "not a url" });
+  assert.equal(isError, true);
+  assert.match(text, /^Unable to extract Confluence page ID/);
+});
+
+test("cross-product tools are only registered when both products are enabled", async () => {
+  const jiraOnly = await connect(mockEnv(mock), { confluence: false });
+  try {
+    const { tools } = await jiraOnly.listTools();
+    const names = tools.map((t) => t.name);
+    assert.ok(names.includes("search_jira"));
+    assert.ok(!names.includes("search_confluence"));
+    assert.ok(!names.includes("find_confluence_pages_for_jira_issue"));
+  } finally {
+    await jiraOnly.close();
+  }
+});
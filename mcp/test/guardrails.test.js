@@ -0,0 +1,179 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { startMockAtlassian, mockResponse } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+import { createAtlassianClient, AtlassianError } from "../atlassian-client.js";
+import { guardrailSettings, scopeJql, scopeCql, redactPatterns } from "../guardrails.js";
+
+let mock;
+let dir;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "guardrails-"));
+});
+after(async () => {
+  await mock.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+beforeEach(() => mock.reset());
+
+// Run `fn` against a server built with these guardrail settings
+async function withServer(extra, fn) {
+  const client = await connect(mockEnv(mock, extra));
+  try {
+    return await fn(client);
+  } finally {
+    await client.close();
+  }
+}
+
+test("scopeJql wraps queries in the allowed projects and rejects ones that name others", () => {
+  assert.equal(
+    scopeJql('status = "To Do" OR assignee = currentUser() ORDER BY created DESC', ["CARE", "OPS"]),
+    'project in ("CARE", "OPS") AND (status = "To Do" OR assignee = currentUser()) ORDER BY created DESC'
+  );
+  assert.equal(scopeJql("order by updated desc", ["CARE"]), 'project in ("CARE") order by updated desc');
+  assert.equal(scopeJql('project = care AND text ~ "project = ENG"', ["CARE"]), 'project in ("CARE") AND (project = care AND text ~ "project = ENG")');
+  assert.equal(scopeJql("project != ENG", null), "project != ENG");
+  assert.throws(() => scopeJql('project in (CARE, "ENG")', ["CARE"]), { kind: "scope", message: /^Project ENG is outside/ });
+  assert.throws(() => scopeJql("key = ENG-7 OR text ~ dns", ["CARE"]), { kind: "scope", message: /^Issue ENG-7 / });
+  assert.equal(scopeJql("issue in issueHistory()", ["CARE"]), 'project in ("CARE") AND (issue in issueHistory())');
+});
+
+test("scopeCql does the same for spaces", () => {
+  assert.equal(
+    scopeCql('type = page AND text ~ "order by" order by lastmodified desc', ["CARE"]),
+    'space in ("CARE") AND (type = page AND text ~ "order by") order by lastmodified desc'
+  );
+  assert.throws(() => scopeCql('space.key = "TEAM"', ["CARE"]), (err) => err instanceof AtlassianError && err.kind === "scope");
+});
+
+test("queries that could close the scope group early are refused", () => {
+  const unbalanced = { kind: "scope", message: /unbalanced parentheses or quotes/ };
+  assert.throws(() => scopeCql('type = page) OR (space != "OPS"', ["OPS"]), unbalanced);
+  assert.throws(() => scopeJql("status = Open) OR (project != CARE", ["CARE"]), unbalanced);
+  assert.throws(() => scopeJql("status = Open order by created) OR (project != CARE", ["CARE"]), unbalanced);
+  assert.throws(() => scopeJql('summary ~ "dns', ["CARE"]), unbalanced);
+  assert.equal(scopeJql('summary ~ "a) OR (b" AND (x = 1)', ["CARE"]), 'project in ("CARE") AND (summary ~ "a) OR (b" AND (x = 1))');
+});
+
+test("redactPatterns masks emails and phone numbers but not dates, keys or addresses", () => {
+  const [email, phone] = ["email", "phone"].map((p) => guardrailSettings({ ATLASSIAN_REDACT_PATTERNS: p }).redactPatterns[0]);
+  const text =
+    "Call +44 20 7946 0958 or (555) 123-4567, mail jo.doe@example.co.uk. Seen 2026-10-01 09:00 on 192.168.100.200 " +
+    "in CARE-1234, build 2026.10, id 10001.";
+  assert.equal(
+    redactPatterns(text, [email, phone]),
+    "Call [redacted] or [redacted], mail [redacted]. Seen 2026-10-01 09:00 on 192.168.100.200 in CARE-1234, " +
+      "build 2026.10, id 10001."
+  );
+  assert.deepEqual(redactPatterns({ to: ["a@b.io"], n: 1 }, [email]), { to: ["[redacted]"], n: 1 });
+});
+
+test("guardrailSettings refuses redaction settings it cannot honour", () => {
+  assert.throws(() => guardrailSettings({ ATLASSIAN_REDACT_PATTERNS: "email,ssn" }), { kind: "config", message: /"ssn"/ });
+  assert.throws(() => guardrailSettings({ ATLASSIAN_REDACT_REGEX: "(" }), { kind: "config" });
+  assert.deepEqual(guardrailSettings({ ATLASSIAN_ALLOWED_PROJECTS: " care, ops " }).projects, ["CARE", "OPS"]);
+});
+
+test("allowlists scope searches and refuse issues and pages outside them", async () => {
+  await withServer({ ATLASSIAN_ALLOWED_PROJECTS: "CARE", ATLASSIAN_ALLOWED_SPACES: "CARE" }, async (client) => {
+    const search = await callTool(client, "search_jira", { jql: "order by created" });
+    assert.match(search.text, /CARE-1/);
+    assert.doesNotMatch(search.text, /ENG-7/);
+    assert.equal(mock.requests.at(-1).body.jql, 'project in ("CARE") order by created');
+
+    mock.requests.length = 0;
+    const other = await callTool(client, "get_jira_issue", { key: "ENG-7" });
+    assert.equal(other.isError, true);
+    assert.match(other.text, /^Failed to fetch issue ENG-7 \(scope\): Issue ENG-7 is outside the allowed projects\nAllowed projects: CARE\./);
+    assert.equal(mock.requests.length, 0);
+
+    const links = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["links"] });
+    assert.deepEqual(links.result.structuredContent.links.map((l) => l.key), ["CARE-2"]);
+
+    const page = await callTool(client, "get_confluence_page", { id: "2003" });
+    assert.equal(page.isError, true);
+    assert.match(page.text, /Page 2003 \(space TEAM\) is outside the allowed spaces/);
+    const spaces = await callTool(client, "list_confluence_spaces", {});
+    assert.deepEqual(spaces.result.structuredContent.spaces.map((s) => s.key), ["CARE"]);
+    const escaped = await callTool(client, "search_confluence", { cql: 'space = "TEAM"' });
+    assert.match(escaped.text, /\(scope\): Space TEAM is outside the allowed spaces/);
+
+    // Whatever the CQL matched, results from other spaces are dropped
+    mock.override("GET", /\/wiki\/rest\/api\/search$/, () =>
+      mockResponse(200, {
+        results: ["CARE", "TEAM"].map((key, i) => ({
+          content: { id: String(2100 + i), type: "page", title: `${key} page`, _links: { webui: `/spaces/${key}/pages/${2100 + i}` } },
+          resultGlobalContainer: { title: key, displayUrl: `/spaces/${key}` },
+        })),
+        start: 0,
+        limit: 25,
+        size: 2,
+      })
+    );
+    const filtered = await callTool(client, "search_confluence", { cql: "type = page" });
+    assert.deepEqual(filtered.result.structuredContent.results.map((r) => r.title), ["CARE page"]);
+  });
+});
+
+test("read-only mode refuses write tools and write requests", async () => {
+  await withServer({ ATLASSIAN_READ_ONLY: "true" }, async (client) => {
+    const { text, isError } = await callTool(client, "add_jira_comment", { key: "CARE-1", body: "hi" });
+    assert.equal(isError, true);
+    assert.equal(text, "add_jira_comment is disabled: this server is read-only (ATLASSIAN_READ_ONLY).");
+    assert.equal(mock.requests.length, 0);
+    assert.equal((await callTool(client, "search_jira", { query: "DNS" })).isError, false);
+  });
+
+  const jira = createAtlassianClient({ product: "Jira", env: mockEnv(mock, { ATLASSIAN_READ_ONLY: "1" }) });
+  await assert.rejects(jira.put("/rest/api/3/issue/CARE-1", { fields: {} }), { kind: "read_only" });
+  assert.equal((await jira.post("/rest/api/3/search/jql", { jql: "" }, { idempotent: true })).issues.length, 3);
+});
+
+test("outputs are redacted and every call lands in the audit log", async () => {
+  const log = path.join(dir, "audit", "calls.jsonl");
+  const care1 = mock.state.issues.find((i) => i.key === "CARE-1");
+  care1.fields.summary = "Customer bob@example.com cannot resolve the domain";
+  const extra = {
+    ATLASSIAN_REDACT_PATTERNS: "email,phone",
+    ATLASSIAN_REDACT_FIELDS: "Support tier",
+    ATLASSIAN_AUDIT_LOG: log,
+    ATLASSIAN_READ_ONLY: "yes",
+  };
+  await withServer(extra, async (client) => {
+    const { text, result } = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["customFields"] });
+    assert.match(text, /Customer \[redacted\] cannot resolve/);
+    assert.match(text, /• Support tier: \[redacted\]/);
+    assert.equal(result.structuredContent.summary, "Customer [redacted] cannot resolve the domain");
+    await callTool(client, "search_jira", { query: "call me on +1 555 123 4567" });
+    await callTool(client, "create_jira_issue", { project: "CARE", issueType: "Task", summary: "x" });
+    const resource = await client.readResource({ uri: "jira://issue/CARE-1" });
+    assert.match(resource.contents[0].text, /Customer \[redacted\] cannot resolve/);
+    const prompt = await client.getPrompt({ name: "triage_jira_issue", arguments: { key: "CARE-1" } });
+    assert.doesNotMatch(prompt.messages[0].content.resource.text, /bob@example\.com/);
+  });
+
+  const entries = (await fs.readFile(log, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(
+    entries.map((e) => [e.tool, e.outcome]),
+    [
+      ["get_jira_issue", "ok"],
+      ["search_jira", "ok"],
+      ["create_jira_issue", "denied"],
+      [undefined, "ok"],
+      [undefined, "ok"],
+    ]
+  );
+  assert.equal(entries[3].resource, "jira://issue/CARE-1");
+  assert.deepEqual([entries[4].prompt, entries[4].args], ["triage_jira_issue", { key: "CARE-1" }]);
+  assert.deepEqual(entries[0].args, { key: "CARE-1", include: ["customFields"] });
+  assert.equal(entries[1].args.query, "call me on [redacted]");
+  assert.match(entries[2].error, /read-only/);
+  assert.ok(entries.every((e) => typeof e.durationMs === "number" && !Number.isNaN(Date.parse(e.time))));
+  assert.equal((await fs.stat(log)).mode & 0o777, 0o600);
+});
@@ -0,0 +1,47 @@
+// Shared test plumbing: wire an MCP server to a client over an in-memory transport.
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createAtlassianServer } from "../atlassian-server.js";
+
+/**
+ * Env pointing both products at the mock, with retries off so error paths return immediately and the
+ * response cache off so every call reaches the mock.
+ */
+export function mockEnv(mock, extra = {}) {
+  return {
+    ATLASSIAN_BASE_URL: mock.baseUrl,
+    ATLASSIAN_EMAIL: "agent@example.com",
+    ATLASSIAN_API_TOKEN: "test-token",
+    ATLASSIAN_MAX_RETRIES: "0",
+    ATLASSIAN_TIMEOUT_MS: "2000",
+    ATLASSIAN_CACHE: "off",
+    ...extra,
+  };
+}
+
+/**
+ * Build the combined server for `env` and return a connected client.
+ * @param {Record<string, string | undefined>} env
+ * @param {{ jira?: boolean, confluence?: boolean }} [products]
+ */
+export async function connect(env, products = {}) {
+  const { mcp } = createAtlassianServer({ env, ...products });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await mcp.connect(serverTransport);
+  const client = new Client({ name: "test-client", version: "1.0.0" });
+  await client.connect(clientTransport);
+  return client;
+}
+
+/** Call a tool and return its text content joined, plus the isError flag. */
+export async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  return {
+    text: result.content
+      .filter((c) => c.type === "text")
+      .map((c) => c.text)
+      .join("\n"),
+    isError: Boolean(result.isError),
+    result,
+  };
+}
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { htmlToMarkdown } from "../html-to-markdown.js";
+
+test("mentions show the person's name and fall back to the account ID only without one", () => {
+  const mention = (user, body = "") => htmlToMarkdown(`<p>Owner: <ac:link>${user}${body}</ac:link></p>`);
+
+  assert.equal(mention('<ri:user ri:account-id="acc-alice" />'), "Owner: @acc-alice");
+  const linkBody = "<ac:plain-text-link-body><![CDATA[Alice Agent]]></ac:plain-text-link-body>";
+  assert.equal(mention('<ri:user ri:account-id="acc-alice" />', linkBody), "Owner: @Alice Agent");
+  assert.equal(mention('<ri:user ri:userkey="8a7f80826b0c" ri:username="alice" />'), "Owner: @alice");
+  assert.equal(mention('<ri:user ri:account-id="acc-alice" ri:display-name="Alice Agent" />'), "Owner: @Alice Agent");
+
+  // Rendered HTML, as Jira returns it
+  const hover = '<a class="user-hover" rel="acc-bob" data-username="bob" href="/people/acc-bob"></a>';
+  assert.equal(htmlToMarkdown(`<p>${hover} fixed it</p>`), "@bob fixed it");
+  const named = '<a data-mention-id="acc-bob" href="/people/acc-bob">Bob Builder</a>';
+  assert.equal(htmlToMarkdown(`<p>${named}</p>`), "@Bob Builder");
+});
+
+test("entities decode, leaving unknown names and out-of-range code points as written", () => {
+  assert.equal(htmlToMarkdown("<p>&lt;b&gt; &amp; &#x1F600; &#65;</p>"), "<b> & 😀 A");
+  assert.equal(htmlToMarkdown("<p>&#x110000; &#1114112; &bogus;</p>"), "&#x110000; &#1114112; &bogus;");
+});
+
+test("code spans are fenced with more backticks than they contain", () => {
+  assert.equal(htmlToMarkdown("<p>Run <code>ls -l</code></p>"), "Run `ls -l`");
+  assert.equal(htmlToMarkdown("<p><code>a`b</code></p>"), "``a`b``");
+  assert.equal(htmlToMarkdown("<p><code>`quoted`</code></p>"), "`` `quoted` ``");
+  assert.equal(htmlToMarkdown("<table><tr><td><code>x``y</code></td></tr></table>"), "| ```x``y``` |\n| --- |");
+});
+
+test("tables without a header row use their first row and pad short rows", () => {
+  const html = "<table><tbody><tr><td>a</td><td>b|c</td></tr><tr><td>d</td></tr></tbody></table>";
+  assert.equal(htmlToMarkdown(html), "| a | b\\|c |\n| --- | --- |\n| d |  |");
+});
+
+test("panels keep their type and title", () => {
+  const macro =
+    '<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title">Careful</ac:parameter>' +
+    "<ac:rich-text-body><p>Hot</p></ac:rich-text-body></ac:structured-macro>";
+  assert.equal(htmlToMarkdown(macro), "> **Warning:** **Careful**\n>\n> Hot");
+
+  // Rendered HTML, as Jira and the Confluence view format return it
+  const panel =
+    '<div class="panel"><div class="panelHeader"><b>Steps</b></div>' +
+    '<div class="panelContent"><p>One</p><p>Two</p></div></div>';
+  assert.equal(htmlToMarkdown(panel), "> **Steps**\n>\n> One\n>\n> Two");
+  const note =
+    '<div class="confluence-information-macro confluence-information-macro-note"><p class="title">Heads up</p>' +
+    '<div class="confluence-information-macro-body"><p>Body</p></div></div>';
+  assert.equal(htmlToMarkdown(note), "> **Note:** **Heads up**\n>\n> Body");
+});
+
+test("attachment links point at the page's download URL when the page is known", () => {
+  const link = '<p><ac:link><ri:attachment ri:filename="spec v2.pdf" /></ac:link></p>';
+  assert.equal(htmlToMarkdown(link), "[spec v2.pdf](attachment:spec v2.pdf)");
+  assert.equal(
+    htmlToMarkdown(link, { baseUrl: "https://example.atlassian.net/", pageId: "42" }),
+    "[spec v2.pdf](https://example.atlassian.net/wiki/download/attachments/42/spec%20v2.pdf)"
+  );
+  const named =
+    '<ac:link><ri:attachment ri:filename="log.txt" />' +
+    "<ac:plain-text-link-body><![CDATA[the log]]></ac:plain-text-link-body></ac:link>";
+  assert.equal(htmlToMarkdown(named), "[the log](attachment:log.txt)");
+});
@@ -0,0 +1,218 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv } from "./helpers.js";
+import { createAtlassianServer } from "../atlassian-server.js";
+import { startHttpServer, envForRequest } from "../http-server.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockAtlassian();
+});
+after(() => mock.close());
+beforeEach(() => mock.reset());
+
+const createServer = (env) => createAtlassianServer({ env }).mcp;
+
+// Start the HTTP server on an ephemeral loopback port, run `fn` with its URL, then shut it down
+async function withHttpServer(env, fn, options = {}) {
+  const server = await startHttpServer(createServer, { name: "Test", port: 0, host: "127.0.0.1", env, ...options });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+// Events of an SSE response as { event, data }, in order
+async function* sseEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    for (let end = buffer.indexOf("\n\n"); end >= 0; end = buffer.indexOf("\n\n")) {
+      const fields = Object.fromEntries(
+        buffer
+          .slice(0, end)
+          .split("\n")
+          .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 1).trim()])
+      );
+      buffer = buffer.slice(end + 2);
+      yield fields;
+    }
+  }
+}
+
+// One stateless JSON-RPC call to /mcp
+function rpc(url, method, params, headers = {}) {
+  return fetch(`${url}/mcp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+}
+
+test("a caller can only pick the server's own or allowlisted sites", () => {
+  const base = mockEnv(mock, { MCP_HTTP_ALLOWED_BASE_URLS: "https://other.atlassian.net/" });
+  const headers = (url) => ({ "x-atlassian-pat": "caller-pat", "x-atlassian-base-url": url });
+
+  assert.deepEqual(envForRequest(headers("http://169.254.169.254/latest"), base), {
+    status: 403,
+    error: "x-atlassian-base-url is not one of this server's allowed Atlassian sites.",
+  });
+  const other = envForRequest(headers("HTTPS://OTHER.atlassian.net"), base);
+  assert.equal(other.env.ATLASSIAN_BASE_URL, "HTTPS://OTHER.atlassian.net");
+  assert.equal(envForRequest(headers(`${mock.baseUrl}/`), base).env.ATLASSIAN_PAT, "caller-pat");
+});
+
+test("tool calls with a disallowed base URL never reach it", async () => {
+  await withHttpServer(mockEnv(mock), async (url) => {
+    const res = await rpc(url, "tools/list", {}, { "x-atlassian-pat": "t", "x-atlassian-base-url": "http://10.0.0.1" });
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error.message, /not one of this server's allowed Atlassian sites/);
+  });
+});
+
+test("binding beyond loopback needs an explicit credentials setting", async () => {
+  await assert.rejects(
+    startHttpServer(createServer, { name: "Test", port: 0, host: "0.0.0.0", env: mockEnv(mock) }),
+    /Refusing to listen on 0\.0\.0\.0 without MCP_HTTP_REQUIRE_CREDENTIALS/
+  );
+  for (const setting of ["true", "false"]) {
+    const env = mockEnv(mock, { MCP_HTTP_REQUIRE_CREDENTIALS: setting });
+    const server = await startHttpServer(createServer, { name: "Test", port: 0, host: "0.0.0.0", env });
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("credential headers replace the server's credentials and site headers need them", () => {
+  const base = mockEnv(mock, { JIRA_PAT: "server-pat", ATLASSIAN_OAUTH_TOKEN_FILE: "/srv/oauth.json" });
+
+  assert.equal(envForRequest({ "x-atlassian-base-url": mock.baseUrl }, base).env, base);
+  const { env } = envForRequest(
+    { "x-atlassian-email": "me@example.com", "x-atlassian-api-token": "mine", "x-atlassian-deployment": "cloud" },
+    base
+  );
+  assert.deepEqual(
+    [env.ATLASSIAN_EMAIL, env.ATLASSIAN_API_TOKEN, env.ATLASSIAN_DEPLOYMENT, env.ATLASSIAN_BASE_URL],
+    ["me@example.com", "mine", "cloud", mock.baseUrl]
+  );
+  assert.equal(env.JIRA_PAT, undefined);
+  assert.equal(env.ATLASSIAN_OAUTH_TOKEN_FILE, undefined);
+
+  const oauth = envForRequest({ "x-atlassian-oauth-access-token": "at", "x-atlassian-cloud-id": "c1" }, base).env;
+  const oauthVars = [oauth.ATLASSIAN_AUTH_TYPE, oauth.ATLASSIAN_OAUTH_ACCESS_TOKEN, oauth.ATLASSIAN_CLOUD_ID];
+  assert.deepEqual(oauthVars, ["oauth", "at", "c1"]);
+  assert.equal(oauth.ATLASSIAN_EMAIL, undefined);
+});
+
+test("requireCredentials refuses callers without credential headers and uses the caller's", async () => {
+  assert.deepEqual(envForRequest({}, mockEnv(mock), { requireCredentials: true }), {
+    status: 401,
+    error: "Atlassian credentials are required in x-atlassian-* headers.",
+  });
+
+  const env = mockEnv(mock, { MCP_HTTP_REQUIRE_CREDENTIALS: "true" });
+  await withHttpServer(env, async (url) => {
+    const refused = await rpc(url, "tools/list", {});
+    assert.equal(refused.status, 401);
+    assert.match((await refused.json()).error.message, /credentials are required/);
+
+    const call = await rpc(
+      url,
+      "tools/call",
+      { name: "get_jira_issue", arguments: { key: "CARE-1" } },
+      { "x-atlassian-email": "caller@example.com", "x-atlassian-api-token": "caller-token" }
+    );
+    assert.equal(call.status, 200);
+    assert.match((await call.json()).result.content[0].text, /CARE-1/);
+    const basic = `Basic ${Buffer.from("caller@example.com:caller-token").toString("base64")}`;
+    assert.ok(mock.requests.length > 0);
+    assert.ok(mock.requests.every((r) => r.headers.authorization === basic));
+  });
+});
+
+test("/health reports the server and its open SSE sessions", async () => {
+  await withHttpServer(
+    mockEnv(mock),
+    async (url) => {
+      const res = await fetch(`${url}/health`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {
+        status: "ok",
+        name: "Test",
+        transports: ["streamable-http", "sse"],
+        sseSessions: 0,
+        products: ["jira"],
+      });
+      assert.equal((await fetch(`${url}/nowhere`)).status, 404);
+    },
+    { health: { products: ["jira"] } }
+  );
+});
+
+test("the SSE transport answers messages posted for its session on the event stream", async () => {
+  await withHttpServer(mockEnv(mock), async (url) => {
+    const controller = new AbortController();
+    const stream = await fetch(`${url}/sse`, { signal: controller.signal });
+    try {
+      assert.equal(stream.status, 200);
+      assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+      const events = sseEvents(stream);
+      const endpoint = (await events.next()).value;
+      assert.equal(endpoint.event, "endpoint");
+      assert.match(endpoint.data, /^\/messages\?sessionId=[\w-]+$/);
+      assert.equal((await (await fetch(`${url}/health`)).json()).sseSessions, 1);
+
+      const post = await fetch(`${url}${endpoint.data}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          id: 1,
+          method: "initialize",
+          params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+        }),
+      });
+      assert.equal(post.status, 202);
+      const message = (await events.next()).value;
+      assert.equal(message.event, "message");
+      const reply = JSON.parse(message.data);
+      assert.equal(reply.id, 1);
+      assert.ok(reply.result.capabilities.tools);
+
+      const unknown = await fetch(`${url}/messages?sessionId=nope`, { method: "POST", body: "{}" });
+      assert.equal(unknown.status, 404);
+    } finally {
+      controller.abort();
+    }
+  });
+});
+
+test("an SSE session only accepts messages carrying its opener's credentials", async () => {
+  await withHttpServer(mockEnv(mock), async (url) => {
+    const controller = new AbortController();
+    const alice = { "x-atlassian-pat": "alice-pat" };
+    const stream = await fetch(`${url}/sse`, { headers: alice, signal: controller.signal });
+    try {
+      const endpoint = (await sseEvents(stream).next()).value;
+      const post = (headers) =>
+        fetch(`${url}${endpoint.data}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" }),
+        });
+
+      for (const other of [{}, { "x-atlassian-pat": "bob-pat" }]) {
+        const refused = await post(other);
+        assert.equal(refused.status, 403);
+        assert.match((await refused.json()).error.message, /opened with different Atlassian credentials/);
+      }
+      assert.equal((await post(alice)).status, 202);
+    } finally {
+      controller.abort();
+    }
+  });
+});
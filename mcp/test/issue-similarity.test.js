@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { keyPhrases, similarityQueries, scoreSimilarity } from "../issue-similarity.js";
+import { extractTerms } from "../solution-ranking.js";
+
+test("keyPhrases pairs adjacent content words without crossing punctuation or stopwords", () => {
+  assert.deepEqual(keyPhrases("Domain transfer stuck, auth code rejected by the registrar. Error 502 503"), [
+    "domain transfer",
+    "transfer stuck",
+    "auth code",
+  ]);
+  assert.deepEqual(keyPhrases("Error 502 503", 5), ["error 502"]);
+});
+
+test("similarityQueries builds one search per angle and skips empty ones", () => {
+  const terms = extractTerms("NXDOMAIN after domain transfer");
+  const queries = similarityQueries({
+    terms,
+    phrases: ["domain transfer"],
+    components: ["DNS"],
+    projects: ["CARE"],
+    excludeKey: "CARE-9",
+  });
+  assert.deepEqual(queries, [
+    { name: "error codes", jql: 'project in ("CARE") AND key != "CARE-9" AND (text ~ "nxdomain") order by updated desc' },
+    {
+      name: "key phrases",
+      jql: 'project in ("CARE") AND key != "CARE-9" AND (text ~ "\\"domain transfer\\"") order by updated desc',
+    },
+    {
+      name: "components",
+      jql:
+        'project in ("CARE") AND key != "CARE-9" AND component in ("DNS") AND (text ~ "domain" OR text ~ "transfer") ' +
+        "order by updated desc",
+    },
+    {
+      name: "key terms",
+      jql: 'project in ("CARE") AND key != "CARE-9" AND (summary ~ "domain" OR summary ~ "transfer") order by updated desc',
+    },
+  ]);
+
+  const plain = similarityQueries({ terms: extractTerms("printer jam"), phrases: [], includeResolved: false });
+  assert.deepEqual(plain, [
+    { name: "key terms", jql: 'resolution = Unresolved AND (summary ~ "printer" OR summary ~ "jam") order by updated desc' },
+  ]);
+});
+
+test("scoreSimilarity ranks shared wording, codes and components above loose matches", () => {
+  const source = {
+    summary: "",
+    description: "Customers see NXDOMAIN after the domain transfer completes",
+    codes: ["nxdomain"],
+    components: ["DNS"],
+  };
+  const [dup, loose] = scoreSimilarity(source, [
+    {
+      key: "CARE-1",
+      summary: "NXDOMAIN after domain transfer",
+      description: "Transfer completed but lookups return NXDOMAIN",
+      components: ["DNS"],
+      matchedBy: ["error codes", "key terms"],
+    },
+    { key: "CARE-2", summary: "Email bounced after transfer", description: "", components: [], matchedBy: ["key terms"] },
+  ]);
+  assert.equal(dup.verdict, "likely duplicate");
+  assert.match(dup.reasons[0], /^text similarity 0\.\d+ \(shared: nxdomain, /);
+  assert.deepEqual(dup.reasons.slice(1), ["mentions nxdomain", "same component DNS", "found by 2 queries"]);
+  assert.ok(dup.score > loose.score);
+  assert.equal(loose.verdict, "weak match");
+  assert.deepEqual(loose.reasons, [`text similarity ${loose.similarity} (shared: transfer)`]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { windowBound, issueChanges, formatDigest } from "../jira-digest.js";
+
+const HOUR = 3600000;
+const NOW = Date.parse("2026-10-19T12:00:00.000Z");
+const WINDOW = { since: Date.parse("2026-10-18T00:00:00.000Z"), until: NOW };
+
+const history = (at, items, author = "Alice Agent") => ({ created: at, author: { displayName: author }, items });
+
+test("windowBound takes durations back from now and ISO dates in UTC", () => {
+  assert.equal(windowBound("8h", NOW), NOW - 8 * HOUR);
+  assert.equal(windowBound("-2d", NOW), NOW - 48 * HOUR);
+  assert.equal(windowBound("1W", NOW), NOW - 168 * HOUR);
+  assert.equal(windowBound("2026-10-18", NOW), Date.parse("2026-10-18T00:00:00.000Z"));
+  assert.equal(windowBound("2026-10-18T18:30", NOW), Date.parse("2026-10-18T18:30:00.000Z"));
+  assert.equal(windowBound("2026-10-18T18:30+02:00", NOW), Date.parse("2026-10-18T16:30:00.000Z"));
+  assert.equal(windowBound("yesterday", NOW), null);
+  assert.equal(windowBound("3m", NOW), null);
+});
+
+test("issueChanges keeps status, assignee and priority changes and comments inside the window", () => {
+  const histories = [
+    history("2026-10-17T09:00:00.000+0000", [{ field: "status", fromString: "To Do", toString: "In Progress" }]),
+    history("2026-10-18T09:00:00.000+0000", [
+      { field: "assignee", from: "acc-alice", fromString: "Alice Agent", to: null, toString: null },
+      { field: "labels", fromString: "", toString: "dns" },
+      { field: "priority", fromString: "Medium", toString: "High" },
+    ]),
+    history("2026-10-19T08:00:00.000+0000", [{ field: "status", fromString: "In Progress", toString: "Waiting" }]),
+  ];
+  const comments = [
+    { author: "Bob Reporter", created: "2026-10-16T10:00:00.000+0000", body: "Old" },
+    { author: "Bob Reporter", created: "2026-10-18T10:00:00.000+0000", body: `Still broken\n\n${"x".repeat(300)}` },
+  ];
+  const changes = issueChanges(histories, comments, WINDOW);
+  assert.deepEqual(
+    changes.map((c) => [c.type, c.from, c.to]),
+    [
+      ["assignee", "Alice Agent", "Unassigned"],
+      ["priority", "Medium", "High"],
+      ["comment", undefined, undefined],
+      ["status", "In Progress", "Waiting"],
+    ]
+  );
+  assert.deepEqual([changes[0].fromId, changes[0].toId], ["acc-alice", null]);
+  assert.match(changes[2].text, /^Still broken x+…$/);
+  assert.equal(changes[2].text.length, 201);
+});
+
+test("formatDigest renders one linked section per issue with totals", () => {
+  const text = formatDigest({
+    source: "JQL: `project = CARE`",
+    ...WINDOW,
+    assignee: "Alice Agent",
+    searched: 3,
+    truncated: true,
+    issues: [
+      {
+        key: "CARE-1",
+        url: "https://example.atlassian.net/browse/CARE-1",
+        summary: "DNS records not propagating",
+        status: "Waiting",
+        priority: "High",
+        assignee: null,
+        changes: [
+          { at: "2026-10-18T09:00:00.000+0000", type: "assignee", author: "Alice Agent", from: "Alice Agent", to: "Unassigned" },
+          { at: "2026-10-18T10:00:00.000+0000", type: "comment", author: "Bob Reporter", text: "Still broken" },
+        ],
+      },
+    ],
+  });
+  assert.match(text, /^# Handoff digest for Alice Agent$/m);
+  assert.match(text, /^JQL: `project = CARE` · 2026-10-18 00:00 → 2026-10-19 12:00 UTC$/m);
+  assert.match(text, /^1 of 3 issues changed: 0 status changes, 1 reassignment, 0 priority changes, 1 new comment\.$/m);
+  assert.match(text, /^Stopped after 3 issues; more match\./m);
+  assert.match(text, /^## \[CARE-1\]\(https:\/\/example\.atlassian\.net\/browse\/CARE-1\) DNS records not propagating\nWaiting · High · Unassigned$/m);
+  assert.match(text, /^- 2026-10-18 09:00 Reassigned Alice Agent → \*\*Unassigned\*\* \(Alice Agent\)$/m);
+  assert.match(text, /^- 2026-10-18 10:00 Comment by Bob Reporter: Still broken$/m);
+});
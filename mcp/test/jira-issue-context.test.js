@@ -0,0 +1,68 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv } from "./helpers.js";
+import { createAtlassianClient } from "../atlassian-client.js";
+import {
+  fieldValueText,
+  formatDuration,
+  statusTransitions,
+  timeInStatus,
+  fetchChangelog,
+} from "../jira-issue-context.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockAtlassian();
+});
+after(() => mock.close());
+beforeEach(() => mock.reset());
+
+test("fieldValueText flattens the shapes Jira uses for field values", () => {
+  assert.equal(fieldValueText([{ name: "API" }, { name: "DNS" }]), "API, DNS");
+  assert.equal(fieldValueText({ value: "Hardware", child: { value: "Laptop" } }), "Hardware / Laptop");
+  assert.equal(fieldValueText({ accountId: "x", displayName: "Alice Agent" }), "Alice Agent");
+  assert.equal(fieldValueText("com.atlassian.greenhopper.service.sprint.Sprint@1f[id=4,rapidViewId=2,name=Sprint 4,state=ACTIVE]"), "Sprint 4");
+  assert.equal(
+    fieldValueText({ type: "doc", version: 1, content: [{ type: "paragraph", content: [{ type: "text", text: "Root cause" }] }] }),
+    "Root cause"
+  );
+  assert.equal(fieldValueText(null), "");
+  assert.equal(fieldValueText(42), "42");
+});
+
+test("formatDuration rounds to the two largest units", () => {
+  assert.equal(formatDuration(45 * 60000), "45m");
+  assert.equal(formatDuration((2 * 60 + 5) * 60000), "2h 5m");
+  assert.equal(formatDuration((3 * 24 + 4) * 3600000), "3d 4h");
+  assert.equal(formatDuration(2 * 24 * 3600000), "2d");
+});
+
+test("timeInStatus splits the issue's life between statuses", () => {
+  const histories = [
+    { created: "2026-10-02T00:00:00.000+0000", items: [{ field: "status", fromString: "To Do", toString: "In Progress" }] },
+    { created: "2026-10-02T12:00:00.000+0000", items: [{ field: "assignee", fromString: "", toString: "Alice" }] },
+    { created: "2026-10-04T00:00:00.000+0000", items: [{ field: "status", fromString: "In Progress", toString: "To Do" }] },
+    { created: "2026-10-05T00:00:00.000+0000", items: [{ field: "status", fromString: "To Do", toString: "Done" }] },
+  ];
+  const transitions = statusTransitions(histories);
+  assert.equal(transitions.length, 3);
+  const totals = timeInStatus("2026-10-01T00:00:00.000+0000", transitions, "Done", Date.parse("2026-10-06T00:00:00Z"));
+  const day = 24 * 3600000;
+  assert.deepEqual(Object.fromEntries(totals), { "To Do": 2 * day, "In Progress": 2 * day, Done: day });
+});
+
+test("fetchChangelog pages through /changelog when the embedded list is truncated on Cloud", async () => {
+  const jira = createAtlassianClient({ product: "Jira", env: mockEnv(mock) });
+  const issue = mock.state.issues.find((i) => i.key === "CARE-1");
+  const embedded = { histories: [issue.changelog.histories[0]], total: 2 };
+  const all = await fetchChangelog(jira, "CARE-1", embedded);
+  assert.deepEqual(all.map((h) => h.id), ["300", "301"]);
+  assert.equal(mock.requests[0].path, "/rest/api/3/issue/CARE-1/changelog");
+
+  mock.reset();
+  const complete = await fetchChangelog(jira, "CARE-1", issue.changelog);
+  assert.deepEqual(complete.map((h) => h.id), ["300", "301"]);
+  assert.equal(mock.requests.length, 0);
+});
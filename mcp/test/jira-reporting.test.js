@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reportGroup, isoWeek, percentile, groupKeys, issueMeasures, buildReport } from "../jira-reporting.js";
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const NOW = Date.parse("2026-10-19T12:00:00.000Z");
+
+const issue = (key, fields) => ({ key, fields: { status: { name: "To Do" }, ...fields } });
+const moved = (at, from, to) => ({ created: at, items: [{ field: "status", fromString: from, toString: to }] });
+
+test("reportGroup knows the common groupings and leaves other names to a field lookup", () => {
+  assert.deepEqual(reportGroup("Components"), { field: "components", label: "Component" });
+  assert.deepEqual(reportGroup("created  week"), { field: "created", label: "Created week", week: true });
+  assert.equal(reportGroup(undefined).field, "status");
+  assert.equal(reportGroup("Support tier"), null);
+});
+
+test("isoWeek follows ISO 8601 at year boundaries", () => {
+  assert.equal(isoWeek("2026-10-01T09:00:00.000+0000"), "2026-W40");
+  assert.equal(isoWeek("2027-01-01T00:00:00.000Z"), "2026-W53");
+  assert.equal(isoWeek("2024-12-30T00:00:00.000Z"), "2025-W01");
+  assert.equal(isoWeek(""), null);
+});
+
+test("percentile interpolates between neighbours", () => {
+  assert.equal(percentile([40, 10, 30, 20], 0.5), 25);
+  assert.equal(percentile([10, 20, 30, 40, 50], 0.9), 46);
+  assert.equal(percentile([], 0.5), null);
+});
+
+test("groupKeys yields one group per value and (none) for empty fields", () => {
+  const group = reportGroup("component");
+  assert.deepEqual(groupKeys(issue("A-1", { components: [{ name: "DNS" }, { name: "API" }] }), group), ["DNS", "API"]);
+  assert.deepEqual(groupKeys(issue("A-2", { components: [] }), group), ["(none)"]);
+  assert.deepEqual(groupKeys(issue("A-3", { customfield_1: { value: "Tier 2" } }), { field: "customfield_1" }), ["Tier 2"]);
+});
+
+test("issueMeasures stops the clock at resolution and times the current status of open issues", () => {
+  const open = issueMeasures(
+    issue("A-1", { created: "2026-10-09T12:00:00.000Z", status: { name: "In Progress" } }),
+    [moved("2026-10-11T12:00:00.000Z", "To Do", "In Progress")],
+    NOW
+  );
+  assert.deepEqual(open, {
+    key: "A-1",
+    resolved: false,
+    ageMs: 10 * DAY,
+    timeInStatusMs: { "To Do": 2 * DAY, "In Progress": 8 * DAY },
+    inStatusMs: 8 * DAY,
+  });
+
+  const done = issueMeasures(
+    issue("A-2", {
+      created: "2026-10-01T12:00:00.000Z",
+      resolution: { name: "Fixed" },
+      resolutiondate: "2026-10-04T12:00:00.000Z",
+      status: { name: "Done" },
+    }),
+    [moved("2026-10-04T12:00:00.000Z", "To Do", "Done")],
+    NOW
+  );
+  assert.equal(done.ageMs, 3 * DAY);
+  assert.deepEqual(done.timeInStatusMs, { "To Do": 3 * DAY });
+  assert.equal(done.inStatusMs, null);
+
+  assert.deepEqual(Object.keys(issueMeasures(issue("A-3", { created: "2026-10-18T12:00:00.000Z" }), undefined, NOW)), [
+    "key",
+    "resolved",
+    "ageMs",
+  ]);
+});
+
+test("buildReport summarizes each group and the whole set", () => {
+  const items = [
+    ["A-1", "DNS", 2, 1],
+    ["A-2", "DNS", 4, 3],
+    ["A-3", "API", 6, 0.5],
+    ["A-4", null, 1, 1],
+  ].map(([key, component, ageDays, idleDays]) => {
+    const fields = { created: new Date(NOW - ageDays * DAY).toISOString(), components: component ? [{ name: component }] : [] };
+    const histories = [moved(new Date(NOW - idleDays * DAY).toISOString(), "To Do", "In Progress")];
+    return { issue: issue(key, fields), measures: issueMeasures(issue(key, fields), histories, NOW) };
+  });
+  const { groups, total } = buildReport(items, reportGroup("component"), { staleMs: 48 * HOUR });
+  assert.deepEqual(
+    groups.map((g) => [g.group, g.count, g.stale]),
+    [
+      ["DNS", 2, 1],
+      ["API", 1, 0],
+      ["(none)", 1, 0],
+    ]
+  );
+  assert.deepEqual(groups[0].ageMs, { mean: 3 * DAY, p50: 3 * DAY, p90: 3.8 * DAY, max: 4 * DAY });
+  assert.deepEqual(groups[0].timeInStatusMs, { "To Do": 1 * DAY, "In Progress": 2 * DAY });
+  assert.equal(total.count, 4);
+  assert.equal(total.unresolved, 4);
+  assert.equal(total.ageMs.max, 6 * DAY);
+});
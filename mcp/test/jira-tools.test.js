@@ -0,0 +1,460 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian, mockResponse } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(() => mock.reset());
+
+test("search_jira turns a free-text query into text ~ JQL", async () => {
+  const { text, isError } = await callTool(client, "search_jira", { query: "DNS" });
+  assert.equal(isError, false);
+  assert.match(text, /CARE-1 \[Bug\] — In Progress — Alice Agent/);
+  assert.match(text, /ENG-7 \[Bug\] — Done — Dave Dev/);
+  assert.doesNotMatch(text, /CARE-2/);
+  assert.match(text, new RegExp(`${mock.baseUrl}/browse/CARE-1`));
+  const search = mock.requests.find((r) => r.path === "/rest/api/3/search/jql");
+  assert.equal(search.body.jql, 'text ~ "DNS" order by updated desc');
+  assert.match(search.headers.authorization, /^Basic /);
+});
+
+test("search_jira escapes backslashes and quotes in a free-text query", async () => {
+  await callTool(client, "search_jira", { query: 'C:\\temp\\ "logs"' });
+  const search = mock.requests.find((r) => r.path === "/rest/api/3/search/jql");
+  assert.equal(search.body.jql, 'text ~ "C:\\\\temp\\\\ \\"logs\\"" order by updated desc');
+});
+
+test("search_jira pages with an opaque cursor", async () => {
+  const first = await callTool(client, "search_jira", { jql: "project = CARE", maxResults: 1 });
+  assert.match(first.text, /CARE-1/);
+  const cursor = first.result.content.at(-1).text.split("\n").at(-1);
+  assert.match(first.result.content.at(-1).text, /more results available/);
+
+  const second = await callTool(client, "search_jira", { cursor, maxResults: 1 });
+  assert.match(second.text, /CARE-2/);
+  assert.doesNotMatch(second.text, /CARE-1/);
+  assert.equal(mock.requests.at(-1).body.jql, "project = CARE");
+});
+
+test("search_jira returns structured issues alongside the text", async () => {
+  const { result } = await callTool(client, "search_jira", { jql: "project = CARE", maxResults: 1 });
+  const { jql, issues, nextCursor } = result.structuredContent;
+  assert.equal(jql, "project = CARE");
+  assert.equal(issues.length, 1);
+  assert.deepEqual(
+    [issues[0].key, issues[0].url, issues[0].status, issues[0].type, issues[0].priority, issues[0].assignee],
+    ["CARE-1", `${mock.baseUrl}/browse/CARE-1`, "In Progress", "Bug", "High", "Alice Agent"]
+  );
+  assert.equal(nextCursor, result.content.at(-1).text.split("\n").at(-1));
+
+  const empty = await callTool(client, "search_jira", { jql: "summary ~ nomatch" });
+  assert.deepEqual(empty.result.structuredContent, { jql: "summary ~ nomatch", issues: [], nextCursor: null });
+});
+
+test("search_jira fetchAll follows every page", async () => {
+  const { text } = await callTool(client, "search_jira", { jql: "order by key", maxResults: 1, fetchAll: true });
+  assert.match(text, /CARE-1[\s\S]*CARE-2[\s\S]*ENG-7/);
+  assert.equal(mock.requests.filter((r) => r.path.endsWith("/search/jql")).length, 3);
+});
+
+test("search_jira reports empty results and bad input", async () => {
+  const empty = await callTool(client, "search_jira", { jql: "summary ~ nomatch" });
+  assert.equal(empty.text, "No Jira issues found.");
+  assert.equal(empty.isError, false);
+
+  const blank = await callTool(client, "search_jira", { query: "  " });
+  assert.equal(blank.isError, true);
+  assert.match(blank.text, /Provide either 'jql' or a non-empty 'query'/);
+
+  const badCursor = await callTool(client, "search_jira", { cursor: "not-a-cursor" });
+  assert.equal(badCursor.isError, true);
+  assert.equal(badCursor.text, "Invalid cursor.");
+});
+
+test("search_jira surfaces non-200 responses as structured errors", async () => {
+  mock.override("POST", /\/search\/jql$/, () =>
+    mockResponse(400, { errorMessages: ["Field 'foo' does not exist or you do not have permission to view it."] })
+  );
+  const { text, isError } = await callTool(client, "search_jira", { jql: "foo = bar" });
+  assert.equal(isError, true);
+  assert.match(text, /^Failed to search Jira \(bad_request\): 400 Bad Request/);
+  assert.match(text, /Field 'foo' does not exist/);
+});
+
+test("get_jira_issue returns Markdown by default and HTML on request", async () => {
+  const md = await callTool(client, "get_jira_issue", { key: "CARE-1" });
+  assert.equal(md.isError, false);
+  assert.match(md.text, /^CARE-1 \[Bug\] — In Progress$/m);
+  assert.match(md.text, /^Assignee: Alice Agent \| Reporter: Bob Reporter$/m);
+  assert.match(md.text, /\*\*NXDOMAIN\*\*/);
+  assert.match(md.text, /\[runbook\]\(.*\/pages\/2001\/DNS\+Runbook\)/);
+  assert.match(md.text, /```bash\ndig example.com\n```/);
+
+  const html = await callTool(client, "get_jira_issue", { key: "CARE-1", format: "html" });
+  assert.match(html.text, /<strong>NXDOMAIN<\/strong>/);
+});
+
+test("get_jira_issue adds only the requested sections", async () => {
+  const basic = await callTool(client, "get_jira_issue", { key: "CARE-1" });
+  assert.match(basic.text, /^Details:\nPriority: High \| Resolution: Unresolved\nLabels: dns, transfer\nComponents: DNS$/m);
+  assert.doesNotMatch(basic.text, /Comments|Links|Status timeline/);
+  assert.equal(mock.requests[0].query.get("expand"), "renderedFields");
+
+  mock.reset();
+  const { text } = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["links", "subtasks", "customFields"] });
+  assert.doesNotMatch(text, /Details:/);
+  assert.match(text, /• is blocked by ENG-7 — Resolver cache returns stale DNS answers \(Done\)/);
+  assert.match(text, /• relates to CARE-2 — SSL certificate renewal email bounced \(To Do\)/);
+  assert.match(text, /^Parent: none\nSubtasks \(1\):\n• CARE-3 — Collect dig output from customer \(Done\)$/m);
+  assert.match(text, /^Custom fields:\n• Sprint: Care Sprint 12\n• Support tier: Tier 2$/m);
+  assert.equal(mock.requests[0].query.get("expand"), "renderedFields,names");
+});
+
+test("get_jira_issue mirrors the requested sections in structuredContent", async () => {
+  const { result } = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["all"], commentsMaxResults: 2 });
+  const issue = result.structuredContent;
+  assert.equal(issue.key, "CARE-1");
+  assert.equal(issue.assignee, "Alice Agent");
+  assert.equal(issue.descriptionFormat, "markdown");
+  assert.match(issue.description, /\*\*NXDOMAIN\*\*/);
+  assert.deepEqual(issue.details.components, ["DNS"]);
+  assert.equal(issue.details.resolution, null);
+  assert.deepEqual(
+    issue.links.map((l) => [l.relation, l.key, l.direction]),
+    [
+      ["is blocked by", "ENG-7", "inward"],
+      ["relates to", "CARE-2", "outward"],
+    ]
+  );
+  assert.deepEqual(issue.subtasks.map((s) => s.key), ["CARE-3"]);
+  assert.equal(issue.attachments[0].filename, "dig-trace.txt");
+  assert.deepEqual(issue.customFields.find((f) => f.name === "Support tier").value, "Tier 2");
+  assert.deepEqual([issue.comments.total, issue.comments.nextStartAt, issue.comments.items.length], [3, 2, 2]);
+  assert.deepEqual(issue.timeline.transitions.at(-1).to, "In Progress");
+
+  const plain = await callTool(client, "get_jira_issue", { key: "CARE-2", include: ["links"] });
+  assert.equal(plain.result.structuredContent.details, undefined);
+  assert.deepEqual(plain.result.structuredContent.links, []);
+});
+
+test("get_jira_issue pages through comments", async () => {
+  const first = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["comments"], commentsMaxResults: 2 });
+  assert.match(first.text, /^Comments 1-2 of 3:/m);
+  assert.match(first.text, /— Bob Reporter, 2026-10-01 10:00:\nCustomer says it worked _before_ the transfer\./);
+  assert.match(first.text, /— Alice Agent, 2026-10-02 11:05 \(edited\):/);
+  assert.match(first.text, /More comments: pass commentsStartAt=2/);
+
+  const rest = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["comments"], commentsStartAt: 2 });
+  assert.match(rest.text, /^Comments 3-3 of 3:/m);
+  assert.match(rest.text, /Dave Dev/);
+  assert.match(rest.text, /End of comments\./);
+
+  const none = await callTool(client, "get_jira_issue", { key: "CARE-2", include: ["comments", "attachments"] });
+  assert.match(none.text, /^Comments: none$/m);
+  assert.match(none.text, /^Attachments: none$/m);
+});
+
+test("get_jira_issue builds a status timeline from the changelog", async () => {
+  const { text } = await callTool(client, "get_jira_issue", { key: "CARE-1", include: ["timeline", "attachments"] });
+  assert.match(text, /^• 2026-10-01 09:00 — Created in To Do$/m);
+  assert.match(text, /^• 2026-10-03 09:00 — To Do → In Progress by Alice Agent after 2d in To Do$/m);
+  assert.match(text, /^• Now — In Progress for \d+d/m);
+  assert.match(text, /^Time in status: To Do 2d, In Progress \d+d/m);
+  assert.match(text, /• dig-trace\.txt \(2\.1 KB, text\/plain\) — Alice Agent, 2026-10-02 11:00/);
+});
+
+test("get_jira_issue reports a missing issue as not_found", async () => {
+  const { text, isError } = await callTool(client, "get_jira_issue", { key: "CARE-404" });
+  assert.equal(isError, true);
+  assert.match(text, /^Failed to fetch issue CARE-404 \(not_found\): 404 Not Found/);
+  assert.match(text, /Issue does not exist/);
+  assert.match(text, /not visible to this account/);
+});
+
+test("create_jira_issue posts ADF and echoes the new issue", async () => {
+  const { text, isError } = await callTool(client, "create_jira_issue", {
+    project: "care",
+    issueType: "Task",
+    summary: "Follow up with registrar",
+    description: "First line\nsecond line\n\nNext paragraph",
+    labels: ["dns"],
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^Created CARE-100$/m);
+  assert.match(text, /^CARE-100 \[Task\] — To Do$/m);
+  const post = mock.requests.find((r) => r.method === "POST" && r.path === "/rest/api/3/issue");
+  assert.equal(post.body.fields.project.key, "CARE");
+  assert.equal(post.body.fields.description.type, "doc");
+  assert.equal(post.body.fields.description.content.length, 2);
+  assert.deepEqual(post.body.fields.description.content[0].content[1], { type: "hardBreak" });
+});
+
+test("create_jira_issue passes Jira's validation errors through", async () => {
+  const { text, isError } = await callTool(client, "create_jira_issue", { project: "CARE", issueType: "Task", summary: "" });
+  assert.equal(isError, true);
+  assert.match(text, /summary: You must specify a summary/);
+});
+
+test("update_jira_issue sends fields and label operations", async () => {
+  const { text, isError } = await callTool(client, "update_jira_issue", {
+    key: "CARE-2",
+    priority: "High",
+    addLabels: ["urgent"],
+    removeLabels: ["ssl"],
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^Updated CARE-2: priority, labels$/m);
+  const put = mock.requests.find((r) => r.method === "PUT");
+  assert.deepEqual(put.body.update.labels, [{ add: "urgent" }, { remove: "ssl" }]);
+
+  const nothing = await callTool(client, "update_jira_issue", { key: "CARE-2" });
+  assert.equal(nothing.isError, true);
+  assert.match(nothing.text, /Nothing to update/);
+});
+
+test("add_jira_comment links to the new comment", async () => {
+  const { text } = await callTool(client, "add_jira_comment", { key: "CARE-1", body: "Escalated to DNS team" });
+  assert.match(text, /^Comment 500 added to CARE-1$/m);
+  assert.match(text, new RegExp(`URL: ${mock.baseUrl}/browse/CARE-1\\?focusedCommentId=500`));
+  assert.equal(mock.state.comments[0].body.content[0].content[0].text, "Escalated to DNS team");
+});
+
+test("write tools return the re-read issue as structured content", async () => {
+  const updated = await callTool(client, "update_jira_issue", { key: "CARE-1", summary: "New", addLabels: ["x"] });
+  assert.deepEqual(updated.result.structuredContent.changed, ["summary", "labels"]);
+  assert.equal(updated.result.structuredContent.url, `${mock.baseUrl}/browse/CARE-1`);
+
+  const moved = await callTool(client, "transition_jira_issue", { key: "CARE-1", transition: "done" });
+  assert.deepEqual(
+    [moved.result.structuredContent.transition, moved.result.structuredContent.status],
+    ["Resolve", "Done"]
+  );
+
+  const comment = await callTool(client, "add_jira_comment", { key: "CARE-1", body: "hi" });
+  assert.equal(comment.result.structuredContent.commentId, "500");
+});
+
+test("every tool declares an output schema", async () => {
+  const { tools } = await client.listTools();
+  for (const tool of tools) assert.equal(tool.outputSchema?.type, "object", tool.name);
+});
+
+test("transition_jira_issue matches by transition or status name", async () => {
+  const byStatus = await callTool(client, "transition_jira_issue", { key: "CARE-1", transition: "done" });
+  assert.equal(byStatus.isError, false);
+  assert.match(byStatus.text, /Transitioned CARE-1 via "Resolve"/);
+  assert.match(byStatus.text, /^CARE-1 \[Bug\] — Done$/m);
+
+  const missing = await callTool(client, "transition_jira_issue", { key: "CARE-2", transition: "Close" });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Available: Start Progress → In Progress/);
+});
+
+test("tools report missing credentials without calling Jira", async () => {
+  const bare = await connect({ ATLASSIAN_BASE_URL: mock.baseUrl }, { confluence: false });
+  try {
+    const { text, isError } = await callTool(bare, "search_jira", { query: "DNS" });
+    assert.equal(isError, true);
+    assert.equal(text, "Missing required environment variables for Jira access: ATLASSIAN_EMAIL, ATLASSIAN_API_TOKEN.");
+    assert.equal(mock.requests.length, 0);
+  } finally {
+    await bare.close();
+  }
+});
+
+test("search_jira_nl resolves people, validates the JQL and returns it", async () => {
+  const { text, isError } = await callTool(client, "search_jira_nl", { prompt: "issues assigned to Alice Agent in CARE" });
+  assert.equal(isError, false);
+  assert.match(text, /^JQL: project = CARE AND assignee = "acc-alice" order by updated desc$/m);
+  assert.match(text, /^Matched user "Alice Agent" → Alice Agent$/m);
+  assert.match(text, /• CARE-1 /);
+  assert.doesNotMatch(text, /CARE-2/);
+  const paths = mock.requests.map((r) => r.path);
+  assert.deepEqual(paths, ["/rest/api/3/user/search", "/rest/api/3/jql/parse", "/rest/api/3/search/jql"]);
+  assert.equal(mock.requests[1].query.get("validation"), "strict");
+});
+
+test("search_jira_nl stops when Jira rejects the generated JQL", async () => {
+  const { text, isError } = await callTool(client, "search_jira_nl", { prompt: "improvements in CARE" });
+  assert.equal(isError, true);
+  assert.match(text, /^JQL: project = CARE AND issuetype = "Improvement"/);
+  assert.match(text, /Jira rejected the generated JQL:\n- The value 'Improvement' does not exist/);
+  assert.ok(!mock.requests.some((r) => r.path.endsWith("/search/jql")));
+});
+
+test("search_jira_nl reports people it cannot find", async () => {
+  const { text, isError } = await callTool(client, "search_jira_nl", { prompt: "bugs assigned to Zed Nobody" });
+  assert.equal(isError, true);
+  assert.match(text, /^No Jira user found matching "Zed Nobody"/);
+});
+
+test("search_jira_nl keeps the JQL across cursor pages", async () => {
+  const first = await callTool(client, "search_jira_nl", { prompt: "tickets in CARE", maxResults: 1 });
+  const cursor = first.result.content.at(-1).text.split("\n").at(-1);
+  const second = await callTool(client, "search_jira_nl", { cursor, maxResults: 1 });
+  assert.match(second.text, /^JQL: project = CARE order by updated desc$/m);
+  assert.match(second.text, /CARE-2/);
+});
+
+test("find_similar_jira_issues compares an issue with others and leaves it out", async () => {
+  const { text, isError, result } = await callTool(client, "find_similar_jira_issues", { key: "CARE-1" });
+  assert.equal(isError, false);
+  assert.match(text, /^Similar issues for CARE-1 \(DNS records not propagating after domain transfer\)$/m);
+  assert.match(text, /^1\. ENG-7 \[Bug\] — Done — score [\d.]+, related$/m);
+  assert.match(text, /Why: text similarity [\d.]+ \(shared: dns\); mentions dns; found by 2 queries/);
+  assert.ok(!result.structuredContent.issues.some((i) => i.key === "CARE-1"));
+  const searches = mock.requests.filter((r) => r.path === "/rest/api/3/search/jql");
+  assert.equal(searches.length, result.structuredContent.queries.length);
+  assert.ok(searches.every((r) => r.body.jql.startsWith('key != "CARE-1" AND ')));
+});
+
+test("find_similar_jira_issues merges the queries' results and ranks them", async () => {
+  const issue = (key, summary, extra = {}) => ({
+    key,
+    fields: { summary, status: { name: "Done" }, issuetype: { name: "Bug" }, resolution: null, components: [], ...extra },
+  });
+  mock.override("POST", /^\/rest\/api\/3\/search\/jql$/, ({ body }) => {
+    const issues = body.jql.includes("SERVFAIL")
+      ? [issue("CARE-40", "SERVFAIL for example.org after domain transfer", { resolution: { name: "Fixed" } })]
+      : [
+          issue("CARE-40", "SERVFAIL for example.org after domain transfer", { resolution: { name: "Fixed" } }),
+          issue("CARE-41", "Invoice shows the wrong domain"),
+        ];
+    return mockResponse(200, { issues, isLast: true });
+  });
+  const { text, result } = await callTool(client, "find_similar_jira_issues", {
+    description: "Lookups fail with SERVFAIL since the domain transfer",
+    projects: ["care"],
+    includeResolved: false,
+  });
+  const [first, second] = result.structuredContent.issues;
+  assert.equal(first.key, "CARE-40");
+  assert.equal(first.verdict, "likely duplicate");
+  assert.deepEqual(first.matchedBy, ["error codes", "key phrases", "key terms"]);
+  assert.equal(second.key, "CARE-41");
+  assert.ok(first.score > second.score);
+  assert.match(text, /^1\. CARE-40 \[Bug\] — Done \(Fixed\) — score [\d.]+, likely duplicate$/m);
+  assert.ok(
+    result.structuredContent.queries.every((q) => q.jql.startsWith('project in ("CARE") AND resolution = Unresolved AND '))
+  );
+});
+
+test("find_similar_jira_issues needs a description or a key", async () => {
+  const { text, isError } = await callTool(client, "find_similar_jira_issues", {});
+  assert.equal(isError, true);
+  assert.equal(text, "Provide 'description' or 'key'.");
+  assert.equal(mock.requests.length, 0);
+});
+
+test("report_jira_issues tabulates every matching issue with status timing from the changelog", async () => {
+  const { text, isError, result } = await callTool(client, "report_jira_issues", {
+    jql: "order by created",
+    timeInStatus: true,
+    staleHours: 48,
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^\| Status \| Issues \| Open \| Age avg \| Age p50 \| Age p90 \| Age max \| No status change 48h\+ \|$/m);
+  assert.match(text, /^\| In Progress \| 1 \| 1 \| /m);
+  assert.match(text, /^\| \*\*Total\*\* \| 3 \| 2 \| .* \| 2 \|$/m);
+  assert.match(text, /^• In Progress: To Do 2d, In Progress /m);
+  assert.match(text, /^• CARE-1 — In Progress for /m);
+  const { structuredContent } = result;
+  assert.equal(structuredContent.issueCount, 3);
+  assert.equal(structuredContent.truncated, false);
+  assert.equal(structuredContent.groups.find((g) => g.group === "In Progress").timeInStatusMs["To Do"], 2 * 86400000);
+  assert.deepEqual(structuredContent.stale.map((s) => s.key).sort(), ["CARE-1", "CARE-2"]);
+  const search = mock.requests.find((r) => r.path === "/rest/api/3/search/jql");
+  assert.equal(search.body.expand, "changelog");
+  assert.ok(search.body.fields.includes("resolutiondate"));
+});
+
+test("report_jira_issues groups by any field and says when it stopped early", async () => {
+  const { text, result } = await callTool(client, "report_jira_issues", {
+    jql: "order by created",
+    groupBy: "Support tier",
+    maxIssues: 2,
+  });
+  assert.match(text, /^\| Support tier \| Issues \|/m);
+  assert.match(text, /^\| Tier 2 \| 1 \| 1 \| /m);
+  assert.match(text, /^Stopped at 2 issues; more match\./m);
+  assert.deepEqual(result.structuredContent.groupBy, { name: "Support tier", field: "customfield_10020" });
+  assert.equal(result.structuredContent.truncated, true);
+  assert.ok(!mock.requests.some((r) => r.body?.expand));
+
+  const unknown = await callTool(client, "report_jira_issues", { jql: "order by created", groupBy: "Mood" });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.text, /^Unknown field "Mood" to group by\./);
+});
+
+test("digest_jira_changes groups the window's changes by issue", async () => {
+  const { text, isError, result } = await callTool(client, "digest_jira_changes", {
+    jql: "project = CARE order by created",
+    since: "2026-10-03",
+    until: "2026-10-05",
+  });
+  assert.equal(isError, false);
+  assert.match(text, /^1 of 2 issues changed: 1 status change, 0 reassignments, 0 priority changes, 1 new comment\.$/m);
+  assert.match(text, /^## \[CARE-1\]\(http:\/\/127\.0\.0\.1:\d+\/browse\/CARE-1\) DNS records/m);
+  assert.match(text, /^- 2026-10-03 09:00 Status To Do → \*\*In Progress\*\* \(Alice Agent\)$/m);
+  assert.match(text, /^- 2026-10-04 08:00 Comment by Dave Dev: Linked to ENG-7/m);
+  assert.doesNotMatch(text, /Medium/, "the priority change on 10-01 is outside the window");
+  const { structuredContent } = result;
+  assert.match(structuredContent.jql, /^\(project = CARE\) AND updated >= -\d+m order by updated desc$/);
+  assert.deepEqual(structuredContent.issues[0].changes.map((c) => c.type), ["status", "comment"]);
+  assert.equal(mock.requests.find((r) => r.path === "/rest/api/3/search/jql").body.expand, "changelog");
+});
+
+test("digest_jira_changes reads saved filters and tailors the digest to one assignee", async () => {
+  const care2 = mock.state.issues.find((i) => i.key === "CARE-2");
+  care2.changelog = {
+    total: 1,
+    histories: [
+      {
+        created: "2026-10-04T10:00:00.000+0000",
+        author: { displayName: "Alice Agent" },
+        items: [{ field: "assignee", from: "acc-alice", fromString: "Alice Agent", to: null, toString: null }],
+      },
+    ],
+  };
+  const { text, result } = await callTool(client, "digest_jira_changes", {
+    filterId: "10100",
+    since: "2026-10-04",
+    until: "2026-10-05",
+    assignee: "Alice Agent",
+  });
+  assert.match(text, /^# Handoff digest for Alice Agent$/m);
+  assert.match(text, /^Filter \[Care queue\]\(.*\/issues\/\?filter=10100\)/m);
+  assert.match(text, /^- 2026-10-04 10:00 Reassigned Alice Agent → \*\*Unassigned\*\*/m);
+  assert.deepEqual(result.structuredContent.issues.map((i) => i.key).sort(), ["CARE-1", "CARE-2"]);
+  assert.deepEqual(result.structuredContent.filter, { id: "10100", name: "Care queue" });
+  assert.match(result.structuredContent.jql, /^\(project = CARE\) AND .* AND \(assignee = "acc-alice" OR assignee was "acc-alice"\)/);
+
+  const other = await callTool(client, "digest_jira_changes", {
+    filterId: "10100",
+    since: "2026-10-04",
+    until: "2026-10-05",
+    assignee: "Bob Reporter",
+  });
+  assert.deepEqual(other.result.structuredContent.issues, []);
+  assert.match(other.text, /^Nothing to hand over/m);
+});
+
+test("digest_jira_changes rejects unclear input", async () => {
+  const both = await callTool(client, "digest_jira_changes", { jql: "project = CARE", filterId: "10100" });
+  assert.equal(both.text, "Provide either jql or filterId.");
+  const window = await callTool(client, "digest_jira_changes", { jql: "project = CARE", since: "last shift" });
+  assert.match(window.text, /^Unrecognised time window "last shift"/);
+  const nobody = await callTool(client, "digest_jira_changes", { jql: "project = CARE", assignee: "Zed Nobody" });
+  assert.equal(nobody.text, 'No Jira user found matching "Zed Nobody".');
+  assert.ok([both, window, nobody].every((r) => r.isError));
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { translatePrompt, jqlString } from "../jql-builder.js";
+
+const jqlFor = async (prompt, options) => (await translatePrompt(prompt, options)).jql;
+
+test("jqlString escapes quotes and backslashes", () => {
+  assert.equal(jqlString('say "hi" \\o/'), '"say \\"hi\\" \\\\o/"');
+});
+
+test("negated status words produce a single, negated condition", async () => {
+  assert.equal(await jqlFor("not done"), "statusCategory != Done order by updated desc");
+  assert.equal(await jqlFor("bugs that are not in progress"), 'statusCategory != "In Progress" AND issuetype = "Bug" order by updated desc');
+  assert.equal(await jqlFor("open issues"), "resolution = Unresolved order by updated desc");
+});
+
+test("priority levels are matched exactly, with ranges and aliases", async () => {
+  assert.equal(await jqlFor("highest priority issues"), 'priority = "Highest" order by updated desc');
+  assert.equal(await jqlFor("high priority issues"), 'priority = "High" order by updated desc');
+  assert.equal(await jqlFor("high or higher priority"), 'priority in ("High", "Highest") order by updated desc');
+  assert.equal(await jqlFor("P1 and blockers"), 'priority in ("Highest", "Blocker") order by updated desc');
+  assert.equal(await jqlFor("not high priority"), 'priority != "High" order by updated desc');
+  // Bare "high" in prose is search text, not a priority
+  assert.equal(await jqlFor("high CPU usage"), 'text ~ "high CPU usage" order by updated desc');
+});
+
+test("projects, components, versions, labels and types", async () => {
+  assert.equal(
+    await jqlFor("stories in project CARE or ENG for component API in fix version 2.3.1 labeled dns, ssl"),
+    'fixVersion = "2.3.1" AND component = "API" AND labels in ("dns", "ssl") AND project in (CARE, ENG) AND issuetype = "Story" order by updated desc'
+  );
+  assert.equal(await jqlFor("bugs not in CARE"), 'project != CARE AND issuetype = "Bug" order by updated desc');
+  assert.equal(await jqlFor("issues that are not bugs"), 'issuetype != "Bug" order by updated desc');
+  assert.equal(await jqlFor("sub-tasks without labels"), "labels is EMPTY AND issuetype in subTaskIssueTypes() order by updated desc");
+});
+
+test("sprints", async () => {
+  assert.equal(await jqlFor("issues in the current sprint"), "sprint in openSprints() order by updated desc");
+  assert.equal(await jqlFor("bugs not in the active sprint"), 'sprint not in openSprints() AND issuetype = "Bug" order by updated desc');
+  assert.equal(await jqlFor("tasks in the backlog"), 'sprint is EMPTY AND issuetype = "Task" order by updated desc');
+  assert.equal(await jqlFor('sprint "CARE Sprint 12"'), 'sprint = "CARE Sprint 12" order by updated desc');
+});
+
+test("dates pick the field named next to them", async () => {
+  assert.equal(
+    await jqlFor("created between 2026-09-01 and 2026-09-30"),
+    'created >= "2026-09-01" AND created <= "2026-09-30 23:59" order by created desc'
+  );
+  assert.equal(await jqlFor("updated in the last 3 days"), "updated >= -3d order by updated desc");
+  assert.equal(await jqlFor("issues created last week"), "created >= -1w order by created desc");
+  assert.equal(await jqlFor("not updated in the last 2 weeks"), "updated < -2w order by updated desc");
+  assert.equal(await jqlFor("resolved yesterday"), "resolved >= startOfDay(-1d) AND resolved < startOfDay() order by resolved desc");
+  assert.equal(await jqlFor("issues older than 30 days"), "created <= -30d order by created desc");
+  assert.equal(await jqlFor("updated since 2026-10-01 oldest first"), 'updated >= "2026-10-01" order by created asc');
+});
+
+test("people are resolved through the injected lookup", async () => {
+  const lookups = [];
+  const resolveUser = async (name) => {
+    lookups.push(name);
+    return name === "Alice Agent" ? [{ id: "acc-alice", displayName: "Alice Agent" }] : [];
+  };
+  const result = await translatePrompt("open bugs assigned to Alice Agent reported by me", { resolveUser });
+  assert.deepEqual(lookups, ["Alice Agent"]);
+  assert.equal(
+    result.jql,
+    'resolution = Unresolved AND assignee = "acc-alice" AND reporter = currentUser() AND issuetype = "Bug" order by updated desc'
+  );
+  assert.deepEqual(result.notes, ['"Alice Agent" → Alice Agent']);
+
+  const negated = await translatePrompt("not assigned to Alice Agent", { resolveUser });
+  assert.equal(negated.jql, '(assignee != "acc-alice" OR assignee is EMPTY) order by updated desc');
+
+  const missing = await translatePrompt("assigned to Zed", { resolveUser });
+  assert.deepEqual(missing.unresolved, ["Zed"]);
+});
+
+test("quoted phrases and leftover words become text search", async () => {
+  assert.equal(
+    await jqlFor('unassigned "connection reset" DNS issues'),
+    'assignee is EMPTY AND text ~ "connection reset" AND text ~ "DNS" order by updated desc'
+  );
+  // A quoted phrase is never mined for keywords
+  assert.equal(await jqlFor('"high priority done"'), 'text ~ "high priority done" order by updated desc');
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { markdownToStorage } from "../markdown-to-storage.js";
+import { htmlToMarkdown } from "../html-to-markdown.js";
+
+test("inline Markdown becomes escaped XHTML", () => {
+  assert.equal(
+    markdownToStorage("Saw **NXDOMAIN** & _stale_ <answers>; see [CARE-1](https://x/browse/CARE-1?a=1&b=2) and `a<b`.\nNext  \nline"),
+    '<p>Saw <strong>NXDOMAIN</strong> &amp; <em>stale</em> &lt;answers&gt;; see <a href="https://x/browse/CARE-1?a=1&amp;b=2">CARE-1</a>' +
+      " and <code>a&lt;b</code>. Next<br />line</p>"
+  );
+  assert.equal(markdownToStorage("snake_case_name and 2 \\* 3"), "<p>snake_case_name and 2 * 3</p>");
+});
+
+test("code fences become code macros with safe CDATA", () => {
+  assert.equal(
+    markdownToStorage("```bash\ndig example.com ]]> x\n```"),
+    '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">bash</ac:parameter>' +
+      "<ac:plain-text-body><![CDATA[dig example.com ]]]]><![CDATA[> x]]></ac:plain-text-body></ac:structured-macro>"
+  );
+});
+
+test("lists nest, keep their start number, and task lists become Confluence tasks", () => {
+  assert.equal(
+    markdownToStorage("3. three\n4. four\n   - a\n\n   - b\n\nafter"),
+    '<ol start="3"><li>three</li><li>four<ul><li>a</li><li>b</li></ul></li></ol><p>after</p>'
+  );
+  assert.equal(
+    markdownToStorage("- [ ] open\n- [x] closed"),
+    "<ac:task-list><ac:task><ac:task-id>1</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body>open</ac:task-body></ac:task>" +
+      "<ac:task><ac:task-id>2</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body>closed</ac:task-body></ac:task></ac:task-list>"
+  );
+});
+
+test("tables, panels and alerts map to their storage equivalents", () => {
+  assert.equal(
+    markdownToStorage("| Step | Action |\n|---|---|\n| 1 | Open \\| close |"),
+    "<table><tbody><tr><th>Step</th><th>Action</th></tr><tr><td>1</td><td>Open | close</td></tr></tbody></table>"
+  );
+  assert.equal(
+    markdownToStorage("> **Warning:** **Careful**\n> Never delete the zone."),
+    '<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title">Careful</ac:parameter>' +
+      "<ac:rich-text-body><p>Never delete the zone.</p></ac:rich-text-body></ac:structured-macro>"
+  );
+  assert.equal(
+    markdownToStorage("> [!TIP]\n> Use the dashboard."),
+    '<ac:structured-macro ac:name="tip"><ac:rich-text-body><p>Use the dashboard.</p></ac:rich-text-body></ac:structured-macro>'
+  );
+  assert.equal(markdownToStorage("> just quoted"), "<blockquote><p>just quoted</p></blockquote>");
+});
+
+test("Markdown read from a page survives a round trip", () => {
+  const markdown = [
+    "## Symptoms",
+    "Domains return **NXDOMAIN** after transfer.",
+    "> **Warning:**\n>\n> Never delete the zone.",
+    "```bash\ndig +trace example.com\n```",
+    "1. Check the zone\n2. Flush the cache",
+    "| Step | Action |\n| --- | --- |\n| 1 | Open dashboard |",
+  ].join("\n\n");
+  assert.equal(htmlToMarkdown(markdownToStorage(markdown)), markdown);
+});
@@ -0,0 +1,500 @@
+// Local stand-in for the Jira and Confluence REST APIs, backed by the JSON fixtures in ./fixtures.
+import http from "node:http";
+import { readFileSync } from "node:fs";
+
+const FIXTURE_DIR = new URL("./fixtures/", import.meta.url);
+
+function loadFixture(name, baseUrl) {
+  const raw = readFileSync(new URL(name, FIXTURE_DIR), "utf8").replaceAll("{{BASE_URL}}", baseUrl);
+  return JSON.parse(raw);
+}
+
+function json(status, body, headers = {}) {
+  return { status, body, headers };
+}
+
+// Enough of JQL for the fixtures: project, key, assignee, text ~, and a match-nothing sentinel
+function filterIssues(issues, jql) {
+  const lower = jql.toLowerCase();
+  if (lower.includes("nomatch")) return [];
+  let out = issues;
+  const project = jql.match(/project\s*(?:=|in)\s*\(?\s*"?([A-Z][A-Z0-9_]*)"?/i);
+  if (project) out = out.filter((i) => i.key.startsWith(`${project[1].toUpperCase()}-`));
+  const keys = jql.match(/key\s+in\s*\(([^)]*)\)/i);
+  if (keys) {
+    const wanted = keys[1].split(",").map((k) => k.trim().replace(/"/g, "").toUpperCase());
+    out = out.filter((i) => wanted.includes(i.key));
+  }
+  const assignee = jql.match(/assignee\s*=\s*"([^"]+)"/i);
+  if (assignee) {
+    // "assignee was" also matches issues the changelog shows them assigned to or from
+    const was = new RegExp(`assignee\\s+was\\s+"${assignee[1]}"`, "i").test(jql);
+    const wasAssigned = (i) =>
+      (i.changelog?.histories || []).some((h) =>
+        h.items.some((item) => item.field === "assignee" && [item.from, item.to].includes(assignee[1]))
+      );
+    out = out.filter((i) => i.fields.assignee?.accountId === assignee[1] || (was && wasAssigned(i)));
+  }
+  for (const m of jql.matchAll(/text\s*~\s*"((?:[^"\\]|\\.)*)"/gi)) {
+    const term = m[1].replace(/\\"/g, '"').toLowerCase();
+    out = out.filter((i) => `${i.fields.summary} ${i.renderedFields?.description || ""}`.toLowerCase().includes(term));
+  }
+  return out;
+}
+
+function filterPages(pages, cql) {
+  let out = pages;
+  if (/nomatch/i.test(cql)) return [];
+  const space = cql.match(/space\s*(?:=|in)\s*\(?\s*"([^"]+)"/i);
+  if (space) out = out.filter((p) => p.space.key === space[1]);
+  const text = cql.match(/text\s*~\s*"((?:[^"\\]|\\.)*)"/i);
+  if (text) {
+    const words = text[1].replace(/\\"/g, '"').toLowerCase().split(/\s+/).filter(Boolean);
+    out = out.filter((p) => {
+      const haystack = `${p.title} ${p.body}`.toLowerCase();
+      return words.some((w) => haystack.includes(w));
+    });
+  }
+  return out;
+}
+
+// Saved filters for /filter/{id}
+const FILTERS = [{ id: "10100", name: "Care queue", jql: "project = CARE order by updated desc" }];
+
+const ISSUE_TYPES = ["Bug", "Task", "Story", "Epic", "Incident"];
+
+// Mirrors /jql/parse's strict validation for the one thing the fixtures can check: issue type names
+function jqlErrors(jql) {
+  const errors = [];
+  for (const m of jql.matchAll(/issuetype\s+(?:!?=|(?:not\s+)?in)\s+(\([^)]*\)|"[^"]*")/gi)) {
+    for (const [, name] of m[1].matchAll(/"([^"]*)"/g)) {
+      if (!ISSUE_TYPES.includes(name)) errors.push(`The value '${name}' does not exist for the field 'issuetype'.`);
+    }
+  }
+  return errors;
+}
+
+function usersFrom(issues) {
+  const users = new Map();
+  for (const issue of issues) {
+    for (const person of [issue.fields.assignee, issue.fields.reporter]) {
+      if (person) users.set(person.accountId, { ...person, active: true, accountType: "atlassian" });
+    }
+  }
+  return Array.from(users.values());
+}
+
+function searchResult(page) {
+  return {
+    content: {
+      id: page.id,
+      type: page.type,
+      title: page.title,
+      space: page.space,
+      metadata: { labels: { results: (page.labels || []).map((name) => ({ prefix: "global", name })) } },
+      _links: { webui: `/spaces/${page.space.key}/pages/${page.id}` },
+    },
+    title: page.title,
+    excerpt: page.body.replace(/<[^>]+>/g, " ").slice(0, 120),
+    url: `/spaces/${page.space.key}/pages/${page.id}`,
+    resultGlobalContainer: { title: page.space.name, displayUrl: `/spaces/${page.space.key}` },
+    lastModified: page.version.when,
+    friendlyLastModified: page.version.when.slice(0, 10),
+  };
+}
+
+function contentResponse(page, pages = []) {
+  const ancestors = [];
+  for (let parent = page.parentId; parent; ) {
+    const found = pages.find((p) => p.id === parent);
+    if (!found) break;
+    const webui = `/spaces/${found.space.key}/pages/${found.id}`;
+    ancestors.unshift({ id: found.id, type: found.type, title: found.title, _links: { webui } });
+    parent = found.parentId;
+  }
+  return {
+    id: page.id,
+    type: page.type,
+    title: page.title,
+    space: page.space,
+    version: page.version,
+    ancestors,
+    body: { storage: { value: page.body, representation: "storage" } },
+    metadata: { labels: { results: page.labels.map((name) => ({ prefix: "global", name })) } },
+    _links: { webui: `/spaces/${page.space.key}/pages/${page.id}` },
+  };
+}
+
+function attachmentResponse(page, attachment) {
+  const fileSize = attachment.fileSize ?? Buffer.byteLength(attachment.content || "");
+  return {
+    id: attachment.id,
+    type: "attachment",
+    title: attachment.title,
+    metadata: { mediaType: attachment.mediaType },
+    extensions: { mediaType: attachment.mediaType, fileSize },
+    version: { number: 1, when: attachment.created, by: { displayName: attachment.author } },
+    _links: {
+      webui: `/spaces/${page.space.key}/pages/${page.id}?preview=/${page.id}/${attachment.id}/${attachment.title}`,
+      download: `/download/attachments/${page.id}/${encodeURIComponent(attachment.title)}?version=1&api=v2`,
+    },
+  };
+}
+
+// Offset paging in the shape of Confluence's v1 collection responses
+function pageOf(items, query) {
+  const start = Number(query.get("start") || 0);
+  const limit = Number(query.get("limit") || 25);
+  const results = items.slice(start, start + limit);
+  const body = { results, start, limit, size: results.length, _links: {} };
+  if (start + limit < items.length) body._links.next = `?start=${start + limit}&limit=${limit}`;
+  return body;
+}
+
+/**
+ * Start the mock on an ephemeral port.
+ * @returns {Promise<{ baseUrl: string, requests: Array<{ method: string, path: string, query: URLSearchParams,
+ *   body: any, headers: http.IncomingHttpHeaders }>, state: { issues: any[], pages: any[] },
+ *   oauth: { accessToken: string, refreshToken: string, refreshes: number },
+ *   override: (method: string, pattern: RegExp, handler: Function) => void, reset: () => void, close: () => Promise<void> }>}
+ */
+export async function startMockAtlassian() {
+  const requests = [];
+  const overrides = [];
+  const state = { issues: [], pages: [], comments: [], pageComments: [], nextIssue: 100, nextComment: 500, nextContent: 3000 };
+  // OAuth 2.0 (3LO): the one valid access/refresh token pair, rotated by every refresh
+  const oauth = { accessToken: "access-1", refreshToken: "refresh-1", refreshes: 0 };
+  let baseUrl = "";
+
+  const reset = () => {
+    requests.length = 0;
+    overrides.length = 0;
+    state.issues = loadFixture("jira-issues.json", baseUrl);
+    state.pages = loadFixture("confluence-pages.json", baseUrl);
+    state.comments = [];
+    state.pageComments = [];
+    state.nextIssue = 100;
+    state.nextComment = 500;
+    state.nextContent = 3000;
+    Object.assign(oauth, { accessToken: "access-1", refreshToken: "refresh-1", refreshes: 0 });
+  };
+
+  const findIssue = (key) => state.issues.find((i) => i.key === decodeURIComponent(key).toUpperCase());
+  // Jira moves `updated` on every change, which is what the response cache revalidates against
+  const touch = (issue) => (issue.fields.updated = new Date().toISOString());
+  const notFoundIssue = () =>
+    json(404, { errorMessages: ["Issue does not exist or you do not have permission to see it."], errors: {} });
+
+  const routes = [
+    ["POST", /^\/oauth\/token$/, ({ body }) => {
+      if (body?.grant_type !== "refresh_token" || !body.client_id || !body.client_secret) {
+        return json(400, { error: "invalid_request" });
+      }
+      if (body.refresh_token !== oauth.refreshToken) return json(403, { error: "invalid_grant" });
+      const n = ++oauth.refreshes + 1;
+      Object.assign(oauth, { accessToken: `access-${n}`, refreshToken: `refresh-${n}` });
+      return json(200, { access_token: oauth.accessToken, refresh_token: oauth.refreshToken, expires_in: 3600 });
+    }],
+    ["GET", /^\/oauth\/token\/accessible-resources$/, ({ headers }) => {
+      if (headers.authorization !== `Bearer ${oauth.accessToken}`) return json(401, { message: "Unauthorized" });
+      return json(200, [
+        { id: "cloud-other", url: "https://other.atlassian.net", name: "other" },
+        { id: "cloud-1", url: baseUrl, name: "mock" },
+      ]);
+    }],
+    ["POST", /^\/rest\/api\/3\/search\/jql$/, ({ body }) => {
+      const matches = filterIssues(state.issues, body.jql || "");
+      const start = Number(body.nextPageToken || 0);
+      const size = body.maxResults || 50;
+      const expand = String(body.expand || "").split(",");
+      const page = matches.slice(start, start + size).map(({ names, changelog, comments, remotelinks, transitions, ...issue }) => ({
+        ...issue,
+        ...(expand.includes("changelog") ? { changelog: changelog || { histories: [], total: 0 } } : {}),
+      }));
+      const next = start + size;
+      return json(200, {
+        issues: page,
+        ...(next < matches.length ? { nextPageToken: String(next) } : {}),
+        isLast: next >= matches.length,
+      });
+    }],
+    ["POST", /^\/rest\/api\/3\/jql\/parse$/, ({ body }) => {
+      const queries = (body.queries || []).map((query) => {
+        const errors = jqlErrors(query);
+        return errors.length ? { query, errors } : { query, structure: {} };
+      });
+      return json(200, { queries });
+    }],
+    ["GET", /^\/rest\/api\/3\/field$/, () => {
+      const custom = Object.assign({}, ...state.issues.map((i) => i.names || {}));
+      return json(200, [
+        { id: "summary", name: "Summary", custom: false },
+        { id: "status", name: "Status", custom: false },
+        ...Object.entries(custom).map(([id, name]) => ({ id, name, custom: true })),
+      ]);
+    }],
+    ["GET", /^\/rest\/api\/3\/user\/search$/, ({ query }) => {
+      const q = (query.get("query") || "").toLowerCase();
+      return json(200, usersFrom(state.issues).filter((u) => u.displayName.toLowerCase().includes(q)));
+    }],
+    ["GET", /^\/rest\/api\/3\/myself$/, () => json(200, { accountId: "acc-agent", displayName: "Agent Smith" })],
+    ["GET", /^\/rest\/api\/3\/filter\/([^/]+)$/, ({ match }) => {
+      const filter = FILTERS.find((f) => f.id === match[1]);
+      return filter ? json(200, filter) : json(404, { errorMessages: ["The selected filter is not available to you."] });
+    }],
+    ["GET", /^\/rest\/api\/3\/issue\/([^/]+)\/remotelink$/, ({ match }) => {
+      const issue = findIssue(match[1]);
+      return issue ? json(200, issue.remotelinks || []) : notFoundIssue();
+    }],
+    ["GET", /^\/rest\/api\/3\/issue\/([^/]+)\/transitions$/, ({ match }) => {
+      const issue = findIssue(match[1]);
+      return issue ? json(200, { transitions: issue.transitions || [] }) : notFoundIssue();
+    }],
+    ["POST", /^\/rest\/api\/3\/issue\/([^/]+)\/transitions$/, ({ match, body }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      const transition = (issue.transitions || []).find((t) => t.id === body.transition?.id);
+      if (!transition) return json(400, { errorMessages: ["Transition id is not valid."] });
+      issue.fields.status = { name: transition.to.name };
+      touch(issue);
+      return json(204, null);
+    }],
+    ["POST", /^\/rest\/api\/3\/issue\/([^/]+)\/comment$/, ({ match, body }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      const comment = { id: String(state.nextComment++), issueKey: issue.key, body: body.body };
+      state.comments.push(comment);
+      touch(issue);
+      return json(201, comment);
+    }],
+    ["GET", /^\/rest\/api\/3\/issue\/([^/]+)\/comment$/, ({ match, query }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      const all = [...(issue.comments || []), ...state.comments.filter((c) => c.issueKey === issue.key)];
+      const startAt = Number(query.get("startAt") || 0);
+      const maxResults = Number(query.get("maxResults") || 50);
+      return json(200, { comments: all.slice(startAt, startAt + maxResults), startAt, maxResults, total: all.length });
+    }],
+    ["GET", /^\/rest\/api\/3\/issue\/([^/]+)\/changelog$/, ({ match, query }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      const all = issue.changelog?.histories || [];
+      const startAt = Number(query.get("startAt") || 0);
+      const maxResults = Number(query.get("maxResults") || 100);
+      const values = all.slice(startAt, startAt + maxResults);
+      return json(200, { values, startAt, maxResults, total: all.length, isLast: startAt + values.length >= all.length });
+    }],
+    ["GET", /^\/rest\/api\/3\/issue\/([^/]+)$/, ({ match, query }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      // Like Jira, names and changelog only come back when expanded; comments have their own endpoint
+      const expand = (query.get("expand") || "").split(",");
+      const { names, changelog, comments, remotelinks, transitions, ...body } = issue;
+      return json(200, {
+        ...body,
+        ...(expand.includes("names") ? { names: names || {} } : {}),
+        ...(expand.includes("changelog") ? { changelog: changelog || { histories: [], total: 0 } } : {}),
+      });
+    }],
+    ["PUT", /^\/rest\/api\/3\/issue\/([^/]+)$/, ({ match, body }) => {
+      const issue = findIssue(match[1]);
+      if (!issue) return notFoundIssue();
+      for (const [field, value] of Object.entries(body.fields || {})) {
+        issue.fields[field] = field === "priority" ? { name: value.name } : value;
+      }
+      touch(issue);
+      return json(204, null);
+    }],
+    ["POST", /^\/rest\/api\/3\/issue$/, ({ body }) => {
+      const fields = body.fields || {};
+      if (!fields.summary) return json(400, { errorMessages: [], errors: { summary: "You must specify a summary of the issue." } });
+      const key = `${fields.project.key}-${state.nextIssue++}`;
+      state.issues.push({
+        id: String(20000 + state.nextIssue),
+        key,
+        fields: {
+          summary: fields.summary,
+          status: { name: "To Do" },
+          assignee: null,
+          issuetype: { name: fields.issuetype.name },
+          priority: fields.priority || { name: "Medium" },
+          labels: fields.labels || [],
+        },
+        renderedFields: { description: "" },
+        transitions: [],
+      });
+      return json(201, { id: String(20000 + state.nextIssue), key, self: `${baseUrl}/rest/api/3/issue/${key}` });
+    }],
+    ["GET", /^\/wiki\/rest\/api\/search$/, ({ query }) => {
+      const matches = filterPages(state.pages, query.get("cql") || "");
+      const start = Number(query.get("start") || 0);
+      const limit = Number(query.get("limit") || 25);
+      return json(200, {
+        results: matches.slice(start, start + limit).map(searchResult),
+        start,
+        limit,
+        size: Math.min(limit, Math.max(0, matches.length - start)),
+        totalSize: matches.length,
+      });
+    }],
+    ["GET", /^\/wiki\/rest\/api\/content\/(\d+)$/, ({ match }) => {
+      const page = state.pages.find((p) => p.id === match[1]);
+      return page
+        ? json(200, contentResponse(page, state.pages))
+        : json(404, { message: `No content found with id: ${match[1]}` });
+    }],
+    ["GET", /^\/wiki\/rest\/api\/content$/, ({ query }) => {
+      const matches = state.pages.filter(
+        (p) =>
+          (!query.get("spaceKey") || p.space.key === query.get("spaceKey")) &&
+          (!query.get("title") || p.title === query.get("title"))
+      );
+      return json(200, pageOf(matches.map((p) => contentResponse(p, state.pages)), query));
+    }],
+    ["GET", /^\/wiki\/rest\/api\/content\/(\d+)\/child\/page$/, ({ match, query }) => {
+      if (!state.pages.some((p) => p.id === match[1])) return json(404, { message: `No content found with id: ${match[1]}` });
+      const children = state.pages.filter((p) => p.parentId === match[1]);
+      return json(200, pageOf(children.map((p) => contentResponse(p, state.pages)), query));
+    }],
+    ["GET", /^\/wiki\/rest\/api\/content\/(\d+)\/child\/attachment$/, ({ match, query }) => {
+      const page = state.pages.find((p) => p.id === match[1]);
+      if (!page) return json(404, { message: `No content found with id: ${match[1]}` });
+      const filename = query.get("filename");
+      const attachments = (page.attachments || []).filter((a) => !filename || a.title === filename);
+      return json(200, pageOf(attachments.map((a) => attachmentResponse(page, a)), query));
+    }],
+    ["GET", /^\/wiki\/download\/attachments\/(\d+)\/([^/]+)$/, ({ match }) => {
+      const page = state.pages.find((p) => p.id === match[1]);
+      const attachment = page?.attachments?.find((a) => a.title === decodeURIComponent(match[2]));
+      if (!attachment) return json(404, { message: "Attachment not found" });
+      return json(200, attachment.content ?? "\u0089PNG", { "Content-Type": attachment.mediaType });
+    }],
+    ["GET", /^\/wiki\/rest\/api\/space$/, ({ query }) => {
+      const spaces = new Map();
+      for (const page of state.pages) {
+        if (spaces.has(page.space.key)) continue;
+        const home = state.pages.find((p) => p.space.key === page.space.key && !p.parentId);
+        spaces.set(page.space.key, {
+          id: spaces.size + 1,
+          key: page.space.key,
+          name: page.space.name,
+          type: "global",
+          status: "current",
+          description: { plain: { value: `${page.space.name} knowledge base`, representation: "plain" } },
+          homepage: { id: home.id, type: "page", title: home.title },
+          _links: { webui: `/spaces/${page.space.key}` },
+        });
+      }
+      const type = query.get("type");
+      return json(200, pageOf(Array.from(spaces.values()).filter((sp) => !type || sp.type === type), query));
+    }],
+    ["POST", /^\/wiki\/rest\/api\/content$/, ({ body }) => {
+      const id = String(state.nextContent++);
+      if (body.type === "comment") {
+        const container = state.pages.find((p) => p.id === body.container?.id);
+        if (!container) return json(404, { message: `No content found with id: ${body.container?.id}` });
+        const parentId = body.ancestors?.[0]?.id || null;
+        state.pageComments.push({ id, pageId: container.id, parentId, body: body.body.storage.value });
+        const webui = `/spaces/${container.space.key}/pages/${container.id}?focusedCommentId=${id}`;
+        return json(200, { id, type: "comment", title: `Re: ${container.title}`, _links: { webui } });
+      }
+      const spaces = new Map(state.pages.map((p) => [p.space.key, p.space]));
+      const space = spaces.get(body.space?.key);
+      if (!space) return json(404, { message: `No space with key : ${body.space?.key}` });
+      if (state.pages.some((p) => p.space.key === space.key && p.title === body.title)) {
+        return json(400, { message: "A page with this title already exists: A page already exists with the same TITLE in this space" });
+      }
+      const page = {
+        id,
+        type: body.type,
+        title: body.title,
+        space,
+        version: { number: 1, when: "2026-10-19T12:00:00.000Z" },
+        labels: [],
+        body: body.body.storage.value,
+        parentId: body.ancestors?.[0]?.id || null,
+      };
+      state.pages.push(page);
+      return json(200, contentResponse(page, state.pages));
+    }],
+    ["PUT", /^\/wiki\/rest\/api\/content\/(\d+)$/, ({ match, body }) => {
+      const page = state.pages.find((p) => p.id === match[1]);
+      if (!page) return json(404, { message: `No content found with id: ${match[1]}` });
+      if (body.version?.number !== page.version.number + 1) {
+        return json(409, { message: `Version must be incremented on update. Current version is: ${page.version.number}` });
+      }
+      Object.assign(page, {
+        title: body.title,
+        body: body.body.storage.value,
+        version: { number: body.version.number, when: "2026-10-19T12:00:00.000Z", message: body.version.message },
+      });
+      return json(200, contentResponse(page, state.pages));
+    }],
+    ["POST", /^\/wiki\/rest\/api\/content\/(\d+)\/label$/, ({ match, body }) => {
+      const page = state.pages.find((p) => p.id === match[1]);
+      if (!page) return json(404, { message: `No content found with id: ${match[1]}` });
+      for (const label of body) if (!page.labels.includes(label.name)) page.labels.push(label.name);
+      const results = page.labels.map((name) => ({ prefix: "global", name, id: name }));
+      return json(200, { results, start: 0, limit: 200, size: results.length });
+    }],
+  ];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (_) {
+        body = raw;
+      }
+      const entry = { method: req.method, path: url.pathname, query: url.searchParams, body, headers: req.headers };
+      requests.push(entry);
+
+      const ctx = { ...entry, req, res };
+      // OAuth clients call /ex/{product}/{cloudId}/...; anything else under it is served like a direct call
+      const gateway = url.pathname.match(/^\/ex\/(?:jira|confluence)\/cloud-1(\/.*)$/);
+      const pathname = gateway ? gateway[1] : url.pathname;
+      let result = json(404, { message: `No mock route for ${req.method} ${url.pathname}` });
+      if (gateway && req.headers.authorization !== `Bearer ${oauth.accessToken}`) {
+        result = json(401, { message: "Unauthorized" });
+      } else {
+        for (const [method, pattern, handler] of [...overrides, ...routes]) {
+          const match = req.method === method && pathname.match(pattern);
+          if (match) {
+            result = await handler({ ...ctx, match });
+            break;
+          }
+        }
+      }
+      if (result === null) return; // handler chose to leave the request hanging (or answered through res)
+      res.writeHead(result.status, { "Content-Type": "application/json", ...result.headers });
+      res.end(result.body === null || result.body === undefined ? "" : typeof result.body === "string" ? result.body : JSON.stringify(result.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  reset();
+
+  return {
+    baseUrl,
+    requests,
+    state,
+    oauth,
+    /** Routes added here win over the defaults until the next reset(). */
+    override(method, pattern, handler) {
+      overrides.unshift([method, pattern, handler]);
+    },
+    reset,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+export { json as mockResponse };
@@ -0,0 +1,70 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv, connect } from "./helpers.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(() => mock.reset());
+
+test("prompts are listed with their arguments", async () => {
+  const { prompts } = await client.listPrompts();
+  const byName = Object.fromEntries(prompts.map((p) => [p.name, p]));
+  assert.deepEqual(Object.keys(byName).sort(), ["draft_customer_reply", "summarize_runbook", "triage_jira_issue"]);
+  assert.deepEqual(
+    byName.draft_customer_reply.arguments.map((a) => [a.name, a.required]),
+    [
+      ["key", true],
+      ["kb", false],
+      ["tone", false],
+    ]
+  );
+});
+
+test("triage_jira_issue embeds the issue and asks for a duplicate check", async () => {
+  const { messages } = await client.getPrompt({ name: "triage_jira_issue", arguments: { key: "care-1" } });
+  assert.equal(messages[0].content.type, "resource");
+  assert.equal(messages[0].content.resource.uri, "jira://issue/CARE-1");
+  assert.match(messages[0].content.resource.text, /CARE-1/);
+  assert.match(messages[1].content.text, /find_similar_jira_issues/);
+});
+
+test("summarize_runbook accepts a page URL", async () => {
+  const url = `${mock.baseUrl}/wiki/spaces/CARE/pages/2001/DNS+Runbook`;
+  const { messages } = await client.getPrompt({ name: "summarize_runbook", arguments: { page: url } });
+  assert.equal(messages[0].content.resource.uri, "confluence://page/2001");
+  assert.match(messages[0].content.resource.text, /DNS Runbook/);
+  assert.match(messages[1].content.text, /Rollback and escalation/);
+});
+
+test("draft_customer_reply embeds the KB pages given, or asks for a search", async () => {
+  const withKb = await client.getPrompt({
+    name: "draft_customer_reply",
+    arguments: { key: "CARE-1", kb: "2001, confluence://page/2004", tone: "formal" },
+  });
+  assert.deepEqual(
+    withKb.messages.filter((m) => m.content.type === "resource").map((m) => m.content.resource.uri),
+    ["jira://issue/CARE-1", "confluence://page/2001", "confluence://page/2004"]
+  );
+  assert.match(withKb.messages.at(-1).content.text, /Tone: formal/);
+
+  const withoutKb = await client.getPrompt({ name: "draft_customer_reply", arguments: { key: "CARE-1" } });
+  assert.equal(withoutKb.messages.length, 2);
+  assert.match(withoutKb.messages[1].content.text, /search_confluence_solutions/);
+});
+
+test("prompts for a missing issue fail with the tool's error text", async () => {
+  await assert.rejects(
+    client.getPrompt({ name: "triage_jira_issue", arguments: { key: "CARE-404" } }),
+    /Failed to fetch issue CARE-404 \(not_found\)/
+  );
+});
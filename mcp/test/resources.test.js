@@ -0,0 +1,68 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv, connect } from "./helpers.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(() => mock.reset());
+
+test("issue and page templates are listed with recent items", async () => {
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates.map((t) => t.uriTemplate).sort(), ["confluence://page/{id}", "jira://issue/{key}"]);
+
+  const { resources } = await client.listResources();
+  const care1 = resources.find((r) => r.uri === "jira://issue/CARE-1");
+  assert.equal(care1.name, "CARE-1");
+  assert.match(care1.title, /^CARE-1: /);
+  assert.match(care1.description, /In Progress \| Alice/);
+  assert.ok(resources.some((r) => r.uri === "confluence://page/2001" && r.title === "DNS Runbook"));
+
+  const search = mock.requests.find((r) => r.path.endsWith("/search/jql"));
+  assert.match(search.body.jql, /assignee = currentUser\(\).*issueHistory\(\)/);
+  const cql = mock.requests.find((r) => r.path.endsWith("/rest/api/search")).query.get("cql");
+  assert.match(cql, /contributor = currentUser\(\)/);
+});
+
+test("reading an issue or page returns it as Markdown", async () => {
+  const issue = await client.readResource({ uri: "jira://issue/care-1" });
+  assert.equal(issue.contents[0].uri, "jira://issue/care-1");
+  assert.equal(issue.contents[0].mimeType, "text/markdown");
+  assert.match(issue.contents[0].text, /CARE-1/);
+  assert.match(issue.contents[0].text, /ENG-7/, "links are included");
+
+  const page = await client.readResource({ uri: "confluence://page/2001" });
+  assert.match(page.contents[0].text, /^Title: DNS Runbook/);
+});
+
+test("reads that fail report the tool's error text", async () => {
+  await assert.rejects(client.readResource({ uri: "jira://issue/CARE-404" }), /Failed to fetch issue CARE-404 \(not_found\)/);
+  await assert.rejects(client.readResource({ uri: "confluence://page/runbook" }), /Not a Confluence page ID: runbook/);
+});
+
+test("issue keys complete from the listed issues", async () => {
+  const { completion } = await client.complete({
+    ref: { type: "ref/resource", uri: "jira://issue/{key}" },
+    argument: { name: "key", value: "care" },
+  });
+  assert.deepEqual(completion.values.sort(), ["CARE-1", "CARE-2"]);
+});
+
+test("resources follow the enabled products", async () => {
+  const jiraOnly = await connect(mockEnv(mock), { confluence: false });
+  try {
+    const { resourceTemplates } = await jiraOnly.listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map((t) => t.uriTemplate), ["jira://issue/{key}"]);
+  } finally {
+    await jiraOnly.close();
+  }
+});
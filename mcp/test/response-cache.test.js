@@ -0,0 +1,191 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { startMockAtlassian } from "./mock-atlassian.js";
+import { mockEnv, connect, callTool } from "./helpers.js";
+import { createResponseCache, cacheSettings } from "../response-cache.js";
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockAtlassian();
+  client = await connect(mockEnv(mock, { ATLASSIAN_CACHE: "on" }));
+});
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+beforeEach(async () => {
+  mock.reset();
+  await callTool(client, "manage_response_cache", { action: "clear" });
+  mock.requests.length = 0;
+});
+
+// A source whose version and value the test controls, counting how often each is fetched
+function source(state) {
+  return {
+    version: async () => (state.versionCalls++, state.version),
+    load: async () => (state.loads++, { version: state.version, value: { v: state.version, body: state.body } }),
+  };
+}
+
+const settings = (overrides = {}) => ({ ...cacheSettings({}), ...overrides });
+
+test("through serves matching versions from the cache and reloads changed ones", async () => {
+  const cache = createResponseCache(settings());
+  const state = { version: 1, body: "x", loads: 0, versionCalls: 0 };
+  assert.equal((await cache.through("me", "confluence:1", "markdown", source(state))).cache, "miss");
+  assert.equal((await cache.through("me", "confluence:1", "markdown", source(state))).cache, "hit");
+  assert.deepEqual([state.loads, state.versionCalls], [1, 1]);
+
+  state.version = 2;
+  const changed = await cache.through("me", "confluence:1", "markdown", source(state));
+  assert.deepEqual(changed, { value: { v: 2, body: "x" }, cache: "miss" });
+
+  // Another identity or variant never shares the entry
+  assert.equal((await cache.through("you", "confluence:1", "markdown", source(state))).cache, "miss");
+  assert.equal((await cache.through("me", "confluence:1", "html", source(state))).cache, "miss");
+  const { stats, entries } = await cache.inspect(["me"]);
+  assert.deepEqual(
+    entries.map((e) => [e.resource, e.variant, e.version, e.hits]),
+    [
+      ["confluence:1", "markdown", "2", 0],
+      ["confluence:1", "html", "2", 0],
+    ]
+  );
+  assert.deepEqual([stats.hits, stats.misses, stats.stale, stats.entries], [1, 4, 1, 3]);
+});
+
+test("fresh entries skip revalidation and old ones expire", async () => {
+  const state = { version: 1, body: "x", loads: 0, versionCalls: 0 };
+  const fresh = createResponseCache(settings({ freshMs: 60000 }));
+  await fresh.through("me", "jira:A-1", "", source(state));
+  await fresh.through("me", "jira:A-1", "", source(state));
+  assert.deepEqual([state.loads, state.versionCalls], [1, 0]);
+
+  const expiring = createResponseCache(settings({ ttlMs: 0 }));
+  await expiring.through("me", "jira:A-1", "", source(state));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal((await expiring.through("me", "jira:A-1", "", source(state))).cache, "miss");
+  assert.equal((await expiring.inspect(["me"])).stats.expired, 1);
+});
+
+test("size limits evict the least recently used entries and skip oversized values", async () => {
+  const cache = createResponseCache(settings({ maxEntries: 2, maxBytes: 100 }));
+  const state = { version: 1, body: "x", loads: 0, versionCalls: 0 };
+  for (const id of ["1", "2"]) await cache.through("me", `confluence:${id}`, "", source(state));
+  await cache.through("me", "confluence:1", "", source(state));
+  await cache.through("me", "confluence:3", "", source(state));
+  assert.deepEqual((await cache.inspect(["me"])).entries.map((e) => e.resource), ["confluence:1", "confluence:3"]);
+
+  await cache.through("me", "confluence:4", "", source({ ...state, body: "y".repeat(200) }));
+  const { stats, entries } = await cache.inspect(["me"]);
+  assert.equal(entries.some((e) => e.resource === "confluence:4"), false);
+  assert.equal(stats.evictions, 1);
+});
+
+test("entries persist to the cache file and load in a new cache", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "response-cache-"));
+  try {
+    const file = path.join(dir, "cache.json");
+    const state = { version: 7, body: "x", loads: 0, versionCalls: 0 };
+    await createResponseCache(settings({ file })).through("me", "jira:A-1", "", source(state));
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.equal(((await fs.stat(file)).mode & 0o777).toString(8), "600");
+
+    const reloaded = createResponseCache(settings({ file }));
+    assert.equal((await reloaded.through("me", "jira:A-1", "", source(state))).cache, "hit");
+    assert.equal(state.loads, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a pending save is written when the process is stopped", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "response-cache-"));
+  const file = path.join(dir, "cache.json");
+  const script = `
+    import { createResponseCache, cacheSettings } from ${JSON.stringify(new URL("../response-cache.js", import.meta.url).href)};
+    const cache = createResponseCache(cacheSettings({ ATLASSIAN_CACHE_FILE: ${JSON.stringify(file)} }));
+    await cache.through("me", "jira:A-1", "", { load: async () => ({ version: 1, value: "a" }) });
+    console.log("stored");
+    setInterval(() => {}, 1000);
+  `;
+  const child = spawn(process.execPath, ["--input-type=module", "-e", script], { stdio: ["ignore", "pipe", "inherit"] });
+  try {
+    await once(child.stdout, "data");
+    child.kill("SIGTERM");
+    const [, signal] = await once(child, "exit");
+    assert.equal(signal, "SIGTERM");
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    assert.deepEqual(saved.entries.map(([key]) => key), ["me|jira:A-1|"]);
+  } finally {
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("entries fetched without guardrails are not served to a server limited to other projects", async () => {
+  const env = mockEnv(mock, { ATLASSIAN_CACHE: "on", ATLASSIAN_CACHE_FRESH_SECONDS: "60" });
+  const wide = await connect(env);
+  const narrow = await connect({ ...env, ATLASSIAN_ALLOWED_PROJECTS: "ENG" });
+  try {
+    assert.equal((await callTool(wide, "get_jira_issue", { key: "CARE-1" })).isError, false);
+    const refused = await callTool(narrow, "get_jira_issue", { key: "CARE-1" });
+    assert.equal(refused.isError, true);
+    assert.match(refused.text, /ENG/);
+  } finally {
+    await callTool(wide, "manage_response_cache", { action: "clear" });
+    await wide.close();
+    await narrow.close();
+  }
+});
+
+test("get_jira_issue revalidates by `updated` and tool writes invalidate the entry", async () => {
+  const first = await callTool(client, "get_jira_issue", { key: "CARE-1" });
+  mock.requests.length = 0;
+  const second = await callTool(client, "get_jira_issue", { key: "care-1" });
+  assert.equal(second.text, first.text);
+  assert.deepEqual(
+    mock.requests.map((r) => [r.path, r.query.get("fields"), r.query.get("expand")]),
+    [["/rest/api/3/issue/care-1", "updated", null]]
+  );
+
+  // Changed behind our back: `updated` moved, so the issue is fetched again
+  const issue = mock.state.issues.find((i) => i.key === "CARE-1");
+  issue.fields.summary = "Renamed";
+  issue.fields.updated = "2026-10-19T00:00:00.000+0000";
+  assert.match((await callTool(client, "get_jira_issue", { key: "CARE-1" })).text, /^Summary: Renamed$/m);
+
+  await callTool(client, "update_jira_issue", { key: "CARE-1", summary: "Renamed again" });
+  const inspect = await callTool(client, "manage_response_cache", { resource: "CARE-1" });
+  assert.deepEqual(inspect.result.structuredContent.entries, []);
+  assert.match((await callTool(client, "get_jira_issue", { key: "CARE-1" })).text, /^Summary: Renamed again$/m);
+});
+
+test("get_confluence_page revalidates by version and the cache tool inspects and clears", async () => {
+  await callTool(client, "get_confluence_page", { id: "2001" });
+  await callTool(client, "get_confluence_page", { spaceKey: "CARE", title: "DNS Runbook" });
+  const bodies = () => mock.requests.filter((r) => (r.query.get("expand") || "").includes("body.storage"));
+  assert.equal(bodies().length, 1);
+
+  const { text, result } = await callTool(client, "manage_response_cache", {});
+  assert.match(text, /^Cache: 1\/500 entries, [\d.]+ KB of 50 MB \| TTL 900s$/m);
+  assert.match(text, /^Hits: \d+ \| Misses: \d+ \(changed: \d+, expired: \d+\) \| Evictions: \d+$/m);
+  assert.match(text, /^• confluence:2001 \[markdown\] version 4 — \d+ B, \d+s old, 1 hit\(s\)$/m);
+  assert.equal(result.structuredContent.enabled, true);
+
+  mock.state.pages.find((p) => p.id === "2001").version.number = 5;
+  await callTool(client, "get_confluence_page", { id: "2001" });
+  assert.equal(bodies().length, 2);
+
+  const cleared = await callTool(client, "manage_response_cache", { action: "clear", resource: "2001" });
+  assert.match(cleared.text, /^Cleared 1 entry for confluence:2001\.$/m);
+  assert.equal(cleared.result.structuredContent.cleared, 1);
+  assert.deepEqual(cleared.result.structuredContent.entries, []);
+});
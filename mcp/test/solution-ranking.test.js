@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractTerms, solutionQueries, scoreSolution } from "../solution-ranking.js";
+
+const NOW = Date.parse("2026-10-19T00:00:00.000Z");
+
+test("extractTerms puts error codes first and drops stopwords and duplicates", () => {
+  const terms = extractTerms("Customers still get NXDOMAIN and ERR_NAME_NOT_RESOLVED after the dns transfer; DNS is broken (502)");
+  assert.deepEqual(
+    terms.map((t) => t.term),
+    ["nxdomain", "err_name_not_resolved", "502", "dns", "transfer", "broken"]
+  );
+  assert.deepEqual(terms.slice(0, 3).map((t) => t.code), [true, true, true]);
+  assert.equal(terms[3].code, false);
+  assert.deepEqual(extractTerms("the and of"), []);
+});
+
+test("solutionQueries relaxes from labels and titles down to any key term", () => {
+  const queries = solutionQueries({
+    issue: "NXDOMAIN after transfer",
+    terms: extractTerms("NXDOMAIN after transfer"),
+    labels: ["dns", "runbook"],
+    spaces: ["CARE"],
+  });
+  assert.deepEqual(queries.map((q) => q.name), ["strict", "solution-like", "full text", "any key term"]);
+  assert.match(queries[0].cql, /^type = page AND space in \("CARE"\) AND text ~ "NXDOMAIN after transfer" AND \(title ~/);
+  assert.match(queries[0].cql, / AND label in \("dns", "runbook"\)$/);
+  assert.match(queries[1].cql, /AND \(label in \("dns", "runbook"\) OR title ~ "troubleshoot" OR /);
+  assert.equal(queries[2].cql, 'type = page AND space in ("CARE") AND text ~ "NXDOMAIN after transfer"');
+  assert.equal(queries[3].cql, 'type = page AND space in ("CARE") AND (text ~ "nxdomain" OR text ~ "transfer")');
+
+  const single = solutionQueries({ issue: "NXDOMAIN", terms: extractTerms("NXDOMAIN"), labels: ["fix"] });
+  assert.deepEqual(single.map((q) => q.name), ["strict", "solution-like", "full text"]);
+  assert.match(single[2].cql, /^type = page AND text ~ "NXDOMAIN"$/);
+});
+
+test("scoreSolution explains every signal it counts, weighting error codes double", () => {
+  const terms = extractTerms("NXDOMAIN after DNS transfer");
+  const context = { terms, preferredLabels: ["dns"], queryNames: ["strict", "solution-like", "full text"], now: NOW };
+  const runbook = scoreSolution(
+    {
+      title: "DNS Runbook",
+      excerpt: "Domains return NXDOMAIN after transfer.",
+      labels: ["troubleshooting", "dns"],
+      lastModified: "2026-10-19T00:00:00.000Z",
+      matchedBy: ["full text", "strict"],
+    },
+    context
+  );
+  assert.deepEqual(runbook.reasons, [
+    "title has dns (+1.6)",
+    "text has 2/3 key terms (+1.8)",
+    "labelled dns (requested) (+1.5)",
+    "labelled troubleshooting (+1)",
+    'title reads like a solution ("runbook") (+1)',
+    "matched the strict query (+2)",
+    "updated 0 days ago (+1.5)",
+  ]);
+  assert.equal(runbook.score, 10.4);
+
+  const stale = scoreSolution(
+    { title: "Team notes", excerpt: "dns", labels: [], lastModified: "2026-04-22T00:00:00.000Z", matchedBy: ["full text"] },
+    context
+  );
+  assert.deepEqual(stale.reasons, ["text has 1/3 key terms (+1.2)", "updated 180 days ago (+0.8)"]);
+  assert.ok(stale.score < runbook.score);
+});
@@ -0,0 +1,346 @@
+// Output schemas for the tools' structuredContent, shared so the same entity has the same shape everywhere.
+import { z } from "zod";
+
+export const issueSummarySchema = z.object({
+  key: z.string(),
+  id: z.string().optional(),
+  url: z.string(),
+  summary: z.string(),
+  status: z.string(),
+  statusCategory: z.string().optional(),
+  type: z.string(),
+  priority: z.string().optional(),
+  assignee: z.string().nullable(),
+  updated: z.string().optional(),
+});
+
+export const pageHitSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  url: z.string(),
+  type: z.string().optional(),
+  spaceKey: z.string().optional(),
+  spaceName: z.string().optional(),
+  lastModified: z.string().optional(),
+  excerpt: z.string(),
+});
+
+const linkedIssueSchema = z.object({
+  key: z.string(),
+  url: z.string(),
+  summary: z.string(),
+  status: z.string().optional(),
+});
+
+export const issueSearchOutput = {
+  jql: z.string(),
+  issues: z.array(issueSummarySchema),
+  nextCursor: z.string().nullable(),
+  notes: z.array(z.string()).optional().describe("How the prompt was interpreted (search_jira_nl)"),
+};
+
+export const issueDetailOutput = {
+  key: z.string(),
+  id: z.string(),
+  url: z.string(),
+  summary: z.string(),
+  status: z.string(),
+  type: z.string(),
+  assignee: z.string().nullable(),
+  reporter: z.string().nullable(),
+  descriptionFormat: z.enum(["markdown", "html"]),
+  description: z.string(),
+  details: z
+    .object({
+      priority: z.string().nullable(),
+      resolution: z.string().nullable(),
+      labels: z.array(z.string()),
+      components: z.array(z.string()),
+      fixVersions: z.array(z.string()),
+      created: z.string().nullable(),
+      updated: z.string().nullable(),
+      duedate: z.string().nullable(),
+    })
+    .optional(),
+  comments: z
+    .object({
+      startAt: z.number(),
+      total: z.number(),
+      nextStartAt: z.number().nullable(),
+      items: z.array(
+        z.object({ id: z.string(), author: z.string().nullable(), created: z.string(), updated: z.string().optional(), body: z.string() })
+      ),
+    })
+    .optional(),
+  links: z
+    .array(linkedIssueSchema.extend({ type: z.string(), direction: z.enum(["inward", "outward"]), relation: z.string() }))
+    .optional(),
+  parent: linkedIssueSchema.nullable().optional(),
+  subtasks: z.array(linkedIssueSchema).optional(),
+  attachments: z
+    .array(
+      z.object({
+        filename: z.string(),
+        size: z.number().nullable(),
+        mimeType: z.string().nullable(),
+        created: z.string().nullable(),
+        author: z.string().nullable(),
+        url: z.string().nullable(),
+      })
+    )
+    .optional(),
+  customFields: z.array(z.object({ id: z.string(), name: z.string(), value: z.string() })).optional(),
+  timeline: z
+    .object({
+      transitions: z.array(z.object({ at: z.string(), from: z.string(), to: z.string(), author: z.string() })),
+      timeInStatusMs: z.record(z.number()),
+    })
+    .optional(),
+};
+
+// Result of a write: the issue as re-read afterwards (fields are absent if that read failed)
+export const issueWriteOutput = {
+  key: z.string(),
+  url: z.string(),
+  summary: z.string().optional(),
+  status: z.string().optional(),
+  type: z.string().optional(),
+  assignee: z.string().nullable().optional(),
+};
+
+export const pageSearchOutput = {
+  cql: z.string(),
+  results: z.array(pageHitSchema),
+  start: z.number(),
+  limit: z.number(),
+  totalSize: z.number().nullable(),
+  nextStart: z.number().nullable(),
+};
+
+export const pageDetailOutput = {
+  id: z.string(),
+  title: z.string(),
+  url: z.string(),
+  spaceKey: z.string().nullable(),
+  version: z.number().nullable(),
+  lastModified: z.string().nullable(),
+  labels: z.array(z.string()),
+  format: z.enum(["markdown", "html"]),
+  body: z.string(),
+};
+
+export const linkedPagesOutput = {
+  key: z.string(),
+  pages: z.array(
+    z.object({
+      id: z.string(),
+      title: z.string().nullable().describe("null when the page is not accessible"),
+      url: z.string().nullable(),
+      spaceKey: z.string().optional(),
+      accessible: z.boolean(),
+      via: z.array(z.string()),
+    })
+  ),
+};
+
+export const referencedIssuesOutput = {
+  pageId: z.string(),
+  pageTitle: z.string(),
+  issues: z.array(issueSummarySchema.extend({ via: z.string() })),
+};
+
+export const pageWriteOutput = {
+  id: z.string(),
+  title: z.string(),
+  url: z.string(),
+  spaceKey: z.string().nullable(),
+  version: z.number().nullable(),
+  labels: z.array(z.string()).optional().describe("Labels after the write, when labels were added"),
+};
+
+const pageRefSchema = z.object({ id: z.string(), title: z.string(), url: z.string() });
+
+export const spaceListOutput = {
+  spaces: z.array(
+    z.object({
+      key: z.string(),
+      name: z.string(),
+      type: z.string(),
+      url: z.string(),
+      description: z.string().optional(),
+      homepage: pageRefSchema.nullable(),
+    })
+  ),
+  start: z.number(),
+  nextStart: z.number().nullable(),
+};
+
+export const pageChildrenOutput = {
+  parent: pageRefSchema,
+  children: z.array(pageRefSchema.extend({ version: z.number().nullable(), lastModified: z.string().nullable() })),
+  start: z.number(),
+  nextStart: z.number().nullable(),
+};
+
+export const pageAncestorsOutput = {
+  page: pageRefSchema,
+  spaceKey: z.string().nullable(),
+  spaceName: z.string().nullable(),
+  ancestors: z.array(pageRefSchema).describe("Root first, ending with the direct parent"),
+};
+
+const attachmentSchema = z.object({
+  id: z.string(),
+  filename: z.string(),
+  mediaType: z.string().nullable(),
+  size: z.number().nullable(),
+  created: z.string().nullable(),
+  author: z.string().nullable(),
+  downloadable: z.boolean().describe("Whether get_confluence_attachment can return its text"),
+});
+
+export const attachmentListOutput = {
+  pageId: z.string(),
+  attachments: z.array(attachmentSchema),
+  start: z.number(),
+  nextStart: z.number().nullable(),
+};
+
+export const attachmentContentOutput = {
+  pageId: z.string(),
+  attachment: attachmentSchema,
+  content: z.string(),
+  truncated: z.boolean(),
+};
+
+export const solutionSearchOutput = {
+  issue: z.string(),
+  terms: z.array(z.string()).describe("Key terms taken from the issue description"),
+  queries: z.array(z.object({ name: z.string(), cql: z.string(), hits: z.number() })).describe("Queries run, strictest first"),
+  results: z.array(
+    pageHitSchema.extend({
+      labels: z.array(z.string()),
+      score: z.number(),
+      explanation: z.string().describe("The signals behind the score"),
+      matchedBy: z.array(z.string()).describe("Names of the queries that returned the page"),
+    })
+  ),
+};
+
+export const semanticSearchOutput = {
+  query: z.string(),
+  spaces: z.array(z.object({ key: z.string(), pages: z.number(), syncedAt: z.string().nullable() })),
+  embeddings: z.string().nullable().describe("Embedder blended into the score, or null for BM25 only"),
+  notes: z.array(z.string()).describe("What the sync before the search did, or why it was skipped"),
+  results: z.array(
+    z.object({
+      pageId: z.string(),
+      title: z.string(),
+      url: z.string(),
+      spaceKey: z.string().nullable(),
+      version: z.number().nullable(),
+      heading: z.string().describe("Headings the chunk sits under, outermost first"),
+      text: z.string(),
+      score: z.number(),
+      bm25: z.number(),
+      similarity: z.number().nullable(),
+    })
+  ),
+};
+
+export const cacheStatusOutput = {
+  enabled: z.boolean(),
+  settings: z.object({
+    ttlSeconds: z.number(),
+    freshSeconds: z.number(),
+    maxEntries: z.number(),
+    maxMb: z.number(),
+    file: z.string().nullable(),
+  }),
+  stats: z
+    .object({
+      hits: z.number(),
+      misses: z.number(),
+      stale: z.number().describe("Entries refetched because the issue or page changed"),
+      expired: z.number(),
+      evictions: z.number(),
+      entries: z.number(),
+      bytes: z.number(),
+    })
+    .describe("Process-wide counters"),
+  entries: z.array(
+    z.object({
+      resource: z.string(),
+      variant: z.string(),
+      version: z.string().describe("Issue `updated` stamp or page version the entry was stored at"),
+      bytes: z.number(),
+      ageSeconds: z.number(),
+      hits: z.number(),
+    })
+  ),
+  cleared: z.number().optional(),
+};
+
+export const similarIssuesOutput = {
+  source: z.object({ key: z.string().nullable(), summary: z.string() }).describe("What was compared against"),
+  terms: z.array(z.string()),
+  queries: z.array(z.object({ name: z.string(), jql: z.string(), hits: z.number() })),
+  issues: z.array(
+    issueSummarySchema.extend({
+      resolution: z.string().nullable(),
+      score: z.number(),
+      similarity: z.number().describe("Text similarity alone, 0-1"),
+      verdict: z.enum(["likely duplicate", "related", "weak match"]),
+      reasons: z.array(z.string()),
+      matchedBy: z.array(z.string()),
+    })
+  ),
+};
+
+const reportRowSchema = z.object({
+  group: z.string(),
+  count: z.number(),
+  unresolved: z.number(),
+  ageMs: z
+    .object({ mean: z.number().nullable(), p50: z.number().nullable(), p90: z.number().nullable(), max: z.number().nullable() })
+    .describe("Creation to resolution, or to now while open"),
+  timeInStatusMs: z.record(z.number()).optional().describe("Mean time per issue in each status, from the changelog"),
+  stale: z.number().optional().describe("Open issues with no status change for staleHours or longer"),
+});
+
+export const issueReportOutput = {
+  jql: z.string(),
+  groupBy: z.object({ name: z.string(), field: z.string() }),
+  issueCount: z.number(),
+  truncated: z.boolean().describe("More issues matched than maxIssues; the report covers the first ones"),
+  groups: z.array(reportRowSchema),
+  total: reportRowSchema,
+  stale: z
+    .array(z.object({ key: z.string(), url: z.string(), status: z.string(), inStatusMs: z.number() }))
+    .optional()
+    .describe("Open issues with no status change for staleHours or longer, longest first"),
+};
+
+export const issueDigestOutput = {
+  jql: z.string().describe("The query that was run, window and assignee conditions included"),
+  filter: z.object({ id: z.string(), name: z.string() }).nullable(),
+  since: z.string(),
+  until: z.string(),
+  assignee: z.object({ id: z.string(), displayName: z.string() }).nullable(),
+  searched: z.number().describe("Issues updated in the window that were checked"),
+  truncated: z.boolean().describe("More issues matched than maxIssues; only the first ones were checked"),
+  issues: z.array(
+    issueSummarySchema.extend({
+      changes: z.array(
+        z.object({
+          at: z.string(),
+          type: z.enum(["status", "assignee", "priority", "comment"]),
+          author: z.string().nullable(),
+          from: z.string().optional(),
+          to: z.string().optional(),
+          text: z.string().optional().describe("Start of the comment"),
+        })
+      ),
+    })
+  ),
+};